@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+// ==========================================
+// CLI : génération DOCX par lots
+// ==========================================
+// tcp-report generate exports/*.xml --sport endurance --out reports/
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { Resvg } from "@resvg/resvg-js";
+
+import { CONFIG } from "../src/lib/config.js";
+import {
+  AVERAGING_METHODS,
+  REPORT_LANGUAGES,
+  SUPPORTED_EXTENSIONS,
+  ZONE_MODELS,
+  analyzeTest,
+  getZoneModel,
+  normalizeAveraging,
+  inspectTemplate,
+  readRulesFile,
+  renderReport,
+  reportFileName,
+  templateFileName,
+  uniqueFileName,
+} from "../src/lib/index.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const SPORTS = ["endurance", "other"];
+
+const USAGE = `Usage : tcp-report generate <exports (.xml, .xlsx, .csv)|dossiers...> [options]
+
+Options :
+  --sport <type>      endurance (5 zones, défaut) ou other (3 zones)
+  --zones <modèle>    modèle de zones : ${ZONE_MODELS.map((m) => m.id).join(", ")} (défaut : selon --sport)
+  --rules <json>      règles de recommandation exportées depuis l'application (défaut : règles intégrées)
+  --pediatric         normes pédiatriques (FITNESSGRAM) pour les moins de 18 ans
+  --wasserman         page des 9 graphiques de Wasserman dans le rapport
+  --quality           section « Qualité du test » (critères de maximalité, qualité des signaux)
+  --lactate <valeurs> lactate (mmol/L) par palier, séparé par des virgules (ex. 1.1,1.0,,1.8) ; un seul export
+  --averaging <m[:n]> moyennage des courbes : ${AVERAGING_METHODS.map((m) => m.id).join(", ")}, fenêtre n en s ou en cycles (défaut : rolling:30)
+  --lang <code>       langue du rapport : ${Object.keys(REPORT_LANGUAGES).join(", ")} (défaut : fr)
+  --out <dossier>     dossier de sortie (défaut : dossier courant)
+  --template <docx>   template Word (défaut : public/template.docx, ou template-<lang>.docx)
+  -h, --help          affiche cette aide`;
+
+const rasterize = (svg) =>
+  new Resvg(svg, { fitTo: { mode: "zoom", value: 2 }, font: { loadSystemFonts: true } }).render().asPng();
+
+// Les dossiers sont développés en leurs fichiers d'export reconnus
+const expandInputs = async (inputs) => {
+  const files = [];
+  for (const input of inputs) {
+    const stat = await fs.stat(input);
+    if (stat.isDirectory()) {
+      const entries = await fs.readdir(input);
+      entries.filter((e) => SUPPORTED_EXTENSIONS.some((ext) => e.toLowerCase().endsWith(ext))).sort().forEach((e) => files.push(path.join(input, e)));
+    } else {
+      files.push(input);
+    }
+  }
+  return files;
+};
+
+const summary = (a) => {
+  const fmt = (v) => (a.isBike ? Math.round(v) : v.toFixed(1));
+  const auto = a.data.vt1.source === "auto" || a.data.vt2.source === "auto" ? " [seuils calculés]" : "";
+  return `V1 ${a.fc1} bpm / ${fmt(a.s1)} ${a.intensityUnit} · V2 ${a.fc2} bpm / ${fmt(a.s2)} ${a.intensityUnit}` +
+    ` · VO2peak ${a.vo2.toFixed(2)} L/min (${a.vo2kg} ml/kg/min)${auto}`;
+};
+
+// "1.1,1.0,,1.8" → {1: "1.1", 2: "1.0", 4: "1.8"} (palier sans prélèvement laissé vide)
+const parseLactate = (arg) =>
+  Object.fromEntries(arg.split(",").map((v, i) => [i + 1, v.trim()]).filter(([, v]) => v));
+
+// "bins:15" → {method: "bins", window: 15} ; sans fenêtre, celle par défaut de la méthode
+const parseAveraging = (arg) => {
+  const [method, window] = arg.split(":");
+  return normalizeAveraging({ method, window });
+};
+
+const generate = async (inputs, { sport, zones, rules, pediatric, wasserman, quality, lactate, averaging, lang, out, template }) => {
+  const files = await expandInputs(inputs);
+  if (!files.length) throw new Error("Aucun fichier d'export à traiter");
+  if (lactate && files.length > 1) throw new Error("--lactate ne s'applique qu'à un seul export");
+
+  const recRules = rules ? readRulesFile(new Uint8Array(await fs.readFile(rules))) : undefined;
+
+  const templateBuffer = await fs.readFile(template || path.join(ROOT, "public", templateFileName(lang)));
+  if (template) {
+    const { unknown } = inspectTemplate(templateBuffer);
+    if (unknown.length) console.warn(`⚠ Tags inconnus dans le template, rendus vides : ${unknown.join(", ")}`);
+  }
+  await fs.mkdir(out, { recursive: true });
+
+  const used = new Set();
+  let failed = 0;
+
+  for (const file of files) {
+    const label = path.basename(file);
+    try {
+      const stat = await fs.stat(file);
+      if (stat.size > CONFIG.MAX_FILE_SIZE_MB * 1024 * 1024) {
+        throw new Error(`Fichier trop volumineux (max ${CONFIG.MAX_FILE_SIZE_MB}MB)`);
+      }
+      const input = { name: path.basename(file), bytes: new Uint8Array(await fs.readFile(file)) };
+      const analysis = analyzeTest(input, { sportType: sport, zoneModel: zones ? getZoneModel(zones) : null, recRules, pediatricNorms: pediatric, wassermanPage: wasserman, qualitySection: quality, averaging: averaging ? parseAveraging(averaging) : undefined, lactate: lactate ? parseLactate(lactate) : {}, lang });
+      const bytes = await renderReport(analysis, templateBuffer, { rasterize });
+      const name = uniqueFileName(reportFileName(analysis), used);
+      await fs.writeFile(path.join(out, name), bytes);
+      console.log(`✓ ${label} → ${name}\n    ${summary(analysis)}`);
+      const { maximal, verdict, warnings } = analysis.quality;
+      [...(maximal ? [] : [verdict]), ...warnings].forEach((w) => console.warn(`    ⚠ ${w}`));
+    } catch (e) {
+      failed++;
+      console.error(`✗ ${label} : ${e.message}`);
+      (e.details || []).forEach((d) => console.error(`    - ${d}`));
+    }
+  }
+
+  console.log(`\n${files.length - failed}/${files.length} rapport(s) généré(s) dans ${out}`);
+  return failed;
+};
+
+const main = async () => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        sport: { type: "string", default: "endurance" },
+        zones: { type: "string" },
+        rules: { type: "string" },
+        pediatric: { type: "boolean", default: false },
+        wasserman: { type: "boolean", default: false },
+        quality: { type: "boolean", default: false },
+        lactate: { type: "string" },
+        averaging: { type: "string" },
+        out: { type: "string", default: "." },
+        lang: { type: "string", default: "fr" },
+        template: { type: "string" },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...inputs] = positionals;
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (command !== "generate" || !inputs.length) {
+    console.error(USAGE);
+    return 2;
+  }
+  if (!SPORTS.includes(values.sport)) {
+    console.error(`Type de sport inconnu : ${values.sport} (${SPORTS.join(", ")})`);
+    return 2;
+  }
+  if (values.zones && !ZONE_MODELS.some((m) => m.id === values.zones)) {
+    console.error(`Modèle de zones inconnu : ${values.zones} (${ZONE_MODELS.map((m) => m.id).join(", ")})`);
+    return 2;
+  }
+  if (values.averaging && !AVERAGING_METHODS.some((m) => m.id === values.averaging.split(":")[0])) {
+    console.error(`Méthode de moyennage inconnue : ${values.averaging} (${AVERAGING_METHODS.map((m) => m.id).join(", ")})`);
+    return 2;
+  }
+  if (!REPORT_LANGUAGES[values.lang]) {
+    console.error(`Langue de rapport inconnue : ${values.lang} (${Object.keys(REPORT_LANGUAGES).join(", ")})`);
+    return 2;
+  }
+
+  try {
+    const failed = await generate(inputs, values);
+    return failed ? 1 : 0;
+  } catch (e) {
+    console.error(`Erreur : ${e.message}`);
+    (e.details || []).forEach((d) => console.error(`    - ${d}`));
+    return 1;
+  }
+};
+
+process.exitCode = await main();
@@ -1,4 +1,4 @@
-import { useCallback, useState } from "react";
+import { useCallback, useEffect, useMemo, useState } from "react";
 import {
   CartesianGrid,
   Line,
@@ -9,743 +9,622 @@ import {
   XAxis,
   YAxis,
 } from "recharts";
-import html2canvas from "html2canvas";
-import Docxtemplater from "docxtemplater";
 import PizZip from "pizzip";
-import ImageModule from "docxtemplater-image-module-free";
 
 import FeedbackModal from "./components/FeedbackModal.jsx";
 import ErrorDisplay from "./components/ErrorDisplay.jsx";
 import ZoneLegend from "./components/ZoneLegend.jsx";
-
-// ==========================================
-// CONFIGURATION
-// ==========================================
+import ThresholdMethods from "./components/ThresholdMethods.jsx";
+import ThresholdEditor from "./components/ThresholdEditor.jsx";
+import FileQueue from "./components/FileQueue.jsx";
+import ReportLanguageSelect from "./components/ReportLanguageSelect.jsx";
+import TemplateManager from "./components/TemplateManager.jsx";
+import ZoneModelEditor from "./components/ZoneModelEditor.jsx";
+import AveragingSelect from "./components/AveragingSelect.jsx";
+import PreviousTests from "./components/PreviousTests.jsx";
+import ArchivePanel from "./components/ArchivePanel.jsx";
+import SessionSave from "./components/SessionSave.jsx";
+import EditableParagraph from "./components/EditableParagraph.jsx";
+import NormCard from "./components/NormCard.jsx";
+import QualityCard from "./components/QualityCard.jsx";
+import QualityWarnings from "./components/QualityWarnings.jsx";
+import StageTable from "./components/StageTable.jsx";
+import LactateCard from "./components/LactateCard.jsx";
+import SubstrateCard from "./components/SubstrateCard.jsx";
+import RecRulesEditor from "./components/RecRulesEditor.jsx";
+import SessionUnlock from "./components/SessionUnlock.jsx";
+import { CONFIG } from "./lib/config.js";
+import { ValidationError, checkThresholdOrder, safeNum } from "./lib/validation.js";
+import { ZCOL, ZCOL_CHART, checkZoneModel } from "./lib/zones.js";
+import { analyzePrevious, buildAnalysis, parseTest } from "./lib/analysis.js";
+import { DEFAULT_AVERAGING } from "./lib/averaging.js";
+import { MAX_PREVIOUS_TESTS } from "./lib/compare.js";
+import { DOCX_MIME, buildLactateRows, buildStageRows, lactateSvg, renderReport, reportFileName, substrateSvg, uniqueFileName, wassermanSvg } from "./lib/report.js";
+import { reportStrings, templateFileName } from "./lib/i18n.js";
+import { PDF_MIME, pdfFileName, renderPdfReport } from "./lib/pdf.js";
+import { inspectTemplate } from "./lib/templateTags.js";
+import { clearCustomTemplate, loadCustomTemplate, saveCustomTemplate } from "./lib/templateStore.js";
+import { deleteZonePreset, loadZonePresets, saveZonePreset } from "./lib/zonePresets.js";
+import { REC_SECTIONS, readRulesFile, rulesFileName, writeRulesFile } from "./lib/recRules.js";
+import { loadRecRules, resetRecRules, saveRecRules } from "./lib/recRulesStore.js";
+import {
+  archiveExists,
+  archiveSummary,
+  createArchive,
+  deleteFromArchive,
+  destroyArchive,
+  listArchive,
+  loadFromArchive,
+  saveToArchive,
+  unlockArchive,
+} from "./lib/archive.js";
+import {
+  SESSION_EXT,
+  SESSION_MIME,
+  buildSession,
+  isSessionFile,
+  openSessionFile,
+  readSessionFile,
+  sessionFileName,
+  writeSessionFile,
+} from "./lib/session.js";
+import { collectDroppedFiles, readExportFile, readFileBytes } from "./lib/browserFiles.js";
+import { SUPPORTED_EXTENSIONS } from "./lib/adapters/index.js";
 
 const version = 2.2
-const CONFIG = {
-  MAX_DATA_POINTS: 10000,
-  MAX_FILE_SIZE_MB: 50,
-  CHART_CAPTURE_TIMEOUT: 15000,
-  CHART_CAPTURE_RETRIES: 2,
-  MIN_MEASUREMENTS: 10,
-  VALIDATION: {
-    FC_MIN: 30,
-    FC_MAX: 250,
-    VITESSE_MIN: 0,
-    VITESSE_MAX: 30,
-    POWER_MIN: 0,
-    POWER_MAX: 500,
-    VO2_MIN: 0,
-    VO2_MAX: 10,
-  },
-};
+
 
 // ==========================================
-// UTILITAIRES DE VALIDATION
+// EXPORT DOCX (NAVIGATEUR)
 // ==========================================
-class ValidationError extends Error {
-  constructor(message, details = []) {
-    super(message);
-    this.name = "ValidationError";
-    this.details = details;
-  }
-}
-
-const validateNumber = (value, min, max, fieldName) => {
-  const num = parseFloat(String(value).replace(",", "."));
-  if (!Number.isFinite(num)) {
-    throw new ValidationError(`${fieldName} invalide: "${value}"`);
+const checkFile = (f) => {
+  if (!SUPPORTED_EXTENSIONS.some((ext) => f.name.toLowerCase().endsWith(ext))) {
+    return new ValidationError(`Format invalide. Formats acceptés : ${SUPPORTED_EXTENSIONS.join(", ")}`);
   }
-  if (num < min || num > max) {
-    throw new ValidationError(`${fieldName} hors limites (${min}-${max}): ${num}`);
-  }
-  return num;
+  if (f.size > CONFIG.MAX_FILE_SIZE_MB * 1024 * 1024) return new ValidationError(`Fichier trop volumineux (max ${CONFIG.MAX_FILE_SIZE_MB}MB)`);
+  return null;
 };
 
-const safeNum = (value, defaultValue = 0) => {
-  const num = parseFloat(String(value).replace(",", "."));
-  return Number.isFinite(num) ? num : defaultValue;
+// Le template importé par l'utilisateur remplace celui de la langue du rapport
+const loadTemplate = async (lang = "fr", custom = null) => {
+  if (custom) return custom.bytes;
+  const response = await fetch(`/${templateFileName(lang)}`);
+  if (!response.ok) throw new Error("Template non trouvée");
+  return await response.arrayBuffer();
 };
 
-const validateRequiredString = (value, fieldName) => {
-  if (!value || String(value).trim() === "") {
-    throw new ValidationError(`${fieldName} requis mais vide`);
-  }
-  return String(value).trim();
+const downloadBytes = (bytes, fileName, mimeType) => {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+  a.download = fileName;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 2000);
 };
 
-// ==========================================
-// VALIDATION DES DONNÉES
-// ==========================================
-const validateParsedData = (data) => {
-  const errors = [];
-
-  try { validateRequiredString(data.patient.nom, "Nom du patient"); } catch (e) { errors.push(e.message); }
-  try { validateRequiredString(data.patient.prenom, "Prénom du patient"); } catch (e) { errors.push(e.message); }
-
-  try { validateNumber(data.vt1.fc, CONFIG.VALIDATION.FC_MIN, CONFIG.VALIDATION.FC_MAX, "V1 FC"); } catch (e) { errors.push(e.message); }
-
-  // Validate speed OR power depending on test type
-  const isBike = data.testType === "bike";
-  if (isBike) {
-    try { validateNumber(data.vt1.power, CONFIG.VALIDATION.POWER_MIN, CONFIG.VALIDATION.POWER_MAX, "V1 Puissance"); } catch (e) { errors.push(e.message); }
-  } else {
-    try { validateNumber(data.vt1.vitesse, CONFIG.VALIDATION.VITESSE_MIN, CONFIG.VALIDATION.VITESSE_MAX, "V1 Vitesse"); } catch (e) { errors.push(e.message); }
-  }
-
+// Template personnalisé relu au démarrage, avec son contrôle de tags
+const withTagCheck = (tpl) => {
+  if (!tpl) return null;
   try {
-    const fc2 = validateNumber(data.vt2.fc, CONFIG.VALIDATION.FC_MIN, CONFIG.VALIDATION.FC_MAX, "V2 FC");
-    const fc1 = safeNum(data.vt1.fc);
-    if (fc2 <= fc1) errors.push(`V2 FC (${fc2}) doit être > V1 FC (${fc1})`);
-  } catch (e) { errors.push(e.message); }
-
-  if (isBike) {
-    try {
-      const p2 = validateNumber(data.vt2.power, CONFIG.VALIDATION.POWER_MIN, CONFIG.VALIDATION.POWER_MAX, "V2 Puissance");
-      const p1 = safeNum(data.vt1.power);
-      if (p2 <= p1) errors.push(`V2 Puissance (${p2}) doit être > V1 Puissance (${p1})`);
-    } catch (e) { errors.push(e.message); }
-  } else {
-    try {
-      const v2 = validateNumber(data.vt2.vitesse, CONFIG.VALIDATION.VITESSE_MIN, CONFIG.VALIDATION.VITESSE_MAX, "V2 Vitesse");
-      const v1 = safeNum(data.vt1.vitesse);
-      if (v2 <= v1) errors.push(`V2 Vitesse (${v2}) doit être > V1 Vitesse (${v1})`);
-    } catch (e) { errors.push(e.message); }
-  }
-
-  try { validateNumber(data.peakVO2.vo2, CONFIG.VALIDATION.VO2_MIN, CONFIG.VALIDATION.VO2_MAX, "VO2 Peak"); } catch (e) { errors.push(e.message); }
-  try { validateNumber(data.peakVO2.vo2kg, 0, 100, "VO2 Peak/kg"); } catch (e) { errors.push(e.message); }
-
-  if (!Array.isArray(data.measurements) || data.measurements.length < CONFIG.MIN_MEASUREMENTS) {
-    errors.push(`Insuffisant de mesures: ${data.measurements?.length || 0} (minimum: ${CONFIG.MIN_MEASUREMENTS})`);
+    return { ...tpl, check: inspectTemplate(tpl.bytes) };
+  } catch {
+    return { ...tpl, check: null };
   }
-
-  if (Array.isArray(data.measurements) && data.measurements.length > CONFIG.MAX_DATA_POINTS) {
-    errors.push(`Trop de mesures: ${data.measurements.length} (maximum: ${CONFIG.MAX_DATA_POINTS})`);
-  }
-
-  if (errors.length > 0) throw new ValidationError("Validation échouée", errors);
-  return true;
 };
 
-// ==========================================
-// PARSING XML SÉCURISÉ
-// ==========================================
-const parseXMLSafe = (xmlString) => {
-  if (!xmlString || typeof xmlString !== "string") {
-    throw new ValidationError("Contenu XML invalide ou vide");
-  }
-
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(xmlString, "text/xml");
-
-  const parserError = doc.querySelector("parsererror");
-  if (parserError) {
-    throw new ValidationError("XML mal formé: " + parserError.textContent);
+const dlDocx = async (analysis, setExp, setErr, customTemplate) => {
+  setExp(true);
+  setErr(null);
+  try {
+    // Graphiques vectoriels dessinés depuis l'analyse (SVG + repli PNG), indépendants de l'écran
+    const bytes = await renderReport(analysis, await loadTemplate(analysis.lang, customTemplate));
+    downloadBytes(bytes, reportFileName(analysis), DOCX_MIME);
+    return true;
+  } catch (e) {
+    console.error("Erreur génération DOCX:", e);
+    setErr(`Échec export DOCX: ${e.message || "Erreur inconnue"}`);
+    return false;
+  } finally {
+    setExp(false);
   }
+};
 
-  const data = { patient: {}, test: {}, vt1: {}, vt2: {}, peakVO2: {}, measurements: [], testType: "run" };
-
-  let section = "", headers = [], inMeas = false;
-  let hasSpeedData = false;
-  let hasPowerData = false;
-
+// PDF dessiné directement (texte et graphiques vectoriels), sans capture d'écran
+const dlPdf = async (analysis, setExp, setErr) => {
+  setExp(true);
+  setErr(null);
   try {
-    Array.from(doc.getElementsByTagName("Row")).forEach((row) => {
-      const cells = row.getElementsByTagName("Cell");
-      if (!cells.length) return;
-
-      const vals = [];
-      let col = 0;
-
-      Array.from(cells).forEach((cell) => {
-        const d = cell.getElementsByTagName("Data")[0];
-        const idx = cell.getAttribute("ss:Index");
-        if (idx) col = parseInt(idx) - 1;
-        vals[col] = d ? d.textContent : "";
-        const merge = cell.getAttribute("ss:MergeAcross");
-        if (merge) col += parseInt(merge);
-        col++;
-      });
-
-      const first = vals[0] || "";
-      if (first === "Données du patient") { section = "patient"; return; }
-      if (first === "Données test") { section = "test"; return; }
-      if (first === "Tableau Résumé") { section = "summary"; return; }
-      if (first === "Measurement Data") { section = "meas"; inMeas = true; return; }
-
-      const v = vals[2] || vals[1] || "";
-
-      if (section === "patient") {
-        if (first === "Nom") data.patient.nom = v;
-        if (first === "Prénom") data.patient.prenom = v;
-        if (first === "Date de Naissance") data.patient.dateNaissance = v;
-        if (first === "Sexe") data.patient.sexe = v;
-        if (first === "Poids") data.patient.poids = v;
-      }
-
-      if (section === "test") {
-        if (first === "Heure de début") data.test.dateHeure = v;
-      }
-
-      if (section === "summary" && first !== "Variable") {
-        if (first === "V'O2") {
-          data.vt1.vo2 = vals[5];
-          data.vt2.vo2 = vals[8];
-          data.peakVO2.vo2 = vals[11];
-        }
-        if (first === "V'O2/kg") {
-          data.vt1.vo2kg = vals[5];
-          data.vt2.vo2kg = vals[8];
-          data.peakVO2.vo2kg = vals[11];
-        }
-        if (first === "FC") {
-          data.vt1.fc = vals[5];
-          data.vt2.fc = vals[8];
-          data.peakVO2.fc = vals[11];
-        }
-        if (first === "v") {
-          data.vt1.vitesse = vals[5];
-          data.vt2.vitesse = vals[8];
-          data.peakVO2.vitesse = vals[11];
-          hasSpeedData = true;
-        }
-        if (first === "TT") {
-          data.vt1.power = vals[5];
-          data.vt2.power = vals[8];
-          data.peakVO2.power = vals[11];
-          hasPowerData = true;
-        }
-        if (first === "V'E") {
-          data.vt1.ve = vals[5];
-          data.vt2.ve = vals[8];
-          data.peakVO2.ve = vals[11];
-        }
-      }
-
-      if (inMeas && section === "meas") {
-        if (first === "t") { headers = [...vals]; return; }
-        if (first === "h:mm:ss,ms") return;
-        if (first?.includes(":")) {
-          const m = {};
-          headers.forEach((h, i) => (m[h] = vals[i] || ""));
-
-          const tp = first.split(":");
-          const sp = tp[2]?.split(",") || ["0", "0"];
-          m.timeSeconds =
-            (parseInt(tp[0]) || 0) * 3600 +
-            (parseInt(tp[1]) || 0) * 60 +
-            (parseInt(sp[0]) || 0) +
-            (parseInt(sp[1]) || 0) / 1000;
-
-          m.vo2 = safeNum(m["V'O2"]);
-          m.fc = safeNum(m["FC"]);
-          m.ve = safeNum(m["V'E"]);
-          m.phase = m["Phase"] || "";
-
-          data.measurements.push(m);
-        }
-      }
-    });
+    downloadBytes(await renderPdfReport(analysis), pdfFileName(analysis), PDF_MIME);
+    return true;
   } catch (e) {
-    throw new ValidationError("Erreur lors du parsing XML: " + e.message);
+    console.error("Erreur génération PDF:", e);
+    setErr(`Échec export PDF: ${e.message || "Erreur inconnue"}`);
+    return false;
+  } finally {
+    setExp(false);
   }
+};
 
-  // Fallback: extract power from measurements if not in Summary table
-  // This handles XML files where TT (power) row is missing from Summary but present in MeasurementData
-  if (!hasPowerData && data.measurements.length > 0) {
-    const hasTTInMeasurements = data.measurements.some(m => m["TT"] !== undefined && m["TT"] !== "");
-
-    if (hasTTInMeasurements && data.vt1.fc && data.vt2.fc && data.peakVO2.fc) {
-      const fc1Target = safeNum(data.vt1.fc);
-      const fc2Target = safeNum(data.vt2.fc);
-      const fcPeakTarget = safeNum(data.peakVO2.fc);
-
-      // Find measurements closest to VT1, VT2, and Peak FC values
-      let vt1Match = null, vt2Match = null, peakMatch = null;
-      let vt1Diff = Infinity, vt2Diff = Infinity, peakDiff = Infinity;
-
-      data.measurements.forEach(m => {
-        const fc = safeNum(m["FC"]);
-        const power = safeNum(m["TT"]);
-        if (power <= 0) return; // Skip measurements with no power
-
-        // Match VT1 (lower FC)
-        if (Math.abs(fc - fc1Target) < vt1Diff && fc <= fc1Target + 5) {
-          vt1Diff = Math.abs(fc - fc1Target);
-          vt1Match = m;
-        }
-        // Match VT2 (middle FC)
-        if (Math.abs(fc - fc2Target) < vt2Diff && fc >= fc1Target && fc <= fc2Target + 5) {
-          vt2Diff = Math.abs(fc - fc2Target);
-          vt2Match = m;
-        }
-        // Match Peak (highest FC)
-        if (Math.abs(fc - fcPeakTarget) < peakDiff) {
-          peakDiff = Math.abs(fc - fcPeakTarget);
-          peakMatch = m;
-        }
-      });
+export default function App() {
+  const [data, setData] = useState(null);
+  const [err, setErr] = useState(null);
+  const [drag, setDrag] = useState(false);
+  const [load, setLoad] = useState(false);
+  const [exp, setExp] = useState(false);
+  const [showFeedback, setShowFeedback] = useState(false);
+  const [queue, setQueue] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [sportType, setSportType] = useState("endurance");
+  const [reportLang, setReportLang] = useState("fr");
+  const [customTemplate, setCustomTemplate] = useState(() => withTagCheck(loadCustomTemplate()));
+  const [zoneModel, setZoneModel] = useState(null);
+  const [zonePresets, setZonePresets] = useState(loadZonePresets);
+  const [previousTests, setPreviousTests] = useState([]);
+  const [showEvolution, setShowEvolution] = useState(true);
+  // Recommandations réécrites ({ana, pri…}) et commentaire du médecin
+  const [recEdits, setRecEdits] = useState({});
+  const [comment, setComment] = useState("");
+  // Lactate capillaire saisi par palier : {n° de palier: mmol/L}
+  const [lactate, setLactate] = useState({});
+  const [recRules, setRecRules] = useState(loadRecRules);
+  const [goal, setGoal] = useState("performance");
+  const [pediatricNorms, setPediatricNorms] = useState(false);
+  const [wassermanPage, setWassermanPage] = useState(false);
+  const [qualitySection, setQualitySection] = useState(false);
+  const [averaging, setAveraging] = useState(DEFAULT_AVERAGING);
+  const [overrides, setOverrides] = useState({ vt1: null, vt2: null });
+  const [lineDrag, setLineDrag] = useState(null);
+  // Archive locale : la clé ne vit qu'en mémoire, perdue au verrouillage ou au rechargement
+  const [archiveStatus, setArchiveStatus] = useState("unavailable");
+  const [archiveKey, setArchiveKey] = useState(null);
+  const [archiveEntries, setArchiveEntries] = useState([]);
+  const [archivedId, setArchivedId] = useState(null);
+  // Session .tcp chiffrée déposée, en attente du mot de passe : {name, file}
+  const [pendingSession, setPendingSession] = useState(null);
+
+  useEffect(() => {
+    if (!globalThis.indexedDB) return;
+    archiveExists()
+      .then((exists) => setArchiveStatus(exists ? "locked" : "none"))
+      .catch((e) => console.warn("Archive locale indisponible:", e.message));
+  }, []);
 
-      if (vt1Match) data.vt1.power = String(safeNum(vt1Match["TT"]));
-      if (vt2Match) data.vt2.power = String(safeNum(vt2Match["TT"]));
-      if (peakMatch) data.peakVO2.power = String(safeNum(peakMatch["TT"]));
+  const updateItem = useCallback((id, patch) => {
+    setQueue((q) => q.map((it) => (it.id === id ? { ...it, ...patch } : it)));
+  }, []);
 
-      // Mark as having power data if we found matches
-      if (vt1Match && vt2Match) {
-        hasPowerData = true;
-      }
+  // Modèle de zones enregistré (session, archive, file) : contrôlé sur ce test avant d'être
+  // appliqué, sinon modèle par défaut et problèmes signalés
+  const restoreZoneModel = (model, restored, restoredOverrides) => {
+    if (!model) return null;
+    let errors;
+    try {
+      const { zoneVars } = buildAnalysis(restored, { overrides: restoredOverrides || {} });
+      errors = checkZoneModel(model, zoneVars);
+    } catch (e) {
+      errors = [e.message];
     }
-  }
-
-  // Detect test type based on available data
-  if (hasPowerData && !hasSpeedData) {
-    data.testType = "bike";
-  } else if (hasSpeedData && !hasPowerData) {
-    data.testType = "run";
-  } else if (hasPowerData && hasSpeedData) {
-    // Both present - use power if speed values are zero or invalid
-    const hasValidSpeed = safeNum(data.vt1.vitesse) > 0 || safeNum(data.vt2.vitesse) > 0;
-    data.testType = hasValidSpeed ? "run" : "bike";
-  }
-
-  return data;
-};
+    if (!errors.length) return model;
+    setErr(new ValidationError(`Modèle de zones « ${model.name || model.id || "?"} » inutilisable sur ce test : modèle par défaut appliqué`, errors));
+    return null;
+  };
 
-// ==========================================
-// CALCULS
-// ==========================================
-const ZCOL = {
-  Z1: "rgba(219, 234, 254, 0.75)",
-  Z2: "rgba(220, 252, 231, 0.75)",
-  Z3: "rgba(254, 249, 195, 0.75)",
-  Z4: "rgba(255, 237, 213, 0.75)",
-  Z5: "rgba(255, 228, 230, 0.75)",
-};
+  // Restaure l'état exact d'un rapport (session .tcp ou archive)
+  const restoreSession = ({ data: restored, settings, edits }) => {
+    setSportType(settings.sportType || "endurance");
+    setReportLang(settings.reportLang || "fr");
+    setZoneModel(restoreZoneModel(settings.zoneModel, restored, edits.overrides));
+    setPreviousTests(settings.previousTests || []);
+    setShowEvolution(settings.showEvolution ?? true);
+    setGoal(settings.goal || "performance");
+    setPediatricNorms(!!settings.pediatricNorms);
+    setWassermanPage(!!settings.wassermanPage);
+    setQualitySection(!!settings.qualitySection);
+    setAveraging(settings.averaging || DEFAULT_AVERAGING);
+    setOverrides(edits.overrides || { vt1: null, vt2: null });
+    setRecEdits(edits.rec || {});
+    setComment(edits.comment || "");
+    setLactate(edits.lactate || {});
+    setActiveId(null);
+    setArchivedId(null);
+    setPendingSession(null);
+    setData(restored);
+  };
 
-// Couleurs opaques pour les graphiques Recharts
-const ZCOL_CHART = {
-  Z1: "#DBEAFE",
-  Z2: "#DCFCE7",
-  Z3: "#FEF9C3",
-  Z4: "#FFEDD5",
-  Z5: "#FFE4E6",
-};
+  const openSession = async (file, password = "") => {
+    setLoad(true);
+    setErr(null);
+    try {
+      restoreSession(await openSessionFile(file, password));
+    } catch (e) {
+      console.error("Erreur session:", e);
+      setErr(e instanceof ValidationError ? e : new Error(`Échec ouverture de la session: ${e.message || "Erreur inconnue"}`));
+    } finally {
+      setLoad(false);
+    }
+  };
 
-const ZHEX = {
-  Z1: "DBEAFE",
-  Z2: "DCFCE7",
-  Z3: "FEF9C3",
-  Z4: "FFEDD5",
-  Z5: "FFE4E6",
-  HEADER: "1F4E8C",
-  BORDER: "94A3B8",
-};
+  const loadSessionFile = async (f) => {
+    setErr(null);
+    try {
+      const file = readSessionFile(await readFileBytes(f));
+      if (file.encrypted) setPendingSession({ name: f.name, file });
+      else await openSession(file);
+    } catch (e) {
+      console.error("Erreur session:", e);
+      setErr(e instanceof ValidationError ? e : new Error(`Échec lecture de la session: ${e.message || "Erreur inconnue"}`));
+    }
+  };
 
-const zoneOfFc = (fc, fc1, fc2, sportType = "endurance") => {
-  if (sportType === "other") {
-    if (fc < fc1) return "Z1";
-    if (fc < fc2) return "Z2";
-    return "Z3";
-  }
+  const onFiles = useCallback((files) => {
+    const list = Array.from(files || []);
+    if (!list.length) { setErr(new ValidationError("Aucun fichier sélectionné")); return; }
+
+    // Une session .tcp rouvre directement son rapport, sans passer par la file
+    const session = list.find((f) => isSessionFile(f.name));
+    if (session) { loadSessionFile(session); return; }
+
+    const items = list.map((f) => ({
+      id: `${f.name}-${f.size}-${f.lastModified}-${Math.random().toString(36).slice(2, 8)}`,
+      file: f,
+      name: f.webkitRelativePath || f.name,
+      sportType,
+      status: "pending",
+      data: null,
+      error: checkFile(f),
+      overrides: null,
+      zoneModel: null,
+      previousTests: [],
+      showEvolution: true,
+      recEdits: {},
+      comment: "",
+      lactate: {},
+      goal: "performance",
+      pediatricNorms: false,
+      wassermanPage: false,
+      qualitySection: false,
+      averaging: DEFAULT_AVERAGING,
+    }));
+    items.forEach((it) => { if (it.error) it.status = "error"; });
 
-  const mid = Math.round((fc1 + fc2) / 2);
-  const z4max = Math.round(fc2 * 1.05);
-  if (fc < fc1) return "Z1";
-  if (fc < mid) return "Z2";
-  if (fc < fc2) return "Z3";
-  if (fc <= z4max) return "Z4";
-  return "Z5";
-};
+    setErr(null);
+    setData(null);
+    setQueue((q) => [...q, ...items]);
+  }, [sportType]);
 
-const buildZoneSegments = (cd, fc1, fc2, sportType) => {
-  if (!cd?.length) return [];
-  const pts = cd
-    .filter((p) => Number.isFinite(p.timeSeconds) && Number.isFinite(p.fcS || p.fc))
-    .sort((a, b) => a.timeSeconds - b.timeSeconds);
-
-  if (!pts.length) return [];
-
-  const segs = [];
-  const fc = pts[0].fcS || pts[0].fc;
-  let curZ = zoneOfFc(fc, fc1, fc2, sportType);
-  let startX = pts[0].timeSeconds;
-
-  for (let i = 1; i < pts.length; i++) {
-    const fcVal = pts[i].fcS || pts[i].fc;
-    const z = zoneOfFc(fcVal, fc1, fc2, sportType);
-    if (z !== curZ) {
-      const endX = pts[i].timeSeconds;
-      if (endX > startX) segs.push({ z: curZ, x1: startX, x2: endX });
-      curZ = z;
-      startX = pts[i].timeSeconds;
+  // Parse un élément de la file, sans toucher à l'état (retourne le patch)
+  const parseItem = async (item) => {
+    if (item.data) return { status: item.status, data: item.data, error: null };
+    try {
+      const parsed = parseTest(await readExportFile(item.file));
+      return { status: "parsed", data: parsed, error: null };
+    } catch (x) {
+      console.error("Erreur parsing/validation:", x);
+      return { status: "error", data: null, error: x instanceof ValidationError ? x : new ValidationError(x.message) };
     }
-  }
-  const lastX = pts[pts.length - 1].timeSeconds;
-  if (lastX > startX) segs.push({ z: curZ, x1: startX, x2: lastX });
-
-  // Filtrer les petits segments (< 15 secondes) et les fusionner avec le segment précédent
-  const MIN_SEGMENT_DURATION = 15;
-  const filtered = [];
-  for (let i = 0; i < segs.length; i++) {
-    const seg = segs[i];
-    const duration = seg.x2 - seg.x1;
-
-    if (duration >= MIN_SEGMENT_DURATION) {
-      filtered.push(seg);
-    } else if (filtered.length > 0) {
-      // Fusionner avec le segment précédent en étendant sa durée
-      filtered[filtered.length - 1].x2 = seg.x2;
-    } else {
-      // Si c'est le premier segment et qu'il est trop court, le garder quand même
-      filtered.push(seg);
+  };
+
+  const analyzeAll = useCallback(async () => {
+    setLoad(true);
+    for (const it of queue.filter((x) => x.status === "pending")) {
+      updateItem(it.id, await parseItem(it));
     }
-  }
+    setLoad(false);
+  }, [queue, updateItem]);
 
-  return filtered;
-};
+  const openItem = useCallback(async (id) => {
+    const item = queue.find((x) => x.id === id);
+    if (!item) { setErr(new ValidationError("Aucun fichier sélectionné")); return; }
+    setLoad(true);
+    setErr(null);
 
-const zoneLabel = (z) =>
-  ({
-    Z1: "Sous V1",
-    Z2: "V1 → milieu",
-    Z3: "Milieu → V2",
-    Z4: "V2 → +5%",
-    Z5: "> V2 +5%",
-  })[z] || z;
-
-const calcAge = (birth, test) => {
-  if (!birth) return 0;
-  const p = birth.split("/");
-  if (p.length !== 3) return 0;
-  const b = new Date(+p[2], +p[1] - 1, +p[0]);
-  let t = new Date();
-  if (test) {
-    const tp = test.split(" ")[0].split("/");
-    if (tp.length === 3) t = new Date(+tp[2], +tp[1] - 1, +tp[0]);
-  }
-  let age = t.getFullYear() - b.getFullYear();
-  if (t.getMonth() < b.getMonth() || (t.getMonth() === b.getMonth() && t.getDate() < b.getDate())) age--;
-  return Math.round(age * 10) / 10;
-};
+    const patch = await parseItem(item);
+    updateItem(id, patch);
+    if (patch.data) {
+      setSportType(item.sportType);
+      setOverrides(item.overrides || { vt1: null, vt2: null });
+      setZoneModel(restoreZoneModel(item.zoneModel, patch.data, item.overrides));
+      setPreviousTests(item.previousTests || []);
+      setShowEvolution(item.showEvolution ?? true);
+      setRecEdits(item.recEdits || {});
+      setComment(item.comment || "");
+      setLactate(item.lactate || {});
+      setGoal(item.goal || "performance");
+      setPediatricNorms(!!item.pediatricNorms);
+      setWassermanPage(!!item.wassermanPage);
+      setQualitySection(!!item.qualitySection);
+      setAveraging(item.averaging || DEFAULT_AVERAGING);
+      setActiveId(id);
+      setData(patch.data);
+    } else {
+      setErr(patch.error);
+    }
+    setLoad(false);
+  }, [queue, updateItem]);
 
-const getExData = (m) => {
-  const ex = m.filter((x) => x.phase && !x.phase.includes("Repos") && !x.phase.includes("Rétablissement"));
-  if (!ex.length) return m.filter((x) => x.phase && !x.phase.includes("Repos")).slice(0, 500);
-  const t0 = ex[0]?.timeSeconds || 0;
-  return ex.map((x) => ({ ...x, timeSeconds: x.timeSeconds - t0 }));
-};
+  const closeReport = () => {
+    if (activeId) updateItem(activeId, { overrides, sportType, zoneModel, previousTests, showEvolution, recEdits, comment, lactate, goal, pediatricNorms, wassermanPage, qualitySection, averaging });
+    setData(null);
+    setErr(null);
+    setActiveId(null);
+    setOverrides({ vt1: null, vt2: null });
+    setZoneModel(null);
+    setPreviousTests([]);
+    setRecEdits({});
+    setComment("");
+    setLactate({});
+    setGoal("performance");
+    setPediatricNorms(false);
+    setWassermanPage(false);
+    setQualitySection(false);
+    setAveraging(DEFAULT_AVERAGING);
+    setArchivedId(null);
+  };
 
-const smooth = (d, w = 30) => {
-  if (!d || d.length < w) return d.map((p) => ({ ...p, vo2S: p.vo2, fcS: Math.round(win.reduce((a, x) => a + x.fc, 0) / win.length),
-      veS: p.ve }));
-  const r = Math.max(1, Math.floor(d.length / 2000));
-  const s = d.filter((_, i) => i % r === 0);
-
-  return s.map((p, i) => {
-    const st = Math.max(0, i - Math.floor(w / r / 2));
-    const en = Math.min(s.length, i + Math.floor(w / r / 2));
-    const win = s.slice(st, en);
-    return {
-      ...p,
-      vo2S: Math.round((win.reduce((a, x) => a + x.vo2, 0) / win.length) * 100) / 100,
-      fcS: Math.round(win.reduce((a, x) => a + x.fc, 0) / win.length),
-      veS: Math.round((win.reduce((a, x) => a + x.ve, 0) / win.length) * 100) / 100,
-    };
-  });
-};
+  // Un DOCX par fichier, regroupés dans un ZIP construit localement
+  const dlZip = useCallback(async () => {
+    setLoad(true);
+    setErr(null);
+    try {
+      const template = await loadTemplate(reportLang, customTemplate);
+      const zip = new PizZip();
+      const used = new Set();
+      let count = 0;
+
+      for (const it of queue) {
+        if (it.status === "error") continue;
+        const patch = await parseItem(it);
+        if (!patch.data) { updateItem(it.id, patch); continue; }
+
+        // Un rapport qui échoue marque son fichier en erreur sans bloquer les autres
+        try {
+          const analysis = buildAnalysis(patch.data, {
+            sportType: it.sportType,
+            zoneModel: it.zoneModel || null,
+            overrides: it.overrides || {},
+            previous: (it.previousTests || []).map((t) => t.data),
+            showEvolution: it.showEvolution ?? true,
+            recEdits: it.recEdits || {},
+            comment: it.comment || "",
+            lactate: it.lactate || {},
+            recRules,
+            goal: it.goal || "performance",
+            pediatricNorms: !!it.pediatricNorms,
+            wassermanPage: !!it.wassermanPage,
+            qualitySection: !!it.qualitySection,
+            averaging: it.averaging || DEFAULT_AVERAGING,
+            lang: reportLang,
+          });
+          zip.file(uniqueFileName(reportFileName(analysis), used), await renderReport(analysis, template));
+          updateItem(it.id, { ...patch, status: "exported" });
+          count++;
+        } catch (x) {
+          console.error("Erreur rapport:", x);
+          updateItem(it.id, { ...patch, status: "error", error: x instanceof ValidationError ? x : new ValidationError(`Échec du rapport : ${x.message || "Erreur inconnue"}`) });
+        }
+      }
 
-const calcZones = (sportType, fc1, fc2, s1, s2, testType = "run") => {
-  const formatValue = (v) => Math.round(v * 10) / 10;
-  const isDecimal = testType === "run"; // km/h uses decimals, Watts use integers
-  const unit = testType === "bike" ? " W" : " km/h";
+      if (!count) throw new ValidationError("Aucun rapport valide à exporter");
+      downloadBytes(
+        zip.generate({ type: "uint8array", compression: "DEFLATE" }),
+        `Rapports_TCP_${new Date().toISOString().split("T")[0]}.zip`,
+        "application/zip",
+      );
+    } catch (e) {
+      console.error("Erreur export ZIP:", e);
+      setErr(e instanceof ValidationError ? e : new Error(`Échec export ZIP: ${e.message || "Erreur inconnue"}`));
+    } finally {
+      setLoad(false);
+    }
+  }, [queue, updateItem, reportLang, customTemplate, recRules]);
 
-  const formatWithUnit = (v) => {
-    if (isDecimal) return `${formatValue(v)}${unit}`;
-    return `${Math.round(v)}${unit}`;
+  const uploadTemplate = async (file) => {
+    setErr(null);
+    try {
+      if (!file.name.toLowerCase().endsWith(".docx")) throw new ValidationError("Format invalide. Template attendu : .docx");
+      const bytes = await readFileBytes(file);
+      const check = inspectTemplate(bytes);
+      setCustomTemplate({ ...saveCustomTemplate(file.name, bytes), check });
+    } catch (e) {
+      console.error("Erreur template:", e);
+      setErr(e instanceof ValidationError ? e : new Error(`Échec import template: ${e.message || "Erreur inconnue"}`));
+    }
   };
 
-  if (sportType === "other") {
-    return [
-      { z: "Z1", fc: `< ${fc1}`, sp: `< ${formatWithUnit(s1)}`, det: "Sous V1 (seuil ventilatoire 1)", col: ZCOL.Z1 },
-      { z: "Z2", fc: `${fc1} – ${fc2}`, sp: `${formatWithUnit(s1)} – ${formatWithUnit(s2)}`, det: "Entre V1 et V2", col: ZCOL.Z2 },
-      { z: "Z3", fc: `> ${fc2}`, sp: `> ${formatWithUnit(s2)}`, det: "Au-dessus de V2 (seuil ventilatoire 2)", col: ZCOL.Z3 },
-    ];
-  }
-
-  const mid = Math.round((fc1 + fc2) / 2);
-  const mids = (s1 + s2) / 2;
-  const z4fc = Math.round(fc2 * 1.05);
-  const z4s = s2 * 1.05;
-
-  return [
-    { z: "Z1", fc: `< ${fc1}`, sp: `< ${formatWithUnit(s1)}`, det: "Sous V1 (seuil ventilatoire 1)", col: ZCOL.Z1 },
-    { z: "Z2", fc: `${fc1} – ${mid}`, sp: `${formatWithUnit(s1)} – ${formatWithUnit(mids)}`, det: "Entre V1 et le milieu (S1+S2)/2", col: ZCOL.Z2 },
-    { z: "Z3", fc: `${mid} – ${fc2}`, sp: `${formatWithUnit(mids)} – ${formatWithUnit(s2)}`, det: "Entre le milieu et V2 (seuil ventilatoire 2)", col: ZCOL.Z3 },
-    { z: "Z4", fc: `${fc2} – ${z4fc}`, sp: `${formatWithUnit(s2)} – ${formatWithUnit(z4s)}`, det: "Au-dessus de V2 (jusqu'à +5 %)", col: ZCOL.Z4 },
-    { z: "Z5", fc: `> ${z4fc}`, sp: `> ${formatWithUnit(z4s)}`, det: "Très au-dessus de V2 (> +5 %)", col: ZCOL.Z5 },
-  ];
-};
-
-const genRec = (fc1, fc2, s1, vo2, testType = "run") => {
-  const w = fc2 - fc1;
-  const lvl = vo2 < 35 ? "D" : vo2 >= 45 ? "A" : "I";
-  const z2w = Math.round((fc1 + fc2) / 2) - fc1;
-
-  const ana =
-    w < 8 ? `Zones étroites (${w} bpm). Priorité: élargir via Z2.` :
-    w < 12 ? `Zones relativement étroites. Objectif: les élargir.` :
-    w < 18 ? `Zones modérées (${w} bpm). Bonne flexibilité.` :
-    `Zones bien espacées (${w} bpm). Excellente adaptation.`;
-
-  const intensityUnit = testType === "bike" ? `${Math.round(s1)} W` : `${s1.toFixed(1)} km/h`;
-  const activityType = testType === "bike" ? "vélo" : "course";
-
-  let pri, comp, hi;
-  if (lvl === "D") {
-    pri = `Z2: 3-4×/sem (30-60 min) sous ${fc1} bpm. Construire la base aérobie.`;
-    comp = `Z1: récup active (${testType === "bike" ? "pédalage léger" : "marche, footing lent"}). Régularité > intensité.`;
-    hi = `Z3-5: éviter 8-12 semaines. Focus volume Z2.`;
-  } else if (lvl === "A") {
-    pri = `Z2: 2-3×/sem (60-120 min) à ${intensityUnit}. Endurance lipidique.`;
-    comp = `Z3: 1-2×/sem tempo (20-40 min) ou 4×10 min progressif en ${activityType}.`;
-    hi = `Z4-5: 1×/sem intervalles${testType === "run" ? "/côtes" : ""}. 48h récup après.`;
-  } else {
-    pri = `Z2: 2-3×/sem (45-90 min) allure confortable. Base aérobie.`;
-    comp = `Z3: 1×/sem blocs 5-10 min (3-4×8 min) + récup courte.`;
-    hi = `Z4-5: occasionnel, non prioritaire pour endurance.`;
-  }
+  const resetTemplate = () => {
+    clearCustomTemplate();
+    setCustomTemplate(null);
+  };
 
-  const spec =
-    z2w < 5 ? `⚠️ Z2 étroite (${z2w} bpm). Max ${fc1 + z2w} bpm en sortie longue.` : "";
+  const saveZoneModel = (model) => {
+    setErr(null);
+    try {
+      const saved = saveZonePreset(model);
+      setZonePresets(loadZonePresets());
+      setZoneModel(saved);
+      return saved;
+    } catch (e) {
+      setErr(e instanceof ValidationError ? e : new Error(`Échec enregistrement du preset: ${e.message || "Erreur inconnue"}`));
+      return null;
+    }
+  };
 
-  return { ana, pri, comp, hi, spec, fu: "Retest conseillé dans 8-12 semaines.", lvl };
-};
+  // Tests précédents du même athlète, parsés et validés comme le test principal
+  const addPreviousTests = async (files) => {
+    setErr(null);
+    const added = [];
+    for (const f of Array.from(files || []).slice(0, MAX_PREVIOUS_TESTS - previousTests.length)) {
+      const bad = checkFile(f);
+      if (bad) { setErr(bad); continue; }
+      try {
+        added.push({ id: `${f.name}-${f.lastModified}-${Math.random().toString(36).slice(2, 8)}`, name: f.name, data: parseTest(await readExportFile(f)) });
+      } catch (x) {
+        console.error("Erreur test précédent:", x);
+        setErr(x instanceof ValidationError ? x : new ValidationError(x.message));
+      }
+    }
+    setPreviousTests((p) => [...p, ...added].slice(0, MAX_PREVIOUS_TESTS));
+  };
 
-// ==========================================
-// CAPTURE CHART ROBUSTE
-// ==========================================
-const waitPaint = () => new Promise((r) => requestAnimationFrame(() => requestAnimationFrame(r)));
-const b64ToU8 = (b64) => Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+  // ==========================================
+  // ARCHIVE LOCALE CHIFFRÉE
+  // ==========================================
+  const archiveError = (e, what) => {
+    console.error(`Erreur archive (${what}):`, e);
+    setErr(e instanceof ValidationError ? e : new Error(`Échec ${what}: ${e.message || "Erreur inconnue"}`));
+  };
 
-const captureChartWithRetry = async (id, retries = CONFIG.CHART_CAPTURE_RETRIES) => {
-  for (let attempt = 0; attempt <= retries; attempt++) {
+  const openArchive = async (passphrase, create) => {
+    setLoad(true);
+    setErr(null);
     try {
-      const result = await captureChartAttempt(id);
-      if (result) return result;
+      const key = create ? await createArchive(passphrase) : await unlockArchive(passphrase);
+      setArchiveEntries(await listArchive(key));
+      setArchiveKey(key);
+      setArchiveStatus("open");
     } catch (e) {
-      console.warn(`Tentative ${attempt + 1}/${retries + 1} échouée:`, e.message);
-      if (attempt === retries) throw e;
-      await new Promise((r) => setTimeout(r, 1000));
+      archiveError(e, create ? "création de l'archive" : "déverrouillage de l'archive");
+    } finally {
+      setLoad(false);
     }
-  }
-  return null;
-};
-
-const captureChartAttempt = async (id) => {
-  const el = document.getElementById(id);
-  if (!el) throw new Error(`Élément #${id} introuvable`);
-
-  if (document.fonts?.ready) await document.fonts.ready;
-  await waitPaint();
-
-  const rect = el.getBoundingClientRect();
-  const width = Math.round(rect.width);
-  const height = Math.round(rect.height);
-
-  if (width === 0 || height === 0) throw new Error(`Dimensions invalides pour #${id}: ${width}x${height}`);
-
-  return await Promise.race([
-    html2canvas(el, {
-      backgroundColor: "#fff",
-      scale: 2,
-      useCORS: true,
-      logging: false,
-      width,
-      height,
-      onclone: (doc) => {
-        const clone = doc.getElementById(id);
-        if (clone) {
-          clone.style.width = width + "px";
-          clone.style.height = height + "px";
-          clone.style.overflow = "visible";
-        }
-      },
-    }).then((canvas) => ({ b64: canvas.toDataURL("image/png").split(",")[1], w: canvas.width, h: canvas.height })),
-    new Promise((_, reject) => setTimeout(() => reject(new Error("Timeout capture")), CONFIG.CHART_CAPTURE_TIMEOUT)),
-  ]);
-};
+  };
 
-// ==========================================
-// GÉNÉRATION DOCX AVEC TEMPLATE
-// ==========================================
-const loadTemplate = async () => {
-  const response = await fetch("/template.docx");
-  if (!response.ok) throw new Error("Template non trouvée");
-  return await response.arrayBuffer();
-};
+  const lockArchive = () => {
+    setArchiveKey(null);
+    setArchiveEntries([]);
+    setArchiveStatus("locked");
+  };
 
-const dlDocx = async (data, zonesTable, rec, name, age, poids, fc1, fc2, s1, s2, vo2, vo2kg, testType, setExp, setErr) => {
-  setExp(true);
-  setErr(null);
-  try {
-    await waitPaint();
-
-    // Capture charts as images (zones table is now a real Word table, not an image)
-    const vo2Cap = await captureChartWithRetry("vo2c");
-    const fcCap = await captureChartWithRetry("vec");
-
-    console.log("Captures:", { vo2Cap: !!vo2Cap, fcCap: !!fcCap });
-
-    // Load template
-    const templateBuffer = await loadTemplate();
-    const zip = new PizZip(templateBuffer);
-
-    // Store image dimensions for proper aspect ratio
-    const imageDimensions = {
-      chartVO2: vo2Cap ? { w: vo2Cap.w, h: vo2Cap.h } : { w: 800, h: 300 },
-      chartFC: fcCap ? { w: fcCap.w, h: fcCap.h } : { w: 800, h: 300 },
-    };
-
-    // Configure image module for docxtemplater
-    const imageOpts = {
-      centered: false,
-      getImage: function(tagValue) {
-        return b64ToU8(tagValue);
-      },
-      getSize: function(img, tagValue, tagName) {
-        // Get original dimensions and calculate proper size preserving aspect ratio
-        const dims = imageDimensions[tagName] || { w: 800, h: 300 };
-        const targetWidth = 550; // Width in pixels for the document
-        const aspectRatio = dims.h / dims.w;
-        const targetHeight = Math.round(targetWidth * aspectRatio);
-        return [targetWidth, targetHeight];
-      },
-    };
-    const imageModule = new ImageModule(imageOpts);
-
-    // Create docxtemplater instance
-    const doc = new Docxtemplater(zip, {
-      modules: [imageModule],
-      paragraphLoop: true,
-      linebreaks: true,
+  const currentSession = () =>
+    buildSession({
+      data,
+      settings: { sportType, reportLang, zoneModel, previousTests, showEvolution, goal, pediatricNorms, wassermanPage, qualitySection, averaging },
+      edits: { overrides, rec: recEdits, comment, lactate },
     });
 
-    // Prepare intensity formatting
-    const intensityLabel = testType === "bike" ? "Puissance (W)" : "Vitesse (km/h)";
-    const intensityUnit = testType === "bike" ? "W" : "km/h";
-    const formatIntensity = (v) => testType === "bike" ? Math.round(v) : v.toFixed(1);
-
-    // Create a 1x1 transparent PNG as placeholder for missing images
-    const emptyImageB64 = "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==";
-
-    // Prepare individual zone data (more reliable than loops for Word tables)
-    const z1 = zonesTable.find(z => z.z === "Z1") || {};
-    const z2 = zonesTable.find(z => z.z === "Z2") || {};
-    const z3 = zonesTable.find(z => z.z === "Z3") || {};
-    const z4 = zonesTable.find(z => z.z === "Z4") || {};
-    const z5 = zonesTable.find(z => z.z === "Z5") || {};
-
-    // Prepare template data - images as base64 strings for the image module
-    const templateData = {
-      titre: "Compte rendu d'epreuve d'effort - Endurance",
-      patientLabel: data.patient.sexe === "femme" ? "Patiente" : "Patient",
-      patientNom: name,
-      age: String(age),
-      poids: poids,
-      vo2: vo2.toFixed(2),
-      vo2kg: String(vo2kg),
-      seuilsInfo: `V1=${fc1} bpm/${formatIntensity(s1)} ${intensityUnit} ; V2=${fc2} bpm/${formatIntensity(s2)} ${intensityUnit}`,
-      // Individual zone data
-      z1zone: z1.z || "", z1fc: z1.fc || "", z1sp: z1.sp || "", z1det: z1.det || "",
-      z2zone: z2.z || "", z2fc: z2.fc || "", z2sp: z2.sp || "", z2det: z2.det || "",
-      z3zone: z3.z || "", z3fc: z3.fc || "", z3sp: z3.sp || "", z3det: z3.det || "",
-      z4zone: z4.z || "", z4fc: z4.fc || "", z4sp: z4.sp || "", z4det: z4.det || "",
-      z5zone: z5.z || "", z5fc: z5.fc || "", z5sp: z5.sp || "", z5det: z5.det || "",
-      // Flag for 3-zone mode (other sports)
-      has5zones: zonesTable.length === 5 ? "true" : "",
-      intensityLabel: intensityLabel,
-      explicationV1: "V1 (seuil ventilatoire 1) correspond a l'intensite a partir de laquelle l'organisme commence a produire davantage de metabolites (notamment lies au metabolisme anaerobie), mais reste encore capable de les evacuer efficacement. A cette intensite, l'equilibre est maintenu : l'effort est durable, la respiration s'accelere legerement mais reste controlee.",
-      explicationV2: "V2 (seuil ventilatoire 2) correspond a une intensite plus elevee a partir de laquelle la production de metabolites devient superieure a la capacite d'elimination de l'organisme. Cela entraine une augmentation marquee de la ventilation et une fatigue qui s'installe plus rapidement. Au-dessus de V2, l'effort est efficace mais ne peut etre maintenu que sur des durees limitees.",
-      chartVO2: vo2Cap ? vo2Cap.b64 : emptyImageB64,
-      chartFC: fcCap ? fcCap.b64 : emptyImageB64,
-      recAna: rec.ana,
-      recPri: rec.pri,
-      recComp: rec.comp,
-      recHi: rec.hi,
-      recSpec: rec.spec || "",
-      recFu: rec.fu,
-    };
-
-    // Render template
-    doc.render(templateData);
-
-    // Generate blob
-    const blob = doc.getZip().generate({
-      type: "blob",
-      mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-    });
+  const saveSession = async (analysis, password) => {
+    setExp(true);
+    setErr(null);
+    try {
+      downloadBytes(await writeSessionFile(currentSession(), password), sessionFileName(analysis), SESSION_MIME);
+    } catch (e) {
+      console.error("Erreur enregistrement session:", e);
+      setErr(e instanceof ValidationError ? e : new Error(`Échec enregistrement de la session: ${e.message || "Erreur inconnue"}`));
+    } finally {
+      setExp(false);
+    }
+  };
 
-    // Download
-    const a = document.createElement("a");
-    a.href = URL.createObjectURL(blob);
-    a.download = `Rapport_TCP_${name.replace(/\s+/g, "_")}_${new Date().toISOString().split("T")[0]}.docx`;
-    a.click();
-    setTimeout(() => URL.revokeObjectURL(a.href), 2000);
-  } catch (e) {
-    console.error("Erreur génération DOCX:", e);
-    setErr(`Échec export DOCX: ${e.message || "Erreur inconnue"}`);
-  } finally {
-    setExp(false);
-  }
-};
+  const archiveReport = async (analysis) => {
+    setExp(true);
+    setErr(null);
+    try {
+      await saveToArchive(archiveKey, { summary: archiveSummary(analysis), session: currentSession() });
+      setArchiveEntries(await listArchive(archiveKey));
+      setArchivedId(activeId || "archive");
+    } catch (e) {
+      archiveError(e, "archivage");
+    } finally {
+      setExp(false);
+    }
+  };
 
-export default function App() {
-  const [data, setData] = useState(null);
-  const [err, setErr] = useState(null);
-  const [drag, setDrag] = useState(false);
-  const [load, setLoad] = useState(false);
-  const [exp, setExp] = useState(false);
-  const [showFeedback, setShowFeedback] = useState(false);
-  const [pendingFile, setPendingFile] = useState(null);
-  const [sportType, setSportType] = useState("endurance");
+  // Rouvre un rapport archivé dans l'état où il a été enregistré
+  const openArchived = async (id) => {
+    setLoad(true);
+    setErr(null);
+    try {
+      const session = await loadFromArchive(archiveKey, id);
+      restoreSession({ ...session, edits: session.edits || {} });
+    } catch (e) {
+      archiveError(e, "ouverture du test archivé");
+    } finally {
+      setLoad(false);
+    }
+  };
 
-  const onFile = useCallback((f) => {
-    if (!f) { setErr(new ValidationError("Aucun fichier sélectionné")); return; }
-    if (!f.name.endsWith(".xml")) { setErr(new ValidationError("Format invalide. Fichier XML requis.")); return; }
-    if (f.size > CONFIG.MAX_FILE_SIZE_MB * 1024 * 1024) { setErr(new ValidationError(`Fichier trop volumineux (max ${CONFIG.MAX_FILE_SIZE_MB}MB)`)); return; }
+  const deleteArchived = async (id) => {
+    setErr(null);
+    try {
+      await deleteFromArchive(id);
+      setArchiveEntries((list) => list.filter((e) => e.id !== id));
+    } catch (e) {
+      archiveError(e, "suppression du test archivé");
+    }
+  };
 
+  const destroyWholeArchive = async () => {
     setErr(null);
-    setData(null);
-    setPendingFile(f);
-  }, []);
+    try {
+      await destroyArchive();
+      setArchiveKey(null);
+      setArchiveEntries([]);
+      setArchiveStatus("none");
+    } catch (e) {
+      archiveError(e, "suppression de l'archive");
+    }
+  };
 
-  const processPendingFile = useCallback(() => {
-    if (!pendingFile) { setErr(new ValidationError("Aucun fichier sélectionné")); return; }
-    setLoad(true);
+  // ==========================================
+  // RÈGLES DE RECOMMANDATION
+  // ==========================================
+  const saveRules = (set) => {
     setErr(null);
+    try {
+      setRecRules(saveRecRules(set));
+      return true;
+    } catch (e) {
+      setErr(e instanceof ValidationError ? e : new Error(`Échec enregistrement des règles: ${e.message || "Erreur inconnue"}`));
+      return false;
+    }
+  };
 
-    const r = new FileReader();
-    r.onerror = () => { setErr(new ValidationError("Échec de lecture du fichier")); setLoad(false); };
+  // Le fichier importé est chargé dans l'éditeur : à relire et tester avant d'enregistrer
+  const importRules = async (file) => {
+    setErr(null);
+    try {
+      return readRulesFile(await readFileBytes(file));
+    } catch (e) {
+      console.error("Erreur import règles:", e);
+      setErr(e instanceof ValidationError ? e : new Error(`Échec import des règles: ${e.message || "Erreur inconnue"}`));
+      return null;
+    }
+  };
 
-    r.onload = (e) => {
-      try {
-        const parsed = parseXMLSafe(e.target.result);
-        validateParsedData(parsed);
-        setData(parsed);
-        setErr(null);
-        setPendingFile(null);
-      } catch (x) {
-        console.error("Erreur parsing/validation:", x);
-        setErr(x);
-      } finally {
-        setLoad(false);
-      }
-    };
+  const exportRules = (set) => downloadBytes(writeRulesFile(set), rulesFileName(set), "application/json");
+
+  const deleteZoneModel = (id) => {
+    setZonePresets(deleteZonePreset(id));
+    setZoneModel(null);
+  };
 
-    r.readAsText(pendingFile);
-  }, [pendingFile]);;
+  // Analyse recalculée seulement quand ses entrées changent (pas à chaque rendu) ; les tests
+  // précédents, indépendants des seuils et des textes saisis, sont analysés à part
+  const previousAnalyses = useMemo(
+    () => analyzePrevious(previousTests.map((t) => t.data), { sportType, zoneModel, lang: reportLang, recRules, goal, pediatricNorms, averaging }),
+    [previousTests, sportType, zoneModel, reportLang, recRules, goal, pediatricNorms, averaging],
+  );
+  const analysis = useMemo(
+    () =>
+      data &&
+      buildAnalysis(data, {
+        sportType,
+        zoneModel,
+        overrides,
+        lang: reportLang,
+        previousAnalyses,
+        showEvolution,
+        recEdits,
+        comment,
+        lactate,
+        recRules,
+        goal,
+        pediatricNorms,
+        wassermanPage,
+        qualitySection,
+        averaging,
+      }),
+    [data, sportType, zoneModel, overrides, reportLang, previousAnalyses, showEvolution, recEdits, comment, lactate, recRules, goal, pediatricNorms, wassermanPage, qualitySection, averaging],
+  );
 
   if (!data) {
     return (
@@ -758,72 +637,82 @@ export default function App() {
           </div>
 
           <div
-            onDrop={(e) => { e.preventDefault(); setDrag(false); onFile(e.dataTransfer.files[0]); }}
+            onDrop={(e) => {
+              e.preventDefault();
+              setDrag(false);
+              collectDroppedFiles(e.dataTransfer).then(onFiles).catch(() => onFiles(e.dataTransfer.files));
+            }}
             onDragOver={(e) => { e.preventDefault(); setDrag(true); }}
             onDragLeave={(e) => { e.preventDefault(); setDrag(false); }}
             className={`border-2 border-dashed rounded-2xl p-12 bg-white shadow-lg cursor-pointer transition-all ${
               drag ? "border-blue-500 bg-blue-50 scale-105" : "border-gray-300 hover:border-blue-400"
             }`}
             role="button"
-            aria-label="Zone de dépôt de fichier"
+            aria-label="Zone de dépôt de fichiers"
           >
             <input
               type="file"
-              accept=".xml"
-              onChange={(e) => onFile(e.target.files[0])}
+              accept={[...SUPPORTED_EXTENSIONS, SESSION_EXT].join(",")}
+              multiple
+              onChange={(e) => { onFiles(e.target.files); e.target.value = ""; }}
               className="hidden"
               id="fi"
-              aria-label="Sélectionner un fichier XML"
+              aria-label="Sélectionner des fichiers d'export"
             />
             <label htmlFor="fi" className="cursor-pointer">
               <div className="text-6xl mb-4" aria-hidden="true">{load ? "⏳" : "📄"}</div>
-              <p className="text-lg font-medium text-gray-700">{load ? "Validation en cours..." : "Glissez votre fichier XML"}</p>
+              <p className="text-lg font-medium text-gray-700">{load ? "Validation en cours..." : "Glissez vos exports ou un dossier"}</p>
               <p className="text-gray-500 text-sm">ou cliquez pour sélectionner</p>
-              <p className="text-gray-400 text-xs mt-2">Max {CONFIG.MAX_FILE_SIZE_MB}MB</p>
+              <p className="text-gray-400 text-xs mt-2">XML (SpreadsheetML), COSMED .xlsx, Cortex .csv, session {SESSION_EXT}</p>
+              <p className="text-gray-400 text-xs mt-2">Max {CONFIG.MAX_FILE_SIZE_MB}MB par fichier</p>
             </label>
           </div>
-          {pendingFile && (
-            <div className="mt-4 space-y-3">
-              <div className="meta-card text-left">
-                <div className="text-[12px] font-extrabold text-slate-800 mb-2">Type de sport</div>
-                <div className="flex flex-col sm:flex-row gap-3 sm:items-center">
-                  <select
-                    className="w-full sm:w-auto border border-slate-300 rounded-xl px-3 py-2 text-[13px] bg-white"
-                    value={sportType}
-                    onChange={(e) => setSportType(e.target.value)}
-                    aria-label="Choisir le type de sport"
-                  >
-                    <option value="endurance">Endurance (5 zones)</option>
-                    <option value="other">Autres sports (3 zones)</option>
-                  </select>
-
-                  <button
-                    type="button"
-                    onClick={processPendingFile}
-                    disabled={load}
-                    className={`w-full sm:w-auto px-4 py-2 rounded-xl font-extrabold text-white ${
-                      load ? "bg-slate-400 cursor-not-allowed" : "bg-blue-600 hover:bg-blue-700"
-                    }`}
-                  >
-                    {load ? "Traitement..." : "Générer le rapport"}
-                  </button>
-
-                  <button
-                    type="button"
-                    onClick={() => setPendingFile(null)}
-                    disabled={load}
-                    className="w-full sm:w-auto px-4 py-2 rounded-xl font-extrabold border border-slate-300 bg-white hover:bg-slate-50"
-                  >
-                    Changer de fichier
-                  </button>
-                </div>
-                <div className="text-[12px] text-slate-600 mt-2 truncate">
-                  Fichier sélectionné : <span className="font-semibold">{pendingFile.name}</span>
-                </div>
-              </div>
+
+          {pendingSession && (
+            <SessionUnlock
+              name={pendingSession.name}
+              busy={load}
+              onOpen={(password) => openSession(pendingSession.file, password)}
+              onCancel={() => setPendingSession(null)}
+            />
+          )}
+
+          {queue.length > 0 && (
+            <div className="flex justify-end mt-4">
+              <ReportLanguageSelect value={reportLang} onChange={setReportLang} disabled={load} />
             </div>
           )}
 
+          <FileQueue
+            items={queue}
+            busy={load}
+            onSportChange={(id, v) => updateItem(id, { sportType: v })}
+            onOpen={openItem}
+            onRemove={(id) => setQueue((q) => q.filter((it) => it.id !== id))}
+            onAnalyzeAll={analyzeAll}
+            onZip={dlZip}
+            onClear={() => setQueue([])}
+          />
+
+          <TemplateManager
+            template={customTemplate}
+            check={customTemplate?.check}
+            busy={load}
+            onUpload={uploadTemplate}
+            onReset={resetTemplate}
+          />
+
+          <ArchivePanel
+            status={archiveStatus}
+            entries={archiveEntries}
+            busy={load}
+            onCreate={(pass) => openArchive(pass, true)}
+            onUnlock={(pass) => openArchive(pass, false)}
+            onLock={lockArchive}
+            onOpen={openArchived}
+            onDelete={deleteArchived}
+            onDestroy={destroyWholeArchive}
+          />
 
           {err && <ErrorDisplay error={err} onDismiss={() => setErr(null)} />}
         </div>
@@ -831,42 +720,110 @@ export default function App() {
     );
   }
 
-  const name = `${data.patient.nom || ""} ${data.patient.prenom || ""}`.trim() || "Patient";
-  const age = calcAge(data.patient.dateNaissance, data.test.dateHeure);
-  const poids = data.patient.poids || "-";
-
-  const testType = data.testType || "run";
-  const isBike = testType === "bike";
-
-  const fc1 = safeNum(data.vt1.fc);
-  const fc2 = safeNum(data.vt2.fc);
-  const s1 = isBike ? safeNum(data.vt1.power) : safeNum(data.vt1.vitesse);
-  const s2 = isBike ? safeNum(data.vt2.power) : safeNum(data.vt2.vitesse);
-  const vo2 = safeNum(data.peakVO2.vo2);
-  const vo2kg = safeNum(data.peakVO2.vo2kg);
-
-  const intensityLabel = isBike ? "Puissance" : "Vitesse";
-  const intensityUnit = isBike ? "W" : "km/h";
-
-  const rec = genRec(fc1, fc2, s1, vo2kg, testType);
+  const txt = reportStrings(reportLang);
+  const {
+    name, age, poids, isBike, vo2, vo2kg, intensityLabel, intensityUnit,
+    cd, th, manual, fc1, fc2, s1, s2, rec, zoneSegs, zonesTable, zonesList, comparison,
+  } = analysis;
 
-  const cdRaw = smooth(getExData(data.measurements), 30);
-  const cd = cdRaw.filter((p) => Number.isFinite(p.timeSeconds));
+  const CHART_MARGIN = { top: 8, right: 18, left: 28, bottom: 26 };
 
-  const zoneSegs = buildZoneSegments(cd, fc1, fc2, sportType);
-  const zonesTable = calcZones(sportType, fc1, fc2, s1, s2, testType);
-  const zonesList = sportType === "other" ? ["Z1","Z2","Z3"] : ["Z1","Z2","Z3","Z4","Z5"];
+  const thresholdAt = (p) => ({
+    t: p.timeSeconds,
+    fc: Math.round(p.fcS),
+    s: safeNum(p[isBike ? "TT" : "v"]),
+  });
 
-  const CHART_MARGIN = { top: 8, right: 18, left: 28, bottom: 26 };
+  // Glisser-déposer des lignes V1/V2 : on saisit la ligne la plus proche du clic
+  const onChartDown = (st) => {
+    if (st?.activeLabel == null || !cd.length) return;
+    const x = st.activeLabel;
+    const tol = (cd[cd.length - 1].timeSeconds - cd[0].timeSeconds) * 0.04;
+    const k = Math.abs(x - th.vt1.t) <= Math.abs(x - th.vt2.t) ? "vt1" : "vt2";
+    if (Math.abs(x - th[k].t) <= tol) setLineDrag(k);
+  };
+  // Problèmes d'ordre V1/V2 si le seuil k prenait la valeur value (vide si V1 reste sous V2)
+  const orderedWith = (k, value) => {
+    const next = { ...th, [k]: value };
+    return checkThresholdOrder(next.vt1, next.vt2);
+  };
 
+  const onChartMove = (st) => {
+    if (!lineDrag) return;
+    const p = cd[st?.activeTooltipIndex];
+    // La ligne s'arrête avant l'autre seuil : V1 ne dépasse jamais V2
+    if (p && !orderedWith(lineDrag, thresholdAt(p)).length) setOverrides((o) => ({ ...o, [lineDrag]: thresholdAt(p) }));
+  };
+  const onChartUp = () => setLineDrag(null);
+
+  const editThreshold = (k, field, value) => {
+    let num = parseFloat(value);
+    if (!Number.isFinite(num)) return;
+    // L'axe des temps est catégoriel : on aligne le temps saisi sur un point existant
+    if (field === "t" && cd.length) {
+      num = cd.reduce((best, p) => (Math.abs(p.timeSeconds - num) < Math.abs(best - num) ? p.timeSeconds : best), cd[0].timeSeconds);
+    }
+    const next = { ...th[k], [field]: num };
+    const errors = orderedWith(k, next);
+    if (errors.length) {
+      setErr(new ValidationError(`Valeur refusée pour ${k === "vt1" ? "V1" : "V2"} : V1 doit rester sous V2`, errors));
+      return;
+    }
+    setOverrides((o) => ({ ...o, [k]: next }));
+  };
+  const resetThreshold = (k) => setOverrides((o) => ({ ...o, [k]: null }));
+
+  const thTag = (k) =>
+    manual[k] ? ` (${txt.manual})` : data[k].source === "auto" ? ` (${txt.computed})` : "";
+  const recParagraph = (k, props = {}) => (
+    <EditableParagraph
+      key={k}
+      value={rec[k]}
+      edited={analysis.recManual[k]}
+      label={`Recommandation : ${REC_SECTIONS[k]}`}
+      placeholder="Paragraphe supprimé : cliquez sur ✎ pour le réécrire"
+      onChange={(v) => setRecEdits((e) => ({ ...e, [k]: v.trim() }))}
+      onReset={() => setRecEdits(({ [k]: _removed, ...rest }) => rest)}
+      {...props}
+    />
+  );
 
+  const legendLabel = (z) => zonesTable.find((row) => row.z === z)?.label || z;
+
+  // Courbes des tests précédents, en pointillés sous la courbe du test actuel
+  const overlayLines = (dataKey) =>
+    (comparison?.tests || []).map((t) => (
+      <Line
+        key={t.key}
+        type="monotone"
+        dataKey={`${dataKey}_${t.key}`}
+        stroke={t.color}
+        strokeWidth={1.5}
+        strokeDasharray="6 3"
+        dot={false}
+        isAnimationActive={false}
+      />
+    ));
+  const curveLegend = comparison && (
+    <div className="legend-row" role="list" aria-label="Légende des courbes">
+      {[{ key: "cur", label: txt.currentTest, color: "#1976d2", dash: false }, ...comparison.tests.map((t) => ({ ...t, dash: true }))].map((it) => (
+        <span key={it.key} className="legend-item" role="listitem">
+          <span
+            aria-hidden="true"
+            style={{ display: "inline-block", width: 22, borderTop: `2px ${it.dash ? "dashed" : "solid"} ${it.color}` }}
+          />
+          <span className="opacity-80">{it.label}</span>
+        </span>
+      ))}
+    </div>
+  );
 
   return (
     <div className="min-h-screen bg-gray-100">
       <div className="no-print bg-white shadow border-b p-4 sticky top-0 z-10">
         <div className="max-w-4xl mx-auto flex justify-between items-center flex-wrap gap-3">
           <button
-            onClick={() => { setData(null); setErr(null); }}
+            onClick={closeReport}
             className="text-gray-600 hover:text-gray-800 transition-colors"
             aria-label="Charger un nouveau fichier"
             type="button"
@@ -883,9 +840,10 @@ export default function App() {
             💬 Feedback
           </button>
 
-          <div className="flex gap-2">
+          <div className="flex gap-2 items-center">
+            <ReportLanguageSelect value={reportLang} onChange={setReportLang} disabled={exp} />
             <button
-              onClick={() => dlDocx(data, zonesTable, rec, name, age, poids, fc1, fc2, s1, s2, vo2, vo2kg, testType, setExp, setErr)}
+              onClick={() => dlDocx(analysis, setExp, setErr, customTemplate).then((ok) => ok && activeId && updateItem(activeId, { status: "exported" }))}
               disabled={exp}
               className={`px-4 py-2 rounded text-white font-medium transition-all ${exp ? "bg-gray-400 cursor-not-allowed" : "bg-indigo-600 hover:bg-indigo-700"}`}
               aria-label={exp ? "Export DOCX en cours" : "Exporter en DOCX"}
@@ -894,6 +852,28 @@ export default function App() {
               {exp ? "⏳ Export..." : "📝 DOCX"}
             </button>
 
+            <button
+              onClick={() => dlPdf(analysis, setExp, setErr).then((ok) => ok && activeId && updateItem(activeId, { status: "exported" }))}
+              disabled={exp}
+              className={`px-4 py-2 rounded text-white font-medium transition-all ${exp ? "bg-gray-400 cursor-not-allowed" : "bg-rose-600 hover:bg-rose-700"}`}
+              aria-label={exp ? "Export PDF en cours" : "Exporter en PDF"}
+              type="button"
+            >
+              {exp ? "⏳ Export..." : "📄 PDF"}
+            </button>
+
+            {archiveKey && (
+              <button
+                onClick={() => archiveReport(analysis)}
+                disabled={exp}
+                className={`px-4 py-2 rounded text-white font-medium transition-all ${exp ? "bg-gray-400 cursor-not-allowed" : "bg-slate-600 hover:bg-slate-700"}`}
+                aria-label="Archiver le test dans l'archive locale chiffrée"
+                type="button"
+              >
+                {archivedId ? "✓ Archivé" : "🗄 Archiver"}
+              </button>
+            )}
+
           </div>
         </div>
       </div>
@@ -904,54 +884,145 @@ export default function App() {
         </div>
       )}
 
+      {(!analysis.quality.maximal || analysis.quality.warnings.length > 0) && (
+        <div className="no-print max-w-4xl mx-auto mt-4 px-4">
+          <QualityWarnings quality={analysis.quality} />
+        </div>
+      )}
+
+      {customTemplate?.check?.unknown.length > 0 && (
+        <div className="no-print max-w-4xl mx-auto mt-4 px-4">
+          <div className="warning-banner text-sm" role="status">
+            Template « {customTemplate.name} » : tags inconnus, rendus vides dans le DOCX :{" "}
+            {customTemplate.check.unknown.map((t) => `{${t}}`).join(", ")}
+          </div>
+        </div>
+      )}
+
+      {data.autoThresholds && (
+        <div className="no-print max-w-4xl mx-auto mt-4 px-4">
+          <ThresholdMethods auto={data.autoThresholds} vt1Source={data.vt1.source} vt2Source={data.vt2.source} />
+        </div>
+      )}
+
+      <div className="no-print max-w-4xl mx-auto mt-4 px-4">
+        <ThresholdEditor
+          th={th}
+          manual={manual}
+          intensityLabel={isBike ? "Puissance" : "Vitesse"}
+          intensityUnit={intensityUnit}
+          onChange={editThreshold}
+          onReset={resetThreshold}
+        />
+      </div>
+
+      <div className="no-print max-w-4xl mx-auto mt-4 px-4">
+        <ZoneModelEditor
+          model={analysis.zoneModel}
+          presets={zonePresets}
+          vars={analysis.zoneVars}
+          intensityUnit={intensityUnit}
+          onSelect={setZoneModel}
+          onSavePreset={saveZoneModel}
+          onDeletePreset={deleteZoneModel}
+        />
+      </div>
+
+      <div className="no-print max-w-4xl mx-auto mt-4 px-4">
+        <AveragingSelect value={averaging} onChange={setAveraging} />
+      </div>
+
+      <div className="no-print max-w-4xl mx-auto mt-4 px-4">
+        <PreviousTests
+          current={data}
+          tests={previousTests}
+          showEvolution={showEvolution}
+          accept={SUPPORTED_EXTENSIONS.join(",")}
+          onAdd={addPreviousTests}
+          onRemove={(id) => setPreviousTests((p) => p.filter((t) => t.id !== id))}
+          onToggleEvolution={setShowEvolution}
+        />
+      </div>
+
+      <div className="no-print max-w-4xl mx-auto mt-4 px-4">
+        <RecRulesEditor
+          rules={recRules}
+          athlete={analysis.recVars}
+          lang={reportLang}
+          goal={goal}
+          onGoalChange={setGoal}
+          onSave={saveRules}
+          onReset={() => setRecRules(resetRecRules())}
+          onImport={importRules}
+          onExport={exportRules}
+        />
+      </div>
+
+      <div className="no-print max-w-4xl mx-auto mt-4 px-4">
+        <SessionSave busy={exp} onSave={(password) => saveSession(analysis, password)} />
+      </div>
+
       <FeedbackModal isOpen={showFeedback} onClose={() => setShowFeedback(false)} patientName={name} />
 
       <div className="print-container mx-auto shadow-lg my-6 print:my-0 print:shadow-none" style={{ maxWidth: "210mm" }}>
         {/* PAGE 1 */}
         <div className="a4-page">
           <div className="avoid-break">
-            <div className="report-title">Compte rendu de test d'effort</div>
-            <div className="report-sub">VO₂ et FC avec seuils et zones</div>
+            <div className="report-title">{txt.reportTitle}</div>
+            <div className="report-sub">{txt.reportSub}</div>
 
             <div className="meta-card mt-3 text-[12px] text-slate-700">
               <div className="flex flex-wrap gap-x-6 gap-y-1">
                 <div>
-                  <b>Patient{data.patient.sexe === "femme" ? "e" : ""} :</b> {name}
+                  <b>{txt.patient(data.patient.sexe === "femme")}{txt.colon}</b> {name}
                 </div>
-                <div><b>Âge :</b> {age} ans</div>
-                <div><b>Poids :</b> {poids}</div>
+                <div><b>{txt.age}{txt.colon}</b> {age} {txt.years}</div>
+                <div><b>{txt.weight}{txt.colon}</b> {poids}</div>
               </div>
               <div className="mt-1">
-                <b>VO₂peak :</b> {vo2.toFixed(2)} L/min ({vo2kg} ml·kg⁻¹·min⁻¹)
+                <b>VO₂peak{txt.colon}</b> {vo2.toFixed(2)} L/min ({vo2kg} ml·kg⁻¹·min⁻¹)
                 <span className="mx-2">|</span>
-                <b>V1 :</b> {fc1} bpm / {isBike ? Math.round(s1) : s1.toFixed(1)} {intensityUnit}
+                <b>V1{thTag("vt1")}{txt.colon}</b> {fc1} bpm / {isBike ? Math.round(s1) : s1.toFixed(1)} {intensityUnit}
                 <span className="mx-2">|</span>
-                <b>V2 :</b> {fc2} bpm / {isBike ? Math.round(s2) : s2.toFixed(1)} {intensityUnit}
+                <b>V2{thTag("vt2")}{txt.colon}</b> {fc2} bpm / {isBike ? Math.round(s2) : s2.toFixed(1)} {intensityUnit}
               </div>
             </div>
 
+            <NormCard
+              norm={analysis.norm}
+              title={txt.normTitle}
+              minor={age > 0 && age < 18}
+              pediatric={pediatricNorms}
+              onTogglePediatric={setPediatricNorms}
+            />
+
+            <QualityCard
+              quality={analysis.quality}
+              title={txt.qualityTitle}
+              strings={txt.quality}
+              include={qualitySection}
+              onToggle={setQualitySection}
+            />
+
             <div className="mt-3 meta-card">
-              <div className="text-[12px] font-extrabold text-slate-800 mb-2">Comprendre V1 et V2</div>
+              <div className="text-[12px] font-extrabold text-slate-800 mb-2">{txt.understandTitle}</div>
               <div className="text-[12px] text-slate-700 space-y-2">
-                <p>
-                  V1 (seuil ventilatoire 1) correspond à l’intensité à partir de laquelle l’organisme commence à produire davantage de métabolites (notamment liés au métabolisme anaérobie), mais reste encore capable de les évacuer efficacement. À cette intensité, l’équilibre est maintenu : l’effort est durable, la respiration s’accélère légèrement mais reste contrôlée.
-                </p>
-                <p>
-                  V2 (seuil ventilatoire 2) correspond à une intensité plus élevée à partir de laquelle la production de métabolites devient supérieure à la capacité d’élimination de l’organisme. Cela entraîne une augmentation marquée de la ventilation et une fatigue qui s’installe plus rapidement. Au-dessus de V2, l’effort est efficace mais ne peut être maintenu que sur des durées limitées.
-                </p>
+                <p>{txt.explicationV1}</p>
+                <p>{txt.explicationV2}</p>
               </div>
             </div>
 
             <div className="mt-4">
-              <h2 className="text-[13px] font-extrabold text-slate-800 mb-2">Zones d'entraînement personnalisées</h2>
+              <h2 className="text-[13px] font-extrabold text-slate-800 mb-1">{txt.zonesTitle}</h2>
+              <div className="text-[11px] italic text-slate-500 mb-2">{txt.zoneModel}{txt.colon} {analysis.zoneModelName}</div>
 
               <table className="zones-table w-full border-collapse" role="table" aria-label="Tableau des zones d'entraînement">
                 <thead>
                   <tr>
-                    <th scope="col">Zone</th>
-                    <th scope="col">FC (bpm)</th>
+                    <th scope="col">{txt.colZone}</th>
+                    <th scope="col">{txt.colFc}</th>
                     <th scope="col">{intensityLabel} ({intensityUnit})</th>
-                    <th scope="col">Détermination (seuils)</th>
+                    <th scope="col">{txt.colDet}</th>
                   </tr>
                 </thead>
                 <tbody>
@@ -968,12 +1039,19 @@ export default function App() {
             </div>
           </div>
 
-          <div id="vo2c" className="avoid-break">
+          <div className="avoid-break">
             <div className="chart-box">
-              <div className="chart-title">VO₂ (moyenne 30 s) avec seuils et zones</div>
-              <div className="chart-inner">
+              <div className="chart-title">{txt.chartVO2(analysis.averaging.label)}</div>
+              <div className="chart-inner" style={{ cursor: lineDrag ? "ew-resize" : undefined }}>
                 <ResponsiveContainer width="100%" height="100%">
-                  <LineChart data={cd} margin={CHART_MARGIN}>
+                  <LineChart
+                    data={cd}
+                    margin={CHART_MARGIN}
+                    onMouseDown={onChartDown}
+                    onMouseMove={onChartMove}
+                    onMouseUp={onChartUp}
+                    onMouseLeave={onChartUp}
+                  >
                     <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
                     {zoneSegs.map((s, i) => (
                       <ReferenceArea
@@ -986,47 +1064,56 @@ export default function App() {
                       />
                     ))}
                     <ReferenceLine
-                      x={cd.find((p) => p.fc >= fc1)?.timeSeconds || 0}
+                      x={th.vt1.t}
                       stroke="var(--zline1)"
-                      strokeWidth={2}
+                      strokeWidth={lineDrag === "vt1" ? 3 : 2}
                       strokeDasharray="4 4"
-                      label="V1"
+                      label={manual.vt1 ? "V1*" : "V1"}
                     />
                     <ReferenceLine
-                      x={cd.find((p) => p.fc >= fc2)?.timeSeconds || 0}
+                      x={th.vt2.t}
                       stroke="var(--zline2)"
-                      strokeWidth={2}
+                      strokeWidth={lineDrag === "vt2" ? 3 : 2}
                       strokeDasharray="4 4"
-                      label="V2"
+                      label={manual.vt2 ? "V2*" : "V2"}
                     />
                     <XAxis
                       dataKey="timeSeconds"
                       tick={{ fontSize: 10 }}
                       tickFormatter={(v) => Math.round(v)}
-                      label={{ value: "Temps (s)", position: "insideBottom", offset: -10, fontSize: 10 }}
+                      label={{ value: txt.axisTime, position: "insideBottom", offset: -10, fontSize: 10 }}
                     />
                     <YAxis
                       domain={["auto", "auto"]}
                       tick={{ fontSize: 10 }}
-                      label={{ value: "VO₂ (L/min)", angle: -90, position: "insideLeft", fontSize: 10 }}
+                      label={{ value: txt.axisVO2, angle: -90, position: "insideLeft", fontSize: 10 }}
                     />
+                    {overlayLines("vo2S")}
                     <Line type="monotone" dataKey="vo2S" stroke="#1976d2" strokeWidth={2} dot={false} isAnimationActive={false} />
                   </LineChart>
                 </ResponsiveContainer>
               </div>
-              <ZoneLegend ZCOL={ZCOL} zoneLabel={zoneLabel} zones={zonesList} />
+              <ZoneLegend ZCOL={ZCOL} zoneLabel={legendLabel} zones={zonesList} />
+              {curveLegend}
             </div>
           </div>
         </div>
 
         {/* PAGE 2 */}
         <div className="a4-page">
-          <div id="vec" className="avoid-break">
+          <div className="avoid-break">
             <div className="chart-box">
-              <div className="chart-title">FC (moyenne 30 s) avec seuils et zones</div>
-              <div className="chart-inner">
+              <div className="chart-title">{txt.chartFC(analysis.averaging.label)}</div>
+              <div className="chart-inner" style={{ cursor: lineDrag ? "ew-resize" : undefined }}>
                 <ResponsiveContainer width="100%" height="100%">
-                  <LineChart data={cd} margin={CHART_MARGIN}>
+                  <LineChart
+                    data={cd}
+                    margin={CHART_MARGIN}
+                    onMouseDown={onChartDown}
+                    onMouseMove={onChartMove}
+                    onMouseUp={onChartUp}
+                    onMouseLeave={onChartUp}
+                  >
                     <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
                     {zoneSegs.map((s, i) => (
                       <ReferenceArea
@@ -1039,53 +1126,157 @@ export default function App() {
                       />
                     ))}
                     <ReferenceLine
-                      x={cd.find((p) => p.fc >= fc1)?.timeSeconds || 0}
+                      x={th.vt1.t}
                       stroke="var(--zline1)"
-                      strokeWidth={2}
+                      strokeWidth={lineDrag === "vt1" ? 3 : 2}
                       strokeDasharray="4 4"
-                      label="V1"
+                      label={manual.vt1 ? "V1*" : "V1"}
                     />
                     <ReferenceLine
-                      x={cd.find((p) => p.fc >= fc2)?.timeSeconds || 0}
+                      x={th.vt2.t}
                       stroke="var(--zline2)"
-                      strokeWidth={2}
+                      strokeWidth={lineDrag === "vt2" ? 3 : 2}
                       strokeDasharray="4 4"
-                      label="V2"
+                      label={manual.vt2 ? "V2*" : "V2"}
                     />
                     <XAxis
                       dataKey="timeSeconds"
                       tick={{ fontSize: 10 }}
                       tickFormatter={(v) => Math.round(v)}
-                      label={{ value: "Temps (s)", position: "insideBottom", offset: -10, fontSize: 10 }}
+                      label={{ value: txt.axisTime, position: "insideBottom", offset: -10, fontSize: 10 }}
                     />
                     <YAxis
                       domain={["auto", "auto"]}
                       tick={{ fontSize: 10 }}
-                      label={{ value: "FC (bpm)", angle: -90, position: "insideLeft", fontSize: 10 }}
+                      label={{ value: txt.axisFC, angle: -90, position: "insideLeft", fontSize: 10 }}
                     />
+                    {overlayLines("fcS")}
                     <Line type="monotone" dataKey="fcS" stroke="#1976d2" strokeWidth={2} dot={false} isAnimationActive={false} />
                   </LineChart>
                 </ResponsiveContainer>
               </div>
-              <ZoneLegend ZCOL={ZCOL} zoneLabel={zoneLabel} zones={zonesList} />
+              <ZoneLegend ZCOL={ZCOL} zoneLabel={legendLabel} zones={zonesList} />
+              {curveLegend}
             </div>
           </div>
 
           <div className="avoid-break">
-            <h2 className="text-[13px] font-extrabold text-slate-800 mt-2 mb-2">Recommandations d'entraînement</h2>
+            <h2 className="text-[13px] font-extrabold text-slate-800 mt-2 mb-2">{txt.recTitle}</h2>
             <div className="text-[12px] text-slate-700 space-y-2">
-              <p>{rec.ana}</p>
-              <p>{rec.pri}</p>
-              <p>{rec.comp}</p>
-              <p>{rec.hi}</p>
-              {rec.spec && (
-                <p className="p-2 rounded border-l-4" style={{ background: ZCOL.Z3, borderColor: "#eab308" }}>
-                  {rec.spec}
-                </p>
-              )}
-              <p className="italic">{rec.fu}</p>
+              {["ana", "pri", "comp", "hi"].map((k) => recParagraph(k))}
+              {(rec.spec || analysis.recManual.spec) && recParagraph("spec", {
+                className: "p-2 rounded border-l-4",
+                style: { background: ZCOL.Z3, borderColor: "#eab308" },
+              })}
+              {recParagraph("fu", { className: "italic" })}
             </div>
           </div>
+
+          <div className={`avoid-break ${analysis.comment ? "" : "no-print"}`}>
+            <h2 className="text-[13px] font-extrabold text-slate-800 mt-4 mb-2">{txt.commentTitle}</h2>
+            <div className="text-[12px] text-slate-700">
+              <EditableParagraph
+                value={analysis.comment}
+                label={txt.commentTitle}
+                placeholder="Ajouter un commentaire (ex. douleur au genou : privilégier le vélo)…"
+                onChange={setComment}
+              />
+            </div>
+          </div>
+        </div>
+
+        {/* PAGE RÉSUMÉ PAR PALIER */}
+        {analysis.stages.stages.length > 0 && (
+          <div className="a4-page">
+            <StageTable
+              rows={buildStageRows(analysis)}
+              ramp={analysis.stages.ramp}
+              title={txt.stagesTitle}
+              strings={txt.stageTable}
+              intensityLabel={`${intensityLabel} (${intensityUnit})`}
+            />
+          </div>
+        )}
+
+        {/* PAGE OXYDATION DES SUBSTRATS : message à l'écran seulement si non calculable */}
+        <div className={`a4-page ${analysis.substrates ? "" : "no-print"}`}>
+          <SubstrateCard
+            substrates={analysis.substrates}
+            ramp={analysis.stages.ramp}
+            chart={analysis.substrates ? substrateSvg(analysis, { captions: false }) : null}
+            title={txt.fatTitle}
+            strings={txt.fat}
+            intensityLabel={`${intensityLabel} (${intensityUnit})`}
+            isBike={isBike}
+          />
+        </div>
+
+        {/* PAGE LACTATÉMIE : saisie à l'écran, imprimée une fois les seuils calculés */}
+        {analysis.stages.stages.length > 0 && (
+          <div className={`a4-page ${analysis.lactate.available ? "" : "no-print"}`}>
+            <LactateCard
+              stages={analysis.stages.stages}
+              values={lactate}
+              onChange={setLactate}
+              result={analysis.lactate}
+              rows={analysis.lactate.available ? buildLactateRows(analysis) : []}
+              chart={analysis.lactate.available ? lactateSvg(analysis, { captions: false }) : null}
+              title={txt.lactateTitle}
+              strings={txt.lactate}
+              intensityLabel={`${intensityLabel} (${intensityUnit})`}
+              isBike={isBike}
+            />
+          </div>
+        )}
+
+        {/* PAGE 3 (optionnelle) */}
+        {comparison?.show && (
+          <div className="a4-page">
+            <div className="avoid-break">
+              <h2 className="text-[13px] font-extrabold text-slate-800 mb-1">{txt.evolutionTitle}</h2>
+              <div className="text-[12px] text-slate-700 mb-2">{txt.evolutionIntro(comparison.tests[0].label)}</div>
+              <table className="zones-table w-full border-collapse" role="table" aria-label="Évolution par rapport aux tests précédents">
+                <thead>
+                  <tr>
+                    <th scope="col">{txt.evoCols.metric}</th>
+                    <th scope="col">{txt.evoCols.current}</th>
+                    {comparison.tests.map((t) => <th key={t.key} scope="col">{t.label}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.rows.map((r) => (
+                    <tr key={r.metric}>
+                      <td className="font-semibold">{r.metric}</td>
+                      <td>{r.current}</td>
+                      {r.previous.map((p, i) => (
+                        <td key={i}>
+                          {p.value}
+                          {p.delta !== "—" && <div className="text-[11px] text-slate-500">{txt.evoCols.delta}{txt.colon} {p.delta}</div>}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {/* PAGE WASSERMAN : toujours à l'écran, imprimée et exportée si incluse au rapport */}
+        <div className={`a4-page ${wassermanPage ? "" : "no-print"}`}>
+          <div className="flex flex-wrap gap-2 items-center justify-between mb-1">
+            <h2 className="text-[13px] font-extrabold text-slate-800">{txt.wassermanTitle}</h2>
+            <label className="no-print inline-flex items-center gap-2 text-[12px] text-slate-600">
+              <input type="checkbox" checked={wassermanPage} onChange={(e) => setWassermanPage(e.target.checked)} />
+              Inclure au rapport (page dédiée)
+            </label>
+          </div>
+          <div className="text-[11px] italic text-slate-500 mb-2">{txt.wasserman.intro}</div>
+          <img
+            src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(wassermanSvg(analysis))}`}
+            alt={txt.wassermanTitle}
+            className="w-full"
+          />
         </div>
       </div>
 
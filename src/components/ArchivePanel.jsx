@@ -0,0 +1,183 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { searchArchive } from "../lib/archive.js";
+
+const inputCls = "border border-slate-300 rounded-lg px-2 py-1 bg-white";
+const btnCls = "px-3 py-1 rounded-xl text-[12px] font-extrabold border border-slate-300 bg-white hover:bg-slate-50";
+
+const fmtDay = (d) => (d ? new Date(`${d}T00:00:00`).toLocaleDateString("fr-FR") : "?");
+
+/**
+ * Archive locale chiffrée : création, déverrouillage, recherche, réouverture et suppression.
+ * status : "none" (pas d'archive), "locked", "open" ; "unavailable" si IndexedDB est absent.
+ */
+export default function ArchivePanel({ status, entries, busy, onCreate, onUnlock, onLock, onOpen, onDelete, onDestroy }) {
+  const [pass, setPass] = useState("");
+  const [confirmPass, setConfirmPass] = useState("");
+  const [filters, setFilters] = useState({ query: "", from: "", to: "" });
+  // Suppression en deux temps : id de l'entrée (ou "all") en attente de confirmation
+  const [pending, setPending] = useState(null);
+
+  if (status === "unavailable") return null;
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (status === "none") onCreate(pass);
+    else onUnlock(pass);
+    setPass("");
+    setConfirmPass("");
+  };
+  const shown = status === "open" ? searchArchive(entries, filters) : [];
+  const mismatch = status === "none" && confirmPass !== pass;
+
+  const confirmRow = (onYes) => (
+    <span className="flex items-center gap-2">
+      <span className="text-red-800 font-semibold">Suppression définitive ?</span>
+      <button type="button" onClick={() => { onYes(); setPending(null); }} className="text-red-800 underline font-extrabold">
+        Oui
+      </button>
+      <button type="button" onClick={() => setPending(null)} className="text-slate-500 underline">
+        Non
+      </button>
+    </span>
+  );
+
+  return (
+    <div className="meta-card text-left mt-4">
+      <div className="flex flex-col sm:flex-row gap-2 sm:items-center sm:justify-between">
+        <div className="text-[12px] text-slate-700">
+          <div className="font-extrabold text-slate-800">Archive locale chiffrée</div>
+          <div>Tests et analyses conservés dans ce navigateur, chiffrés par votre phrase de passe.</div>
+        </div>
+        {status === "open" && (
+          <button type="button" onClick={onLock} className={btnCls}>
+            🔒 Verrouiller
+          </button>
+        )}
+      </div>
+
+      {status !== "open" && (
+        <form onSubmit={submit} className="mt-2 flex flex-col sm:flex-row gap-2 text-[12px]">
+          <input
+            type="password"
+            className={`${inputCls} flex-1`}
+            value={pass}
+            onChange={(e) => setPass(e.target.value)}
+            placeholder={status === "none" ? "Nouvelle phrase de passe (8 caractères min.)" : "Phrase de passe"}
+            autoComplete={status === "none" ? "new-password" : "current-password"}
+            aria-label="Phrase de passe de l'archive"
+          />
+          {status === "none" && (
+            <input
+              type="password"
+              className={`${inputCls} flex-1`}
+              value={confirmPass}
+              onChange={(e) => setConfirmPass(e.target.value)}
+              placeholder="Confirmer la phrase de passe"
+              autoComplete="new-password"
+              aria-label="Confirmer la phrase de passe"
+            />
+          )}
+          <button type="submit" disabled={busy || !pass || mismatch} className={btnCls}>
+            {status === "none" ? "Créer l'archive" : "Déverrouiller"}
+          </button>
+        </form>
+      )}
+      {status === "none" && (
+        <div className="mt-1 text-[12px] text-slate-500">
+          Optionnel. La phrase de passe n'est enregistrée nulle part : en cas d'oubli, l'archive est illisible.
+        </div>
+      )}
+      {status === "locked" && (
+        <div className="mt-2 text-[12px]">
+          {pending === "all" ? confirmRow(onDestroy) : (
+            <button type="button" onClick={() => setPending("all")} className="text-slate-500 hover:text-slate-800 underline">
+              Phrase de passe oubliée : supprimer toute l'archive
+            </button>
+          )}
+        </div>
+      )}
+
+      {status === "open" && (
+        <div className="mt-2 text-[12px] text-slate-700">
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input
+              className={`${inputCls} flex-1`}
+              value={filters.query}
+              onChange={(e) => setFilters({ ...filters, query: e.target.value })}
+              placeholder="Rechercher un nom"
+              aria-label="Rechercher un nom"
+            />
+            <label className="flex items-center gap-1">
+              Du <input type="date" className={inputCls} value={filters.from} onChange={(e) => setFilters({ ...filters, from: e.target.value })} />
+            </label>
+            <label className="flex items-center gap-1">
+              au <input type="date" className={inputCls} value={filters.to} onChange={(e) => setFilters({ ...filters, to: e.target.value })} />
+            </label>
+          </div>
+
+          {shown.length ? (
+            <ul className="mt-2 space-y-1" aria-label="Tests archivés">
+              {shown.map((e) => (
+                <li key={e.id} className="flex items-center gap-2">
+                  <span className="flex-1 truncate">
+                    <b>{e.name}</b> — test du {e.testDate ? fmtDay(e.testDate) : e.dateLabel || "?"}
+                    <span className="text-slate-500"> · VO2 {e.vo2kg} ml/kg/min · archivé le {new Date(e.savedAt).toLocaleDateString("fr-FR")}</span>
+                  </span>
+                  {pending === e.id ? confirmRow(() => onDelete(e.id)) : (
+                    <>
+                      <button type="button" onClick={() => onOpen(e.id)} disabled={busy} className={btnCls}>
+                        Ouvrir
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setPending(e.id)}
+                        className="px-2 text-slate-500 hover:text-red-800"
+                        aria-label={`Supprimer ${e.name} de l'archive`}
+                      >
+                        Supprimer
+                      </button>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <div className="mt-2 text-slate-500">
+              {entries.length ? "Aucun test ne correspond à la recherche." : "Archive vide : ouvrez un rapport puis « 🗄 Archiver »."}
+            </div>
+          )}
+
+          <div className="mt-2 flex justify-between items-center">
+            <span className="text-slate-500">{entries.length} test(s) archivé(s)</span>
+            {pending === "all" ? confirmRow(onDestroy) : (
+              <button type="button" onClick={() => setPending("all")} className="text-slate-500 hover:text-red-800 underline">
+                Supprimer toute l'archive
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+ArchivePanel.propTypes = {
+  status: PropTypes.oneOf(["unavailable", "none", "locked", "open"]).isRequired,
+  entries: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      testDate: PropTypes.string,
+      dateLabel: PropTypes.string,
+      savedAt: PropTypes.string.isRequired,
+    }),
+  ).isRequired,
+  busy: PropTypes.bool,
+  onCreate: PropTypes.func.isRequired,
+  onUnlock: PropTypes.func.isRequired,
+  onLock: PropTypes.func.isRequired,
+  onOpen: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onDestroy: PropTypes.func.isRequired,
+};
@@ -0,0 +1,57 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { AVERAGING_METHODS, normalizeAveraging } from "../lib/averaging.js";
+
+const METHOD_LABELS = {
+  rolling: "Moyenne glissante",
+  bins: "Tranches fixes",
+  breaths: "Cycles respiratoires (glissante)",
+  median: "Médiane glissante",
+};
+
+// Moyennage des courbes VO₂/FC : méthode et fenêtre, reprises dans les titres des graphiques et le DOCX
+export default function AveragingSelect({ value, onChange }) {
+  const { method, window } = normalizeAveraging(value);
+  const def = AVERAGING_METHODS.find((m) => m.id === method);
+  // Fenêtre en cours de saisie, bornée à la validation
+  const [draft, setDraft] = useState(null);
+  const commit = () => {
+    if (draft !== null) onChange(normalizeAveraging({ method, window: draft }));
+    setDraft(null);
+  };
+
+  return (
+    <div className="meta-card flex flex-wrap gap-3 items-center text-[12px] text-slate-700">
+      <span className="font-semibold">Moyennage des courbes</span>
+      <select
+        className="border border-slate-300 rounded-xl px-2 py-1 text-[12px] bg-white"
+        value={method}
+        onChange={(e) => onChange(normalizeAveraging({ method: e.target.value }))}
+        aria-label="Méthode de moyennage"
+      >
+        {AVERAGING_METHODS.map((m) => (
+          <option key={m.id} value={m.id}>{METHOD_LABELS[m.id]}</option>
+        ))}
+      </select>
+      <label className="inline-flex items-center gap-2">
+        Fenêtre
+        <input
+          type="number"
+          className="w-16 border border-slate-300 rounded px-1 py-0.5 text-[12px]"
+          min={def.min}
+          max={def.max}
+          value={draft ?? window}
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={commit}
+          onKeyDown={(e) => e.key === "Enter" && commit()}
+        />
+        {def.unit === "s" ? "s" : "cycles"}
+      </label>
+    </div>
+  );
+}
+
+AveragingSelect.propTypes = {
+  value: PropTypes.shape({ method: PropTypes.string, window: PropTypes.number }).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
@@ -0,0 +1,65 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+
+/**
+ * Paragraphe du rapport modifiable à l'écran ; à l'impression, seul le texte reste.
+ * Un paragraphe vidé disparaît du rapport (écran imprimé, PDF, DOCX).
+ */
+export default function EditableParagraph({ value, edited, label, placeholder, className, style, onChange, onReset }) {
+  const [draft, setDraft] = useState(null);
+
+  if (draft !== null) {
+    return (
+      <div className="no-print">
+        <textarea
+          className="w-full border border-blue-300 rounded-lg px-2 py-1 bg-white text-[12px]"
+          rows={Math.max(2, draft.split("\n").length)}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder={placeholder}
+          aria-label={label}
+          autoFocus
+        />
+        <div className="flex gap-3 text-[11px]">
+          <button type="button" onClick={() => { onChange(draft); setDraft(null); }} className="font-extrabold text-blue-700 underline">
+            Valider
+          </button>
+          <button type="button" onClick={() => setDraft(null)} className="text-slate-500 underline">
+            Annuler
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`group relative ${value ? "" : "no-print"}`}>
+      {value ? (
+        <p className={`whitespace-pre-line ${className}`} style={style}>{value}</p>
+      ) : (
+        <p className="italic text-slate-400">{placeholder}</p>
+      )}
+      <span className="no-print absolute -right-1 top-0 translate-x-full pl-1 flex gap-1 text-[11px] opacity-40 group-hover:opacity-100">
+        <button type="button" onClick={() => setDraft(value)} className="text-blue-700" aria-label={`Modifier : ${label}`}>
+          ✎
+        </button>
+        {edited && (
+          <button type="button" onClick={onReset} className="text-slate-500" aria-label={`Rétablir le texte calculé : ${label}`}>
+            ↺
+          </button>
+        )}
+      </span>
+    </div>
+  );
+}
+
+EditableParagraph.propTypes = {
+  value: PropTypes.string.isRequired,
+  edited: PropTypes.bool,
+  label: PropTypes.string.isRequired,
+  placeholder: PropTypes.string,
+  className: PropTypes.string,
+  style: PropTypes.object,
+  onChange: PropTypes.func.isRequired,
+  onReset: PropTypes.func,
+};
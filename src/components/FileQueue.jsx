@@ -0,0 +1,126 @@
+import PropTypes from "prop-types";
+
+const STATUS = {
+  pending: { label: "En attente", cls: "bg-slate-100 text-slate-700" },
+  parsed: { label: "Analysé", cls: "bg-blue-100 text-blue-800" },
+  error: { label: "Erreur", cls: "bg-red-100 text-red-800" },
+  exported: { label: "Exporté", cls: "bg-green-100 text-green-800" },
+};
+
+export default function FileQueue({ items, busy, onSportChange, onOpen, onRemove, onAnalyzeAll, onZip, onClear }) {
+  if (!items.length) return null;
+
+  const ready = items.filter((it) => it.status !== "error").length;
+
+  return (
+    <div className="meta-card text-left mt-4">
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-[12px] font-extrabold text-slate-800">
+          {items.length} fichier{items.length > 1 ? "s" : ""}
+        </div>
+        <button
+          type="button"
+          onClick={onClear}
+          disabled={busy}
+          className="text-[12px] text-slate-500 hover:text-slate-800 underline"
+        >
+          Vider la liste
+        </button>
+      </div>
+
+      <ul className="space-y-2" aria-label="Fichiers à traiter">
+        {items.map((it) => (
+          <li key={it.id} className="bg-white border border-slate-200 rounded-xl px-3 py-2">
+            <div className="flex flex-col sm:flex-row gap-2 sm:items-center">
+              <div className="flex-1 min-w-0">
+                <div className="text-[13px] font-semibold text-slate-800 truncate">{it.name}</div>
+                <span className={`inline-block mt-1 px-2 py-0.5 rounded-full text-[11px] font-bold ${STATUS[it.status].cls}`}>
+                  {STATUS[it.status].label}
+                </span>
+              </div>
+              <select
+                className="border border-slate-300 rounded-xl px-2 py-1 text-[12px] bg-white"
+                value={it.sportType}
+                onChange={(e) => onSportChange(it.id, e.target.value)}
+                disabled={busy}
+                aria-label={`Type de sport pour ${it.name}`}
+              >
+                <option value="endurance">Endurance (5 zones)</option>
+                <option value="other">Autres sports (3 zones)</option>
+              </select>
+              <button
+                type="button"
+                onClick={() => onOpen(it.id)}
+                disabled={busy || it.status === "error"}
+                className={`px-3 py-1 rounded-xl text-[12px] font-extrabold text-white ${
+                  busy || it.status === "error" ? "bg-slate-400 cursor-not-allowed" : "bg-blue-600 hover:bg-blue-700"
+                }`}
+              >
+                Générer le rapport
+              </button>
+              <button
+                type="button"
+                onClick={() => onRemove(it.id)}
+                disabled={busy}
+                className="px-2 text-slate-500 hover:text-slate-800"
+                aria-label={`Retirer ${it.name}`}
+              >
+                ×
+              </button>
+            </div>
+            {it.error && (
+              <div className="mt-2 text-[12px] text-red-800">
+                <p>{it.error.message}</p>
+                {it.error.details?.length > 0 && (
+                  <ul className="list-disc list-inside">
+                    {it.error.details.map((d, i) => <li key={i}>{d}</li>)}
+                  </ul>
+                )}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex flex-col sm:flex-row gap-2 mt-3">
+        <button
+          type="button"
+          onClick={onAnalyzeAll}
+          disabled={busy}
+          className="px-4 py-2 rounded-xl font-extrabold border border-slate-300 bg-white hover:bg-slate-50"
+        >
+          Tout analyser
+        </button>
+        <button
+          type="button"
+          onClick={onZip}
+          disabled={busy || !ready}
+          className={`px-4 py-2 rounded-xl font-extrabold text-white ${
+            busy || !ready ? "bg-slate-400 cursor-not-allowed" : "bg-indigo-600 hover:bg-indigo-700"
+          }`}
+        >
+          {busy ? "Traitement..." : "📦 Tout télécharger (ZIP)"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+FileQueue.propTypes = {
+  items: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      status: PropTypes.oneOf(Object.keys(STATUS)).isRequired,
+      sportType: PropTypes.string.isRequired,
+      error: PropTypes.object,
+    }),
+  ).isRequired,
+  busy: PropTypes.bool,
+  onSportChange: PropTypes.func.isRequired,
+  onOpen: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+  onAnalyzeAll: PropTypes.func.isRequired,
+  onZip: PropTypes.func.isRequired,
+  onClear: PropTypes.func.isRequired,
+};
@@ -0,0 +1,104 @@
+import PropTypes from "prop-types";
+import { ZCOL } from "../lib/zones.js";
+
+// Saisie du lactate par palier (écran seulement), seuils lactiques, graphique et comparaison avec V1/V2
+export default function LactateCard({ stages, values, onChange, result, rows, chart, title, strings, intensityLabel, isBike }) {
+  const load = (v) => (isBike ? Math.round(v) : v.toFixed(1));
+  const set = (n, v) => {
+    const next = { ...values };
+    if (v.trim()) next[n] = v;
+    else delete next[n];
+    onChange(next);
+  };
+
+  return (
+    <div>
+      <h2 className="text-[13px] font-extrabold text-slate-800 mb-1">{title}</h2>
+
+      <div className="no-print mb-3">
+        <div className="text-[11px] text-slate-500 mb-1">Lactate capillaire en fin de palier (mmol/L) ; laisser vide si non prélevé.</div>
+        <div className="flex flex-wrap gap-2">
+          {stages.map((s) => (
+            <label key={s.n} className="flex flex-col text-[11px] text-slate-600">
+              <span>
+                {strings.cols.stage} {s.n} · {load(s.load)}
+              </span>
+              <input
+                type="text"
+                inputMode="decimal"
+                className="w-16 border border-slate-300 rounded px-1 py-0.5 text-[12px]"
+                value={values[s.n] ?? ""}
+                onChange={(e) => set(s.n, e.target.value)}
+                aria-label={`Lactate palier ${s.n}`}
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {result.available ? (
+        <div className="avoid-break text-[12px] text-slate-700">
+          <div className="text-[11px] italic text-slate-500 mb-1">
+            {strings.intro} {strings.baseline(result.baseline.toFixed(1))}
+          </div>
+          <img src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(chart)}`} alt={title} className="w-full" />
+          <table className="zones-table w-full border-collapse mt-2" role="table" aria-label={title}>
+            <thead>
+              <tr>
+                <th scope="col">{strings.cols.method}</th>
+                <th scope="col">{intensityLabel}</th>
+                <th scope="col">{strings.cols.fc}</th>
+                <th scope="col">{strings.cols.la}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.method}>
+                  <td className="font-semibold">{r.method}</td>
+                  <td>{r.load}</td>
+                  <td>{r.fc}</td>
+                  <td>{r.la}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="mt-2 space-y-1">
+            {result.comparison.map((c) =>
+              c.agree ? (
+                <p key={c.lt}>{c.text}</p>
+              ) : (
+                <p key={c.lt} className="p-2 rounded border-l-4" style={{ background: ZCOL.Z3, borderColor: "#eab308" }}>
+                  {c.text}
+                </p>
+              ),
+            )}
+          </div>
+        </div>
+      ) : (
+        <p className="no-print text-[12px] italic text-slate-500">{result.reason}</p>
+      )}
+    </div>
+  );
+}
+
+LactateCard.propTypes = {
+  stages: PropTypes.arrayOf(PropTypes.shape({ n: PropTypes.number.isRequired, load: PropTypes.number.isRequired })).isRequired,
+  values: PropTypes.objectOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number])).isRequired,
+  onChange: PropTypes.func.isRequired,
+  result: PropTypes.shape({
+    available: PropTypes.bool.isRequired,
+    reason: PropTypes.string,
+    baseline: PropTypes.number,
+    comparison: PropTypes.arrayOf(PropTypes.shape({ lt: PropTypes.string, agree: PropTypes.bool, text: PropTypes.string })),
+  }).isRequired,
+  rows: PropTypes.arrayOf(PropTypes.object),
+  chart: PropTypes.string,
+  title: PropTypes.string.isRequired,
+  strings: PropTypes.shape({
+    intro: PropTypes.string.isRequired,
+    baseline: PropTypes.func.isRequired,
+    cols: PropTypes.objectOf(PropTypes.string).isRequired,
+  }).isRequired,
+  intensityLabel: PropTypes.string.isRequired,
+  isBike: PropTypes.bool.isRequired,
+};
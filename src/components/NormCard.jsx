@@ -0,0 +1,50 @@
+import PropTypes from "prop-types";
+import { renderGaugeSvg } from "../lib/chartSvg.js";
+
+// Percentile, catégorie et jauge de la VO₂peak ; l'option pédiatrique ne s'affiche que pour un mineur
+export default function NormCard({ norm, title, minor, pediatric, onTogglePediatric }) {
+  const gauge = norm.available ? renderGaugeSvg({ bands: norm.bands, value: norm.value }) : null;
+
+  return (
+    <div className={`mt-3 meta-card text-[12px] text-slate-700 ${norm.available ? "" : "no-print"}`}>
+      <div className="flex flex-wrap gap-2 items-center justify-between mb-1">
+        <div className="font-extrabold text-slate-800">{title}</div>
+        {minor && (
+          <label className="no-print inline-flex items-center gap-2 text-slate-600">
+            <input type="checkbox" checked={pediatric} onChange={(e) => onTogglePediatric(e.target.checked)} />
+            Normes pédiatriques (FITNESSGRAM)
+          </label>
+        )}
+      </div>
+      {norm.available ? (
+        <>
+          <p>{norm.text}</p>
+          {norm.notes.map((n) => <p key={n} className="italic text-slate-500">{n}</p>)}
+          <img
+            src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(gauge)}`}
+            alt={`${norm.categoryLabel} (${norm.value} ml/kg/min)`}
+            className="mt-2 w-full max-w-[420px]"
+          />
+        </>
+      ) : (
+        <p className="italic text-slate-500">{norm.reason}</p>
+      )}
+    </div>
+  );
+}
+
+NormCard.propTypes = {
+  norm: PropTypes.shape({
+    available: PropTypes.bool.isRequired,
+    reason: PropTypes.string,
+    text: PropTypes.string,
+    notes: PropTypes.arrayOf(PropTypes.string),
+    bands: PropTypes.arrayOf(PropTypes.object),
+    value: PropTypes.number,
+    categoryLabel: PropTypes.string,
+  }).isRequired,
+  title: PropTypes.string.isRequired,
+  minor: PropTypes.bool.isRequired,
+  pediatric: PropTypes.bool.isRequired,
+  onTogglePediatric: PropTypes.func.isRequired,
+};
@@ -0,0 +1,82 @@
+import PropTypes from "prop-types";
+import { MAX_PREVIOUS_TESTS, isSamePerson } from "../lib/compare.js";
+
+export default function PreviousTests({ current, tests, showEvolution, busy, accept, onAdd, onRemove, onToggleEvolution }) {
+  const full = tests.length >= MAX_PREVIOUS_TESTS;
+
+  return (
+    <div className="meta-card">
+      <div className="flex flex-col sm:flex-row gap-2 sm:items-center sm:justify-between">
+        <div className="text-[12px] text-slate-700">
+          <div className="font-extrabold text-slate-800">Comparer avec des tests précédents</div>
+          <div>Jusqu'à {MAX_PREVIOUS_TESTS} tests : écarts, courbes superposées et section « Évolution ».</div>
+        </div>
+        <div className="flex gap-2 items-center">
+          <input
+            type="file"
+            accept={accept}
+            multiple
+            className="hidden"
+            id="prev"
+            onChange={(e) => { onAdd(e.target.files); e.target.value = ""; }}
+            disabled={busy || full}
+          />
+          <label
+            htmlFor="prev"
+            className={`px-3 py-1 rounded-xl text-[12px] font-extrabold border border-slate-300 bg-white ${
+              busy || full ? "opacity-50 cursor-not-allowed" : "hover:bg-slate-50 cursor-pointer"
+            }`}
+          >
+            Ajouter un test
+          </label>
+        </div>
+      </div>
+
+      {tests.length > 0 && (
+        <>
+          <ul className="mt-2 space-y-1 text-[12px] text-slate-700" aria-label="Tests précédents">
+            {tests.map((t) => (
+              <li key={t.id} className="flex items-center gap-2">
+                <span className="flex-1 truncate">
+                  <b>{t.name}</b> — test du {t.data.test.dateHeure || "?"}
+                  {!isSamePerson(current, t.data) && (
+                    <span className="ml-2 text-amber-700 font-semibold">⚠️ autre personne ?</span>
+                  )}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => onRemove(t.id)}
+                  className="px-2 text-slate-500 hover:text-slate-800"
+                  aria-label={`Retirer ${t.name}`}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+          <label className="mt-2 flex items-center gap-2 text-[12px] text-slate-700">
+            <input type="checkbox" checked={showEvolution} onChange={(e) => onToggleEvolution(e.target.checked)} />
+            Section « Évolution » dans le rapport (écran, PDF et DOCX)
+          </label>
+        </>
+      )}
+    </div>
+  );
+}
+
+PreviousTests.propTypes = {
+  current: PropTypes.object.isRequired,
+  tests: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      data: PropTypes.object.isRequired,
+    }),
+  ).isRequired,
+  showEvolution: PropTypes.bool.isRequired,
+  busy: PropTypes.bool,
+  accept: PropTypes.string.isRequired,
+  onAdd: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+  onToggleEvolution: PropTypes.func.isRequired,
+};
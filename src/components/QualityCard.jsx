@@ -0,0 +1,59 @@
+import PropTypes from "prop-types";
+
+const STATUS_CLASS = { ok: "text-green-700", warn: "text-amber-700 font-semibold", na: "text-slate-400" };
+
+// Critères de maximalité et qualité des signaux ; imprimé seulement si la section est incluse au rapport
+export default function QualityCard({ quality, title, strings, include, onToggle }) {
+  return (
+    <div className={`mt-3 meta-card text-[12px] text-slate-700 ${include ? "" : "no-print"}`}>
+      <div className="flex flex-wrap gap-2 items-center justify-between mb-1">
+        <div className="font-extrabold text-slate-800">{title}</div>
+        <label className="no-print inline-flex items-center gap-2 text-slate-600">
+          <input type="checkbox" checked={include} onChange={(e) => onToggle(e.target.checked)} />
+          Inclure au rapport
+        </label>
+      </div>
+      <p className={quality.maximal ? "" : "font-semibold text-amber-800"}>{quality.verdict}</p>
+      <table className="zones-table w-full border-collapse mt-2" role="table" aria-label={title}>
+        <thead>
+          <tr>
+            <th scope="col">{strings.cols.criterion}</th>
+            <th scope="col">{strings.cols.value}</th>
+            <th scope="col">{strings.cols.status}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {quality.checks.map((c) => (
+            <tr key={c.key}>
+              <td className="font-semibold">{c.label}</td>
+              <td>{c.value}</td>
+              <td className={STATUS_CLASS[c.status]}>{strings.status[c.status]}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+QualityCard.propTypes = {
+  quality: PropTypes.shape({
+    maximal: PropTypes.bool.isRequired,
+    verdict: PropTypes.string.isRequired,
+    checks: PropTypes.arrayOf(
+      PropTypes.shape({
+        key: PropTypes.string.isRequired,
+        label: PropTypes.string.isRequired,
+        value: PropTypes.string.isRequired,
+        status: PropTypes.oneOf(["ok", "warn", "na"]).isRequired,
+      }),
+    ).isRequired,
+  }).isRequired,
+  title: PropTypes.string.isRequired,
+  strings: PropTypes.shape({
+    cols: PropTypes.objectOf(PropTypes.string).isRequired,
+    status: PropTypes.objectOf(PropTypes.string).isRequired,
+  }).isRequired,
+  include: PropTypes.bool.isRequired,
+  onToggle: PropTypes.func.isRequired,
+};
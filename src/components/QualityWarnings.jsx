@@ -0,0 +1,25 @@
+import PropTypes from "prop-types";
+
+// Avertissements de qualité du test, affichés à l'écran à côté des erreurs
+export default function QualityWarnings({ quality }) {
+  return (
+    <div className="warning-banner text-sm" role="status">
+      <strong className="block mb-1">⚠️ {quality.verdict}</strong>
+      {quality.warnings.length > 0 && (
+        <ul className="list-disc list-inside space-y-1">
+          {quality.warnings.map((w) => (
+            <li key={w}>{w}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+QualityWarnings.propTypes = {
+  quality: PropTypes.shape({
+    maximal: PropTypes.bool.isRequired,
+    verdict: PropTypes.string.isRequired,
+    warnings: PropTypes.arrayOf(PropTypes.string).isRequired,
+  }).isRequired,
+};
@@ -0,0 +1,213 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { REPORT_LANGUAGES } from "../lib/i18n.js";
+import { GOALS, REC_KEYS, REC_SECTIONS, RULE_VARS, applyRules, checkRuleSet, ruleVariables } from "../lib/recRules.js";
+
+const inputCls = "w-full border border-slate-300 rounded-lg px-2 py-1 bg-white";
+const btnCls = "px-3 py-1 rounded-xl font-extrabold border border-slate-300 bg-white hover:bg-slate-50";
+
+const newRuleId = () => `rule-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+export default function RecRulesEditor({ rules, athlete, lang, goal, onGoalChange, onSave, onReset, onImport, onExport }) {
+  const [draft, setDraft] = useState(null);
+  const [textLang, setTextLang] = useState(lang);
+  const [tested, setTested] = useState(false);
+
+  const errors = draft ? checkRuleSet(draft) : [];
+  const result = draft && tested ? applyRules(draft, athlete, textLang) : null;
+
+  const setRule = (id, patch) => setDraft((d) => ({ ...d, rules: d.rules.map((r) => (r.id === id ? { ...r, ...patch } : r)) }));
+  const setText = (r, value) => setRule(r.id, { text: { ...r.text, [textLang]: value } });
+  const removeRule = (id) => setDraft((d) => ({ ...d, rules: d.rules.filter((r) => r.id !== id) }));
+  const addRule = (section) =>
+    setDraft((d) => {
+      // Nouvelle règle en fin de paragraphe, juste après la dernière règle de la même section
+      const last = d.rules.map((r) => r.section).lastIndexOf(section);
+      const rules = [...d.rules];
+      rules.splice(last + 1, 0, { id: newRuleId(), section, when: "", text: { [textLang]: "" } });
+      return { ...d, rules };
+    });
+  // L'ordre compte : la première règle vraie d'un paragraphe l'emporte
+  const moveRule = (id, step) =>
+    setDraft((d) => {
+      const i = d.rules.findIndex((r) => r.id === id);
+      const same = d.rules.map((r, j) => (r.section === d.rules[i].section ? j : -1)).filter((j) => j >= 0);
+      const j = same[same.indexOf(i) + step];
+      if (j === undefined) return d;
+      const rules = [...d.rules];
+      [rules[i], rules[j]] = [rules[j], rules[i]];
+      return { ...d, rules };
+    });
+
+  const save = () => {
+    if (onSave(draft)) setDraft(null);
+  };
+
+  return (
+    <div className="meta-card">
+      <div className="flex flex-col sm:flex-row gap-2 sm:items-center sm:justify-between">
+        <div className="text-[12px] text-slate-700">
+          <div className="font-extrabold text-slate-800">Règles de recommandation</div>
+          <div>
+            {rules.name} · révision {rules.revision}
+            {rules.updatedAt && ` (${new Date(rules.updatedAt).toLocaleDateString("fr-FR")})`}
+          </div>
+        </div>
+        <div className="flex gap-2 items-center text-[12px]">
+          <label className="inline-flex items-center gap-2 text-slate-700">
+            <span className="font-semibold">Objectif</span>
+            <select
+              className="border border-slate-300 rounded-xl px-2 py-1 bg-white"
+              value={goal}
+              onChange={(e) => onGoalChange(e.target.value)}
+            >
+              {Object.entries(GOALS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+            </select>
+          </label>
+          {!draft && (
+            <button type="button" onClick={() => { setDraft(rules); setTextLang(lang); setTested(false); }} className={btnCls}>
+              Modifier les règles
+            </button>
+          )}
+        </div>
+      </div>
+
+      {draft && (
+        <div className="mt-3 text-[12px] text-slate-700">
+          <div className="flex flex-col sm:flex-row gap-2 mb-2">
+            <label className="flex-1">
+              <span className="block text-slate-500">Nom du jeu de règles</span>
+              <input className={inputCls} value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+            </label>
+            <label className="sm:w-48">
+              <span className="block text-slate-500">Langue des textes</span>
+              <select className={inputCls} value={textLang} onChange={(e) => setTextLang(e.target.value)}>
+                {Object.entries(REPORT_LANGUAGES).map(([code, label]) => <option key={code} value={code}>{label}</option>)}
+              </select>
+            </label>
+          </div>
+
+          {REC_KEYS.map((section) => (
+            <div key={section} className="mt-3">
+              <div className="font-extrabold text-slate-800">{REC_SECTIONS[section]} <code className="font-normal text-slate-500">{section}</code></div>
+              {draft.rules.filter((r) => r.section === section).map((r) => (
+                <div
+                  key={r.id}
+                  className={`flex gap-2 items-start py-1 ${result?.[section].ruleId === r.id ? "bg-green-50 rounded" : ""}`}
+                >
+                  <input
+                    className={`${inputCls} sm:w-64 font-mono`}
+                    value={r.when}
+                    onChange={(e) => setRule(r.id, { when: e.target.value })}
+                    placeholder="toujours"
+                    aria-label={`Condition de la règle ${r.id}`}
+                  />
+                  <textarea
+                    className={`${inputCls} flex-1`}
+                    rows={2}
+                    value={r.text?.[textLang] ?? ""}
+                    onChange={(e) => setText(r, e.target.value)}
+                    placeholder={r.text?.fr ? `(fr) ${r.text.fr}` : "Texte"}
+                    aria-label={`Texte de la règle ${r.id}`}
+                  />
+                  <span className="flex flex-col text-slate-500">
+                    <button type="button" onClick={() => moveRule(r.id, -1)} aria-label="Monter la règle">↑</button>
+                    <button type="button" onClick={() => moveRule(r.id, 1)} aria-label="Descendre la règle">↓</button>
+                  </span>
+                  <button type="button" onClick={() => removeRule(r.id)} className="text-slate-500 hover:text-red-800" aria-label="Supprimer la règle">
+                    ×
+                  </button>
+                </div>
+              ))}
+              <button type="button" onClick={() => addRule(section)} className="text-blue-700 underline">
+                + Règle
+              </button>
+              {result && (
+                <div className="mt-1 p-2 rounded bg-slate-50 border border-slate-200">
+                  {result[section].text || <span className="italic text-slate-400">(aucune règle vraie : paragraphe vide)</span>}
+                </div>
+              )}
+            </div>
+          ))}
+
+          <div className="mt-3 text-slate-500">
+            La première règle vraie de chaque paragraphe l'emporte ; une condition vide est toujours vraie.
+            Conditions : <code>{"< <= > >= == !="}</code>, <code>and</code>/<code>et</code>, <code>or</code>/<code>ou</code>, <code>not</code>,
+            textes entre guillemets (<code>sport == &quot;bike&quot;</code>). Champs des textes : <code>{"{fc1}"}</code>, <code>{"{s1}"}</code>…
+            <br />
+            Variables : {Object.entries(RULE_VARS).map(([k, d]) => <span key={k} className="mr-3"><code>{k}</code> {d}</span>)}
+          </div>
+
+          {tested && (
+            <div className="mt-2 text-slate-600">
+              Athlète actuel :{" "}
+              {Object.entries(ruleVariables(athlete).fields).map(([k, v]) => <span key={k} className="mr-3"><code>{k}</code> = {v}</span>)}
+            </div>
+          )}
+
+          {errors.length > 0 && (
+            <ul className="mt-2 text-red-800 list-disc list-inside">
+              {errors.map((e, i) => <li key={i}>{e}</li>)}
+            </ul>
+          )}
+
+          <div className="flex flex-wrap gap-2 mt-3">
+            <button type="button" onClick={() => setTested((t) => !t)} className={btnCls}>
+              {tested ? "Masquer le test" : "Tester sur l'athlète actuel"}
+            </button>
+            <button type="button" onClick={() => onExport(draft)} disabled={errors.length > 0} className={btnCls}>
+              Exporter
+            </button>
+            <input
+              type="file"
+              accept=".json"
+              className="hidden"
+              id="rules-import"
+              onChange={async (e) => {
+                const file = e.target.files[0];
+                e.target.value = "";
+                const imported = file && (await onImport(file));
+                if (imported) setDraft(imported);
+              }}
+            />
+            <label htmlFor="rules-import" className={`${btnCls} cursor-pointer`}>
+              Importer
+            </label>
+            <button type="button" onClick={() => { onReset(); setDraft(null); }} className="text-slate-500 hover:text-slate-800 underline">
+              Règles par défaut
+            </button>
+            <span className="flex-1" />
+            <button type="button" onClick={() => setDraft(null)} className="text-slate-500 hover:text-slate-800 underline">
+              Annuler
+            </button>
+            <button
+              type="button"
+              onClick={save}
+              disabled={errors.length > 0}
+              className={`px-3 py-1 rounded-xl font-extrabold text-white ${errors.length ? "bg-slate-400 cursor-not-allowed" : "bg-blue-600 hover:bg-blue-700"}`}
+            >
+              Enregistrer
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+RecRulesEditor.propTypes = {
+  rules: PropTypes.shape({
+    name: PropTypes.string,
+    revision: PropTypes.number,
+    updatedAt: PropTypes.string,
+    rules: PropTypes.arrayOf(PropTypes.object).isRequired,
+  }).isRequired,
+  athlete: PropTypes.object.isRequired,
+  lang: PropTypes.string.isRequired,
+  goal: PropTypes.string.isRequired,
+  onGoalChange: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onReset: PropTypes.func.isRequired,
+  onImport: PropTypes.func.isRequired,
+  onExport: PropTypes.func.isRequired,
+};
@@ -0,0 +1,27 @@
+import PropTypes from "prop-types";
+import { REPORT_LANGUAGES } from "../lib/i18n.js";
+
+// Langue du rapport (écran + DOCX), indépendante de l'interface
+export default function ReportLanguageSelect({ value, onChange, disabled }) {
+  return (
+    <label className="inline-flex items-center gap-2 text-[12px] text-slate-700">
+      <span className="font-semibold">Langue du rapport</span>
+      <select
+        className="border border-slate-300 rounded-xl px-2 py-1 text-[12px] bg-white"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+      >
+        {Object.entries(REPORT_LANGUAGES).map(([code, label]) => (
+          <option key={code} value={code}>{label}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+ReportLanguageSelect.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
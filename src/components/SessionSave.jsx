@@ -0,0 +1,62 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+
+const inputCls = "border border-slate-300 rounded-lg px-2 py-1 bg-white";
+
+export default function SessionSave({ busy, onSave }) {
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const mismatch = password !== confirm;
+
+  const submit = (e) => {
+    e.preventDefault();
+    onSave(password);
+    setPassword("");
+    setConfirm("");
+  };
+
+  return (
+    <form onSubmit={submit} className="meta-card">
+      <div className="flex flex-col sm:flex-row gap-2 sm:items-center sm:justify-between">
+        <div className="text-[12px] text-slate-700">
+          <div className="font-extrabold text-slate-800">Session</div>
+          <div>Fichier .tcp à transmettre : données, réglages et modifications, rouvert tel quel par la zone de dépôt.</div>
+        </div>
+      </div>
+      <div className="mt-2 flex flex-col sm:flex-row gap-2 text-[12px]">
+        <input
+          type="password"
+          className={`${inputCls} flex-1`}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Mot de passe (optionnel)"
+          autoComplete="new-password"
+          aria-label="Mot de passe de la session"
+        />
+        {password && (
+          <input
+            type="password"
+            className={`${inputCls} flex-1`}
+            value={confirm}
+            onChange={(e) => setConfirm(e.target.value)}
+            placeholder="Confirmer le mot de passe"
+            autoComplete="new-password"
+            aria-label="Confirmer le mot de passe"
+          />
+        )}
+        <button
+          type="submit"
+          disabled={busy || mismatch}
+          className="px-3 py-1 rounded-xl text-[12px] font-extrabold border border-slate-300 bg-white hover:bg-slate-50"
+        >
+          💾 Enregistrer la session{password ? " (chiffrée)" : ""}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+SessionSave.propTypes = {
+  busy: PropTypes.bool,
+  onSave: PropTypes.func.isRequired,
+};
@@ -0,0 +1,50 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+
+export default function SessionUnlock({ name, busy, onOpen, onCancel }) {
+  const [password, setPassword] = useState("");
+
+  const submit = (e) => {
+    e.preventDefault();
+    onOpen(password);
+    setPassword("");
+  };
+
+  return (
+    <form onSubmit={submit} className="meta-card text-left mt-4">
+      <div className="text-[12px] text-slate-700">
+        <div className="font-extrabold text-slate-800">Session protégée</div>
+        <div>« {name} » est chiffrée : saisissez le mot de passe choisi à l'enregistrement.</div>
+      </div>
+      <div className="mt-2 flex flex-col sm:flex-row gap-2 text-[12px]">
+        <input
+          type="password"
+          className="border border-slate-300 rounded-lg px-2 py-1 bg-white flex-1"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Mot de passe"
+          autoComplete="current-password"
+          aria-label="Mot de passe de la session"
+          autoFocus
+        />
+        <button
+          type="submit"
+          disabled={busy || !password}
+          className="px-3 py-1 rounded-xl text-[12px] font-extrabold border border-slate-300 bg-white hover:bg-slate-50"
+        >
+          Ouvrir
+        </button>
+        <button type="button" onClick={onCancel} className="text-slate-500 hover:text-slate-800 underline">
+          Annuler
+        </button>
+      </div>
+    </form>
+  );
+}
+
+SessionUnlock.propTypes = {
+  name: PropTypes.string.isRequired,
+  busy: PropTypes.bool,
+  onOpen: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
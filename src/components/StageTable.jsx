@@ -0,0 +1,58 @@
+import PropTypes from "prop-types";
+
+// Résumé par palier : moyennes des 30 dernières secondes de chaque palier (lignes de buildStageRows)
+export default function StageTable({ rows, ramp, title, strings, intensityLabel }) {
+  const c = strings.cols;
+  return (
+    <div>
+      <h2 className="text-[13px] font-extrabold text-slate-800 mb-1">{title}</h2>
+      <div className="text-[11px] italic text-slate-500 mb-2">{ramp ? strings.rampIntro : strings.intro}</div>
+      <table className="zones-table w-full border-collapse" role="table" aria-label={title}>
+        <thead>
+          <tr>
+            {[c.stage, c.duration, intensityLabel, c.fc, c.vo2, c.vo2kg, c.rer, c.ve].map((h) => (
+              <th key={h} scope="col">{h}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.stage}>
+              <td className="font-semibold">{r.stage}</td>
+              <td>{r.duration}</td>
+              <td>{r.load}</td>
+              <td>{r.fc}</td>
+              <td>{r.vo2}</td>
+              <td>{r.vo2kg}</td>
+              <td>{r.rer}</td>
+              <td>{r.ve}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+StageTable.propTypes = {
+  rows: PropTypes.arrayOf(
+    PropTypes.shape({
+      stage: PropTypes.string.isRequired,
+      duration: PropTypes.string.isRequired,
+      load: PropTypes.string.isRequired,
+      fc: PropTypes.string.isRequired,
+      vo2: PropTypes.string.isRequired,
+      vo2kg: PropTypes.string.isRequired,
+      rer: PropTypes.string.isRequired,
+      ve: PropTypes.string.isRequired,
+    }),
+  ).isRequired,
+  ramp: PropTypes.bool.isRequired,
+  title: PropTypes.string.isRequired,
+  strings: PropTypes.shape({
+    intro: PropTypes.string.isRequired,
+    rampIntro: PropTypes.string.isRequired,
+    cols: PropTypes.objectOf(PropTypes.string).isRequired,
+  }).isRequired,
+  intensityLabel: PropTypes.string.isRequired,
+};
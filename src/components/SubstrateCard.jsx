@@ -0,0 +1,72 @@
+import PropTypes from "prop-types";
+
+// Oxydation des lipides et des glucides : FATmax, zone FATmax, graphique et tableau par palier
+export default function SubstrateCard({ substrates, ramp, chart, title, strings, intensityLabel, isBike }) {
+  if (!substrates) {
+    return (
+      <div className="no-print">
+        <h2 className="text-[13px] font-extrabold text-slate-800 mb-1">{title}</h2>
+        <p className="text-[12px] italic text-slate-500">{strings.unavailable}</p>
+      </div>
+    );
+  }
+  const load = (v) => (isBike ? Math.round(v) : v.toFixed(1));
+
+  return (
+    <div>
+      <div className="avoid-break">
+        <h2 className="text-[13px] font-extrabold text-slate-800 mb-1">{title}</h2>
+        <div className="text-[11px] italic text-slate-500 mb-1">
+          {strings.intro}
+          {ramp && ` ${strings.rampNote}`}
+        </div>
+        <p className="text-[12px] text-slate-700">{substrates.summary}</p>
+        <p className="text-[12px] text-slate-700 mb-2">{substrates.zoneText}</p>
+        <img src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(chart)}`} alt={title} className="w-full" />
+      </div>
+      <table className="zones-table w-full border-collapse mt-2" role="table" aria-label={title}>
+        <thead>
+          <tr>
+            <th scope="col">{strings.cols.stage}</th>
+            <th scope="col">{intensityLabel}</th>
+            <th scope="col">{strings.cols.fc}</th>
+            <th scope="col">{strings.cols.rer}</th>
+            <th scope="col">{strings.cols.fat}</th>
+            <th scope="col">{strings.cols.cho}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {substrates.stages.map((s) => (
+            <tr key={s.n}>
+              <td className="font-semibold">{s.n}</td>
+              <td>{load(s.load)}</td>
+              <td>{Math.round(s.fc)}</td>
+              <td>{Number.isFinite(s.rer) ? s.rer.toFixed(2) : "-"}</td>
+              <td>{s.fat.toFixed(2)}</td>
+              <td>{s.cho.toFixed(2)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+SubstrateCard.propTypes = {
+  substrates: PropTypes.shape({
+    summary: PropTypes.string.isRequired,
+    zoneText: PropTypes.string.isRequired,
+    stages: PropTypes.arrayOf(PropTypes.object).isRequired,
+  }),
+  ramp: PropTypes.bool,
+  chart: PropTypes.string,
+  title: PropTypes.string.isRequired,
+  strings: PropTypes.shape({
+    intro: PropTypes.string.isRequired,
+    rampNote: PropTypes.string.isRequired,
+    unavailable: PropTypes.string.isRequired,
+    cols: PropTypes.objectOf(PropTypes.string).isRequired,
+  }).isRequired,
+  intensityLabel: PropTypes.string.isRequired,
+  isBike: PropTypes.bool.isRequired,
+};
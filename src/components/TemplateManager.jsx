@@ -0,0 +1,115 @@
+import PropTypes from "prop-types";
+import { TEMPLATE_TAGS, tagSyntax } from "../lib/templateTags.js";
+
+function TagList({ title, tags, tone }) {
+  if (!tags.length) return null;
+  return (
+    <div className={`mt-2 text-[12px] ${tone}`}>
+      <b>{title}</b> : {tags.map((t) => <code key={t} className="mr-2">{`{${t}}`}</code>)}
+    </div>
+  );
+}
+
+TagList.propTypes = {
+  title: PropTypes.string.isRequired,
+  tags: PropTypes.arrayOf(PropTypes.string).isRequired,
+  tone: PropTypes.string.isRequired,
+};
+
+export default function TemplateManager({ template, check, busy, onUpload, onReset }) {
+  return (
+    <div className="meta-card text-left mt-4">
+      <div className="flex flex-col sm:flex-row gap-2 sm:items-center sm:justify-between">
+        <div className="text-[12px] text-slate-700">
+          <div className="font-extrabold text-slate-800">Template Word</div>
+          {template ? (
+            <div>
+              Personnalisé : <b>{template.name}</b> (enregistré le {new Date(template.savedAt).toLocaleDateString("fr-FR")})
+            </div>
+          ) : (
+            <div>Template par défaut, dans la langue du rapport</div>
+          )}
+        </div>
+        <div className="flex gap-2">
+          <input
+            type="file"
+            accept=".docx"
+            className="hidden"
+            id="tpl"
+            onChange={(e) => { if (e.target.files[0]) onUpload(e.target.files[0]); e.target.value = ""; }}
+            disabled={busy}
+          />
+          <label
+            htmlFor="tpl"
+            className="px-3 py-1 rounded-xl text-[12px] font-extrabold border border-slate-300 bg-white hover:bg-slate-50 cursor-pointer"
+          >
+            Importer un .docx
+          </label>
+          {template && (
+            <button
+              type="button"
+              onClick={onReset}
+              disabled={busy}
+              className="px-3 py-1 rounded-xl text-[12px] font-extrabold border border-slate-300 bg-white hover:bg-slate-50"
+            >
+              Revenir au défaut
+            </button>
+          )}
+        </div>
+      </div>
+
+      {template && check && (
+        <>
+          <TagList title="Tags inconnus (rendus vides)" tags={check.unknown} tone="text-red-800" />
+          <TagList title="Tags disponibles non utilisés" tags={check.missing} tone="text-slate-500" />
+          {!check.unknown.length && (
+            <div className="mt-2 text-[12px] text-green-800">✓ Tous les tags du template sont reconnus.</div>
+          )}
+        </>
+      )}
+
+      <details className="mt-3 text-[12px] text-slate-700">
+        <summary className="cursor-pointer font-semibold">Référence des tags ({TEMPLATE_TAGS.length})</summary>
+        <table className="w-full border-collapse mt-2">
+          <thead>
+            <tr className="text-left text-slate-500">
+              <th scope="col" className="pr-2 font-semibold">Tag</th>
+              <th scope="col" className="pr-2 font-semibold">Description</th>
+              <th scope="col" className="font-semibold">Exemple</th>
+            </tr>
+          </thead>
+          <tbody>
+            {TEMPLATE_TAGS.flatMap((t) => [
+              <tr key={t.tag} className="border-t border-slate-200 align-top">
+                <td className="pr-2 whitespace-nowrap"><code>{tagSyntax(t)}</code></td>
+                <td className="pr-2">{t.description}</td>
+                <td className="text-slate-500">{t.example || "(vide)"}</td>
+              </tr>,
+              ...(t.fields || []).map((f) => (
+                <tr key={`${t.tag}.${f.tag}`} className="align-top">
+                  <td className="pr-2 pl-4 whitespace-nowrap"><code>{tagSyntax(f)}</code></td>
+                  <td className="pr-2">{f.description}</td>
+                  <td className="text-slate-500">{f.example}</td>
+                </tr>
+              )),
+            ])}
+          </tbody>
+        </table>
+      </details>
+    </div>
+  );
+}
+
+TemplateManager.propTypes = {
+  template: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    savedAt: PropTypes.string.isRequired,
+  }),
+  check: PropTypes.shape({
+    unknown: PropTypes.arrayOf(PropTypes.string).isRequired,
+    missing: PropTypes.arrayOf(PropTypes.string).isRequired,
+  }),
+  busy: PropTypes.bool,
+  onUpload: PropTypes.func.isRequired,
+  onReset: PropTypes.func.isRequired,
+};
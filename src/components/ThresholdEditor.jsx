@@ -0,0 +1,88 @@
+import PropTypes from "prop-types";
+import { useState } from "react";
+
+const FIELDS = [
+  { key: "t", label: "Temps (s)", step: 1 },
+  { key: "fc", label: "FC (bpm)", step: 1 },
+  { key: "s", label: null, step: 0.1 },
+];
+
+export default function ThresholdEditor({ th, manual, intensityLabel, intensityUnit, onChange, onReset }) {
+  const inverted = th.vt2.fc <= th.vt1.fc || th.vt2.s <= th.vt1.s;
+  // Saisie en cours : appliquée en quittant le champ ou avec Entrée, pour que les valeurs
+  // intermédiaires (V2 tapé chiffre par chiffre) ne soient pas refusées
+  const [draft, setDraft] = useState(null);
+  const commit = () => {
+    if (draft) onChange(draft.k, draft.field, draft.value);
+    setDraft(null);
+  };
+
+  return (
+    <div className="meta-card">
+      <div className="text-[12px] font-extrabold text-slate-800 mb-1">Ajuster V1 / V2</div>
+      <div className="text-[12px] text-slate-600 mb-2">
+        Faites glisser les lignes V1/V2 sur les graphiques ou saisissez les valeurs. Les zones, les
+        recommandations et l'export sont recalculés dès que vous quittez le champ (ou avec Entrée).
+      </div>
+      <div className="grid sm:grid-cols-2 gap-4">
+        {["vt1", "vt2"].map((k) => (
+          <div key={k} className="text-[12px] text-slate-700">
+            <div className="flex items-center justify-between mb-1">
+              <span className="font-bold">
+                {k === "vt1" ? "V1" : "V2"}
+                {manual[k] && <span className="ml-2 text-amber-700 font-semibold">ajusté manuellement</span>}
+              </span>
+              {manual[k] && (
+                <button
+                  type="button"
+                  onClick={() => onReset(k)}
+                  className="text-slate-500 hover:text-slate-800 underline"
+                >
+                  Rétablir
+                </button>
+              )}
+            </div>
+            <div className="flex gap-2">
+              {FIELDS.map((f) => (
+                <label key={f.key} className="flex-1">
+                  <span className="block text-slate-500">{f.label || `${intensityLabel} (${intensityUnit})`}</span>
+                  <input
+                    type="number"
+                    step={f.key === "s" && intensityUnit === "W" ? 1 : f.step}
+                    value={
+                      draft?.k === k && draft.field === f.key
+                        ? draft.value
+                        : f.key === "s" && intensityUnit !== "W" ? Math.round(th[k][f.key] * 10) / 10 : Math.round(th[k][f.key])
+                    }
+                    onChange={(e) => setDraft({ k, field: f.key, value: e.target.value })}
+                    onBlur={commit}
+                    onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+                    className="w-full border border-slate-300 rounded-lg px-2 py-1 bg-white"
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+      {inverted && (
+        <div className="mt-2 text-[12px] text-red-700">⚠️ V2 doit rester au-dessus de V1 (FC et {intensityLabel.toLowerCase()}).</div>
+      )}
+    </div>
+  );
+}
+
+const thresholdShape = PropTypes.shape({
+  t: PropTypes.number.isRequired,
+  fc: PropTypes.number.isRequired,
+  s: PropTypes.number.isRequired,
+});
+
+ThresholdEditor.propTypes = {
+  th: PropTypes.shape({ vt1: thresholdShape, vt2: thresholdShape }).isRequired,
+  manual: PropTypes.shape({ vt1: PropTypes.bool, vt2: PropTypes.bool }).isRequired,
+  intensityLabel: PropTypes.string.isRequired,
+  intensityUnit: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onReset: PropTypes.func.isRequired,
+};
@@ -0,0 +1,83 @@
+import PropTypes from "prop-types";
+
+const fmtTime = (s) => `${Math.floor(s / 60)}:${String(Math.round(s % 60)).padStart(2, "0")}`;
+
+function ThresholdBlock({ title, result, applied }) {
+  if (!result) {
+    return (
+      <div className="text-[12px] text-slate-600">
+        <b>{title}</b> : non déterminable à partir des mesures.
+      </div>
+    );
+  }
+
+  return (
+    <div className="text-[12px] text-slate-700">
+      <div className="font-bold mb-1">
+        {title} {applied ? "(calculé, appliqué au rapport)" : "(calculé, pour comparaison)"}
+      </div>
+      <table className="w-full border-collapse">
+        <thead>
+          <tr className="text-left text-slate-500">
+            <th scope="col" className="pr-2 font-semibold">Méthode</th>
+            <th scope="col" className="pr-2 font-semibold">Temps</th>
+            <th scope="col" className="pr-2 font-semibold">FC (bpm)</th>
+            <th scope="col" className="font-semibold">VO₂ (L/min)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {result.methods.map((m) => (
+            <tr key={m.id}>
+              <td className="pr-2">{m.label}</td>
+              <td className="pr-2">{fmtTime(m.t)}</td>
+              <td className="pr-2">{m.fc}</td>
+              <td>{m.vo2.toFixed(2)}</td>
+            </tr>
+          ))}
+          <tr className="font-semibold border-t border-slate-300">
+            <td className="pr-2">Retenu</td>
+            <td className="pr-2">{fmtTime(result.t)}</td>
+            <td className="pr-2">{result.fc}</td>
+            <td>{result.vo2.toFixed(2)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <div className="mt-1 text-slate-600">
+        Concordance : <b>{result.agreement}</b>
+        {result.methods.length > 1 && ` (écart ${result.spreadFc} bpm / ${result.spreadS} s)`}
+      </div>
+    </div>
+  );
+}
+
+ThresholdBlock.propTypes = {
+  title: PropTypes.string.isRequired,
+  result: PropTypes.object,
+  applied: PropTypes.bool,
+};
+
+export default function ThresholdMethods({ auto, vt1Source, vt2Source }) {
+  if (!auto) return null;
+
+  return (
+    <div className="meta-card">
+      <div className="text-[12px] font-extrabold text-slate-800 mb-2">
+        Seuils calculés à partir des mesures (moyennes {auto.binSeconds} s)
+      </div>
+      <div className="grid sm:grid-cols-2 gap-4">
+        <ThresholdBlock title="V1" result={auto.vt1} applied={vt1Source === "auto"} />
+        <ThresholdBlock title="V2" result={auto.vt2} applied={vt2Source === "auto"} />
+      </div>
+    </div>
+  );
+}
+
+ThresholdMethods.propTypes = {
+  auto: PropTypes.shape({
+    vt1: PropTypes.object,
+    vt2: PropTypes.object,
+    binSeconds: PropTypes.number,
+  }),
+  vt1Source: PropTypes.string,
+  vt2Source: PropTypes.string,
+};
@@ -0,0 +1,225 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { ZONE_VARS } from "../lib/zoneExpr.js";
+import {
+  MAX_ZONES,
+  ZCOL_CHART,
+  ZONE_BASES,
+  ZONE_MODELS,
+  checkZoneModel,
+  computeZoneBounds,
+  getZoneModel,
+  zoneModelName,
+  zoneModelTexts,
+} from "../lib/zones.js";
+
+const inputCls = "w-full border border-slate-300 rounded-lg px-2 py-1 bg-white";
+
+// Brouillon éditable à partir du modèle courant (textes en français, comme l'interface)
+const toDraft = (model) => ({
+  id: model.custom ? model.id : null,
+  name: model.custom ? model.name : `${zoneModelName(model)} (modifié)`,
+  basis: model.basis,
+  bounds: [...model.bounds],
+  zones: zoneModelTexts(model).map(({ label, det }) => ({ label, det: model.custom ? det : "" })),
+});
+
+const asModel = (draft) => ({ ...draft, id: draft.id || "custom", custom: true });
+
+export default function ZoneModelEditor({ model, presets, vars, intensityUnit, onSelect, onSavePreset, onDeletePreset }) {
+  const [draft, setDraft] = useState(null);
+
+  const fmtS = (v) => (intensityUnit === "W" ? Math.round(v) : Math.round(v * 10) / 10);
+  const errors = draft ? checkZoneModel(asModel(draft), vars) : [];
+  let preview = null;
+  if (draft && !errors.length) preview = computeZoneBounds(asModel(draft), vars);
+
+  const setZone = (i, patch) => setDraft((d) => ({ ...d, zones: d.zones.map((z, j) => (j === i ? { ...z, ...patch } : z)) }));
+  const setBound = (i, value) => setDraft((d) => ({ ...d, bounds: d.bounds.map((b, j) => (j === i ? value : b)) }));
+  const addZone = () => setDraft((d) => ({ ...d, bounds: [...d.bounds, ""], zones: [...d.zones, { label: "", det: "" }] }));
+  const removeZone = () => setDraft((d) => ({ ...d, bounds: d.bounds.slice(0, -1), zones: d.zones.slice(0, -1) }));
+
+  const select = (id) => {
+    const preset = presets.find((p) => p.id === id);
+    onSelect(preset || getZoneModel(id));
+    setDraft(null);
+  };
+  const save = () => {
+    const saved = onSavePreset(asModel(draft));
+    if (saved) setDraft(null);
+  };
+
+  return (
+    <div className="meta-card">
+      <div className="flex flex-col sm:flex-row gap-2 sm:items-center sm:justify-between">
+        <div className="text-[12px] font-extrabold text-slate-800">Modèle de zones</div>
+        <div className="flex gap-2 items-center">
+          <select
+            className="border border-slate-300 rounded-xl px-2 py-1 text-[12px] bg-white"
+            value={model.id}
+            onChange={(e) => select(e.target.value)}
+            aria-label="Modèle de zones"
+          >
+            <optgroup label="Modèles">
+              {ZONE_MODELS.map((m) => <option key={m.id} value={m.id}>{zoneModelName(m)}</option>)}
+            </optgroup>
+            {presets.length > 0 && (
+              <optgroup label="Presets enregistrés">
+                {presets.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+              </optgroup>
+            )}
+            {model.id === "custom" && <option value="custom">{model.name} (non enregistré)</option>}
+          </select>
+          {!draft && (
+            <button
+              type="button"
+              onClick={() => setDraft(toDraft(model))}
+              className="px-3 py-1 rounded-xl text-[12px] font-extrabold border border-slate-300 bg-white hover:bg-slate-50"
+            >
+              Personnaliser
+            </button>
+          )}
+          {!draft && presets.some((p) => p.id === model.id) && (
+            <button
+              type="button"
+              onClick={() => onDeletePreset(model.id)}
+              className="text-[12px] text-slate-500 hover:text-slate-800 underline"
+            >
+              Supprimer le preset
+            </button>
+          )}
+        </div>
+      </div>
+
+      {draft && (
+        <div className="mt-3 text-[12px] text-slate-700">
+          <div className="flex flex-col sm:flex-row gap-2 mb-2">
+            <label className="flex-1">
+              <span className="block text-slate-500">Nom du preset</span>
+              <input className={inputCls} value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+            </label>
+            <label className="sm:w-64">
+              <span className="block text-slate-500">Bornes exprimées en</span>
+              <select className={inputCls} value={draft.basis} onChange={(e) => setDraft({ ...draft, basis: e.target.value })}>
+                {Object.entries(ZONE_BASES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+              </select>
+            </label>
+          </div>
+
+          <table className="w-full border-collapse">
+            <thead>
+              <tr className="text-left text-slate-500">
+                <th scope="col" className="pr-2 font-semibold">Zone</th>
+                <th scope="col" className="pr-2 font-semibold">Libellé</th>
+                <th scope="col" className="pr-2 font-semibold">Détermination (vide = automatique)</th>
+                <th scope="col" className="font-semibold">Borne haute</th>
+              </tr>
+            </thead>
+            <tbody>
+              {draft.zones.map((z, i) => (
+                <tr key={i} className="align-top">
+                  <td className="pr-2 py-1 whitespace-nowrap">
+                    <span className="dot inline-block mr-1" style={{ background: ZCOL_CHART[`Z${i + 1}`] }} aria-hidden="true" />
+                    <b>Z{i + 1}</b>
+                  </td>
+                  <td className="pr-2 py-1">
+                    <input className={inputCls} value={z.label} onChange={(e) => setZone(i, { label: e.target.value })} />
+                  </td>
+                  <td className="pr-2 py-1">
+                    <input className={inputCls} value={z.det} onChange={(e) => setZone(i, { det: e.target.value })} />
+                  </td>
+                  <td className="py-1">
+                    {i < draft.bounds.length ? (
+                      <>
+                        <input
+                          className={`${inputCls} font-mono`}
+                          value={draft.bounds[i]}
+                          onChange={(e) => setBound(i, e.target.value)}
+                          aria-label={`Borne entre Z${i + 1} et Z${i + 2}`}
+                        />
+                        {preview && (
+                          <span className="text-slate-500">
+                            {preview.fc[i]} bpm / {fmtS(preview.s[i])} {intensityUnit}
+                          </span>
+                        )}
+                      </>
+                    ) : (
+                      <span className="text-slate-400">(zone ouverte)</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="mt-1 text-slate-500">
+            Variables : {Object.entries(ZONE_VARS).map(([k, d]) => <span key={k} className="mr-3"><code>{k}</code> {d}</span>)}
+            <br />
+            Exemples : <code>(V1+V2)/2</code>, <code>0.8*peak</code>, <code>rest + 0.7*(peak - rest)</code>, <code>1.05*V2</code>
+          </div>
+
+          {errors.length > 0 && (
+            <ul className="mt-2 text-red-800 list-disc list-inside">
+              {errors.map((e, i) => <li key={i}>{e}</li>)}
+            </ul>
+          )}
+
+          <div className="flex flex-wrap gap-2 mt-3">
+            <button
+              type="button"
+              onClick={addZone}
+              disabled={draft.zones.length >= MAX_ZONES}
+              className="px-3 py-1 rounded-xl font-extrabold border border-slate-300 bg-white hover:bg-slate-50"
+            >
+              + Zone
+            </button>
+            <button
+              type="button"
+              onClick={removeZone}
+              disabled={draft.zones.length <= 2}
+              className="px-3 py-1 rounded-xl font-extrabold border border-slate-300 bg-white hover:bg-slate-50"
+            >
+              − Zone
+            </button>
+            <span className="flex-1" />
+            <button type="button" onClick={() => setDraft(null)} className="text-slate-500 hover:text-slate-800 underline">
+              Annuler
+            </button>
+            <button
+              type="button"
+              onClick={() => { onSelect(asModel(draft)); setDraft(null); }}
+              disabled={errors.length > 0}
+              className="px-3 py-1 rounded-xl font-extrabold border border-slate-300 bg-white hover:bg-slate-50"
+            >
+              Appliquer
+            </button>
+            <button
+              type="button"
+              onClick={save}
+              disabled={errors.length > 0}
+              className={`px-3 py-1 rounded-xl font-extrabold text-white ${errors.length ? "bg-slate-400 cursor-not-allowed" : "bg-blue-600 hover:bg-blue-700"}`}
+            >
+              Enregistrer le preset
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+ZoneModelEditor.propTypes = {
+  model: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    custom: PropTypes.bool,
+    basis: PropTypes.string.isRequired,
+    bounds: PropTypes.arrayOf(PropTypes.string).isRequired,
+  }).isRequired,
+  presets: PropTypes.arrayOf(PropTypes.object).isRequired,
+  vars: PropTypes.shape({ fc: PropTypes.object.isRequired, s: PropTypes.object.isRequired }).isRequired,
+  intensityUnit: PropTypes.string.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onSavePreset: PropTypes.func.isRequired,
+  onDeletePreset: PropTypes.func.isRequired,
+};
@@ -0,0 +1,178 @@
+import { safeNum } from "../validation.js";
+
+// ==========================================
+// OUTILS COMMUNS AUX ADAPTATEURS
+// ==========================================
+// Tous les adaptateurs produisent la même forme :
+// { patient, test, vt1, vt2, peakVO2, measurements, testType }
+// Chaque mesure porte les colonnes canoniques "V'O2", "V'CO2", "V'E", "FC",
+// "v" (km/h) et "TT" (W), plus timeSeconds, vo2, fc, ve et phase
+// ("Repos" / "Exercice" / "Rétablissement"). "RER", "VT" (volume courant, L),
+// "PetO2" et "PetCO2" (mmHg) suivent quand l'appareil les exporte.
+
+export const emptyData = () => ({
+  patient: {},
+  test: {},
+  vt1: {},
+  vt2: {},
+  peakVO2: {},
+  measurements: [],
+  testType: "run",
+});
+
+export const norm = (s) =>
+  String(s ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[:.]+$/, "")
+    .trim()
+    .toLowerCase();
+
+// Cherche la clé canonique d'un libellé à partir d'une table d'alias
+export const matchAlias = (label, aliases) => {
+  const n = norm(label);
+  return Object.keys(aliases).find((k) => aliases[k].some((a) => norm(a) === n)) || null;
+};
+
+export const bytesToText = (bytes) => {
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    // Exports Windows plus anciens
+    return new TextDecoder("windows-1252").decode(bytes);
+  }
+};
+
+export const inputText = (input) => {
+  if (typeof input.text === "string") return input.text;
+  return input.bytes ? bytesToText(input.bytes) : "";
+};
+
+/**
+ * Durée en secondes : "h:mm:ss,ms", "mm:ss", "hh:mm:ss.s" ou fraction de jour Excel.
+ */
+export const parseClock = (value) => {
+  const s = String(value ?? "").trim();
+  if (!s) return NaN;
+  if (!s.includes(":")) {
+    const n = safeNum(s, NaN);
+    return Number.isFinite(n) && n < 1 ? n * 86400 : n;
+  }
+  const parts = s.split(":").map((p) => parseFloat(p.replace(",", ".")));
+  if (parts.some((p) => !Number.isFinite(p))) return NaN;
+  return parts.reduce((acc, p) => acc * 60 + p, 0);
+};
+
+const PHASES = {
+  Repos: ["repos", "rest", "ruhe", "pre-test", "baseline"],
+  Rétablissement: ["retablissement", "recuperation", "recovery", "erholung", "nachbelastung"],
+};
+
+// Phase vendeur → phase canonique utilisée par getExData
+export const canonicalPhase = (phase) => {
+  const n = norm(phase);
+  if (!n) return "";
+  const hit = Object.keys(PHASES).find((k) => PHASES[k].some((a) => n.includes(a)));
+  return hit || "Exercice";
+};
+
+/**
+ * Construit une mesure canonique à partir d'une ligne brute.
+ * @param {object} raw colonnes vendeur → valeur
+ * @param {object} columns clé canonique → nom de colonne vendeur
+ * @param {{vo2Factor?: number}} opts conversion d'unité de V'O2/V'CO2
+ */
+export const toMeasurement = (raw, columns, { vo2Factor = 1 } = {}) => {
+  const m = { ...raw };
+  const get = (k) => (columns[k] ? raw[columns[k]] : undefined);
+
+  m.timeSeconds = parseClock(get("t"));
+  m["V'O2"] = columns.vo2 ? String(safeNum(get("vo2")) * vo2Factor) : "";
+  m["V'CO2"] = columns.vco2 ? String(safeNum(get("vco2")) * vo2Factor) : "";
+  m["V'E"] = get("ve") ?? "";
+  m["FC"] = get("fc") ?? "";
+  if (columns.vo2kg) m["V'O2/kg"] = get("vo2kg") ?? "";
+  if (columns.vitesse) m["v"] = get("vitesse") ?? "";
+  if (columns.power) m["TT"] = get("power") ?? "";
+  if (columns.rer) m["RER"] = get("rer") ?? "";
+  if (columns.vt) m["VT"] = get("vt") ?? "";
+  if (columns.peto2) m["PetO2"] = get("peto2") ?? "";
+  if (columns.petco2) m["PetCO2"] = get("petco2") ?? "";
+
+  m.vo2 = safeNum(m["V'O2"]);
+  m.fc = safeNum(m["FC"]);
+  m.ve = safeNum(m["V'E"]);
+  m.phase = canonicalPhase(get("phase"));
+  return m;
+};
+
+// Certains appareils exportent V'O2 en mL/min : on ramène en L/min
+export const vo2UnitFactor = (values) => {
+  const nums = values.map((v) => safeNum(v, NaN)).filter(Number.isFinite).sort((a, b) => a - b);
+  const median = nums.length ? nums[Math.floor(nums.length / 2)] : 0;
+  return median > 20 ? 0.001 : 1;
+};
+
+// Valeurs d'une mesure sous la forme d'un seuil { fc, vo2, vitesse, power, ve, vo2kg }
+export const thresholdFromMeasurement = (m, poids) => ({
+  fc: String(Math.round(m.fc)),
+  vo2: String(Math.round(m.vo2 * 100) / 100),
+  vo2kg: m["V'O2/kg"] || (poids > 0 ? String(Math.round((m.vo2 * 10000) / poids) / 10) : ""),
+  ve: String(m.ve),
+  vitesse: m["v"] ?? "",
+  power: m["TT"] ?? "",
+});
+
+/**
+ * Pic de VO2 (moyenne glissante 30 s) si l'export ne fournit pas de résumé.
+ */
+export const fillPeakFromMeasurements = (data) => {
+  if (safeNum(data.peakVO2.vo2) > 0 || !data.measurements.length) return data;
+
+  const pts = data.measurements.filter((m) => Number.isFinite(m.timeSeconds) && m.vo2 > 0);
+  let best = null;
+  let st = 0;
+  let sum = 0;
+  pts.forEach((m, i) => {
+    sum += m.vo2;
+    while (m.timeSeconds - pts[st].timeSeconds > 30) sum -= pts[st++].vo2;
+    const avg = sum / (i - st + 1);
+    if (!best || avg > best.avg) best = { avg, m };
+  });
+  if (!best) return data;
+
+  const poids = safeNum(data.patient.poids);
+  data.peakVO2 = {
+    ...data.peakVO2,
+    vo2: String(Math.round(best.avg * 100) / 100),
+    vo2kg: poids > 0 ? String(Math.round((best.avg * 10000) / poids) / 10) : "",
+    fc: String(Math.max(...pts.map((m) => m.fc))),
+    vitesse: best.m["v"] ?? "",
+    power: best.m["TT"] ?? "",
+    source: "mesures",
+  };
+  return data;
+};
+
+// Course si une vitesse est mesurée, vélo si seule la puissance l'est
+export const detectTestType = (measurements) => {
+  const has = (k) => measurements.some((m) => safeNum(m[k]) > 0);
+  return has("TT") && !has("v") ? "bike" : "run";
+};
+
+// Dates vendeur (ISO, jj.mm.aaaa, jj/mm/aaaa) → jj/mm/aaaa attendu par calcAge
+export const toFrenchDate = (value) => {
+  const s = String(value ?? "").trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return `${m[3].padStart(2, "0")}/${m[2].padStart(2, "0")}/${m[1]}${s.slice(m[0].length).replace(/^T/, " ")}`;
+  m = s.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})/);
+  if (m) return `${m[1].padStart(2, "0")}/${m[2].padStart(2, "0")}/${m[3]}${s.slice(m[0].length)}`;
+  return s;
+};
+
+export const canonicalSex = (value) => {
+  const n = norm(value);
+  if (["f", "female", "femme", "feminin", "weiblich", "w"].includes(n)) return "femme";
+  if (["m", "male", "homme", "masculin", "mannlich", "h"].includes(n)) return "homme";
+  return value || "";
+};
@@ -0,0 +1,81 @@
+import { inputText } from "./common.js";
+import { parseTabular } from "./tabular.js";
+
+// ==========================================
+// CORTEX METASOFT STUDIO (.csv)
+// ==========================================
+// Export texte : lignes « libellé;valeur » puis tableau de mesures
+// (t, Phase, V'O2, V'CO2, V'E, HF…), séparateur ; , ou tabulation.
+
+const ALIASES = {
+  patient: {
+    nom: ["Name", "Last name", "Nachname", "Nom"],
+    prenom: ["First name", "Vorname", "Prénom"],
+    dateNaissance: ["Date of birth", "Geburtsdatum", "Date de naissance"],
+    sexe: ["Sex", "Gender", "Geschlecht", "Sexe"],
+    poids: ["Weight", "Body weight", "Gewicht", "Poids"],
+  },
+  test: {
+    date: ["Test date", "Date", "Testdatum", "Datum"],
+    heure: ["Start time", "Time", "Startzeit", "Heure de début"],
+  },
+  columns: {
+    t: ["t", "Time", "Zeit"],
+    phase: ["Phase"],
+    marker: ["Marker", "Event", "Ereignis"],
+    vo2: ["V'O2"],
+    vco2: ["V'CO2"],
+    ve: ["V'E"],
+    fc: ["HF", "HR", "FC"],
+    vo2kg: ["V'O2/kg"],
+    rer: ["RER", "RQ"],
+    vt: ["VT", "V'T"],
+    peto2: ["PETO2", "PET O2"],
+    petco2: ["PETCO2", "PET CO2"],
+    vitesse: ["v", "Speed", "Geschw."],
+    power: ["WR", "P", "Load", "Last", "TT"],
+  },
+};
+
+const detectSeparator = (lines) => {
+  const sample = lines.slice(0, 50).join("\n");
+  const counts = [";", "\t", ","].map((sep) => [sep, sample.split(sep).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+};
+
+// Découpe CSV avec prise en charge des guillemets
+const splitCsvLine = (line, sep) => {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      if (quoted && line[i + 1] === '"') { cur += '"'; i++; } else quoted = !quoted;
+    } else if (ch === sep && !quoted) {
+      out.push(cur.trim());
+      cur = "";
+    } else {
+      cur += ch;
+    }
+  }
+  out.push(cur.trim());
+  return out;
+};
+
+export default {
+  id: "cortex-csv",
+  label: "Cortex MetaSoft Studio (.csv)",
+  extensions: [".csv", ".txt"],
+  binary: false,
+  detect: (input) => {
+    if (!/\.(csv|txt)$/i.test(input.name || ".csv")) return false;
+    const head = inputText(input).slice(0, 20000);
+    return !head.trimStart().startsWith("<") && head.includes("V'O2");
+  },
+  parse: (input) => {
+    const lines = inputText(input).replace(/^\uFEFF/, "").split(/\r?\n/);
+    const sep = detectSeparator(lines);
+    return parseTabular(lines.map((l) => splitCsvLine(l, sep)), ALIASES);
+  },
+};
@@ -0,0 +1,61 @@
+import { parseTabular } from "./tabular.js";
+import { isZip, readXlsxRows } from "./xlsx.js";
+
+// ==========================================
+// COSMED OMNIA (.xlsx)
+// ==========================================
+// Fiche patient en colonnes A/B, tableau breath-by-breath à droite
+// (en-tête t, VO2, VCO2, VE, HR…, ligne d'unités, V'O2 en mL/min).
+
+const ALIASES = {
+  patient: {
+    nom: ["Last Name", "Surname", "Nom"],
+    prenom: ["First Name", "Prénom"],
+    dateNaissance: ["D.O.B.", "Date of Birth", "Birth Date", "Date de naissance"],
+    sexe: ["Gender", "Sex", "Sexe"],
+    poids: ["Weight (kg)", "Weight", "Poids (kg)", "Poids"],
+  },
+  test: {
+    date: ["Test Date", "Date du test"],
+    heure: ["Test Time", "Heure du test"],
+  },
+  columns: {
+    t: ["t"],
+    phase: ["Phase"],
+    marker: ["Marker", "Marqueur"],
+    vo2: ["VO2"],
+    vco2: ["VCO2"],
+    ve: ["VE"],
+    fc: ["HR", "FC"],
+    vo2kg: ["VO2/Kg", "VO2/kg"],
+    rer: ["R", "RQ", "RER"],
+    vt: ["Vt", "VT"],
+    peto2: ["PetO2", "PETO2"],
+    petco2: ["PetCO2", "PETCO2"],
+    vitesse: ["Speed", "Velocity", "Vitesse"],
+    power: ["Power", "Load", "Work Rate", "Puissance"],
+  },
+};
+
+// Numéro de série Excel (jours depuis 1899-12-30) → aaaa-mm-jj / hh:mm
+const excelSerial = (key, value) => {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return value;
+  if ((key === "dateNaissance" || key === "date") && n > 1000) {
+    return new Date(Date.UTC(1899, 11, 30) + Math.round(n) * 86400000).toISOString().slice(0, 10);
+  }
+  if (key === "heure" && n < 1) {
+    const min = Math.round(n * 1440);
+    return `${String(Math.floor(min / 60)).padStart(2, "0")}:${String(min % 60).padStart(2, "0")}`;
+  }
+  return value;
+};
+
+export default {
+  id: "cosmed-xlsx",
+  label: "COSMED Omnia (.xlsx)",
+  extensions: [".xlsx"],
+  binary: true,
+  detect: (input) => isZip(input.bytes) && /\.xlsx$/i.test(input.name || ".xlsx"),
+  parse: (input) => parseTabular(readXlsxRows(input.bytes), ALIASES, { convertValue: excelSerial }),
+};
@@ -0,0 +1,59 @@
+import { ValidationError } from "../validation.js";
+import { fillPeakFromMeasurements, inputText } from "./common.js";
+import spreadsheetml from "./spreadsheetml.js";
+import cosmedXlsx from "./cosmedXlsx.js";
+import cortexCsv from "./cortexCsv.js";
+
+// ==========================================
+// ADAPTATEURS D'EXPORT (CHARIOTS MÉTABOLIQUES)
+// ==========================================
+// Un adaptateur est un objet :
+//   { id, label, extensions, binary, detect(input), parse(input) }
+// input : { name?, text?, bytes? } ; parse renvoie
+//   { patient, test, vt1, vt2, peakVO2, measurements, testType }
+// Pour ajouter un format, l'enregistrer dans ADAPTERS (ordre = priorité).
+
+export const ADAPTERS = [spreadsheetml, cosmedXlsx, cortexCsv];
+
+export const SUPPORTED_EXTENSIONS = [...new Set(ADAPTERS.flatMap((a) => a.extensions))];
+
+export const isBinaryExport = (name) =>
+  ADAPTERS.some((a) => a.binary && a.extensions.some((ext) => String(name).toLowerCase().endsWith(ext)));
+
+export const detectAdapter = (input) => ADAPTERS.find((a) => {
+  try {
+    return a.detect(input);
+  } catch {
+    return false;
+  }
+}) || null;
+
+/**
+ * Détecte le format puis parse l'export.
+ * @param {{name?: string, text?: string, bytes?: Uint8Array}} input
+ * @throws {ValidationError}
+ */
+export const parseExport = (input) => {
+  if (!input || (!input.bytes?.length && !input.text)) {
+    throw new ValidationError("Contenu du fichier invalide ou vide");
+  }
+
+  const adapter = detectAdapter(input);
+  if (!adapter) {
+    // Compatibilité : un texte XML sans nom passe par l'adaptateur historique
+    if (!input.name && inputText(input).trimStart().startsWith("<")) return spreadsheetml.parse(input);
+    throw new ValidationError("Format de fichier non reconnu", [
+      `Formats pris en charge : ${ADAPTERS.map((a) => a.label).join(", ")}`,
+    ]);
+  }
+
+  let data;
+  try {
+    data = adapter.parse(input);
+  } catch (e) {
+    if (e instanceof ValidationError) throw e;
+    throw new ValidationError(`Erreur de lecture (${adapter.label}): ${e.message}`);
+  }
+  data.source = adapter.id;
+  return fillPeakFromMeasurements(data);
+};
@@ -0,0 +1,18 @@
+import { parseXMLSafe } from "../parser.js";
+import { inputText } from "./common.js";
+
+// ==========================================
+// SPREADSHEETML 2003 (.xml, format historique)
+// ==========================================
+
+export default {
+  id: "spreadsheetml",
+  label: "Export SpreadsheetML (.xml)",
+  extensions: [".xml"],
+  binary: false,
+  detect: (input) => {
+    const head = inputText(input).slice(0, 4000);
+    return head.trimStart().startsWith("<") && (/<Workbook\b/.test(head) || head.includes("office:spreadsheet"));
+  },
+  parse: (input) => parseXMLSafe(inputText(input)),
+};
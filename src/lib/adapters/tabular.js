@@ -0,0 +1,105 @@
+import { ValidationError } from "../validation.js";
+import {
+  canonicalSex,
+  detectTestType,
+  emptyData,
+  matchAlias,
+  norm,
+  parseClock,
+  thresholdFromMeasurement,
+  toFrenchDate,
+  toMeasurement,
+  vo2UnitFactor,
+} from "./common.js";
+
+// ==========================================
+// EXPORTS TABULAIRES (XLSX, CSV)
+// ==========================================
+// Métadonnées en paires « libellé ; valeur », puis un tableau de mesures
+// dont l'en-tête contient au moins t, V'O2 et FC.
+
+const MARKERS = {
+  vt1: ["at", "vt1", "v1", "s1", "at1", "vat", "lt1"],
+  vt2: ["rc", "rcp", "vt2", "v2", "s2", "at2", "lt2"],
+};
+
+const headerColumns = (row, columnAliases) => {
+  const cols = {};
+  row.forEach((cell, i) => {
+    const k = matchAlias(cell, columnAliases);
+    if (k && cols[k] === undefined) cols[k] = i;
+  });
+  return cols;
+};
+
+/**
+ * @param {string[][]} rows lignes brutes
+ * @param {{patient: object, test: object, columns: object}} aliases
+ *   tables d'alias clé canonique → libellés vendeur
+ * @param {{convertValue?: (key: string, value: string) => string}} opts
+ */
+export const parseTabular = (rows, aliases, { convertValue = (k, v) => v } = {}) => {
+  const data = emptyData();
+
+  const headerIdx = rows.findIndex((r) => {
+    const c = headerColumns(r, aliases.columns);
+    return c.t !== undefined && c.vo2 !== undefined && c.fc !== undefined;
+  });
+  if (headerIdx < 0) throw new ValidationError("Tableau de mesures introuvable (colonnes t, VO2, FC)");
+
+  const headerRow = rows[headerIdx];
+  const cols = headerColumns(headerRow, aliases.columns);
+  const startCol = Math.min(...Object.values(cols));
+
+  // Métadonnées : à gauche du tableau, ou au-dessus s'il commence en colonne A
+  rows.forEach((r, ri) => {
+    const limit = ri < headerIdx ? r.length : startCol;
+    for (let c = 0; c + 1 < limit; c++) {
+      const value = String(r[c + 1] ?? "").trim();
+      if (!value) continue;
+      const pk = matchAlias(r[c], aliases.patient);
+      if (pk && !data.patient[pk]) data.patient[pk] = convertValue(pk, value);
+      const tk = matchAlias(r[c], aliases.test);
+      if (tk && !data.test[tk]) data.test[tk] = convertValue(tk, value);
+    }
+  });
+
+  data.patient.dateNaissance = toFrenchDate(data.patient.dateNaissance);
+  data.patient.sexe = canonicalSex(data.patient.sexe);
+  data.test.dateHeure = toFrenchDate([data.test.date, data.test.heure].filter(Boolean).join(" "));
+
+  const names = {};
+  Object.entries(cols).forEach(([k, i]) => (names[k] = headerRow[i]));
+
+  const raws = [];
+  for (let ri = headerIdx + 1; ri < rows.length; ri++) {
+    const r = rows[ri];
+    const t = parseClock(r[cols.t]);
+    if (!Number.isFinite(t)) {
+      // Ligne d'unités sous l'en-tête, sinon fin du tableau
+      if (raws.length) break;
+      continue;
+    }
+    const raw = {};
+    headerRow.forEach((h, i) => {
+      if (i >= startCol && h) raw[h] = r[i] ?? "";
+    });
+    raws.push(raw);
+  }
+
+  const vo2Factor = vo2UnitFactor(raws.map((r) => r[names.vo2]));
+  data.measurements = raws.map((raw) => toMeasurement(raw, names, { vo2Factor }));
+
+  if (names.marker) {
+    const poids = parseFloat(String(data.patient.poids).replace(",", "."));
+    data.measurements.forEach((m) => {
+      const mk = norm(m[names.marker]);
+      Object.keys(MARKERS).forEach((k) => {
+        if (MARKERS[k].includes(mk) && !data[k].fc) data[k] = thresholdFromMeasurement(m, poids);
+      });
+    });
+  }
+
+  data.testType = detectTestType(data.measurements);
+  return data;
+};
@@ -0,0 +1,61 @@
+import { DOMParser as XmlDomParser } from "@xmldom/xmldom";
+import PizZip from "pizzip";
+
+// ==========================================
+// LECTURE XLSX MINIMALE (première feuille)
+// ==========================================
+
+const parseXml = (text) => new (globalThis.DOMParser || XmlDomParser)().parseFromString(text, "text/xml");
+
+const byTag = (node, tag) => Array.from(node.getElementsByTagName(tag));
+
+const colIndex = (ref) => {
+  const letters = String(ref).match(/^[A-Z]+/)?.[0] || "A";
+  return letters.split("").reduce((acc, c) => acc * 26 + (c.charCodeAt(0) - 64), 0) - 1;
+};
+
+export const isZip = (bytes) => bytes?.length > 4 && bytes[0] === 0x50 && bytes[1] === 0x4b;
+
+const firstSheetPath = (zip) => {
+  const wb = zip.file("xl/workbook.xml");
+  const rels = zip.file("xl/_rels/workbook.xml.rels");
+  if (!wb || !rels) return "xl/worksheets/sheet1.xml";
+
+  const sheet = byTag(parseXml(wb.asText()), "sheet")[0];
+  const rid = sheet?.getAttribute("r:id");
+  const rel = byTag(parseXml(rels.asText()), "Relationship").find((r) => r.getAttribute("Id") === rid);
+  const target = rel?.getAttribute("Target");
+  if (!target) return "xl/worksheets/sheet1.xml";
+  return target.startsWith("/") ? target.slice(1) : `xl/${target.replace(/^\.\//, "")}`;
+};
+
+/**
+ * Lignes de la première feuille d'un classeur .xlsx, en tableaux de chaînes.
+ * @param {Uint8Array|ArrayBuffer} bytes
+ * @returns {string[][]}
+ */
+export const readXlsxRows = (bytes) => {
+  const zip = new PizZip(bytes);
+
+  const sst = zip.file("xl/sharedStrings.xml");
+  const shared = sst
+    ? byTag(parseXml(sst.asText()), "si").map((si) => byTag(si, "t").map((t) => t.textContent).join(""))
+    : [];
+
+  const sheet = zip.file(firstSheetPath(zip));
+  if (!sheet) throw new Error("Feuille de calcul introuvable dans le classeur");
+
+  return byTag(parseXml(sheet.asText()), "row").map((row) => {
+    const vals = [];
+    byTag(row, "c").forEach((c, i) => {
+      const ref = c.getAttribute("r");
+      const col = ref ? colIndex(ref) : i;
+      const type = c.getAttribute("t");
+      const v = byTag(c, "v")[0]?.textContent ?? "";
+      if (type === "s") vals[col] = shared[parseInt(v)] ?? "";
+      else if (type === "inlineStr") vals[col] = byTag(c, "t").map((t) => t.textContent).join("");
+      else vals[col] = v;
+    });
+    return Array.from(vals, (v) => v ?? "");
+  });
+};
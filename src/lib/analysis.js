@@ -0,0 +1,307 @@
+import { parseExport } from "./adapters/index.js";
+import { DEFAULT_AVERAGING, averageSeries, averagingLabel, normalizeAveraging } from "./averaging.js";
+import { MAX_PREVIOUS_TESTS, buildComparison, overlayPrevious } from "./compare.js";
+import { reportStrings } from "./i18n.js";
+import { buildLactate } from "./lactate.js";
+import { classifyVO2 } from "./norms.js";
+import { checkTestQuality } from "./quality.js";
+import { DEFAULT_REC_RULES, REC_KEYS, applyRules } from "./recRules.js";
+import { detectStages } from "./stages.js";
+import { buildSubstrates } from "./substrates.js";
+import { detectThresholds } from "./thresholds.js";
+import { safeNum, validateParsedData } from "./validation.js";
+import { buildWasserman } from "./wasserman.js";
+import { buildZoneSegments, buildZoneTable, getZoneModel, zoneModelName } from "./zones.js";
+
+// ==========================================
+// CALCULS
+// ==========================================
+/**
+ * Date d'export → Date : ISO (aaaa-mm-jj), jj.mm.aaaa, jj/mm/aaaa ou mm/jj/aaaa.
+ * L'ordre jour/mois suit la langue de l'export, sauf si une valeur > 12 le tranche.
+ * @param {string} value
+ * @param {"dmy"|"mdy"} order
+ * @returns {Date|null}
+ */
+export const parseDate = (value, order = "dmy") => {
+  const s = String(value || "").trim().split(/[ T]/)[0];
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (m) return new Date(+m[1], +m[2] - 1, +m[3]);
+
+  m = s.match(/^(\d{1,2})([./-])(\d{1,2})\2(\d{4})$/);
+  if (!m) return null;
+  let [a, b] = [+m[1], +m[3]];
+  // Le point est toujours jour.mois ; sinon on suit l'ordre de la langue
+  const mdy = m[2] !== "." && (b > 12 || (order === "mdy" && a <= 12));
+  if (mdy) [a, b] = [b, a];
+  return new Date(+m[4], b - 1, a);
+};
+
+export const calcAge = (birth, test, order = "dmy") => {
+  const b = parseDate(birth, order);
+  if (!b) return 0;
+  const t = (test && parseDate(test, order)) || new Date();
+  let age = t.getFullYear() - b.getFullYear();
+  if (t.getMonth() < b.getMonth() || (t.getMonth() === b.getMonth() && t.getDate() < b.getDate())) age--;
+  return Math.round(age * 10) / 10;
+};
+
+// Phases canoniques (« Repos », « Exercice », « Rétablissement ») posées par les adaptateurs
+export const getExData = (m) => {
+  const ex = m.filter((x) => x.phase && !x.phase.includes("Repos") && !x.phase.includes("Rétablissement"));
+  if (!ex.length) return m.filter((x) => x.phase && !x.phase.includes("Repos")).slice(0, 500);
+  const t0 = ex[0]?.timeSeconds || 0;
+  return ex.map((x) => ({ ...x, timeSeconds: x.timeSeconds - t0 }));
+};
+
+// ==========================================
+// SEUILS CALCULÉS (si absents du Tableau Résumé)
+// ==========================================
+export const hasThreshold = (vt) => safeNum(vt?.fc) > 0;
+
+export const applyAutoThresholds = (data) => {
+  const auto = detectThresholds(getExData(data.measurements), { poids: safeNum(data.patient.poids) });
+  data.autoThresholds = auto;
+  if (!auto) return data;
+
+  const fmt = (v, digits) => (Number.isFinite(v) ? String(Math.round(v * 10 ** digits) / 10 ** digits) : "");
+  let applied = false;
+
+  ["vt1", "vt2"].forEach((k) => {
+    const r = auto[k];
+    if (hasThreshold(data[k]) || !r) return;
+    data[k] = {
+      ...data[k],
+      fc: String(r.fc),
+      vo2: fmt(r.vo2, 2),
+      vo2kg: fmt(r.vo2kg, 1),
+      ve: fmt(r.ve, 1),
+      vitesse: fmt(r.vitesse, 1),
+      power: fmt(r.power, 0),
+      source: "auto",
+    };
+    applied = true;
+  });
+
+  // Sans ligne v/TT dans le résumé, le type de test se déduit des mesures
+  if (applied && data.testType === "run" && !(safeNum(data.vt1.vitesse) > 0) && safeNum(data.vt1.power) > 0) {
+    data.testType = "bike";
+  }
+  return data;
+};
+
+/**
+ * VO2, FC et V'E lissés pour les graphiques (vo2S, fcS, veS), voir averageSeries.
+ * @param {object[]} d mesures de la phase d'effort
+ * @param {{method?: string, window?: number}|number} [averaging] méthode et fenêtre, ou fenêtre glissante en secondes
+ */
+export const smooth = (d, averaging = DEFAULT_AVERAGING) =>
+  averageSeries(d, typeof averaging === "number" ? { method: "rolling", window: averaging } : averaging);
+
+/**
+ * Recommandations d'entraînement, d'après le jeu de règles (règles par défaut si absent).
+ * @param {object} [ctx] s2, vo2, age, sex, sportType, goal, rules (jeu de règles)
+ * @returns {{ana: string, pri: string, comp: string, hi: string, spec: string, fu: string}}
+ */
+export const genRec = (fc1, fc2, s1, vo2kg, testType = "run", lang = "fr", ctx = {}) => {
+  const { rules = DEFAULT_REC_RULES, s2 = s1, vo2 = 0, ...athlete } = ctx;
+  const out = applyRules(rules, { fc1, fc2, s1, s2, vo2, vo2kg, testType, ...athlete }, lang);
+  return Object.fromEntries(REC_KEYS.map((k) => [k, out[k].text]));
+};
+
+/**
+ * Variables des bornes de zones (V1, V2, peak, rest), en FC et en vitesse/puissance.
+ * peak : maximum du test ; rest : FC de repos (phase « Repos », sinon minimum de l'effort).
+ */
+export const zoneVariables = (data, th, isBike) => {
+  const ex = getExData(data.measurements);
+  const fcs = (list) => list.map((m) => m.fc).filter((v) => v > 0);
+  const restFc = fcs(data.measurements.filter((m) => m.phase?.includes("Repos")));
+  const exFc = fcs(ex);
+  const sKey = isBike ? "TT" : "v";
+  return {
+    fc: {
+      V1: th.vt1.fc,
+      V2: th.vt2.fc,
+      peak: Math.max(safeNum(data.peakVO2.fc), ...exFc),
+      // Sans FC mesurée, pas de FC de repos (Math.min() vaudrait Infinity)
+      rest: restFc.length || exFc.length ? Math.min(...(restFc.length ? restFc : exFc)) : NaN,
+    },
+    s: {
+      V1: th.vt1.s,
+      V2: th.vt2.s,
+      peak: Math.max(0, ...ex.map((m) => safeNum(m[sKey]))),
+      rest: 0,
+    },
+  };
+};
+
+// ==========================================
+// PIPELINE D'ANALYSE (sans React ni DOM)
+// ==========================================
+
+/**
+ * Parse (format détecté), complète (seuils calculés) et valide un export.
+ * @param {string|{name?: string, text?: string, bytes?: Uint8Array}} input
+ *   texte XML historique, ou fichier pour la détection du format
+ * @throws {ValidationError}
+ */
+export const parseTest = (input) => {
+  const data = applyAutoThresholds(parseExport(typeof input === "string" ? { text: input } : input));
+  validateParsedData(data);
+  return data;
+};
+
+/**
+ * Construit l'objet d'analyse complet à partir des données parsées.
+ * @param {object} data résultat de parseTest
+ * @param {object} [options]
+ * @param {string} [options.sportType] "endurance" ou "other" : modèle de zones par défaut
+ * @param {object|null} [options.zoneModel] modèle de zones (prédéfini ou personnalisé)
+ * @param {{vt1?: object|null, vt2?: object|null}} [options.overrides] seuils ajustés manuellement, {t, fc, s}
+ * @param {string} [options.lang] langue du rapport ("fr", "en", "de")
+ * @param {object[]} [options.previous] tests précédents (résultats de parseTest) à comparer
+ * @param {object[]} [options.previousAnalyses] analyses déjà faites des tests précédents (analyzePrevious), à la place de previous
+ * @param {boolean} [options.showEvolution] section « Évolution » dans le rapport
+ * @param {object} [options.recEdits] paragraphes de recommandation réécrits ({ana, pri…}), texte vide = supprimé
+ * @param {string} [options.comment] commentaire du médecin
+ * @param {object} [options.recRules] jeu de règles de recommandation (règles par défaut si absent)
+ * @param {string} [options.goal] objectif de l'athlète ("health", "performance", "competition")
+ * @param {boolean} [options.pediatricNorms] normes pédiatriques (FITNESSGRAM) pour les moins de 18 ans
+ * @param {boolean} [options.wassermanPage] page « Graphiques de Wasserman » dans le rapport
+ * @param {Object<string, number|string>} [options.lactate] lactate capillaire (mmol/L) par n° de palier
+ * @param {boolean} [options.qualitySection] section « Qualité du test » dans le rapport
+ * @param {{method: string, window: number}} [options.averaging] moyennage des courbes VO2/FC (voir AVERAGING_METHODS)
+ */
+export const buildAnalysis = (
+  data,
+  {
+    sportType = "endurance",
+    zoneModel = null,
+    overrides = {},
+    lang = "fr",
+    previous = [],
+    previousAnalyses = null,
+    showEvolution = true,
+    recEdits = {},
+    comment = "",
+    recRules = DEFAULT_REC_RULES,
+    goal = "performance",
+    pediatricNorms = false,
+    wassermanPage = false,
+    lactate = {},
+    qualitySection = false,
+    averaging = DEFAULT_AVERAGING,
+  } = {},
+) => {
+  const txt = reportStrings(lang);
+  const name = `${data.patient.nom || ""} ${data.patient.prenom || ""}`.trim() || "Patient";
+  const age = calcAge(data.patient.dateNaissance, data.test.dateHeure, data.dateOrder);
+  const poids = data.patient.poids || "-";
+
+  const testType = data.testType || "run";
+  const isBike = testType === "bike";
+
+  const vo2 = safeNum(data.peakVO2.vo2);
+  const vo2kg = safeNum(data.peakVO2.vo2kg);
+
+  const avg = normalizeAveraging(averaging);
+  const cd = smooth(getExData(data.measurements), avg);
+
+  // Seuils effectifs : valeurs du fichier, remplacées par les ajustements manuels
+  const th = ["vt1", "vt2"].reduce((acc, k) => {
+    const fc = safeNum(data[k].fc);
+    acc[k] = overrides[k] || {
+      t: cd.find((p) => p.fc >= fc)?.timeSeconds || 0,
+      fc,
+      s: isBike ? safeNum(data[k].power) : safeNum(data[k].vitesse),
+    };
+    return acc;
+  }, {});
+  const manual = { vt1: !!overrides.vt1, vt2: !!overrides.vt2 };
+
+  const fc1 = th.vt1.fc;
+  const fc2 = th.vt2.fc;
+  const s1 = th.vt1.s;
+  const s2 = th.vt2.s;
+
+  // Recommandations : texte généré, remplacé par les paragraphes réécrits
+  const recVars = { fc1, fc2, s1, s2, vo2, vo2kg, testType, age: age || NaN, sex: data.patient.sexe, sportType, goal };
+  const recAuto = genRec(fc1, fc2, s1, vo2kg, testType, lang, { ...recVars, rules: recRules });
+  const recManual = Object.fromEntries(REC_KEYS.map((k) => [k, typeof recEdits[k] === "string"]));
+  const rec = { ...recAuto, ...Object.fromEntries(REC_KEYS.filter((k) => recManual[k]).map((k) => [k, recEdits[k]])) };
+
+  const model = zoneModel || getZoneModel(sportType);
+  const zoneVars = zoneVariables(data, th, isBike);
+  const zones = buildZoneTable(model, zoneVars, { testType, lang });
+  const stages = detectStages(getExData(data.measurements), { isBike, poids: safeNum(data.patient.poids) });
+
+  const analysis = {
+    data,
+    sportType,
+    lang,
+    testDate: parseDate(data.test.dateHeure, data.dateOrder),
+    name,
+    age,
+    poids,
+    testType,
+    isBike,
+    intensityLabel: isBike ? txt.power : txt.speed,
+    intensityUnit: isBike ? "W" : "km/h",
+    vo2,
+    vo2kg,
+    th,
+    manual,
+    fc1,
+    fc2,
+    s1,
+    s2,
+    cd,
+    averaging: { ...avg, label: averagingLabel(avg, lang) },
+    rec,
+    recAuto,
+    recManual,
+    recVars,
+    comment: String(comment || "").trim(),
+    wasserman: { ...buildWasserman(getExData(data.measurements), { th, isBike }), include: wassermanPage },
+    quality: { ...checkTestQuality(getExData(data.measurements), { age, lang }), include: qualitySection },
+    norm: classifyVO2({ vo2kg, age, sex: data.patient.sexe, testType, lang, pediatric: pediatricNorms }),
+    stages,
+    substrates: buildSubstrates(stages.stages, { zones: zones.rows, vo2peak: vo2, isBike, lang }),
+    lactate: buildLactate(stages.stages, lactate, { vt: th, isBike, lang }),
+    zoneModel: model,
+    zoneModelName: zoneModelName(model, lang),
+    zoneVars,
+    zoneSegs: buildZoneSegments(cd, zones.fcBounds, zones.closed),
+    zonesTable: zones.rows,
+    zonesList: zones.rows.map((z) => z.z),
+    comparison: null,
+  };
+  // Tests précédents : analyses fournies par l'appelant, sinon mêmes options que le test actuel
+  const prev = previousAnalyses || analyzePrevious(previous, { sportType, zoneModel, lang, recRules, goal, pediatricNorms, averaging: avg });
+  if (!prev.length) return analysis;
+  return {
+    ...analysis,
+    cd: overlayPrevious(cd, prev),
+    comparison: { ...buildComparison(analysis, prev), show: showEvolution },
+  };
+};
+
+/**
+ * Analyse les tests précédents avec les mêmes options que le test actuel, sans ses ajustements
+ * manuels ; à calculer une fois et à passer à buildAnalysis (options.previousAnalyses).
+ * @param {object[]} previous tests précédents (résultats de parseTest)
+ * @param {object} [options] options de buildAnalysis (sportType, zoneModel, lang, recRules, goal, pediatricNorms, averaging)
+ * @returns {object[]} analyses du plus récent au plus ancien, MAX_PREVIOUS_TESTS au plus
+ */
+export const analyzePrevious = (previous, { sportType, zoneModel, lang, recRules, goal, pediatricNorms, averaging } = {}) =>
+  previous
+    .map((d) => buildAnalysis(d, { sportType, zoneModel, lang, recRules, goal, pediatricNorms, averaging }))
+    .sort((a, b) => (b.testDate || 0) - (a.testDate || 0))
+    .slice(0, MAX_PREVIOUS_TESTS);
+
+/**
+ * Analyse complète d'un export : parseTest puis buildAnalysis.
+ * @example const analysis = analyzeTest(xml, { sportType: "endurance" });
+ */
+export const analyzeTest = (input, options = {}) => buildAnalysis(parseTest(input), options);
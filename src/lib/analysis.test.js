@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { analyzePrevious, buildAnalysis, calcAge } from "./analysis.js";
+
+// Test de course synthétique, au format de parseTest : repos puis paliers de 1 km/h par minute
+const makeTest = ({ date = "15.03.2026 10:00", vt1 = 142, vt2 = 170 } = {}) => {
+  const measurements = [];
+  for (let t = 0; t < 120; t += 3) measurements.push({ timeSeconds: t, phase: "Repos", fc: 62, vo2: 0.4, ve: 12 });
+  for (let t = 120; t < 720; t += 3) {
+    const k = (t - 120) / 600;
+    measurements.push({
+      timeSeconds: t,
+      phase: "Exercice",
+      fc: Math.round(110 + 75 * k),
+      vo2: 1 + 2.8 * k,
+      ve: 30 + 90 * k,
+      v: String(8 + Math.floor((t - 120) / 60)),
+      "V'CO2": String((1 + 2.8 * k) * (0.85 + 0.25 * k)),
+    });
+  }
+  return {
+    patient: { nom: "Dupont", prenom: "Jean", dateNaissance: "01.06.1990", poids: 72, sexe: "M" },
+    test: { dateHeure: date },
+    dateOrder: "dmy",
+    testType: "run",
+    peakVO2: { vo2: 3.8, vo2kg: 52.8, fc: 185 },
+    vt1: { fc: vt1, vitesse: 11.5 },
+    vt2: { fc: vt2, vitesse: 15 },
+    measurements,
+  };
+};
+
+describe("calcAge", () => {
+  it("compte les années révolues à la date du test", () => {
+    assert.equal(calcAge("01.06.1990", "15.03.2026"), 35);
+    assert.equal(calcAge("01.03.1990", "15.03.2026"), 36);
+  });
+});
+
+describe("buildAnalysis", () => {
+  it("construit les 5 zones ventilatoires du modèle par défaut", () => {
+    const a = buildAnalysis(makeTest());
+    assert.deepEqual(a.zonesList, ["Z1", "Z2", "Z3", "Z4", "Z5"]);
+    assert.equal(a.zonesTable[0].fc, "< 142");
+    assert.equal(a.zonesTable[4].fc, "> 179");
+  });
+
+  it("applique les seuils ajustés manuellement", () => {
+    const a = buildAnalysis(makeTest(), { overrides: { vt1: { t: 200, fc: 150, s: 12 } } });
+    assert.equal(a.fc1, 150);
+    assert.deepEqual(a.manual, { vt1: true, vt2: false });
+  });
+
+  it("compare avec des analyses précédentes déjà faites comme avec les tests bruts", () => {
+    const previous = [makeTest({ date: "10.01.2026 10:00", vt1: 138, vt2: 165 })];
+    const direct = buildAnalysis(makeTest(), { previous });
+    const memo = buildAnalysis(makeTest(), { previousAnalyses: analyzePrevious(previous) });
+    assert.ok(direct.comparison);
+    assert.deepEqual(memo.comparison, direct.comparison);
+  });
+});
@@ -0,0 +1,164 @@
+import { PBKDF2_ITERATIONS, decryptJson, deriveKey, encryptJson, newSalt } from "./crypto.js";
+import { norm } from "./adapters/common.js";
+import { ValidationError } from "./validation.js";
+
+// ==========================================
+// ARCHIVE LOCALE CHIFFRÉE (IndexedDB)
+// ==========================================
+// Optionnelle : rien n'est archivé tant que l'utilisateur n'a pas créé l'archive.
+// Chaque test est chiffré (AES-GCM) avec une clé dérivée de la phrase de passe ;
+// seuls les identifiants techniques restent en clair. Aucune donnée ne quitte le poste.
+
+const DB_NAME = "tcp-report-archive";
+const DB_VERSION = 1;
+const META = "meta";
+const TESTS = "tests";
+const KEY_INFO = "key";
+// Valeur chiffrée à la création, relue pour vérifier la phrase de passe
+const VERIFIER = "tcp-report-archive";
+
+const request = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+const openDb = () => {
+  if (!globalThis.indexedDB) {
+    throw new ValidationError("Archive indisponible", ["Ce navigateur ne permet pas le stockage local (IndexedDB)."]);
+  }
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    if (!db.objectStoreNames.contains(META)) db.createObjectStore(META);
+    if (!db.objectStoreNames.contains(TESTS)) db.createObjectStore(TESTS, { keyPath: "id" });
+  };
+  return request(req);
+};
+
+// Une transaction par opération ; la base est refermée aussitôt
+const withStore = async (name, mode, fn) => {
+  const db = await openDb();
+  try {
+    const tx = db.transaction(name, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    const [result] = await Promise.all([request(fn(tx.objectStore(name))), done]);
+    return result;
+  } finally {
+    db.close();
+  }
+};
+
+const ymd = (d) =>
+  d ? `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}` : null;
+
+/**
+ * Résumé affiché dans la liste de l'archive (chiffré comme le reste).
+ * @param {object} analysis résultat de buildAnalysis
+ */
+export const archiveSummary = (analysis) => ({
+  name: analysis.name,
+  testDate: ymd(analysis.testDate),
+  dateLabel: analysis.data.test.dateHeure || "",
+  testType: analysis.testType,
+  zoneModelName: analysis.zoneModelName,
+  vo2: analysis.vo2,
+  vo2kg: analysis.vo2kg,
+  fc1: analysis.fc1,
+  fc2: analysis.fc2,
+});
+
+export const archiveExists = async () => Boolean(await withStore(META, "readonly", (s) => s.get(KEY_INFO)));
+
+/**
+ * Crée l'archive et retourne sa clé (gardée en mémoire uniquement).
+ * @param {string} passphrase au moins 8 caractères
+ * @returns {Promise<CryptoKey>}
+ */
+export const createArchive = async (passphrase) => {
+  if (String(passphrase || "").length < 8) {
+    throw new ValidationError("Phrase de passe trop courte", ["8 caractères minimum. Elle ne peut pas être récupérée en cas d'oubli."]);
+  }
+  if (await archiveExists()) throw new ValidationError("Une archive existe déjà sur ce poste");
+  const salt = newSalt();
+  const key = await deriveKey(passphrase, salt);
+  const check = await encryptJson(key, VERIFIER);
+  await withStore(META, "readwrite", (s) => s.put({ salt, iterations: PBKDF2_ITERATIONS, check }, KEY_INFO));
+  return key;
+};
+
+/**
+ * @param {string} passphrase
+ * @returns {Promise<CryptoKey>}
+ * @throws {ValidationError} archive absente ou phrase de passe incorrecte
+ */
+export const unlockArchive = async (passphrase) => {
+  const info = await withStore(META, "readonly", (s) => s.get(KEY_INFO));
+  if (!info) throw new ValidationError("Aucune archive sur ce poste");
+  const key = await deriveKey(passphrase, info.salt, info.iterations);
+  let ok = false;
+  try {
+    ok = (await decryptJson(key, info.check)) === VERIFIER;
+  } catch {
+    ok = false;
+  }
+  if (!ok) throw new ValidationError("Phrase de passe incorrecte");
+  return key;
+};
+
+/**
+ * Archive un test : résumé (liste, recherche) et session (données, réglages, modifications)
+ * chiffrés séparément.
+ * @param {CryptoKey} key
+ * @param {{summary: object, session: object}} entry session : résultat de buildSession
+ * @returns {Promise<string>} identifiant de l'entrée
+ */
+export const saveToArchive = async (key, { summary, session }) => {
+  const id = `test-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const head = await encryptJson(key, { ...summary, savedAt: new Date().toISOString() });
+  const body = await encryptJson(key, session);
+  await withStore(TESTS, "readwrite", (s) => s.put({ id, head, body }));
+  return id;
+};
+
+/**
+ * Résumés déchiffrés, du test le plus récent au plus ancien.
+ * @returns {Promise<Array<{id: string, name: string, testDate: string|null, dateLabel: string, savedAt: string}>>}
+ */
+export const listArchive = async (key) => {
+  const records = await withStore(TESTS, "readonly", (s) => s.getAll());
+  const list = await Promise.all(records.map(async (r) => ({ ...(await decryptJson(key, r.head)), id: r.id })));
+  return list.sort((a, b) => (b.testDate || b.savedAt).localeCompare(a.testDate || a.savedAt));
+};
+
+/** @returns {Promise<{data: object, settings: object, edits: object}>} session archivée */
+export const loadFromArchive = async (key, id) => {
+  const record = await withStore(TESTS, "readonly", (s) => s.get(id));
+  if (!record) throw new ValidationError("Test introuvable dans l'archive");
+  return decryptJson(key, record.body);
+};
+
+// Suppression définitive (droit à l'effacement) : l'entrée est retirée de la base
+export const deleteFromArchive = (id) => withStore(TESTS, "readwrite", (s) => s.delete(id));
+
+export const destroyArchive = () => request(indexedDB.deleteDatabase(DB_NAME));
+
+/**
+ * Filtre les résumés par nom (sans accents ni casse) et par période de test.
+ * @param {object[]} list résultat de listArchive
+ * @param {{query?: string, from?: string, to?: string}} filters dates au format AAAA-MM-JJ
+ */
+export const searchArchive = (list, { query = "", from = "", to = "" } = {}) => {
+  const q = norm(query);
+  return list.filter((e) => {
+    if (q && !norm(e.name).includes(q)) return false;
+    const day = e.testDate || "";
+    if (from && (!day || day < from)) return false;
+    if (to && (!day || day > to)) return false;
+    return true;
+  });
+};
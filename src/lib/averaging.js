@@ -0,0 +1,108 @@
+import { reportStrings } from "./i18n.js";
+
+// ==========================================
+// MOYENNAGE DES MESURES
+// ==========================================
+// Lissage du signal breath-by-breath avant affichage, fenêtres en temps réel et non en nombre de mesures :
+//   rolling : moyenne glissante centrée sur N secondes
+//   bins    : moyenne par tranches fixes de N secondes (un point par tranche)
+//   breaths : moyenne glissante centrée sur N cycles respiratoires (N mesures)
+//   median  : médiane glissante centrée sur N secondes (écarte toux et déglutitions)
+
+export const AVERAGING_METHODS = [
+  { id: "rolling", unit: "s", min: 5, max: 120, default: 30 },
+  { id: "bins", unit: "s", min: 5, max: 60, default: 30 },
+  { id: "breaths", unit: "breaths", min: 3, max: 30, default: 8 },
+  { id: "median", unit: "s", min: 5, max: 60, default: 15 },
+];
+
+export const DEFAULT_AVERAGING = { method: "rolling", window: 30 };
+
+// Au-delà, les points sont éclaircis pour l'affichage ; le moyennage porte sur toutes les mesures
+const MAX_POINTS = 2000;
+
+// Série lissée → [mesure lue, décimales]
+const SERIES = { vo2S: ["vo2", 2], fcS: ["fc", 0], veS: ["ve", 2] };
+
+/**
+ * Méthode connue et fenêtre bornée à ses limites (fenêtre par défaut de la méthode si absente).
+ * @param {{method?: string, window?: number}} averaging
+ * @returns {{method: string, window: number}}
+ */
+export const normalizeAveraging = ({ method, window } = {}) => {
+  const m = AVERAGING_METHODS.find((x) => x.id === method) || AVERAGING_METHODS[0];
+  const w = Math.round(Number(window));
+  return { method: m.id, window: w > 0 ? Math.min(m.max, Math.max(m.min, w)) : m.default };
+};
+
+/** Libellé de la méthode et de sa fenêtre, ex. « moyenne glissante 30 s ». */
+export const averagingLabel = (averaging, lang = "fr") => {
+  const { method, window } = normalizeAveraging(averaging);
+  return reportStrings(lang).averaging[method](window);
+};
+
+const mean = (values) => values.reduce((a, v) => a + v, 0) / values.length;
+
+const median = (values) => {
+  const v = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+};
+
+// Fenêtre centrée [lo, hi[ de chaque mesure, en secondes (mesures triées par temps)
+const timeWindows = (pts, seconds) => {
+  let lo = 0;
+  let hi = 0;
+  return pts.map((p, i) => {
+    while (pts[lo].timeSeconds < p.timeSeconds - seconds / 2) lo++;
+    while (hi < pts.length && pts[hi].timeSeconds <= p.timeSeconds + seconds / 2) hi++;
+    return { at: i, lo, hi };
+  });
+};
+
+// Fenêtre centrée de n mesures
+const countWindows = (pts, n) =>
+  pts.map((_, i) => ({
+    at: i,
+    lo: Math.max(0, i - Math.floor((n - 1) / 2)),
+    hi: Math.min(pts.length, i + Math.ceil((n - 1) / 2) + 1),
+  }));
+
+// Tranches fixes : un point par tranche, placé au temps moyen de ses mesures
+const binWindows = (pts, seconds) => {
+  const out = [];
+  pts.forEach((p, i) => {
+    const key = Math.floor(p.timeSeconds / seconds);
+    if (out.length && out[out.length - 1].key === key) out[out.length - 1].hi = i + 1;
+    else out.push({ key, lo: i, hi: i + 1 });
+  });
+  return out.map((b) => ({ ...b, at: Math.floor((b.lo + b.hi - 1) / 2), bin: true }));
+};
+
+/**
+ * Lisse VO2, FC et V'E selon la méthode choisie : ajoute vo2S, fcS et veS à chaque point.
+ * @param {object[]} points mesures de la phase d'effort (getExData)
+ * @param {{method?: string, window?: number}} [averaging] méthode et fenêtre (secondes ou cycles)
+ * @returns {object[]} points lissés, triés par temps, au plus MAX_POINTS
+ */
+export const averageSeries = (points, averaging = DEFAULT_AVERAGING) => {
+  const { method, window } = normalizeAveraging(averaging);
+  const pts = (points || []).filter((p) => Number.isFinite(p.timeSeconds)).sort((a, b) => a.timeSeconds - b.timeSeconds);
+  if (!pts.length) return [];
+
+  const windows =
+    method === "bins" ? binWindows(pts, window) : method === "breaths" ? countWindows(pts, window) : timeWindows(pts, window);
+  const reduce = method === "median" ? median : mean;
+  const out = windows.map(({ at, lo, hi, bin }) => {
+    const win = pts.slice(lo, hi);
+    const p = { ...pts[at], ...(bin && { timeSeconds: mean(win.map((x) => x.timeSeconds)) }) };
+    Object.entries(SERIES).forEach(([key, [field, digits]]) => {
+      const values = win.map((x) => x[field]).filter(Number.isFinite);
+      p[key] = values.length ? Math.round(reduce(values) * 10 ** digits) / 10 ** digits : NaN;
+    });
+    return p;
+  });
+
+  const r = Math.ceil(out.length / MAX_POINTS);
+  return r > 1 ? out.filter((_, i) => i % r === 0) : out;
+};
@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { averageSeries, normalizeAveraging } from "./averaging.js";
+
+// Une mesure toutes les 2 s ; VO2 alterne 1 et 3, FC monte de 1 bpm par mesure
+const points = Array.from({ length: 60 }, (_, i) => ({ timeSeconds: i * 2, vo2: i % 2 ? 3 : 1, fc: 100 + i, ve: 40 }));
+
+describe("normalizeAveraging", () => {
+  it("borne la fenêtre aux limites de la méthode", () => {
+    assert.deepEqual(normalizeAveraging({ method: "bins", window: 500 }), { method: "bins", window: 60 });
+    assert.deepEqual(normalizeAveraging({ method: "breaths", window: 1 }), { method: "breaths", window: 3 });
+  });
+
+  it("revient à la moyenne glissante et à la fenêtre par défaut", () => {
+    assert.deepEqual(normalizeAveraging({ method: "inconnue" }), { method: "rolling", window: 30 });
+  });
+});
+
+describe("averageSeries", () => {
+  it("moyenne glissante centrée sur une durée", () => {
+    const out = averageSeries(points, { method: "rolling", window: 10 });
+    assert.equal(out.length, points.length);
+    // Mesure à 24 s, fenêtre de 19 à 29 s : 5 mesures, FC 110 à 114
+    assert.equal(out[12].fcS, 112);
+    assert.equal(out[12].vo2S, 1.8);
+  });
+
+  it("un point par tranche fixe, au temps moyen de ses mesures", () => {
+    const out = averageSeries(points, { method: "bins", window: 10 });
+    assert.equal(out.length, 12);
+    assert.equal(out[0].timeSeconds, 4);
+    assert.equal(out[0].fcS, 102);
+  });
+
+  it("moyenne sur un nombre de cycles respiratoires", () => {
+    const out = averageSeries(points, { method: "breaths", window: 3 });
+    assert.equal(out[10].fcS, 110);
+    assert.equal(out[10].vo2S, 2.33);
+  });
+
+  it("médiane glissante : écarte une valeur aberrante", () => {
+    const spiked = points.map((p, i) => (i === 20 ? { ...p, vo2: 40 } : { ...p, vo2: 2 }));
+    assert.equal(averageSeries(spiked, { method: "median", window: 10 })[20].vo2S, 2);
+  });
+
+  it("ignore les valeurs manquantes et trie par temps", () => {
+    const out = averageSeries([{ timeSeconds: 4, fc: 120 }, { timeSeconds: 0, fc: NaN }, { timeSeconds: 2, fc: 110 }], { method: "bins", window: 10 });
+    assert.equal(out[0].fcS, 115);
+    assert.ok(Number.isNaN(out[0].vo2S));
+  });
+});
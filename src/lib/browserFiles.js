@@ -0,0 +1,46 @@
+// ==========================================
+// FICHIERS DÉPOSÉS (NAVIGATEUR)
+// ==========================================
+
+export const readFileBytes = (file) =>
+  new Promise((resolve, reject) => {
+    const r = new FileReader();
+    r.onerror = () => reject(new Error("Échec de lecture du fichier"));
+    r.onload = (e) => resolve(new Uint8Array(e.target.result));
+    r.readAsArrayBuffer(file);
+  });
+
+// Entrée attendue par parseTest : le nom sert à la détection du format
+export const readExportFile = async (file) => ({ name: file.name, bytes: await readFileBytes(file) });
+
+const readEntries = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+const entryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+const walkEntry = async (entry, out) => {
+  if (entry.isFile) {
+    out.push(await entryFile(entry));
+    return;
+  }
+  if (!entry.isDirectory) return;
+  const reader = entry.createReader();
+  // readEntries renvoie les entrées par paquets jusqu'à un tableau vide
+  for (let batch = await readEntries(reader); batch.length; batch = await readEntries(reader)) {
+    for (const child of batch) await walkEntry(child, out);
+  }
+};
+
+/**
+ * Liste les fichiers d'un dépôt, dossiers compris (parcours récursif).
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<File[]>}
+ */
+export const collectDroppedFiles = async (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .map((it) => (it.kind === "file" && it.webkitGetAsEntry ? it.webkitGetAsEntry() : null))
+    .filter(Boolean);
+  if (!entries.length) return Array.from(dataTransfer.files || []);
+
+  const out = [];
+  for (const entry of entries) await walkEntry(entry, out);
+  return out;
+};
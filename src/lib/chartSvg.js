@@ -0,0 +1,497 @@
+import { ZCOL_CHART } from "./zones.js";
+
+// ==========================================
+// GRAPHIQUES SVG (sans DOM)
+// ==========================================
+// Reproduit les graphiques Recharts du rapport (zones, seuils, courbe lissée)
+// sous forme de chaîne SVG, utilisable dans Node comme dans le navigateur.
+
+const PLOT_MARGIN = { top: 12, right: 20, left: 56, bottom: 40 };
+const CAPTION_H = 24;
+const LINE_COLOR = "#1976d2";
+const V1_COLOR = "#16a34a";
+const V2_COLOR = "#dc2626";
+
+const esc = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+export const niceTicks = (min, max, count = 5) => {
+  if (!(max > min)) return [min];
+  const raw = (max - min) / count;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map((f) => f * mag).find((s) => s >= raw) || raw;
+  const ticks = [];
+  for (let v = Math.ceil(min / step) * step; v <= max + step * 1e-9; v += step) {
+    ticks.push(Math.round(v / step) * step);
+  }
+  return ticks;
+};
+
+/**
+ * @param {object} opts
+ * @param {Array} opts.cd points lissés (timeSeconds + dataKey)
+ * @param {string} opts.dataKey série à tracer (vo2S, fcS…)
+ * @param {Array} opts.zoneSegs segments de zones {z, x1, x2}
+ * @param {{vt1: {t:number}, vt2: {t:number}}} opts.th seuils
+ * @param {string} [opts.title] titre dessiné au-dessus du graphique
+ * @param {Array<{z: string, label: string}>} [opts.legend] légende des zones sous le graphique
+ * @param {Array<{key: string, label: string, color: string}>} [opts.overlays] courbes superposées (tests précédents)
+ * @param {string} [opts.seriesLabel] nom de la courbe principale dans la légende des courbes
+ * @returns {string} document SVG
+ */
+export const renderChartSvg = ({
+  cd,
+  dataKey,
+  zoneSegs = [],
+  th,
+  manual = {},
+  yLabel = "",
+  xLabel = "Temps (s)",
+  title = "",
+  legend = [],
+  overlays = [],
+  seriesLabel = "",
+  width = 800,
+  height = 300,
+}) => {
+  const pts = (cd || []).filter((p) => Number.isFinite(p.timeSeconds) && Number.isFinite(p[dataKey]));
+  const MARGIN = {
+    ...PLOT_MARGIN,
+    top: PLOT_MARGIN.top + (title ? CAPTION_H : 0),
+    bottom: PLOT_MARGIN.bottom + (legend.length ? CAPTION_H : 0),
+  };
+  const plotW = width - MARGIN.left - MARGIN.right;
+  const plotH = height - MARGIN.top - MARGIN.bottom;
+
+  const xMin = pts.length ? pts[0].timeSeconds : 0;
+  const xMax = pts.length ? pts[pts.length - 1].timeSeconds : 1;
+  const ys = pts.flatMap((p) => [p[dataKey], ...overlays.map((o) => p[o.key]).filter(Number.isFinite)]);
+  const yTicks = niceTicks(Math.min(...ys), Math.max(...ys));
+  const yMin = pts.length ? Math.min(yTicks[0], ...ys) : 0;
+  const yMax = pts.length ? Math.max(yTicks[yTicks.length - 1], ...ys) : 1;
+
+  const sx = (x) => MARGIN.left + ((x - xMin) / (xMax - xMin || 1)) * plotW;
+  const sy = (y) => MARGIN.top + plotH - ((y - yMin) / (yMax - yMin || 1)) * plotH;
+  const f = (n) => Math.round(n * 10) / 10;
+
+  const out = [];
+  out.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial, Helvetica, sans-serif">`);
+  out.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+
+  zoneSegs.forEach((s) => {
+    const x1 = sx(Math.max(s.x1, xMin));
+    const x2 = sx(Math.min(s.x2, xMax));
+    if (x2 > x1) {
+      out.push(`<rect x="${f(x1)}" y="${MARGIN.top}" width="${f(x2 - x1)}" height="${plotH}" fill="${ZCOL_CHART[s.z] || "#eeeeee"}" fill-opacity="0.6"/>`);
+    }
+  });
+
+  const xTicks = niceTicks(xMin, xMax, 8);
+  out.push(`<g stroke="#e0e0e0" stroke-dasharray="3 3">`);
+  xTicks.forEach((t) => out.push(`<line x1="${f(sx(t))}" y1="${MARGIN.top}" x2="${f(sx(t))}" y2="${MARGIN.top + plotH}"/>`));
+  yTicks.forEach((t) => out.push(`<line x1="${MARGIN.left}" y1="${f(sy(t))}" x2="${MARGIN.left + plotW}" y2="${f(sy(t))}"/>`));
+  out.push(`</g>`);
+
+  // Courbes superposées, interrompues là où le test précédent n'a pas de mesure
+  overlays.forEach((o) => {
+    let pen = "M";
+    const d = pts.map((p) => {
+      if (!Number.isFinite(p[o.key])) {
+        pen = "M";
+        return "";
+      }
+      const seg = `${pen}${f(sx(p.timeSeconds))} ${f(sy(p[o.key]))}`;
+      pen = "L";
+      return seg;
+    }).join("");
+    if (d) out.push(`<path d="${d}" fill="none" stroke="${o.color}" stroke-width="1.5" stroke-dasharray="6 3"/>`);
+  });
+
+  if (pts.length) {
+    const d = pts.map((p, i) => `${i ? "L" : "M"}${f(sx(p.timeSeconds))} ${f(sy(p[dataKey]))}`).join("");
+    out.push(`<path d="${d}" fill="none" stroke="${LINE_COLOR}" stroke-width="2"/>`);
+  }
+
+  [["vt1", "V1", V1_COLOR], ["vt2", "V2", V2_COLOR]].forEach(([k, label, color]) => {
+    const t = th?.[k]?.t;
+    if (!Number.isFinite(t) || t < xMin || t > xMax) return;
+    const x = f(sx(t));
+    out.push(`<line x1="${x}" y1="${MARGIN.top}" x2="${x}" y2="${MARGIN.top + plotH}" stroke="${color}" stroke-width="2" stroke-dasharray="4 4"/>`);
+    out.push(`<text x="${x}" y="${MARGIN.top + 12}" font-size="11" fill="${color}" text-anchor="middle">${manual[k] ? `${label}*` : label}</text>`);
+  });
+
+  out.push(`<g stroke="#666666"><line x1="${MARGIN.left}" y1="${MARGIN.top + plotH}" x2="${MARGIN.left + plotW}" y2="${MARGIN.top + plotH}"/><line x1="${MARGIN.left}" y1="${MARGIN.top}" x2="${MARGIN.left}" y2="${MARGIN.top + plotH}"/></g>`);
+  out.push(`<g font-size="10" fill="#666666">`);
+  xTicks.forEach((t) => out.push(`<text x="${f(sx(t))}" y="${MARGIN.top + plotH + 14}" text-anchor="middle">${Math.round(t)}</text>`));
+  yTicks.forEach((t) => out.push(`<text x="${MARGIN.left - 6}" y="${f(sy(t) + 3)}" text-anchor="end">${+t.toFixed(2)}</text>`));
+  out.push(`<text x="${MARGIN.left + plotW / 2}" y="${MARGIN.top + plotH + PLOT_MARGIN.bottom - 6}" text-anchor="middle">${esc(xLabel)}</text>`);
+  out.push(`<text transform="translate(14 ${MARGIN.top + plotH / 2}) rotate(-90)" text-anchor="middle">${esc(yLabel)}</text>`);
+  out.push(`</g>`);
+
+  // Légende des courbes, en haut à gauche du tracé (les courbes montent avec l'effort)
+  if (overlays.length) {
+    const items = [{ label: seriesLabel, color: LINE_COLOR }, ...overlays];
+    const boxW = 36 + Math.max(...items.map((it) => it.label.length)) * 6;
+    const bx = MARGIN.left + 6;
+    out.push(`<rect x="${f(bx)}" y="${MARGIN.top + 18}" width="${f(boxW)}" height="${items.length * 14 + 6}" fill="#ffffff" fill-opacity="0.85" stroke="#cbd5e1"/>`);
+    items.forEach((it, i) => {
+      const y = MARGIN.top + 31 + i * 14;
+      const dash = i ? ` stroke-dasharray="6 3"` : "";
+      out.push(`<line x1="${f(bx + 6)}" y1="${y - 4}" x2="${f(bx + 28)}" y2="${y - 4}" stroke="${it.color}" stroke-width="2"${dash}/>`);
+      out.push(`<text x="${f(bx + 32)}" y="${y}" font-size="10" fill="#334155">${esc(it.label)}</text>`);
+    });
+  }
+
+  if (title) {
+    out.push(`<text x="${MARGIN.left}" y="16" font-size="13" font-weight="bold" fill="#1e293b">${esc(title)}</text>`);
+  }
+
+  // Légende : pastille + zone + libellé, à la suite (largeur estimée du texte,
+  // police réduite si les libellés d'un modèle à 7 zones dépassent la largeur)
+  const textW = legend.reduce((w, { z, label }) => w + (z.length + label.length + 1) * 6.2, 0);
+  const scale = Math.min(1, (plotW - legend.length * 30) / (textW || 1));
+  let lx = MARGIN.left;
+  const ly = height - CAPTION_H / 2;
+  legend.forEach(({ z, label }) => {
+    out.push(`<circle cx="${lx + 5}" cy="${ly}" r="5" fill="${ZCOL_CHART[z] || "#eeeeee"}" stroke="#94a3b8"/>`);
+    out.push(`<text x="${lx + 14}" y="${ly + 4}" font-size="${f(11 * scale)}" fill="#334155"><tspan font-weight="bold">${esc(z)}</tspan> ${esc(label)}</text>`);
+    lx += 14 + (z.length + label.length + 1) * 6.2 * scale + 16;
+  });
+
+  out.push(`</svg>`);
+
+  return out.join("");
+};
+
+/**
+ * Jauge de classement : catégories de largeur égale, bornes en ml/kg/min,
+ * repère à la valeur de l'athlète (interpolée dans sa catégorie).
+ * @param {object} opts
+ * @param {Array<{from: ?number, to: ?number, label: string, color: string}>} opts.bands catégories croissantes
+ * @param {number} opts.value valeur de l'athlète
+ * @returns {string} document SVG
+ */
+export const renderGaugeSvg = ({ bands, value, width = 560, height = 76 }) => {
+  const left = 16;
+  const segW = (width - 2 * left) / bands.length;
+  const top = 26;
+  const barH = 24;
+  const f = (n) => Math.round(n * 10) / 10;
+
+  // Position du repère : catégorie de la valeur, puis interpolation entre ses bornes
+  // (les catégories ouvertes prennent la largeur de leur voisine)
+  const i = Math.max(0, bands.findIndex((b) => b.to == null || value < b.to));
+  const b = bands[i];
+  const bandWidth = (band) => (band && band.from != null && band.to != null ? band.to - band.from : 5);
+  const span = b.from != null && b.to != null ? b.to - b.from : bandWidth(b.from == null ? bands[i + 1] : bands[i - 1]);
+  const from = b.from ?? b.to - span;
+  const within = Math.min(1, Math.max(0, (value - from) / (span || 1)));
+  const mx = left + (i + within) * segW;
+
+  const out = [];
+  out.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial, Helvetica, sans-serif">`);
+  out.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+  bands.forEach((band, k) => {
+    const x = left + k * segW;
+    out.push(`<rect x="${f(x)}" y="${top}" width="${f(segW)}" height="${barH}" fill="${band.color}" stroke="#ffffff"/>`);
+    out.push(`<text x="${f(x + segW / 2)}" y="${top + barH / 2 + 4}" font-size="10" text-anchor="middle" fill="#1e293b">${esc(band.label)}</text>`);
+    if (k > 0) {
+      out.push(`<text x="${f(x)}" y="${top + barH + 14}" font-size="10" text-anchor="middle" fill="#475569">${band.from}</text>`);
+    }
+  });
+
+  out.push(`<path d="M${f(mx - 6)} ${top - 12} L${f(mx + 6)} ${top - 12} L${f(mx)} ${top + 4} Z" fill="#1e293b" stroke="#ffffff"/>`);
+  out.push(`<text x="${f(Math.min(width - left - 20, Math.max(left + 20, mx)))}" y="${top - 15}" font-size="11" font-weight="bold" text-anchor="middle" fill="#1e293b">${esc(value.toFixed(1))}</text>`);
+
+  out.push(`</svg>`);
+  return out.join("");
+};
+
+// Un panneau de la grille de Wasserman, dessiné à l'origine (0, 0) de sa cellule
+const panelMarkup = ({ bins, x, series, markers = [], title, xLabel, yLabel, y2Label, emptyText }, width, height) => {
+  const f = (n) => Math.round(n * 10) / 10;
+  const hasY2 = series.some((s) => s.axis === 2);
+  const M = { top: 36, right: hasY2 ? 40 : 12, left: 40, bottom: 32 };
+  const plotW = width - M.left - M.right;
+  const plotH = height - M.top - M.bottom;
+  const out = [`<text x="${M.left}" y="13" font-size="11" font-weight="bold" fill="#1e293b">${esc(title)}</text>`];
+
+  const pts = bins.filter((b) => Number.isFinite(b[x]) && series.some((s) => Number.isFinite(b[s.key])));
+  if (pts.length < 3) {
+    out.push(`<rect x="${M.left}" y="${M.top}" width="${plotW}" height="${plotH}" fill="#f8fafc" stroke="#e2e8f0"/>`);
+    out.push(`<text x="${f(M.left + plotW / 2)}" y="${f(M.top + plotH / 2)}" font-size="10" text-anchor="middle" fill="#94a3b8">${esc(emptyText)}</text>`);
+    return out;
+  }
+
+  // Légende des séries sous le titre
+  let lx = M.left;
+  series.forEach((s) => {
+    out.push(`<rect x="${lx}" y="20" width="8" height="8" fill="${s.color}"/>`);
+    out.push(`<text x="${lx + 11}" y="27" font-size="9" fill="#334155">${esc(s.label)}</text>`);
+    lx += 11 + s.label.length * 5 + 10;
+  });
+
+  const range = (values) => {
+    const ticks = niceTicks(Math.min(...values), Math.max(...values), 4);
+    return { ticks, min: Math.min(ticks[0], ...values), max: Math.max(ticks[ticks.length - 1], ...values) };
+  };
+  const axisValues = (axis) => pts.flatMap((p) => series.filter((s) => (s.axis || 1) === axis).map((s) => p[s.key])).filter(Number.isFinite);
+  const xr = range(pts.map((p) => p[x]));
+  const yr = { 1: range(axisValues(1)), 2: hasY2 ? range(axisValues(2)) : null };
+  const sx = (v) => M.left + ((v - xr.min) / (xr.max - xr.min || 1)) * plotW;
+  const sy = (v, axis = 1) => M.top + plotH - ((v - yr[axis].min) / (yr[axis].max - yr[axis].min || 1)) * plotH;
+
+  out.push(`<g stroke="#eeeeee">`);
+  yr[1].ticks.forEach((t) => out.push(`<line x1="${M.left}" y1="${f(sy(t))}" x2="${M.left + plotW}" y2="${f(sy(t))}"/>`));
+  out.push(`</g>`);
+
+  // Courbe en fonction du temps, nuage de points en fonction d'une autre variable
+  series.forEach((s) => {
+    const sp = pts.filter((p) => Number.isFinite(p[s.key]));
+    if (x === "t") {
+      const d = sp.map((p, i) => `${i ? "L" : "M"}${f(sx(p[x]))} ${f(sy(p[s.key], s.axis))}`).join("");
+      out.push(`<path d="${d}" fill="none" stroke="${s.color}" stroke-width="1.5"/>`);
+    } else {
+      sp.forEach((p) => out.push(`<circle cx="${f(sx(p[x]))}" cy="${f(sy(p[s.key], s.axis))}" r="1.8" fill="${s.color}"/>`));
+    }
+  });
+
+  markers.forEach(({ k, x: mx }) => {
+    if (!Number.isFinite(mx) || mx < xr.min || mx > xr.max) return;
+    const [label, color] = k === "vt1" ? ["V1", V1_COLOR] : ["V2", V2_COLOR];
+    out.push(`<line x1="${f(sx(mx))}" y1="${M.top}" x2="${f(sx(mx))}" y2="${M.top + plotH}" stroke="${color}" stroke-width="1.5" stroke-dasharray="4 3"/>`);
+    out.push(`<text x="${f(sx(mx) + 3)}" y="${M.top + 9}" font-size="9" fill="${color}">${esc(label)}</text>`);
+  });
+
+  out.push(`<g stroke="#666666"><line x1="${M.left}" y1="${M.top + plotH}" x2="${M.left + plotW}" y2="${M.top + plotH}"/><line x1="${M.left}" y1="${M.top}" x2="${M.left}" y2="${M.top + plotH}"/>`);
+  if (hasY2) out.push(`<line x1="${M.left + plotW}" y1="${M.top}" x2="${M.left + plotW}" y2="${M.top + plotH}"/>`);
+  out.push(`</g><g font-size="9" fill="#666666">`);
+  xr.ticks.forEach((t) => out.push(`<text x="${f(sx(t))}" y="${M.top + plotH + 11}" text-anchor="middle">${+t.toFixed(2)}</text>`));
+  yr[1].ticks.forEach((t) => out.push(`<text x="${M.left - 4}" y="${f(sy(t) + 3)}" text-anchor="end">${+t.toFixed(2)}</text>`));
+  if (hasY2) yr[2].ticks.forEach((t) => out.push(`<text x="${M.left + plotW + 4}" y="${f(sy(t, 2) + 3)}">${+t.toFixed(2)}</text>`));
+  out.push(`<text x="${f(M.left + plotW / 2)}" y="${height - 6}" text-anchor="middle">${esc(xLabel)}</text>`);
+  out.push(`<text transform="translate(10 ${f(M.top + plotH / 2)}) rotate(-90)" text-anchor="middle">${esc(yLabel)}</text>`);
+  if (hasY2) out.push(`<text transform="translate(${width - 4} ${f(M.top + plotH / 2)}) rotate(-90)" text-anchor="middle">${esc(y2Label)}</text>`);
+  out.push(`</g>`);
+  return out;
+};
+
+/**
+ * Grille de panneaux (Wasserman 9 panneaux) dans un seul document SVG.
+ * @param {object} opts
+ * @param {object[]} opts.bins points moyennés (t, clés des séries…)
+ * @param {Array<{title: string, x: string, xLabel: string, yLabel: string, y2Label?: string,
+ *   series: Array<{key: string, label: string, color: string, axis?: number}>,
+ *   markers?: Array<{k: "vt1"|"vt2", x: number}>}>} opts.panels
+ * @param {string} [opts.emptyText] texte d'un panneau sans données
+ * @returns {string} document SVG
+ */
+export const renderPanelGridSvg = ({ bins, panels, emptyText = "", cols = 3, cellW = 260, cellH = 220 }) => {
+  const width = cols * cellW;
+  const height = Math.ceil(panels.length / cols) * cellH;
+  const out = [];
+  out.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial, Helvetica, sans-serif">`);
+  out.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+  panels.forEach((p, i) => {
+    out.push(`<g transform="translate(${(i % cols) * cellW} ${Math.floor(i / cols) * cellH})">`);
+    out.push(...panelMarkup({ bins, emptyText, ...p }, cellW, cellH));
+    out.push(`</g>`);
+  });
+  out.push(`</svg>`);
+  return out.join("");
+};
+
+/**
+ * Oxydation des lipides et des glucides en fonction de la charge : points par palier,
+ * courbe ajustée des lipides, FATmax et zone FATmax sur le fond des zones d'entraînement.
+ * @param {object} opts
+ * @param {object[]} opts.stages paliers {load, fat, cho}
+ * @param {Array<{load: number, fat: number}>} opts.curve courbe ajustée des lipides
+ * @param {{load: number, lo: {load: number}, hi: {load: number}}} opts.fatmax
+ * @param {Array<{z: string, sLo: ?number, sHi: ?number}>} [opts.zones] zones d'entraînement (charge)
+ * @param {{fat: string, cho: string, zone: string}} opts.labels libellés de la légende
+ * @returns {string} document SVG
+ */
+export const renderSubstrateSvg = ({
+  stages,
+  curve,
+  fatmax,
+  zones = [],
+  labels,
+  xLabel = "",
+  yLabel = "",
+  title = "",
+  width = 800,
+  height = 300,
+}) => {
+  const FAT_COLOR = "#f59e0b";
+  const CHO_COLOR = LINE_COLOR;
+  const M = { ...PLOT_MARGIN, top: PLOT_MARGIN.top + (title ? CAPTION_H : 0), bottom: PLOT_MARGIN.bottom + CAPTION_H };
+  const plotW = width - M.left - M.right;
+  const plotH = height - M.top - M.bottom;
+  const f = (n) => Math.round(n * 10) / 10;
+
+  const loads = stages.map((s) => s.load);
+  const xTicks = niceTicks(Math.min(...loads), Math.max(...loads), 8);
+  const xMin = Math.min(xTicks[0], ...loads);
+  const xMax = Math.max(xTicks[xTicks.length - 1], ...loads);
+  const ys = [...stages.flatMap((s) => [s.fat, s.cho]), ...curve.map((p) => p.fat)];
+  const yTicks = niceTicks(0, Math.max(...ys), 5);
+  const yMax = Math.max(yTicks[yTicks.length - 1], ...ys) || 1;
+  const sx = (x) => M.left + ((x - xMin) / (xMax - xMin || 1)) * plotW;
+  const sy = (y) => M.top + plotH - (y / yMax) * plotH;
+  const clampX = (x) => Math.min(xMax, Math.max(xMin, x));
+
+  const out = [];
+  out.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial, Helvetica, sans-serif">`);
+  out.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+
+  // Zones d'entraînement en fond, selon leurs bornes de vitesse ou de puissance
+  zones.forEach((z) => {
+    const x1 = sx(clampX(z.sLo ?? xMin));
+    const x2 = sx(clampX(z.sHi ?? xMax));
+    if (x2 > x1) out.push(`<rect x="${f(x1)}" y="${M.top}" width="${f(x2 - x1)}" height="${plotH}" fill="${ZCOL_CHART[z.z] || "#eeeeee"}" fill-opacity="0.45"/>`);
+    if (x2 - x1 > 18) out.push(`<text x="${f((x1 + x2) / 2)}" y="${M.top + 12}" font-size="10" text-anchor="middle" fill="#64748b">${esc(z.z)}</text>`);
+  });
+
+  const zx1 = sx(clampX(fatmax.lo.load));
+  const zx2 = sx(clampX(fatmax.hi.load));
+  out.push(`<rect x="${f(zx1)}" y="${M.top}" width="${f(Math.max(1, zx2 - zx1))}" height="${plotH}" fill="${FAT_COLOR}" fill-opacity="0.18" stroke="${FAT_COLOR}" stroke-dasharray="4 3"/>`);
+
+  out.push(`<g stroke="#e0e0e0" stroke-dasharray="3 3">`);
+  yTicks.forEach((t) => out.push(`<line x1="${M.left}" y1="${f(sy(t))}" x2="${M.left + plotW}" y2="${f(sy(t))}"/>`));
+  out.push(`</g>`);
+
+  const cho = stages.map((s, i) => `${i ? "L" : "M"}${f(sx(s.load))} ${f(sy(s.cho))}`).join("");
+  out.push(`<path d="${cho}" fill="none" stroke="${CHO_COLOR}" stroke-width="1.5"/>`);
+  stages.forEach((s) => out.push(`<circle cx="${f(sx(s.load))}" cy="${f(sy(s.cho))}" r="3" fill="${CHO_COLOR}"/>`));
+  const fat = curve.map((p, i) => `${i ? "L" : "M"}${f(sx(p.load))} ${f(sy(p.fat))}`).join("");
+  out.push(`<path d="${fat}" fill="none" stroke="${FAT_COLOR}" stroke-width="2"/>`);
+  stages.forEach((s) => out.push(`<circle cx="${f(sx(s.load))}" cy="${f(sy(s.fat))}" r="3" fill="${FAT_COLOR}"/>`));
+
+  const fx = f(sx(clampX(fatmax.load)));
+  out.push(`<line x1="${fx}" y1="${M.top}" x2="${fx}" y2="${M.top + plotH}" stroke="#b45309" stroke-width="2"/>`);
+  out.push(`<text x="${fx}" y="${M.top + 28}" font-size="11" font-weight="bold" fill="#b45309" text-anchor="middle">FATmax</text>`);
+
+  out.push(`<g stroke="#666666"><line x1="${M.left}" y1="${M.top + plotH}" x2="${M.left + plotW}" y2="${M.top + plotH}"/><line x1="${M.left}" y1="${M.top}" x2="${M.left}" y2="${M.top + plotH}"/></g>`);
+  out.push(`<g font-size="10" fill="#666666">`);
+  xTicks.forEach((t) => out.push(`<text x="${f(sx(t))}" y="${M.top + plotH + 14}" text-anchor="middle">${+t.toFixed(1)}</text>`));
+  yTicks.forEach((t) => out.push(`<text x="${M.left - 6}" y="${f(sy(t) + 3)}" text-anchor="end">${+t.toFixed(2)}</text>`));
+  out.push(`<text x="${M.left + plotW / 2}" y="${M.top + plotH + PLOT_MARGIN.bottom - 6}" text-anchor="middle">${esc(xLabel)}</text>`);
+  out.push(`<text transform="translate(14 ${M.top + plotH / 2}) rotate(-90)" text-anchor="middle">${esc(yLabel)}</text>`);
+  out.push(`</g>`);
+
+  if (title) {
+    out.push(`<text x="${M.left}" y="16" font-size="13" font-weight="bold" fill="#1e293b">${esc(title)}</text>`);
+  }
+
+  const ly = height - CAPTION_H / 2;
+  let lx = M.left;
+  [[labels.fat, FAT_COLOR], [labels.cho, CHO_COLOR]].forEach(([label, color]) => {
+    out.push(`<line x1="${lx}" y1="${ly}" x2="${lx + 18}" y2="${ly}" stroke="${color}" stroke-width="2"/><circle cx="${lx + 9}" cy="${ly}" r="3" fill="${color}"/>`);
+    out.push(`<text x="${lx + 24}" y="${ly + 4}" font-size="11" fill="#334155">${esc(label)}</text>`);
+    lx += 24 + label.length * 6.2 + 16;
+  });
+  out.push(`<rect x="${lx}" y="${ly - 6}" width="18" height="12" fill="${FAT_COLOR}" fill-opacity="0.18" stroke="${FAT_COLOR}" stroke-dasharray="4 3"/>`);
+  out.push(`<text x="${lx + 24}" y="${ly + 4}" font-size="11" fill="#334155">${esc(labels.zone)}</text>`);
+
+  out.push(`</svg>`);
+  return out.join("");
+};
+
+/**
+ * Lactate (axe de gauche) et FC (axe de droite) en fonction de la charge, avec LT1/LT2,
+ * le niveau OBLA et, en pointillés, les seuils ventilatoires V1/V2 pour comparaison.
+ * @param {object} opts
+ * @param {Array<{load: number, la: number}>} opts.points valeurs mesurées
+ * @param {Array<{load: number, la: number}>} opts.curve courbe ajustée
+ * @param {Array<{load: number, fc: number}>} opts.hr FC des paliers
+ * @param {Array<{k: string, x: number, kind: "lt"|"vt"}>} opts.markers seuils sur l'axe des charges
+ * @param {{lactate: string, hr: string}} opts.labels libellés de la légende
+ * @returns {string} document SVG
+ */
+export const renderLactateSvg = ({
+  points,
+  curve,
+  hr,
+  markers = [],
+  labels,
+  obla = 4,
+  xLabel = "",
+  yLabel = "",
+  y2Label = "",
+  title = "",
+  width = 800,
+  height = 300,
+}) => {
+  const LA_COLOR = "#7c3aed";
+  const HR_COLOR = "#dc2626";
+  const M = { ...PLOT_MARGIN, right: PLOT_MARGIN.left, top: PLOT_MARGIN.top + (title ? CAPTION_H : 0), bottom: PLOT_MARGIN.bottom + CAPTION_H };
+  const plotW = width - M.left - M.right;
+  const plotH = height - M.top - M.bottom;
+  const f = (n) => Math.round(n * 10) / 10;
+
+  const loads = [...points.map((p) => p.load), ...hr.map((p) => p.load)];
+  const xTicks = niceTicks(Math.min(...loads), Math.max(...loads), 8);
+  const xMin = Math.min(xTicks[0], ...loads);
+  const xMax = Math.max(xTicks[xTicks.length - 1], ...loads);
+  const las = [0, ...points.map((p) => p.la), ...curve.map((p) => p.la)];
+  const yTicks = niceTicks(0, Math.max(...las), 5);
+  const yMax = Math.max(yTicks[yTicks.length - 1], ...las) || 1;
+  const fcs = hr.map((p) => p.fc).filter(Number.isFinite);
+  const y2Ticks = niceTicks(Math.min(...fcs), Math.max(...fcs), 5);
+  const y2Min = Math.min(y2Ticks[0], ...fcs);
+  const y2Max = Math.max(y2Ticks[y2Ticks.length - 1], ...fcs);
+  const sx = (x) => M.left + ((x - xMin) / (xMax - xMin || 1)) * plotW;
+  const sy = (y) => M.top + plotH - (y / yMax) * plotH;
+  const sy2 = (y) => M.top + plotH - ((y - y2Min) / (y2Max - y2Min || 1)) * plotH;
+  const path = (pts, y) => pts.map((p, i) => `${i ? "L" : "M"}${f(sx(p.load))} ${f(y(p))}`).join("");
+
+  const out = [];
+  out.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial, Helvetica, sans-serif">`);
+  out.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+
+  out.push(`<g stroke="#e0e0e0" stroke-dasharray="3 3">`);
+  yTicks.forEach((t) => out.push(`<line x1="${M.left}" y1="${f(sy(t))}" x2="${M.left + plotW}" y2="${f(sy(t))}"/>`));
+  out.push(`</g>`);
+  if (obla <= yMax) {
+    out.push(`<line x1="${M.left}" y1="${f(sy(obla))}" x2="${M.left + plotW}" y2="${f(sy(obla))}" stroke="#94a3b8" stroke-dasharray="6 4"/>`);
+    out.push(`<text x="${M.left + 4}" y="${f(sy(obla) - 4)}" font-size="10" fill="#64748b">${obla} mmol/L</text>`);
+  }
+
+  markers.forEach(({ k, x, kind }) => {
+    if (!Number.isFinite(x) || x < xMin || x > xMax) return;
+    const color = k.endsWith("1") ? V1_COLOR : V2_COLOR;
+    const vt = kind === "vt";
+    out.push(`<line x1="${f(sx(x))}" y1="${M.top}" x2="${f(sx(x))}" y2="${M.top + plotH}" stroke="${color}" stroke-width="${vt ? 1 : 2}" stroke-dasharray="${vt ? "2 3" : "5 4"}"/>`);
+    out.push(`<text x="${f(sx(x) + 3)}" y="${M.top + (vt ? 26 : 12)}" font-size="11" font-weight="${vt ? "normal" : "bold"}" fill="${color}">${esc(k)}</text>`);
+  });
+
+  out.push(`<path d="${path(hr.filter((p) => Number.isFinite(p.fc)), (p) => sy2(p.fc))}" fill="none" stroke="${HR_COLOR}" stroke-width="1.5"/>`);
+  out.push(`<path d="${path(curve, (p) => sy(Math.max(0, p.la)))}" fill="none" stroke="${LA_COLOR}" stroke-width="2"/>`);
+  points.forEach((p) => out.push(`<circle cx="${f(sx(p.load))}" cy="${f(sy(p.la))}" r="3.5" fill="${LA_COLOR}"/>`));
+
+  out.push(`<g stroke="#666666"><line x1="${M.left}" y1="${M.top + plotH}" x2="${M.left + plotW}" y2="${M.top + plotH}"/><line x1="${M.left}" y1="${M.top}" x2="${M.left}" y2="${M.top + plotH}"/><line x1="${M.left + plotW}" y1="${M.top}" x2="${M.left + plotW}" y2="${M.top + plotH}"/></g>`);
+  out.push(`<g font-size="10" fill="#666666">`);
+  xTicks.forEach((t) => out.push(`<text x="${f(sx(t))}" y="${M.top + plotH + 14}" text-anchor="middle">${+t.toFixed(1)}</text>`));
+  yTicks.forEach((t) => out.push(`<text x="${M.left - 6}" y="${f(sy(t) + 3)}" text-anchor="end">${+t.toFixed(1)}</text>`));
+  y2Ticks.forEach((t) => out.push(`<text x="${M.left + plotW + 6}" y="${f(sy2(t) + 3)}" fill="${HR_COLOR}">${+t.toFixed(0)}</text>`));
+  out.push(`<text x="${M.left + plotW / 2}" y="${M.top + plotH + PLOT_MARGIN.bottom - 6}" text-anchor="middle">${esc(xLabel)}</text>`);
+  out.push(`<text transform="translate(14 ${M.top + plotH / 2}) rotate(-90)" text-anchor="middle">${esc(yLabel)}</text>`);
+  out.push(`<text transform="translate(${width - 10} ${M.top + plotH / 2}) rotate(90)" text-anchor="middle" fill="${HR_COLOR}">${esc(y2Label)}</text>`);
+  out.push(`</g>`);
+
+  if (title) {
+    out.push(`<text x="${M.left}" y="16" font-size="13" font-weight="bold" fill="#1e293b">${esc(title)}</text>`);
+  }
+
+  const ly = height - CAPTION_H / 2;
+  let lx = M.left;
+  [[labels.lactate, LA_COLOR], [labels.hr, HR_COLOR]].forEach(([label, color]) => {
+    out.push(`<line x1="${lx}" y1="${ly}" x2="${lx + 18}" y2="${ly}" stroke="${color}" stroke-width="2"/>`);
+    out.push(`<text x="${lx + 24}" y="${ly + 4}" font-size="11" fill="#334155">${esc(label)}</text>`);
+    lx += 24 + label.length * 6.2 + 16;
+  });
+
+  out.push(`</svg>`);
+  return out.join("");
+};
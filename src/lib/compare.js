@@ -0,0 +1,121 @@
+import { reportStrings } from "./i18n.js";
+
+// ==========================================
+// ÉVOLUTION : COMPARAISON AVEC LES TESTS PRÉCÉDENTS
+// ==========================================
+// Écarts actuel − précédent (VO2, seuils, largeur des zones) et courbes superposées.
+// Les tests précédents sont analysés avec les mêmes options (modèle de zones, langue).
+
+export const MAX_PREVIOUS_TESTS = 3;
+// Courbes des tests précédents, du plus récent au plus ancien
+export const OVERLAY_COLORS = ["#64748b", "#a855f7", "#f59e0b"];
+
+const norm = (s) => String(s || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+// Même nom et même date de naissance (si renseignée des deux côtés)
+export const isSamePerson = (a, b) =>
+  norm(a.patient.nom) === norm(b.patient.nom) &&
+  norm(a.patient.prenom) === norm(b.patient.prenom) &&
+  (!a.patient.dateNaissance || !b.patient.dateNaissance || a.patient.dateNaissance === b.patient.dateNaissance);
+
+// Valeur interpolée d'une série lissée au temps t (null hors de la durée du test)
+const valueAt = (cd, key, t) => {
+  if (!cd.length || t < cd[0].timeSeconds || t > cd[cd.length - 1].timeSeconds) return null;
+  let lo = 0;
+  let hi = cd.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (cd[mid].timeSeconds <= t) lo = mid;
+    else hi = mid;
+  }
+  const a = cd[lo];
+  const b = cd[hi];
+  if (!Number.isFinite(a[key]) || !Number.isFinite(b[key])) return null;
+  const k = b.timeSeconds > a.timeSeconds ? (t - a.timeSeconds) / (b.timeSeconds - a.timeSeconds) : 0;
+  return Math.round((a[key] + (b[key] - a[key]) * k) * 100) / 100;
+};
+
+/**
+ * Ajoute à chaque point du test actuel les courbes des tests précédents, au même temps
+ * d'effort : vo2S_p0, fcS_p0, vo2S_p1… (l'axe des temps reste celui du test actuel).
+ */
+export const overlayPrevious = (cd, previous) =>
+  cd.map((p) => {
+    const out = { ...p };
+    previous.forEach((a, i) => {
+      out[`vo2S_p${i}`] = valueAt(a.cd, "vo2S", p.timeSeconds);
+      out[`fcS_p${i}`] = valueAt(a.cd, "fcS", p.timeSeconds);
+    });
+    return out;
+  });
+
+const signed = (v, digits) => {
+  const r = Number(v.toFixed(digits));
+  return `${r > 0 ? "+" : r < 0 ? "−" : "±"}${Math.abs(r).toFixed(digits)}`;
+};
+
+/**
+ * Comparaison du test actuel avec les précédents.
+ * @param {object} analysis analyse du test actuel
+ * @param {object[]} previous analyses des tests précédents, du plus récent au plus ancien
+ * @returns {{tests: object[], rows: object[]}}
+ *   tests : {key, label, color, date, samePerson} par test précédent
+ *   rows : {metric, current, previous: [{value, delta}]} ; valeurs formatées, "—" si non comparable
+ */
+export const buildComparison = (analysis, previous) => {
+  const txt = reportStrings(analysis.lang);
+  const sDigits = analysis.isBike ? 0 : 1;
+  const unit = analysis.intensityUnit;
+
+  const tests = previous.map((a, i) => ({
+    key: `p${i}`,
+    label: txt.testOf(a.testDate ? a.testDate.toLocaleDateString(txt.locale) : a.data.test.dateHeure || "?"),
+    color: OVERLAY_COLORS[i % OVERLAY_COLORS.length],
+    date: a.testDate,
+    samePerson: isSamePerson(analysis.data, a.data),
+  }));
+
+  // [libellé, valeur(analyse), décimales, unité, comparable(analyse)]
+  const sameType = (a) => a.testType === analysis.testType;
+  const metrics = [
+    [txt.evo.vo2, (a) => a.vo2, 2, "L/min"],
+    [txt.evo.vo2kg, (a) => a.vo2kg, 1, "ml/kg/min"],
+    [txt.evo.fcV1, (a) => a.fc1, 0, "bpm"],
+    [txt.evo.fcV2, (a) => a.fc2, 0, "bpm"],
+    [txt.evo.sV1(analysis.intensityLabel), (a) => a.s1, sDigits, unit, sameType],
+    [txt.evo.sV2(analysis.intensityLabel), (a) => a.s2, sDigits, unit, sameType],
+  ];
+
+  const rows = metrics.map(([metric, get, digits, u, comparable = () => true]) => {
+    const cur = get(analysis);
+    return {
+      metric,
+      current: `${cur.toFixed(digits)} ${u}`,
+      previous: previous.map((a) => {
+        if (!comparable(a)) return { value: "—", delta: "—" };
+        const v = get(a);
+        const pct = v ? ` (${signed(((cur - v) / v) * 100, 1)} %)` : "";
+        return { value: `${v.toFixed(digits)} ${u}`, delta: `${signed(cur - v, digits)} ${u}${pct}` };
+      }),
+    };
+  });
+
+  // Largeur des zones fermées (FC et intensité), zone par zone
+  const width = (z) => (z && z.fcLo != null && z.fcHi != null ? { fc: z.fcHi - z.fcLo, s: z.sHi - z.sLo } : null);
+  const fmtWidth = (w) => `${w.fc} bpm / ${w.s.toFixed(sDigits)} ${unit}`;
+  analysis.zonesTable.forEach((z) => {
+    const cur = width(z);
+    if (!cur) return;
+    rows.push({
+      metric: txt.evo.zoneWidth(z.z),
+      current: fmtWidth(cur),
+      previous: previous.map((a) => {
+        const w = width(a.zonesTable.find((x) => x.z === z.z));
+        if (!w || !sameType(a)) return { value: "—", delta: "—" };
+        return { value: fmtWidth(w), delta: `${signed(cur.fc - w.fc, 0)} bpm / ${signed(cur.s - w.s, sDigits)} ${unit}` };
+      }),
+    });
+  });
+
+  return { tests, rows };
+};
@@ -0,0 +1,19 @@
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+export const CONFIG = {
+  MAX_DATA_POINTS: 10000,
+  MAX_FILE_SIZE_MB: 50,
+  MIN_MEASUREMENTS: 10,
+  VALIDATION: {
+    FC_MIN: 30,
+    FC_MAX: 250,
+    VITESSE_MIN: 0,
+    VITESSE_MAX: 30,
+    POWER_MIN: 0,
+    POWER_MAX: 500,
+    VO2_MIN: 0,
+    VO2_MAX: 10,
+  },
+};
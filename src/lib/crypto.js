@@ -0,0 +1,59 @@
+import { ValidationError } from "./validation.js";
+
+// ==========================================
+// CHIFFREMENT LOCAL (WebCrypto)
+// ==========================================
+// Clé AES-GCM 256 bits dérivée d'une phrase de passe (PBKDF2-SHA-256).
+// La phrase de passe n'est jamais stockée ; la clé reste en mémoire, non exportable.
+
+export const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+const enc = new TextEncoder();
+const dec = new TextDecoder();
+
+export const randomBytes = (n) => crypto.getRandomValues(new Uint8Array(n));
+export const newSalt = () => randomBytes(SALT_BYTES);
+
+/**
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} [iterations]
+ * @returns {Promise<CryptoKey>}
+ */
+export const deriveKey = async (passphrase, salt, iterations = PBKDF2_ITERATIONS) => {
+  if (!globalThis.crypto?.subtle) {
+    throw new ValidationError("Chiffrement indisponible", ["WebCrypto exige une page servie en HTTPS ou en localhost."]);
+  }
+  const base = await crypto.subtle.importKey("raw", enc.encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    base,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"],
+  );
+};
+
+/** @returns {Promise<{iv: Uint8Array, ct: Uint8Array}>} */
+export const encryptJson = async (key, value) => {
+  const iv = randomBytes(IV_BYTES);
+  const ct = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, enc.encode(JSON.stringify(value)));
+  return { iv, ct: new Uint8Array(ct) };
+};
+
+/**
+ * @param {CryptoKey} key
+ * @param {{iv: Uint8Array, ct: Uint8Array}} box
+ * @throws {ValidationError} mauvaise phrase de passe ou données altérées
+ */
+export const decryptJson = async (key, { iv, ct }) => {
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv }, key, ct);
+  } catch {
+    throw new ValidationError("Phrase de passe incorrecte ou données altérées");
+  }
+  return JSON.parse(dec.decode(plain));
+};
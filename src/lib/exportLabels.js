@@ -0,0 +1,96 @@
+import { matchAlias } from "./adapters/common.js";
+
+// ==========================================
+// LIBELLÉS DES EXPORTS SPREADSHEETML PAR LANGUE
+// ==========================================
+// Le logiciel de l'appareil traduit les marqueurs de section et les champs
+// patient selon sa langue d'interface ; les variables restent proches.
+
+export const EXPORT_LABELS = {
+  fr: {
+    sections: {
+      patient: ["Données du patient"],
+      test: ["Données test"],
+      summary: ["Tableau Résumé"],
+      meas: ["Measurement Data", "Données de mesure"],
+    },
+    patient: {
+      nom: ["Nom"],
+      prenom: ["Prénom"],
+      dateNaissance: ["Date de Naissance"],
+      sexe: ["Sexe"],
+      poids: ["Poids"],
+    },
+    test: { dateHeure: ["Heure de début"] },
+    dateOrder: "dmy",
+  },
+  en: {
+    sections: {
+      patient: ["Patient Data"],
+      test: ["Test Data"],
+      summary: ["Summary Table"],
+      meas: ["Measurement Data"],
+    },
+    patient: {
+      nom: ["Last Name", "Name"],
+      prenom: ["First Name"],
+      dateNaissance: ["Date of Birth"],
+      sexe: ["Sex", "Gender"],
+      poids: ["Weight"],
+    },
+    test: { dateHeure: ["Start Time"] },
+    dateOrder: "mdy",
+  },
+  de: {
+    sections: {
+      patient: ["Patientendaten"],
+      test: ["Testdaten"],
+      summary: ["Zusammenfassung", "Übersichtstabelle"],
+      meas: ["Messdaten", "Measurement Data"],
+    },
+    patient: {
+      nom: ["Name", "Nachname"],
+      prenom: ["Vorname"],
+      dateNaissance: ["Geburtsdatum"],
+      sexe: ["Geschlecht"],
+      poids: ["Gewicht"],
+    },
+    test: { dateHeure: ["Startzeit"] },
+    dateOrder: "dmy",
+  },
+};
+
+// Variables du résumé et colonnes de mesure → nom canonique (libellés français)
+export const VARIABLE_ALIASES = {
+  "V'O2": ["V'O2"],
+  "V'O2/kg": ["V'O2/kg"],
+  "V'CO2": ["V'CO2"],
+  "V'E": ["V'E"],
+  FC: ["FC", "HR", "HF"],
+  v: ["v"],
+  TT: ["TT", "WR", "Load", "Last", "P"],
+  RER: ["RER", "RQ"],
+  VT: ["VT", "V'T"],
+  PetO2: ["PETO2", "PET O2"],
+  PetCO2: ["PETCO2", "PET CO2"],
+  Phase: ["Phase"],
+};
+
+export const canonicalVariable = (label) => matchAlias(label, VARIABLE_ALIASES) || label;
+
+/**
+ * Langue de l'export : celle dont les libellés reconnaissent le plus de lignes.
+ * @param {string[]} firstCells première cellule de chaque ligne
+ * @returns {string} clé de EXPORT_LABELS ("fr" par défaut)
+ */
+export const detectExportLanguage = (firstCells) => {
+  let best = "fr";
+  let bestScore = 0;
+  Object.entries(EXPORT_LABELS).forEach(([lang, L]) => {
+    const score = firstCells.filter((c) =>
+      matchAlias(c, L.sections) || matchAlias(c, L.patient) || matchAlias(c, L.test),
+    ).length;
+    if (score > bestScore) { best = lang; bestScore = score; }
+  });
+  return best;
+};
@@ -0,0 +1,717 @@
+// ==========================================
+// TEXTES DU RAPPORT (FR / EN / DE)
+// ==========================================
+// Tout ce que lit l'athlète : rapport à l'écran, DOCX, graphiques.
+// L'interface de l'application reste en français.
+
+export const REPORT_LANGUAGES = {
+  fr: "Français",
+  en: "English",
+  de: "Deutsch",
+};
+
+const FR = {
+  titre: "Compte rendu d'épreuve d'effort - Endurance",
+  reportTitle: "Compte rendu de test d'effort",
+  reportSub: "VO₂ et FC avec seuils et zones",
+  patient: (female) => (female ? "Patiente" : "Patient"),
+  colon: " :",
+  age: "Âge",
+  years: "ans",
+  weight: "Poids",
+  thresholds: "Seuils",
+  speed: "Vitesse",
+  power: "Puissance",
+  computed: "calculé",
+  manual: "ajusté manuellement",
+  autoThresholds: "seuils calculés à partir des mesures",
+  understandTitle: "Comprendre V1 et V2",
+  explicationV1: "V1 (seuil ventilatoire 1) correspond à l’intensité à partir de laquelle l’organisme commence à produire davantage de métabolites (notamment liés au métabolisme anaérobie), mais reste encore capable de les évacuer efficacement. À cette intensité, l’équilibre est maintenu : l’effort est durable, la respiration s’accélère légèrement mais reste contrôlée.",
+  explicationV2: "V2 (seuil ventilatoire 2) correspond à une intensité plus élevée à partir de laquelle la production de métabolites devient supérieure à la capacité d’élimination de l’organisme. Cela entraîne une augmentation marquée de la ventilation et une fatigue qui s’installe plus rapidement. Au-dessus de V2, l’effort est efficace mais ne peut être maintenu que sur des durées limitées.",
+  zonesTitle: "Zones d'entraînement personnalisées",
+  colZone: "Zone",
+  colFc: "FC (bpm)",
+  colDet: "Détermination (seuils)",
+  chartVO2: (avg) => `VO₂ (${avg}) avec seuils et zones`,
+  chartFC: (avg) => `FC (${avg}) avec seuils et zones`,
+  // Méthode de moyennage des courbes, fenêtre en secondes ou en cycles respiratoires
+  averaging: {
+    rolling: (n) => `moyenne glissante ${n} s`,
+    bins: (n) => `moyenne par tranches de ${n} s`,
+    breaths: (n) => `moyenne glissante sur ${n} cycles respiratoires`,
+    median: (n) => `médiane glissante ${n} s`,
+  },
+  averagingInfo: (avg) => `Lissage des courbes VO₂ et FC : ${avg}.`,
+  axisTime: "Temps (s)",
+  axisVO2: "VO₂ (L/min)",
+  axisFC: "FC (bpm)",
+  recTitle: "Recommandations d'entraînement",
+  zoneLabels: {
+    Z1: "Sous V1",
+    Z2: "V1 → milieu",
+    Z3: "Milieu → V2",
+    Z4: "V2 → +5%",
+    Z5: "> V2 +5%",
+  },
+  zoneDet: {
+    belowV1: "Sous V1 (seuil ventilatoire 1)",
+    v1v2: "Entre V1 et V2",
+    aboveV2: "Au-dessus de V2 (seuil ventilatoire 2)",
+    v1Mid: "Entre V1 et le milieu (S1+S2)/2",
+    midV2: "Entre le milieu et V2 (seuil ventilatoire 2)",
+    v2Plus5: "Au-dessus de V2 (jusqu'à +5 %)",
+    wellAboveV2: "Très au-dessus de V2 (> +5 %)",
+  },
+  zoneModel: "Modèle de zones",
+  zoneModelNames: {
+    endurance: "Ventilatoire 5 zones (V1/V2)",
+    other: "Ventilatoire 3 zones (V1/V2)",
+    hrmax: "% FCmax (5 zones)",
+    karvonen: "Karvonen, % FC de réserve (5 zones)",
+    seiler: "Seiler 3 zones",
+    coggan: "Coggan 7 zones (puissance)",
+  },
+  // [libellé, détermination] par zone des modèles prédéfinis
+  zoneModelZones: {
+    hrmax: [
+      ["Très léger", "Moins de 60 % de la FCmax"],
+      ["Léger", "60 à 70 % de la FCmax"],
+      ["Modéré", "70 à 80 % de la FCmax"],
+      ["Difficile", "80 à 90 % de la FCmax"],
+      ["Maximal", "Plus de 90 % de la FCmax"],
+    ],
+    karvonen: [
+      ["Très léger", "Moins de 60 % de la FC de réserve"],
+      ["Léger", "60 à 70 % de la FC de réserve"],
+      ["Modéré", "70 à 80 % de la FC de réserve"],
+      ["Difficile", "80 à 90 % de la FC de réserve"],
+      ["Maximal", "Plus de 90 % de la FC de réserve"],
+    ],
+    seiler: [
+      ["Basse intensité", "Sous V1 : endurance fondamentale"],
+      ["Seuil", "Entre V1 et V2 : zone intermédiaire"],
+      ["Haute intensité", "Au-dessus de V2 : intervalles"],
+    ],
+    coggan: [
+      ["Récupération active", "Moins de 55 % de la puissance à V2 (≈ FTP)"],
+      ["Endurance", "55 à 75 % de la FTP"],
+      ["Tempo", "75 à 90 % de la FTP"],
+      ["Seuil", "90 à 105 % de la FTP"],
+      ["VO₂max", "105 à 120 % de la FTP"],
+      ["Capacité anaérobie", "120 à 150 % de la FTP"],
+      ["Neuromusculaire", "Plus de 150 % de la FTP"],
+    ],
+  },
+  locale: "fr-FR",
+  currentTest: "Test actuel",
+  testOf: (date) => `Test du ${date}`,
+  wassermanTitle: "Graphiques de Wasserman (9 panneaux)",
+  wasserman: {
+    intro: "Moyennes de 10 s pendant l'effort ; V1 et V2 repérés sur chaque panneau.",
+    missing: "Données absentes de l'export",
+    panels: {
+      ve: "1 · Ventilation",
+      hr: "2 · FC et pouls d'O₂",
+      gas: "3 · V'O₂ et V'CO₂ / charge",
+      veVco2: "4 · V'E / V'CO₂",
+      vslope: "5 · V-slope",
+      eq: "6 · Équivalents respiratoires",
+      vt: "7 · Volume courant / V'E",
+      rer: "8 · Quotient respiratoire",
+      pet: "9 · PetO₂ et PetCO₂",
+    },
+    series: {
+      ve: "V'E (L/min)",
+      fc: "FC (bpm)",
+      o2pulse: "Pouls d'O₂ (ml/batt.)",
+      vo2: "V'O₂ (L/min)",
+      vco2: "V'CO₂ (L/min)",
+      eqO2: "V'E/V'O₂",
+      eqCO2: "V'E/V'CO₂",
+      vt: "VT (L)",
+      rer: "RER",
+      peto2: "PetO₂ (mmHg)",
+      petco2: "PetCO₂ (mmHg)",
+    },
+    axes: { eq: "Équivalent", pet: "mmHg", gas: "L/min" },
+  },
+  normTitle: "Situation par rapport aux normes",
+  norms: {
+    friendSource: "FRIEND (Kaminsky 2015, ACSM), tapis roulant",
+    fitnessgramSource: "FITNESSGRAM (Cooper Institute)",
+    ageBand: (lo, hi) => `${lo} à ${hi} ans`,
+    years: (n) => `${n} ans`,
+    percentile: (p) => `${p}e percentile`,
+    below: (p) => `sous le ${p}e percentile`,
+    above: (p) => `au-dessus du ${p}e percentile`,
+    categories: {
+      veryPoor: "Très faible",
+      poor: "Faible",
+      fair: "Moyen",
+      good: "Bon",
+      excellent: "Excellent",
+      superior: "Supérieur",
+      risk: "Risque pour la santé",
+      improve: "À améliorer",
+      healthy: "Zone de santé",
+    },
+    sentence: (r, sex) =>
+      r.percentile == null
+        ? `VO₂peak de ${r.value.toFixed(1)} ml/kg/min : « ${r.categoryLabel} » pour ${sex === "femme" ? "les filles" : "les garçons"} de ${r.band}. Référence : ${r.source}.`
+        : `VO₂peak de ${r.value.toFixed(1)} ml/kg/min : ${r.percentileLabel} ${sex === "femme" ? "des femmes" : "des hommes"} de ${r.band}, catégorie « ${r.categoryLabel} ». Référence : ${r.source}.`,
+    outOfRange: "Âge hors des tranches publiées : tranche la plus proche utilisée.",
+    bikeNote: "Normes établies sur tapis roulant : sur ergocycle, la VO₂peak est habituellement 10 à 20 % plus basse.",
+    noValue: "VO₂peak/kg inconnue : comparaison aux normes impossible.",
+    noSex: "Sexe inconnu : comparaison aux normes impossible.",
+    noAge: "Date de naissance inconnue : comparaison aux normes impossible.",
+    minor: "Athlète de moins de 18 ans : activer les normes pédiatriques.",
+    tooYoung: "Pas de norme pédiatrique avant 10 ans.",
+  },
+  qualityTitle: "Qualité du test",
+  quality: {
+    cols: { criterion: "Critère", value: "Valeur", status: "Statut" },
+    criteria: {
+      rer: "RER maximal > 1.10",
+      hr: "FC maximale à moins de 10 bpm de la FC maximale théorique (220 − âge)",
+      plateau: "Plateau de VO₂ (hausse < 150 ml/min sur les 30 dernières secondes)",
+      hrDropout: "Décrochages du signal FC",
+      hrSpike: "Pics de FC isolés",
+      vo2Outlier: "Valeurs aberrantes de VO₂",
+    },
+    status: { ok: "Conforme", warn: "À vérifier", na: "Non évaluable" },
+    hrValue: (peak, pred) => `${peak} bpm (théorique : ${pred} bpm)`,
+    noAge: "âge inconnu",
+    warn: {
+      rer: (v) => `RER maximal de ${v} (≤ 1.10) : effort probablement sous-maximal.`,
+      hr: (peak, pred) => `FC maximale de ${peak} bpm, à plus de 10 bpm de la FC maximale théorique (${pred} bpm).`,
+      plateau: (d) => `Pas de plateau de VO₂ : ${d} ml/min sur les 30 dernières secondes.`,
+      hrDropout: (n, at) => `${n} décrochage(s) du signal FC, à ${at}.`,
+      hrSpike: (n, at) => `${n} pic(s) de FC isolé(s), à ${at} : vérifier la ceinture cardiaque.`,
+      vo2Outlier: (n, at) => `${n} valeur(s) de VO₂ aberrante(s), à ${at} : toux, déglutition ou fuite au masque ?`,
+    },
+    maximal: (n) => `Test maximal (${n} critères sur 3 remplis) : la VO₂peak mesurée peut être retenue comme VO₂max.`,
+    submaximal: (n) => `Test sous-maximal (${n} critère(s) sur 3) : la valeur rapportée est une VO₂peak, à ne pas interpréter comme une VO₂max.`,
+  },
+  stagesTitle: "Résumé par palier",
+  stageTable: {
+    intro: "Paliers détectés sur la vitesse ou la puissance ; valeurs moyennes des 30 dernières secondes de chaque palier.",
+    rampIntro: "Protocole en rampe, sans paliers : segments d'une minute ; valeurs moyennes des 30 dernières secondes de chaque segment.",
+    cols: { stage: "Palier", duration: "Durée", fc: "FC (bpm)", vo2: "VO₂ (L/min)", vo2kg: "VO₂/kg (ml/kg/min)", rer: "RER", ve: "V'E (L/min)" },
+  },
+  fatTitle: "Oxydation des lipides et des glucides",
+  fat: {
+    intro: "Oxydation des substrats par palier (équations de Frayn, moyenne des 30 dernières secondes de chaque palier).",
+    rampNote: "Protocole en rampe : paliers reconstitués par segments d'une minute.",
+    summary: (f, load) =>
+      `FATmax à ${load} (FC ${f.fc} bpm${f.pctVO2 ? `, ${f.pctVO2} % de la VO₂peak` : ""}) : oxydation maximale des lipides de ${f.mfo.toFixed(2)} g/min.`,
+    zone: (f, lo, hi, zones) =>
+      `Zone FATmax (≥ 90 % du maximum) : ${lo} à ${hi}, FC ${f.lo.fc} à ${f.hi.fc} bpm${zones ? `, soit ${zones}` : ""}.`,
+    fat: "Lipides",
+    cho: "Glucides",
+    zoneLabel: "Zone FATmax",
+    axis: "Oxydation (g/min)",
+    cols: { stage: "Palier", fc: "FC (bpm)", rer: "RER", fat: "Lipides (g/min)", cho: "Glucides (g/min)" },
+    unavailable: "Moins de 3 paliers exploitables (V'CO₂ absent de l'export ?) : oxydation des substrats non calculée.",
+  },
+  lactateTitle: "Lactatémie et seuils lactiques",
+  lactate: {
+    intro: "Lactate capillaire en fin de palier (mmol/L), courbe ajustée par un polynôme de degré 3. LT2 : Dmax modifié.",
+    notEnough: (n) => `Au moins ${n} paliers avec une valeur de lactate sont nécessaires au calcul des seuils.`,
+    baseline: (v) => `Ligne de base : ${v} mmol/L.`,
+    methods: { lt1: "LT1 (ligne de base + 0.5 mmol/L)", obla: "OBLA (4 mmol/L)", dmax: "Dmax", modDmax: "Dmax modifié (LT2)" },
+    notReached: "non atteint",
+    cols: { stage: "Palier", method: "Méthode", fc: "FC (bpm)", la: "Lactate (mmol/L)" },
+    agree: (lt, v, d) => `${lt} concorde avec ${v} : ${lt} − ${v} = ${d.fc} bpm et ${d.load} (${d.pct} %).`,
+    disagree: (lt, v, d) => `${lt} et ${v} sont discordants : ${lt} − ${v} = ${d.fc} bpm et ${d.load} (${d.pct} %). À confronter avant de fixer les zones.`,
+    lactate: "Lactate",
+    hr: "FC",
+    axisLa: "Lactate (mmol/L)",
+    axisFc: "FC (bpm)",
+  },
+  commentTitle: "Commentaire du médecin",
+  evolutionTitle: "Évolution",
+  evolutionIntro: (test) => `Écarts par rapport au test précédent (${test}).`,
+  evoCols: { metric: "Mesure", previous: "Précédent", current: "Actuel", delta: "Écart" },
+  evo: {
+    vo2: "VO₂peak",
+    vo2kg: "VO₂peak / kg",
+    fcV1: "FC à V1",
+    fcV2: "FC à V2",
+    sV1: (label) => `${label} à V1`,
+    sV2: (label) => `${label} à V2`,
+    zoneWidth: (z) => `Largeur ${z}`,
+  },
+};
+
+// 1st, 2nd, 3rd, 11th, 82nd…
+const ordinal = (n) => `${n}${[11, 12, 13].includes(n % 100) ? "th" : ["th", "st", "nd", "rd"][n % 10] || "th"}`;
+
+const EN = {
+  titre: "Exercise test report - Endurance",
+  reportTitle: "Exercise test report",
+  reportSub: "VO₂ and HR with thresholds and zones",
+  patient: () => "Patient",
+  colon: ":",
+  age: "Age",
+  years: "years",
+  weight: "Weight",
+  thresholds: "Thresholds",
+  speed: "Speed",
+  power: "Power",
+  computed: "computed",
+  manual: "manually adjusted",
+  autoThresholds: "thresholds computed from the measurements",
+  understandTitle: "Understanding V1 and V2",
+  explicationV1: "V1 (ventilatory threshold 1) is the intensity at which the body starts producing more metabolites (notably from anaerobic metabolism) while still being able to clear them efficiently. At this intensity balance is maintained: the effort is sustainable, and breathing quickens slightly but stays controlled.",
+  explicationV2: "V2 (ventilatory threshold 2) is a higher intensity above which metabolite production exceeds the body's capacity to clear them. Ventilation rises markedly and fatigue sets in more quickly. Above V2, the effort is effective but can only be sustained for limited periods.",
+  zonesTitle: "Personalised training zones",
+  colZone: "Zone",
+  colFc: "HR (bpm)",
+  colDet: "Basis (thresholds)",
+  chartVO2: (avg) => `VO₂ (${avg}) with thresholds and zones`,
+  chartFC: (avg) => `HR (${avg}) with thresholds and zones`,
+  averaging: {
+    rolling: (n) => `${n} s rolling average`,
+    bins: (n) => `${n} s bin average`,
+    breaths: (n) => `${n}-breath rolling average`,
+    median: (n) => `${n} s rolling median`,
+  },
+  averagingInfo: (avg) => `VO₂ and HR curve smoothing: ${avg}.`,
+  axisTime: "Time (s)",
+  axisVO2: "VO₂ (L/min)",
+  axisFC: "HR (bpm)",
+  recTitle: "Training recommendations",
+  zoneLabels: {
+    Z1: "Below V1",
+    Z2: "V1 → midpoint",
+    Z3: "Midpoint → V2",
+    Z4: "V2 → +5%",
+    Z5: "> V2 +5%",
+  },
+  zoneDet: {
+    belowV1: "Below V1 (ventilatory threshold 1)",
+    v1v2: "Between V1 and V2",
+    aboveV2: "Above V2 (ventilatory threshold 2)",
+    v1Mid: "Between V1 and the midpoint (S1+S2)/2",
+    midV2: "Between the midpoint and V2 (ventilatory threshold 2)",
+    v2Plus5: "Above V2 (up to +5%)",
+    wellAboveV2: "Well above V2 (> +5%)",
+  },
+  zoneModel: "Zone model",
+  zoneModelNames: {
+    endurance: "Ventilatory, 5 zones (V1/V2)",
+    other: "Ventilatory, 3 zones (V1/V2)",
+    hrmax: "% HRmax (5 zones)",
+    karvonen: "Karvonen, % heart-rate reserve (5 zones)",
+    seiler: "Seiler 3 zones",
+    coggan: "Coggan 7 zones (power)",
+  },
+  zoneModelZones: {
+    hrmax: [
+      ["Very light", "Below 60% of HRmax"],
+      ["Light", "60 to 70% of HRmax"],
+      ["Moderate", "70 to 80% of HRmax"],
+      ["Hard", "80 to 90% of HRmax"],
+      ["Maximal", "Above 90% of HRmax"],
+    ],
+    karvonen: [
+      ["Very light", "Below 60% of heart-rate reserve"],
+      ["Light", "60 to 70% of heart-rate reserve"],
+      ["Moderate", "70 to 80% of heart-rate reserve"],
+      ["Hard", "80 to 90% of heart-rate reserve"],
+      ["Maximal", "Above 90% of heart-rate reserve"],
+    ],
+    seiler: [
+      ["Low intensity", "Below V1: base endurance"],
+      ["Threshold", "Between V1 and V2: intermediate zone"],
+      ["High intensity", "Above V2: intervals"],
+    ],
+    coggan: [
+      ["Active recovery", "Below 55% of the power at V2 (≈ FTP)"],
+      ["Endurance", "55 to 75% of FTP"],
+      ["Tempo", "75 to 90% of FTP"],
+      ["Threshold", "90 to 105% of FTP"],
+      ["VO₂max", "105 to 120% of FTP"],
+      ["Anaerobic capacity", "120 to 150% of FTP"],
+      ["Neuromuscular", "Above 150% of FTP"],
+    ],
+  },
+  locale: "en-GB",
+  currentTest: "Current test",
+  testOf: (date) => `Test of ${date}`,
+  wassermanTitle: "Wasserman plots (9 panels)",
+  wasserman: {
+    intro: "10-s averages during exercise; V1 and V2 marked on each panel.",
+    missing: "Not in the export",
+    panels: {
+      ve: "1 · Ventilation",
+      hr: "2 · HR and O₂ pulse",
+      gas: "3 · V'O₂ and V'CO₂ / work rate",
+      veVco2: "4 · V'E / V'CO₂",
+      vslope: "5 · V-slope",
+      eq: "6 · Ventilatory equivalents",
+      vt: "7 · Tidal volume / V'E",
+      rer: "8 · Respiratory exchange ratio",
+      pet: "9 · PetO₂ and PetCO₂",
+    },
+    series: {
+      ve: "V'E (L/min)",
+      fc: "HR (bpm)",
+      o2pulse: "O₂ pulse (ml/beat)",
+      vo2: "V'O₂ (L/min)",
+      vco2: "V'CO₂ (L/min)",
+      eqO2: "V'E/V'O₂",
+      eqCO2: "V'E/V'CO₂",
+      vt: "VT (L)",
+      rer: "RER",
+      peto2: "PetO₂ (mmHg)",
+      petco2: "PetCO₂ (mmHg)",
+    },
+    axes: { eq: "Equivalent", pet: "mmHg", gas: "L/min" },
+  },
+  normTitle: "Comparison with reference values",
+  norms: {
+    friendSource: "FRIEND (Kaminsky 2015, ACSM), treadmill",
+    fitnessgramSource: "FITNESSGRAM (Cooper Institute)",
+    ageBand: (lo, hi) => `${lo}–${hi} years`,
+    years: (n) => `${n} years`,
+    percentile: (p) => `${ordinal(p)} percentile`,
+    below: (p) => `below the ${ordinal(p)} percentile`,
+    above: (p) => `above the ${ordinal(p)} percentile`,
+    categories: {
+      veryPoor: "Very poor",
+      poor: "Poor",
+      fair: "Fair",
+      good: "Good",
+      excellent: "Excellent",
+      superior: "Superior",
+      risk: "Health risk",
+      improve: "Needs improvement",
+      healthy: "Healthy Fitness Zone",
+    },
+    sentence: (r, sex) =>
+      r.percentile == null
+        ? `VO₂peak of ${r.value.toFixed(1)} ml/kg/min: "${r.categoryLabel}" for ${sex === "femme" ? "girls" : "boys"} aged ${r.band}. Reference: ${r.source}.`
+        : `VO₂peak of ${r.value.toFixed(1)} ml/kg/min: ${r.percentileLabel} for ${sex === "femme" ? "women" : "men"} aged ${r.band}, category "${r.categoryLabel}". Reference: ${r.source}.`,
+    outOfRange: "Age outside the published bands: nearest band used.",
+    bikeNote: "Reference values are treadmill-based: on a cycle ergometer VO₂peak is usually 10–20% lower.",
+    noValue: "Unknown VO₂peak/kg: no comparison with reference values.",
+    noSex: "Unknown sex: no comparison with reference values.",
+    noAge: "Unknown date of birth: no comparison with reference values.",
+    minor: "Athlete under 18: enable the paediatric reference values.",
+    tooYoung: "No paediatric reference values below 10 years.",
+  },
+  qualityTitle: "Test quality",
+  quality: {
+    cols: { criterion: "Criterion", value: "Value", status: "Status" },
+    criteria: {
+      rer: "Peak RER > 1.10",
+      hr: "Peak HR within 10 bpm of the age-predicted maximum (220 − age)",
+      plateau: "VO₂ plateau (rise < 150 ml/min over the last 30 seconds)",
+      hrDropout: "HR signal dropouts",
+      hrSpike: "Isolated HR spikes",
+      vo2Outlier: "VO₂ outliers",
+    },
+    status: { ok: "Met", warn: "Check", na: "Not assessable" },
+    hrValue: (peak, pred) => `${peak} bpm (predicted: ${pred} bpm)`,
+    noAge: "age unknown",
+    warn: {
+      rer: (v) => `Peak RER of ${v} (≤ 1.10): the effort was probably submaximal.`,
+      hr: (peak, pred) => `Peak HR of ${peak} bpm, more than 10 bpm below the age-predicted maximum (${pred} bpm).`,
+      plateau: (d) => `No VO₂ plateau: ${d} ml/min over the last 30 seconds.`,
+      hrDropout: (n, at) => `${n} HR signal dropout(s), at ${at}.`,
+      hrSpike: (n, at) => `${n} isolated HR spike(s), at ${at}: check the chest strap.`,
+      vo2Outlier: (n, at) => `${n} VO₂ outlier(s), at ${at}: cough, swallowing or mask leak?`,
+    },
+    maximal: (n) => `Maximal test (${n} of 3 criteria met): the measured VO₂peak can be taken as VO₂max.`,
+    submaximal: (n) => `Submaximal test (${n} of 3 criteria met): the reported value is a VO₂peak and must not be read as VO₂max.`,
+  },
+  stagesTitle: "Stage summary",
+  stageTable: {
+    intro: "Stages detected from speed or power; values averaged over the last 30 seconds of each stage.",
+    rampIntro: "Ramp protocol without stages: one-minute segments; values averaged over the last 30 seconds of each segment.",
+    cols: { stage: "Stage", duration: "Duration", fc: "HR (bpm)", vo2: "VO₂ (L/min)", vo2kg: "VO₂/kg (ml/kg/min)", rer: "RER", ve: "V'E (L/min)" },
+  },
+  fatTitle: "Fat and carbohydrate oxidation",
+  fat: {
+    intro: "Substrate oxidation per stage (Frayn equations, mean of the last 30 seconds of each stage).",
+    rampNote: "Ramp protocol: stages rebuilt from one-minute segments.",
+    summary: (f, load) =>
+      `FATmax at ${load} (HR ${f.fc} bpm${f.pctVO2 ? `, ${f.pctVO2}% of VO₂peak` : ""}): maximal fat oxidation of ${f.mfo.toFixed(2)} g/min.`,
+    zone: (f, lo, hi, zones) =>
+      `FATmax zone (≥ 90% of the maximum): ${lo} to ${hi}, HR ${f.lo.fc} to ${f.hi.fc} bpm${zones ? `, i.e. ${zones}` : ""}.`,
+    fat: "Fat",
+    cho: "Carbohydrate",
+    zoneLabel: "FATmax zone",
+    axis: "Oxidation (g/min)",
+    cols: { stage: "Stage", fc: "HR (bpm)", rer: "RER", fat: "Fat (g/min)", cho: "Carbohydrate (g/min)" },
+    unavailable: "Fewer than 3 usable stages (no V'CO₂ in the export?): substrate oxidation not computed.",
+  },
+  lactateTitle: "Blood lactate and lactate thresholds",
+  lactate: {
+    intro: "Capillary lactate at the end of each stage (mmol/L), curve fitted with a 3rd-degree polynomial. LT2: modified Dmax.",
+    notEnough: (n) => `At least ${n} stages with a lactate value are needed to compute the thresholds.`,
+    baseline: (v) => `Baseline: ${v} mmol/L.`,
+    methods: { lt1: "LT1 (baseline + 0.5 mmol/L)", obla: "OBLA (4 mmol/L)", dmax: "Dmax", modDmax: "Modified Dmax (LT2)" },
+    notReached: "not reached",
+    cols: { stage: "Stage", method: "Method", fc: "HR (bpm)", la: "Lactate (mmol/L)" },
+    agree: (lt, v, d) => `${lt} agrees with ${v}: ${lt} − ${v} = ${d.fc} bpm and ${d.load} (${d.pct}%).`,
+    disagree: (lt, v, d) => `${lt} and ${v} disagree: ${lt} − ${v} = ${d.fc} bpm and ${d.load} (${d.pct}%). Review both before setting the zones.`,
+    lactate: "Lactate",
+    hr: "HR",
+    axisLa: "Lactate (mmol/L)",
+    axisFc: "HR (bpm)",
+  },
+  commentTitle: "Physician's comment",
+  evolutionTitle: "Progress",
+  evolutionIntro: (test) => `Changes since the previous test (${test}).`,
+  evoCols: { metric: "Measure", previous: "Previous", current: "Current", delta: "Change" },
+  evo: {
+    vo2: "VO₂peak",
+    vo2kg: "VO₂peak / kg",
+    fcV1: "HR at V1",
+    fcV2: "HR at V2",
+    sV1: (label) => `${label} at V1`,
+    sV2: (label) => `${label} at V2`,
+    zoneWidth: (z) => `${z} width`,
+  },
+};
+
+const DE = {
+  titre: "Bericht zur Leistungsdiagnostik - Ausdauer",
+  reportTitle: "Bericht zur Leistungsdiagnostik",
+  reportSub: "VO₂ und HF mit Schwellen und Zonen",
+  patient: (female) => (female ? "Patientin" : "Patient"),
+  colon: ":",
+  age: "Alter",
+  years: "Jahre",
+  weight: "Gewicht",
+  thresholds: "Schwellen",
+  speed: "Geschwindigkeit",
+  power: "Leistung",
+  computed: "berechnet",
+  manual: "manuell angepasst",
+  autoThresholds: "Schwellen aus den Messdaten berechnet",
+  understandTitle: "V1 und V2 verstehen",
+  explicationV1: "V1 (ventilatorische Schwelle 1) ist die Intensität, ab der der Körper vermehrt Stoffwechselprodukte bildet (insbesondere aus dem anaeroben Stoffwechsel), sie aber noch effizient abbauen kann. In diesem Bereich bleibt das Gleichgewicht erhalten: Die Belastung ist gut durchzuhalten, die Atmung beschleunigt sich leicht, bleibt aber kontrolliert.",
+  explicationV2: "V2 (ventilatorische Schwelle 2) ist eine höhere Intensität, ab der die Bildung von Stoffwechselprodukten die Abbaukapazität des Körpers übersteigt. Die Atmung nimmt deutlich zu und die Ermüdung setzt schneller ein. Oberhalb von V2 ist die Belastung wirksam, kann aber nur begrenzt lange aufrechterhalten werden.",
+  zonesTitle: "Individuelle Trainingszonen",
+  colZone: "Zone",
+  colFc: "HF (bpm)",
+  colDet: "Bestimmung (Schwellen)",
+  chartVO2: (avg) => `VO₂ (${avg}) mit Schwellen und Zonen`,
+  chartFC: (avg) => `HF (${avg}) mit Schwellen und Zonen`,
+  averaging: {
+    rolling: (n) => `gleitendes ${n}-s-Mittel`,
+    bins: (n) => `${n}-s-Intervallmittel`,
+    breaths: (n) => `gleitendes Mittel über ${n} Atemzüge`,
+    median: (n) => `gleitender ${n}-s-Median`,
+  },
+  averagingInfo: (avg) => `Glättung der VO₂- und HF-Kurven: ${avg}.`,
+  axisTime: "Zeit (s)",
+  axisVO2: "VO₂ (L/min)",
+  axisFC: "HF (bpm)",
+  recTitle: "Trainingsempfehlungen",
+  zoneLabels: {
+    Z1: "Unter V1",
+    Z2: "V1 → Mitte",
+    Z3: "Mitte → V2",
+    Z4: "V2 → +5 %",
+    Z5: "> V2 +5 %",
+  },
+  zoneDet: {
+    belowV1: "Unter V1 (ventilatorische Schwelle 1)",
+    v1v2: "Zwischen V1 und V2",
+    aboveV2: "Über V2 (ventilatorische Schwelle 2)",
+    v1Mid: "Zwischen V1 und der Mitte (S1+S2)/2",
+    midV2: "Zwischen der Mitte und V2 (ventilatorische Schwelle 2)",
+    v2Plus5: "Über V2 (bis +5 %)",
+    wellAboveV2: "Deutlich über V2 (> +5 %)",
+  },
+  zoneModel: "Zonenmodell",
+  zoneModelNames: {
+    endurance: "Ventilatorisch, 5 Zonen (V1/V2)",
+    other: "Ventilatorisch, 3 Zonen (V1/V2)",
+    hrmax: "% HFmax (5 Zonen)",
+    karvonen: "Karvonen, % Herzfrequenzreserve (5 Zonen)",
+    seiler: "Seiler 3 Zonen",
+    coggan: "Coggan 7 Zonen (Leistung)",
+  },
+  zoneModelZones: {
+    hrmax: [
+      ["Sehr leicht", "Unter 60 % der HFmax"],
+      ["Leicht", "60 bis 70 % der HFmax"],
+      ["Moderat", "70 bis 80 % der HFmax"],
+      ["Intensiv", "80 bis 90 % der HFmax"],
+      ["Maximal", "Über 90 % der HFmax"],
+    ],
+    karvonen: [
+      ["Sehr leicht", "Unter 60 % der Herzfrequenzreserve"],
+      ["Leicht", "60 bis 70 % der Herzfrequenzreserve"],
+      ["Moderat", "70 bis 80 % der Herzfrequenzreserve"],
+      ["Intensiv", "80 bis 90 % der Herzfrequenzreserve"],
+      ["Maximal", "Über 90 % der Herzfrequenzreserve"],
+    ],
+    seiler: [
+      ["Niedrige Intensität", "Unter V1: Grundlagenausdauer"],
+      ["Schwelle", "Zwischen V1 und V2: Übergangsbereich"],
+      ["Hohe Intensität", "Über V2: Intervalle"],
+    ],
+    coggan: [
+      ["Aktive Erholung", "Unter 55 % der Leistung an V2 (≈ FTP)"],
+      ["Grundlagenausdauer", "55 bis 75 % der FTP"],
+      ["Tempo", "75 bis 90 % der FTP"],
+      ["Schwelle", "90 bis 105 % der FTP"],
+      ["VO₂max", "105 bis 120 % der FTP"],
+      ["Anaerobe Kapazität", "120 bis 150 % der FTP"],
+      ["Neuromuskulär", "Über 150 % der FTP"],
+    ],
+  },
+  locale: "de-DE",
+  currentTest: "Aktueller Test",
+  testOf: (date) => `Test vom ${date}`,
+  wassermanTitle: "Wasserman-Grafiken (9 Felder)",
+  wasserman: {
+    intro: "10-s-Mittelwerte während der Belastung; V1 und V2 in jedem Feld markiert.",
+    missing: "Nicht im Export enthalten",
+    panels: {
+      ve: "1 · Ventilation",
+      hr: "2 · HF und O₂-Puls",
+      gas: "3 · V'O₂ und V'CO₂ / Belastung",
+      veVco2: "4 · V'E / V'CO₂",
+      vslope: "5 · V-Slope",
+      eq: "6 · Atemäquivalente",
+      vt: "7 · Atemzugvolumen / V'E",
+      rer: "8 · Respiratorischer Quotient",
+      pet: "9 · PetO₂ und PetCO₂",
+    },
+    series: {
+      ve: "V'E (L/min)",
+      fc: "HF (bpm)",
+      o2pulse: "O₂-Puls (ml/Schlag)",
+      vo2: "V'O₂ (L/min)",
+      vco2: "V'CO₂ (L/min)",
+      eqO2: "V'E/V'O₂",
+      eqCO2: "V'E/V'CO₂",
+      vt: "VT (L)",
+      rer: "RER",
+      peto2: "PetO₂ (mmHg)",
+      petco2: "PetCO₂ (mmHg)",
+    },
+    axes: { eq: "Äquivalent", pet: "mmHg", gas: "L/min" },
+  },
+  normTitle: "Einordnung in Referenzwerte",
+  norms: {
+    friendSource: "FRIEND (Kaminsky 2015, ACSM), Laufband",
+    fitnessgramSource: "FITNESSGRAM (Cooper Institute)",
+    ageBand: (lo, hi) => `${lo}–${hi} Jahren`,
+    years: (n) => `${n} Jahren`,
+    percentile: (p) => `${p}. Perzentile`,
+    below: (p) => `unter der ${p}. Perzentile`,
+    above: (p) => `über der ${p}. Perzentile`,
+    categories: {
+      veryPoor: "Sehr schwach",
+      poor: "Schwach",
+      fair: "Mittel",
+      good: "Gut",
+      excellent: "Ausgezeichnet",
+      superior: "Überragend",
+      risk: "Gesundheitsrisiko",
+      improve: "Verbesserungsbedarf",
+      healthy: "Gesundheitszone",
+    },
+    sentence: (r, sex) =>
+      r.percentile == null
+        ? `VO₂peak von ${r.value.toFixed(1)} ml/kg/min: „${r.categoryLabel}“ für ${sex === "femme" ? "Mädchen" : "Jungen"} im Alter von ${r.band}. Referenz: ${r.source}.`
+        : `VO₂peak von ${r.value.toFixed(1)} ml/kg/min: ${r.percentileLabel} der ${sex === "femme" ? "Frauen" : "Männer"} im Alter von ${r.band}, Kategorie „${r.categoryLabel}“. Referenz: ${r.source}.`,
+    outOfRange: "Alter außerhalb der veröffentlichten Altersgruppen: nächstgelegene Gruppe verwendet.",
+    bikeNote: "Referenzwerte vom Laufband: auf dem Fahrradergometer liegt die VO₂peak meist 10–20 % niedriger.",
+    noValue: "VO₂peak/kg unbekannt: keine Einordnung in Referenzwerte.",
+    noSex: "Geschlecht unbekannt: keine Einordnung in Referenzwerte.",
+    noAge: "Geburtsdatum unbekannt: keine Einordnung in Referenzwerte.",
+    minor: "Athlet unter 18 Jahren: pädiatrische Referenzwerte aktivieren.",
+    tooYoung: "Keine pädiatrischen Referenzwerte unter 10 Jahren.",
+  },
+  qualityTitle: "Testqualität",
+  quality: {
+    cols: { criterion: "Kriterium", value: "Wert", status: "Status" },
+    criteria: {
+      rer: "Maximaler RER > 1.10",
+      hr: "Maximale HF höchstens 10 bpm unter der altersabhängigen HFmax (220 − Alter)",
+      plateau: "VO₂-Plateau (Anstieg < 150 ml/min in den letzten 30 Sekunden)",
+      hrDropout: "Aussetzer des HF-Signals",
+      hrSpike: "Vereinzelte HF-Spitzen",
+      vo2Outlier: "VO₂-Ausreißer",
+    },
+    status: { ok: "Erfüllt", warn: "Prüfen", na: "Nicht beurteilbar" },
+    hrValue: (peak, pred) => `${peak} bpm (Sollwert: ${pred} bpm)`,
+    noAge: "Alter unbekannt",
+    warn: {
+      rer: (v) => `Maximaler RER von ${v} (≤ 1.10): Belastung vermutlich submaximal.`,
+      hr: (peak, pred) => `Maximale HF von ${peak} bpm, mehr als 10 bpm unter der altersabhängigen HFmax (${pred} bpm).`,
+      plateau: (d) => `Kein VO₂-Plateau: ${d} ml/min in den letzten 30 Sekunden.`,
+      hrDropout: (n, at) => `${n} Aussetzer des HF-Signals, bei ${at}.`,
+      hrSpike: (n, at) => `${n} vereinzelte HF-Spitze(n), bei ${at}: Brustgurt prüfen.`,
+      vo2Outlier: (n, at) => `${n} VO₂-Ausreißer, bei ${at}: Husten, Schlucken oder Maskenleck?`,
+    },
+    maximal: (n) => `Maximaler Test (${n} von 3 Kriterien erfüllt): die gemessene VO₂peak kann als VO₂max gelten.`,
+    submaximal: (n) => `Submaximaler Test (${n} von 3 Kriterien erfüllt): der angegebene Wert ist eine VO₂peak und keine VO₂max.`,
+  },
+  stagesTitle: "Zusammenfassung je Stufe",
+  stageTable: {
+    intro: "Stufen aus Geschwindigkeit oder Leistung erkannt; Mittelwerte der letzten 30 Sekunden jeder Stufe.",
+    rampIntro: "Rampenprotokoll ohne Stufen: Einminutenabschnitte; Mittelwerte der letzten 30 Sekunden jedes Abschnitts.",
+    cols: { stage: "Stufe", duration: "Dauer", fc: "HF (bpm)", vo2: "VO₂ (L/min)", vo2kg: "VO₂/kg (ml/kg/min)", rer: "RER", ve: "V'E (L/min)" },
+  },
+  fatTitle: "Fett- und Kohlenhydratoxidation",
+  fat: {
+    intro: "Substratoxidation je Stufe (Frayn-Gleichungen, Mittel der letzten 30 Sekunden jeder Stufe).",
+    rampNote: "Rampenprotokoll: Stufen aus Einminutenabschnitten gebildet.",
+    summary: (f, load) =>
+      `FATmax bei ${load} (HF ${f.fc} bpm${f.pctVO2 ? `, ${f.pctVO2} % der VO₂peak` : ""}): maximale Fettoxidation ${f.mfo.toFixed(2)} g/min.`,
+    zone: (f, lo, hi, zones) =>
+      `FATmax-Zone (≥ 90 % des Maximums): ${lo} bis ${hi}, HF ${f.lo.fc} bis ${f.hi.fc} bpm${zones ? `, also ${zones}` : ""}.`,
+    fat: "Fette",
+    cho: "Kohlenhydrate",
+    zoneLabel: "FATmax-Zone",
+    axis: "Oxidation (g/min)",
+    cols: { stage: "Stufe", fc: "HF (bpm)", rer: "RER", fat: "Fette (g/min)", cho: "Kohlenhydrate (g/min)" },
+    unavailable: "Weniger als 3 auswertbare Stufen (kein V'CO₂ im Export?): Substratoxidation nicht berechnet.",
+  },
+  lactateTitle: "Blutlaktat und Laktatschwellen",
+  lactate: {
+    intro: "Kapillarlaktat am Ende jeder Stufe (mmol/L), Kurve mit einem Polynom 3. Grades angepasst. LT2: modifiziertes Dmax.",
+    notEnough: (n) => `Für die Schwellen werden mindestens ${n} Stufen mit Laktatwert benötigt.`,
+    baseline: (v) => `Basiswert: ${v} mmol/L.`,
+    methods: { lt1: "LT1 (Basiswert + 0.5 mmol/L)", obla: "OBLA (4 mmol/L)", dmax: "Dmax", modDmax: "Modifiziertes Dmax (LT2)" },
+    notReached: "nicht erreicht",
+    cols: { stage: "Stufe", method: "Methode", fc: "HF (bpm)", la: "Laktat (mmol/L)" },
+    agree: (lt, v, d) => `${lt} stimmt mit ${v} überein: ${lt} − ${v} = ${d.fc} bpm und ${d.load} (${d.pct} %).`,
+    disagree: (lt, v, d) => `${lt} und ${v} weichen voneinander ab: ${lt} − ${v} = ${d.fc} bpm und ${d.load} (${d.pct} %). Vor der Zonenfestlegung prüfen.`,
+    lactate: "Laktat",
+    hr: "HF",
+    axisLa: "Laktat (mmol/L)",
+    axisFc: "HF (bpm)",
+  },
+  commentTitle: "Ärztlicher Kommentar",
+  evolutionTitle: "Entwicklung",
+  evolutionIntro: (test) => `Veränderungen seit dem vorherigen Test (${test}).`,
+  evoCols: { metric: "Messgröße", previous: "Vorher", current: "Aktuell", delta: "Differenz" },
+  evo: {
+    vo2: "VO₂peak",
+    vo2kg: "VO₂peak / kg",
+    fcV1: "HF an V1",
+    fcV2: "HF an V2",
+    sV1: (label) => `${label} an V1`,
+    sV2: (label) => `${label} an V2`,
+    zoneWidth: (z) => `Breite ${z}`,
+  },
+};
+
+export const REPORT_STRINGS = { fr: FR, en: EN, de: DE };
+
+export const reportStrings = (lang = "fr") => REPORT_STRINGS[lang] || FR;
+
+// Template Word par langue (public/template.docx pour le français)
+export const templateFileName = (lang = "fr") =>
+  !lang || lang === "fr" || !REPORT_STRINGS[lang] ? "template.docx" : `template-${lang}.docx`;
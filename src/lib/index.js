@@ -0,0 +1,61 @@
+// ==========================================
+// MOTEUR DE RAPPORT (API sans React)
+// ==========================================
+// analyzeTest(export, options) → analyse ; renderReport(analyse, template) → octets DOCX
+
+export { CONFIG } from "./config.js";
+export { ValidationError, validateParsedData } from "./validation.js";
+export { parseXMLSafe } from "./parser.js";
+export { ADAPTERS, SUPPORTED_EXTENSIONS, detectAdapter, parseExport } from "./adapters/index.js";
+export { detectThresholds } from "./thresholds.js";
+export {
+  ZONE_MODELS,
+  buildZoneTable,
+  calcZones,
+  checkZoneModel,
+  getZoneModel,
+  zoneLabel,
+  zoneModelName,
+  ZCOL,
+  ZCOL_CHART,
+  ZHEX,
+} from "./zones.js";
+export { ZONE_VARS, evalZoneExpr } from "./zoneExpr.js";
+export { analyzeTest, analyzePrevious, buildAnalysis, parseTest, calcAge, genRec, smooth } from "./analysis.js";
+export {
+  DEFAULT_REC_RULES,
+  REC_KEYS,
+  RULE_VARS,
+  applyRules,
+  checkRuleSet,
+  evalCondition,
+  readRulesFile,
+  writeRulesFile,
+} from "./recRules.js";
+export { LACTATE_MAX, MIN_LACTATE_POINTS, buildLactate, cleanLactate } from "./lactate.js";
+export { AVERAGING_METHODS, DEFAULT_AVERAGING, averageSeries, averagingLabel, normalizeAveraging } from "./averaging.js";
+export { classifyVO2 } from "./norms.js";
+export { checkTestQuality } from "./quality.js";
+export { detectStages } from "./stages.js";
+export { buildSubstrates, frayn } from "./substrates.js";
+export { buildComparison, isSamePerson } from "./compare.js";
+export { REPORT_LANGUAGES, REPORT_STRINGS, reportStrings, templateFileName } from "./i18n.js";
+export { TEMPLATE_TAGS, inspectTemplate, tagSyntax } from "./templateTags.js";
+export { renderChartSvg, renderGaugeSvg, renderLactateSvg, renderPanelGridSvg, renderSubstrateSvg } from "./chartSvg.js";
+export { WASSERMAN_PANELS, buildWasserman } from "./wasserman.js";
+export { SESSION_EXT, buildSession, openSessionFile, readSessionFile, writeSessionFile } from "./session.js";
+export {
+  DOCX_MIME,
+  buildChartSvgs,
+  buildLactateRows,
+  buildStageRows,
+  buildTemplateData,
+  embedSvgCharts,
+  lactateSvg,
+  renderCharts,
+  renderReport,
+  reportFileName,
+  substrateSvg,
+  uniqueFileName,
+  wassermanSvg,
+} from "./report.js";
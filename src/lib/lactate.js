@@ -0,0 +1,119 @@
+import { reportStrings } from "./i18n.js";
+import { interp, polyFit } from "./substrates.js";
+import { toNum } from "./thresholds.js";
+
+// ==========================================
+// LACTATÉMIE ET SEUILS LACTIQUES
+// ==========================================
+// Une valeur de lactate capillaire (mmol/L) par palier détecté. Seuils :
+//   LT1     : ligne de base (plus basse valeur) + 0,5 mmol/L, par interpolation linéaire
+//   OBLA    : 4 mmol/L
+//   Dmax    : point de la courbe ajustée (degré 3) le plus éloigné de la droite premier–dernier point
+//   Dmax modifié (LT2) : idem, depuis le point qui précède la première hausse > 0,4 mmol/L (Bishop 1998)
+
+export const MIN_LACTATE_POINTS = 4;
+// Valeur physiologiquement plausible (mmol/L)
+export const LACTATE_MAX = 30;
+const LT1_RISE = 0.5;
+const OBLA = 4;
+const MOD_DMAX_RISE = 0.4;
+const GRID = 200;
+// Au-delà de ces écarts, seuil lactique et seuil ventilatoire sont jugés discordants
+const AGREE_FC = 8; // bpm
+const AGREE_LOAD = 0.1; // 10 % de la charge du seuil ventilatoire
+
+/**
+ * Valeurs saisies → nombres (mmol/L), invalides écartés.
+ * @param {Object<string, string|number>} values {n° de palier: lactate}
+ * @returns {Object<string, number>}
+ */
+export const cleanLactate = (values = {}) =>
+  Object.fromEntries(
+    Object.entries(values)
+      .map(([n, v]) => [n, toNum(v)])
+      .filter(([, v]) => v > 0 && v <= LACTATE_MAX),
+  );
+
+// Première charge où la courbe mesurée atteint level (interpolation entre deux points)
+const crossing = (points, level, from = 0) => {
+  for (let i = Math.max(1, from); i < points.length; i++) {
+    const [a, b] = [points[i - 1], points[i]];
+    if (a.la < level && b.la >= level) return a.load + ((level - a.la) / (b.la - a.la)) * (b.load - a.load);
+  }
+  return null;
+};
+
+// Point de la courbe le plus éloigné (sous) la droite start–end : l'écart vertical est
+// proportionnel à la distance perpendiculaire, la droite étant fixe
+const dmaxFrom = (curve, start, end) => {
+  const slope = (end.la - start.la) / (end.load - start.load || 1);
+  const gap = (p) => start.la + slope * (p.load - start.load) - p.la;
+  const best = curve.filter((p) => p.load >= start.load && p.load <= end.load).reduce((b, p) => (gap(p) > gap(b) ? p : b), start);
+  return best === start ? null : best.load;
+};
+
+const signed = (v, digits = 0) => `${v > 0 ? "+" : ""}${v.toFixed(digits)}`;
+
+/**
+ * Seuils lactiques et comparaison avec les seuils ventilatoires.
+ * @param {object[]} stages paliers (detectStages) : n, load, fc
+ * @param {Object<string, string|number>} values lactate par n° de palier
+ * @param {{vt: {vt1: {fc, s}, vt2: {fc, s}}, isBike: boolean, lang: string}} opts
+ * @returns {{available: boolean, reason?: string, points: object[], baseline?: number, curve?: object[],
+ *   thresholds?: Array<{key, label, load, fc, la}>, comparison?: Array<{lt, vt, agree, text}>}}
+ *   thresholds : load null si non atteint (OBLA sous 4 mmol/L)
+ */
+export const buildLactate = (stages, values = {}, { vt, isBike = false, lang = "fr" } = {}) => {
+  const txt = reportStrings(lang).lactate;
+  const clean = cleanLactate(values);
+  const points = stages
+    .filter((s) => Number.isFinite(clean[s.n]) && Number.isFinite(s.load))
+    .map((s) => ({ n: s.n, load: s.load, fc: s.fc, la: clean[s.n] }))
+    .sort((a, b) => a.load - b.load);
+  if (points.length < MIN_LACTATE_POINTS) return { available: false, reason: txt.notEnough(MIN_LACTATE_POINTS), points };
+
+  const min = points[0].load;
+  const max = points[points.length - 1].load;
+  const fit = polyFit(points.map((p) => (p.load - min) / (max - min || 1)), points.map((p) => p.la), 3);
+  const curve = Array.from({ length: GRID + 1 }, (_, i) => ({
+    load: min + ((max - min) * i) / GRID,
+    la: fit ? fit(i / GRID) : interp(points, min + ((max - min) * i) / GRID, "la"),
+  }));
+
+  const lowest = points.reduce((b, p) => (p.la < b.la ? p : b), points[0]);
+  const baseline = lowest.la;
+  const rise = points.findIndex((p, i) => i > 0 && p.la - points[i - 1].la > MOD_DMAX_RISE);
+  const last = points[points.length - 1];
+  const loads = {
+    lt1: crossing(points, baseline + LT1_RISE, points.indexOf(lowest) + 1),
+    obla: crossing(points, OBLA),
+    dmax: dmaxFrom(curve, points[0], last),
+    modDmax: rise > 0 ? dmaxFrom(curve, points[rise - 1], last) : null,
+  };
+  // LT1 et OBLA sont définis par leur niveau ; Dmax lu sur la courbe ajustée
+  const levels = { lt1: baseline + LT1_RISE, obla: OBLA };
+  const thresholds = Object.entries(loads).map(([key, load]) => ({
+    key,
+    label: txt.methods[key],
+    load,
+    fc: load == null ? null : Math.round(interp(points, load, "fc")),
+    la: load == null ? null : levels[key] ?? interp(curve, load, "la"),
+  }));
+
+  // LT1 ↔ V1, LT2 (Dmax modifié) ↔ V2
+  const fmtLoad = (v) => (isBike ? `${signed(v)} W` : `${signed(v, 1)} km/h`);
+  const comparison = [
+    ["LT1", "V1", thresholds[0], vt?.vt1],
+    ["LT2", "V2", thresholds[3], vt?.vt2],
+  ]
+    .filter(([, , lt, v]) => lt.load != null && v?.fc > 0 && v?.s > 0)
+    .map(([ltName, vName, lt, v]) => {
+      const dFc = lt.fc - v.fc;
+      const dLoad = lt.load - v.s;
+      const agree = Math.abs(dFc) <= AGREE_FC && Math.abs(dLoad) <= AGREE_LOAD * v.s;
+      const d = { fc: signed(dFc), load: fmtLoad(dLoad), pct: signed((dLoad / v.s) * 100) };
+      return { lt: ltName, vt: vName, agree, text: (agree ? txt.agree : txt.disagree)(ltName, vName, d) };
+    });
+
+  return { available: true, points, baseline, curve, thresholds, comparison };
+};
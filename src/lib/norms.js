@@ -0,0 +1,141 @@
+import { reportStrings } from "./i18n.js";
+
+// ==========================================
+// NORMES DE VO2PEAK (ÂGE ET SEXE)
+// ==========================================
+// Adultes : percentiles FRIEND sur tapis roulant (Kaminsky et al., Mayo Clin Proc 2015),
+// repris par les recommandations ACSM. Jeunes (option) : seuils FITNESSGRAM de la
+// Zone de santé (Cooper Institute), sans percentile. Valeurs en ml/kg/min.
+
+const FRIEND_AGES = [[20, 29], [30, 39], [40, 49], [50, 59], [60, 69], [70, 79]];
+// percentile → valeur par tranche d'âge
+const FRIEND = {
+  homme: {
+    5: [29.0, 27.2, 24.2, 20.9, 17.4, 16.3],
+    10: [32.1, 30.2, 26.8, 22.8, 19.8, 17.1],
+    25: [40.1, 35.9, 31.9, 27.1, 23.7, 20.4],
+    50: [48.0, 42.4, 37.8, 32.6, 28.2, 24.4],
+    75: [55.2, 49.2, 45.0, 39.7, 34.5, 30.4],
+    90: [61.8, 56.5, 52.1, 45.6, 40.3, 36.6],
+    95: [66.3, 59.8, 55.6, 50.7, 43.0, 39.7],
+  },
+  femme: {
+    5: [21.7, 19.0, 17.0, 16.0, 13.4, 13.1],
+    10: [25.3, 21.1, 18.6, 17.3, 15.5, 14.3],
+    25: [30.5, 25.3, 22.1, 19.9, 17.2, 15.6],
+    50: [37.6, 30.2, 26.7, 23.4, 20.0, 18.3],
+    75: [44.7, 36.1, 32.4, 27.6, 23.8, 20.8],
+    90: [51.3, 41.4, 38.4, 32.0, 27.0, 23.1],
+    95: [56.0, 45.8, 41.7, 35.9, 29.4, 24.1],
+  },
+};
+
+// Catégories ACSM par percentile (borne basse incluse)
+const FRIEND_CATEGORIES = [
+  ["veryPoor", 0, "#fecaca"],
+  ["poor", 20, "#fed7aa"],
+  ["fair", 40, "#fef08a"],
+  ["good", 60, "#d9f99d"],
+  ["excellent", 80, "#86efac"],
+  ["superior", 90, "#4ade80"],
+];
+
+// Âge (10 à 17 ans) → [seuil « à risque », seuil « Zone de santé »]
+const FITNESSGRAM = {
+  homme: {
+    10: [37.3, 40.2], 11: [37.3, 40.2], 12: [37.6, 40.3], 13: [38.6, 41.1],
+    14: [39.6, 42.5], 15: [40.6, 43.6], 16: [41.0, 44.1], 17: [41.2, 44.2],
+  },
+  femme: {
+    10: [37.3, 40.2], 11: [37.3, 40.2], 12: [37.0, 40.1], 13: [36.6, 39.7],
+    14: [36.3, 39.4], 15: [36.0, 39.1], 16: [35.8, 38.9], 17: [35.7, 38.8],
+  },
+};
+const PEDIATRIC_CATEGORIES = [["risk", "#fecaca"], ["improve", "#fef08a"], ["healthy", "#bbf7d0"]];
+export const PEDIATRIC_MAX_AGE = 17;
+
+const FRIEND_PCTS = Object.keys(FRIEND.homme).map(Number);
+
+// Interpolation linéaire entre les percentiles tabulés (valeur → percentile et inversement)
+const lerp = (x, x0, x1, y0, y1) => y0 + ((x - x0) / (x1 - x0)) * (y1 - y0);
+
+const valueAtPercentile = (column, p) => {
+  const i = Math.max(1, FRIEND_PCTS.findIndex((q) => q >= p));
+  return lerp(p, FRIEND_PCTS[i - 1], FRIEND_PCTS[i], column[i - 1], column[i]);
+};
+
+const percentileOf = (column, v) => {
+  if (v < column[0]) return null;
+  if (v > column[column.length - 1]) return null;
+  const i = Math.max(1, column.findIndex((c) => c >= v));
+  return lerp(v, column[i - 1], column[i], FRIEND_PCTS[i - 1], FRIEND_PCTS[i]);
+};
+
+/**
+ * Situe la VO2peak/kg de l'athlète par rapport aux normes de son âge et de son sexe.
+ * @param {{vo2kg: number, age: number, sex: string, testType?: string, lang?: string, pediatric?: boolean}} p
+ * @returns {object} {available: false, reason} ou
+ *   {available: true, set, source, band, value, percentile, percentileLabel, category, categoryLabel, bands, notes, text}
+ *   bands : [{from, to, label, color}] en ml/kg/min pour la jauge (from/to null aux extrémités)
+ */
+export const classifyVO2 = ({ vo2kg, age, sex, testType = "run", lang = "fr", pediatric = false }) => {
+  const txt = reportStrings(lang).norms;
+  if (!(vo2kg > 0)) return { available: false, reason: txt.noValue };
+  if (sex !== "homme" && sex !== "femme") return { available: false, reason: txt.noSex };
+  if (!(age > 0)) return { available: false, reason: txt.noAge };
+  const notes = [];
+
+  if (age < 18) {
+    if (!pediatric) return { available: false, reason: txt.minor };
+    const year = Math.min(Math.floor(age), PEDIATRIC_MAX_AGE);
+    const limits = FITNESSGRAM[sex][year];
+    if (!limits) return { available: false, reason: txt.tooYoung };
+    const [risk, healthy] = limits;
+    const idx = vo2kg >= healthy ? 2 : vo2kg >= risk ? 1 : 0;
+    const edges = [null, risk, healthy, null];
+    const result = {
+      available: true,
+      set: "fitnessgram",
+      source: txt.fitnessgramSource,
+      band: txt.years(year),
+      value: vo2kg,
+      percentile: null,
+      percentileLabel: "",
+      category: PEDIATRIC_CATEGORIES[idx][0],
+      categoryLabel: txt.categories[PEDIATRIC_CATEGORIES[idx][0]],
+      bands: PEDIATRIC_CATEGORIES.map(([key, color], i) => ({ from: edges[i], to: edges[i + 1], label: txt.categories[key], color })),
+      notes,
+    };
+    return { ...result, text: txt.sentence(result, sex) };
+  }
+
+  let b = FRIEND_AGES.findIndex(([lo, hi]) => age >= lo && age <= hi + 0.99);
+  if (b < 0) {
+    b = age < FRIEND_AGES[0][0] ? 0 : FRIEND_AGES.length - 1;
+    notes.push(txt.outOfRange);
+  }
+  if (testType === "bike") notes.push(txt.bikeNote);
+  const column = FRIEND_PCTS.map((p) => FRIEND[sex][p][b]);
+
+  const raw = percentileOf(column, vo2kg);
+  const low = vo2kg < column[0];
+  const percentile = raw == null ? (low ? 5 : 95) : Math.round(raw);
+  const percentileLabel = raw == null ? (low ? txt.below(5) : txt.above(95)) : txt.percentile(percentile);
+  const [category] = [...FRIEND_CATEGORIES].reverse().find(([, from]) => (raw == null ? (low ? 0 : 100) : raw) >= from);
+
+  const edges = [null, ...FRIEND_CATEGORIES.slice(1).map(([, p]) => Math.round(valueAtPercentile(column, p) * 10) / 10), null];
+  const result = {
+    available: true,
+    set: "friend",
+    source: txt.friendSource,
+    band: txt.ageBand(...FRIEND_AGES[b]),
+    value: vo2kg,
+    percentile,
+    percentileLabel,
+    category,
+    categoryLabel: txt.categories[category],
+    bands: FRIEND_CATEGORIES.map(([key, , color], i) => ({ from: edges[i], to: edges[i + 1], label: txt.categories[key], color })),
+    notes,
+  };
+  return { ...result, text: txt.sentence(result, sex) };
+};
@@ -0,0 +1,193 @@
+import { DOMParser as XmlDomParser } from "@xmldom/xmldom";
+
+import { ValidationError, safeNum } from "./validation.js";
+import { canonicalPhase, canonicalSex, matchAlias, parseClock } from "./adapters/common.js";
+import { EXPORT_LABELS, canonicalVariable, detectExportLanguage } from "./exportLabels.js";
+
+// ==========================================
+// PARSING XML SÉCURISÉ
+// ==========================================
+export const parseXMLSafe = (xmlString) => {
+  if (!xmlString || typeof xmlString !== "string") {
+    throw new ValidationError("Contenu XML invalide ou vide");
+  }
+
+  // DOMParser du navigateur si disponible, sinon @xmldom (Node, workers)
+  const Parser = globalThis.DOMParser || XmlDomParser;
+  let doc;
+  try {
+    doc = new Parser().parseFromString(xmlString, "text/xml");
+  } catch (e) {
+    throw new ValidationError("XML mal formé: " + e.message);
+  }
+
+  const parserError = doc.getElementsByTagName("parsererror")[0];
+  if (parserError) {
+    throw new ValidationError("XML mal formé: " + parserError.textContent);
+  }
+
+  const data = { patient: {}, test: {}, vt1: {}, vt2: {}, peakVO2: {}, measurements: [], testType: "run" };
+
+  let section = "", headers = [], inMeas = false;
+  let hasSpeedData = false;
+  let hasPowerData = false;
+
+  try {
+    const rows = Array.from(doc.getElementsByTagName("Row")).map((row) => {
+      const vals = [];
+      let col = 0;
+
+      Array.from(row.getElementsByTagName("Cell")).forEach((cell) => {
+        const d = cell.getElementsByTagName("Data")[0];
+        const idx = cell.getAttribute("ss:Index");
+        if (idx) col = parseInt(idx) - 1;
+        vals[col] = d ? d.textContent : "";
+        const merge = cell.getAttribute("ss:MergeAcross");
+        if (merge) col += parseInt(merge);
+        col++;
+      });
+      return vals;
+    }).filter((vals) => vals.length);
+
+    // Langue de l'interface de l'appareil (FR / EN / DE)
+    data.language = detectExportLanguage(rows.map((vals) => vals[0] || ""));
+    data.dateOrder = EXPORT_LABELS[data.language].dateOrder;
+    const L = EXPORT_LABELS[data.language];
+
+    rows.forEach((vals) => {
+      const raw = vals[0] || "";
+      const sec = matchAlias(raw, L.sections);
+      if (sec) { section = sec; if (sec === "meas") inMeas = true; return; }
+
+      const v = vals[2] || vals[1] || "";
+
+      if (section === "patient") {
+        const k = matchAlias(raw, L.patient);
+        if (k) data.patient[k] = v;
+      }
+
+      if (section === "test") {
+        const k = matchAlias(raw, L.test);
+        if (k) data.test[k] = v;
+      }
+
+      const first = section === "summary" ? canonicalVariable(raw) : raw;
+
+      if (section === "summary" && first !== "Variable") {
+        if (first === "V'O2") {
+          data.vt1.vo2 = vals[5];
+          data.vt2.vo2 = vals[8];
+          data.peakVO2.vo2 = vals[11];
+        }
+        if (first === "V'O2/kg") {
+          data.vt1.vo2kg = vals[5];
+          data.vt2.vo2kg = vals[8];
+          data.peakVO2.vo2kg = vals[11];
+        }
+        if (first === "FC") {
+          data.vt1.fc = vals[5];
+          data.vt2.fc = vals[8];
+          data.peakVO2.fc = vals[11];
+        }
+        if (first === "v") {
+          data.vt1.vitesse = vals[5];
+          data.vt2.vitesse = vals[8];
+          data.peakVO2.vitesse = vals[11];
+          hasSpeedData = true;
+        }
+        if (first === "TT") {
+          data.vt1.power = vals[5];
+          data.vt2.power = vals[8];
+          data.peakVO2.power = vals[11];
+          hasPowerData = true;
+        }
+        if (first === "V'E") {
+          data.vt1.ve = vals[5];
+          data.vt2.ve = vals[8];
+          data.peakVO2.ve = vals[11];
+        }
+      }
+
+      if (inMeas && section === "meas") {
+        if (first === "t") { headers = vals.map((h) => canonicalVariable(h)); return; }
+        if (/^h+:mm/i.test(first)) return; // ligne d'unités (h:mm:ss,ms)
+        if (first?.includes(":")) {
+          const m = {};
+          headers.forEach((h, i) => (m[h] = vals[i] || ""));
+
+          m.timeSeconds = parseClock(first);
+          m.vo2 = safeNum(m["V'O2"]);
+          m.fc = safeNum(m["FC"]);
+          m.ve = safeNum(m["V'E"]);
+          m.phase = canonicalPhase(m["Phase"]);
+
+          data.measurements.push(m);
+        }
+      }
+    });
+  } catch (e) {
+    throw new ValidationError("Erreur lors du parsing XML: " + e.message);
+  }
+
+  // Fallback: extract power from measurements if not in Summary table
+  // This handles XML files where TT (power) row is missing from Summary but present in MeasurementData
+  if (!hasPowerData && data.measurements.length > 0) {
+    const hasTTInMeasurements = data.measurements.some(m => m["TT"] !== undefined && m["TT"] !== "");
+
+    if (hasTTInMeasurements && data.vt1.fc && data.vt2.fc && data.peakVO2.fc) {
+      const fc1Target = safeNum(data.vt1.fc);
+      const fc2Target = safeNum(data.vt2.fc);
+      const fcPeakTarget = safeNum(data.peakVO2.fc);
+
+      // Find measurements closest to VT1, VT2, and Peak FC values
+      let vt1Match = null, vt2Match = null, peakMatch = null;
+      let vt1Diff = Infinity, vt2Diff = Infinity, peakDiff = Infinity;
+
+      data.measurements.forEach(m => {
+        const fc = safeNum(m["FC"]);
+        const power = safeNum(m["TT"]);
+        if (power <= 0) return; // Skip measurements with no power
+
+        // Match VT1 (lower FC)
+        if (Math.abs(fc - fc1Target) < vt1Diff && fc <= fc1Target + 5) {
+          vt1Diff = Math.abs(fc - fc1Target);
+          vt1Match = m;
+        }
+        // Match VT2 (middle FC)
+        if (Math.abs(fc - fc2Target) < vt2Diff && fc >= fc1Target && fc <= fc2Target + 5) {
+          vt2Diff = Math.abs(fc - fc2Target);
+          vt2Match = m;
+        }
+        // Match Peak (highest FC)
+        if (Math.abs(fc - fcPeakTarget) < peakDiff) {
+          peakDiff = Math.abs(fc - fcPeakTarget);
+          peakMatch = m;
+        }
+      });
+
+      if (vt1Match) data.vt1.power = String(safeNum(vt1Match["TT"]));
+      if (vt2Match) data.vt2.power = String(safeNum(vt2Match["TT"]));
+      if (peakMatch) data.peakVO2.power = String(safeNum(peakMatch["TT"]));
+
+      // Mark as having power data if we found matches
+      if (vt1Match && vt2Match) {
+        hasPowerData = true;
+      }
+    }
+  }
+
+  data.patient.sexe = canonicalSex(data.patient.sexe);
+
+  // Detect test type based on available data
+  if (hasPowerData && !hasSpeedData) {
+    data.testType = "bike";
+  } else if (hasSpeedData && !hasPowerData) {
+    data.testType = "run";
+  } else if (hasPowerData && hasSpeedData) {
+    // Both present - use power if speed values are zero or invalid
+    const hasValidSpeed = safeNum(data.vt1.vitesse) > 0 || safeNum(data.vt2.vitesse) > 0;
+    data.testType = hasValidSpeed ? "run" : "bike";
+  }
+
+  return data;
+};
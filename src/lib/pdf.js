@@ -0,0 +1,321 @@
+import { jsPDF } from "jspdf";
+import { svg2pdf } from "svg2pdf.js";
+
+import { reportStrings } from "./i18n.js";
+import { buildChartSvgs, buildLactateRows, buildStageRows, reportFileName, svgSize } from "./report.js";
+import { ZCOL_CHART, ZHEX } from "./zones.js";
+
+// ==========================================
+// EXPORT PDF (A4, mise en page fixe)
+// ==========================================
+// Même contenu que la vue a4-page : texte sélectionnable (polices PDF standard)
+// et graphiques vectoriels (SVG de buildChartSvgs convertis par svg2pdf).
+// svg2pdf lit le SVG via le DOM : navigateur uniquement.
+
+export const PDF_MIME = "application/pdf";
+
+const PAGE = { w: 210, h: 297, margin: 15 };
+const CONTENT_W = PAGE.w - 2 * PAGE.margin;
+const CHART_H = (CONTENT_W * 300) / 800;
+const COLOR = { text: "#334155", head: "#1e293b", card: "#f8fafc", cardBorder: "#e2e8f0", warn: "#eab308" };
+const LINE_FACTOR = 1.35;
+
+// Les polices standard ne couvrent que WinAnsi : on remplace le reste
+const PDF_CHARS = {
+  "₂": "2",
+  "→": "->",
+  "–": "-",
+  "’": "'",
+  "≥": ">=",
+  "≤": "<=",
+  "⁻¹": "-1",
+  "⚠️": "(!)",
+  "⚠": "(!)",
+};
+export const pdfText = (s) =>
+  String(s ?? "")
+    .replace(/\u207b\u00b9|\u26a0\ufe0f?|[\u2082\u2192\u2013\u2019\u2265\u2264]/g, (c) => PDF_CHARS[c])
+    .replace(/[^\u0000-\u00ff]/g, "");
+
+export const pdfFileName = (analysis, date = new Date()) => reportFileName(analysis, date).replace(/\.docx$/, ".pdf");
+
+// SVG → élément attaché (hors écran) le temps de la conversion
+const withSvgElement = async (svg, fn) => {
+  const host = document.createElement("div");
+  host.style.cssText = "position:absolute;left:-10000px;top:0;";
+  host.innerHTML = svg;
+  document.body.appendChild(host);
+  try {
+    return await fn(host.querySelector("svg"));
+  } finally {
+    host.remove();
+  }
+};
+
+/**
+ * Rend le rapport en PDF A4.
+ * @param {object} analysis résultat de buildAnalysis
+ * @returns {Promise<Uint8Array>} octets du fichier PDF
+ */
+export const renderPdfReport = async (analysis) => {
+  const { data, name, age, poids, isBike, vo2, vo2kg, intensityLabel, intensityUnit } = analysis;
+  const { fc1, fc2, s1, s2, rec, zonesTable, manual } = analysis;
+  const txt = reportStrings(analysis.lang);
+  const charts = buildChartSvgs(analysis, { captions: false });
+
+  const doc = new jsPDF({ unit: "mm", format: "a4", compress: true });
+  doc.setProperties({ title: `${txt.reportTitle} - ${name}` });
+  let y = PAGE.margin;
+
+  const lineH = (size) => size * 0.3528 * LINE_FACTOR; // pt → mm
+  const font = (size, style = "normal", color = COLOR.text) => {
+    doc.setFont("helvetica", style);
+    doc.setFontSize(size);
+    doc.setTextColor(color);
+  };
+  const ensure = (h) => {
+    if (y + h <= PAGE.h - PAGE.margin) return;
+    doc.addPage();
+    y = PAGE.margin;
+  };
+  const wrap = (s, w) => doc.splitTextToSize(pdfText(s), w);
+  // Écrit des lignes à la position courante et retourne leur hauteur
+  const write = (lines, x, size) => {
+    doc.text(lines, x, y, { baseline: "top", lineHeightFactor: LINE_FACTOR });
+    return lines.length * lineH(size);
+  };
+
+  const paragraph = (s, { size = 9, style = "normal", color = COLOR.text, gap = 2 } = {}) => {
+    font(size, style, color);
+    const lines = wrap(s, CONTENT_W);
+    ensure(lines.length * lineH(size));
+    y += write(lines, PAGE.margin, size) + gap;
+  };
+  const heading = (s, keepWith = 20) => {
+    ensure(lineH(11) + keepWith);
+    paragraph(s, { size: 11, style: "bold", color: COLOR.head, gap: 2 });
+  };
+
+  const fmt = (v) => (isBike ? Math.round(v) : v.toFixed(1));
+  const thTag = (k) =>
+    manual[k] ? ` (${txt.manual})` : data[k].source === "auto" ? ` (${txt.computed})` : "";
+
+  // --- En-tête et carte patient ---
+  paragraph(txt.reportTitle, { size: 16, style: "bold", color: COLOR.head, gap: 1 });
+  paragraph(txt.reportSub, { size: 10, gap: 4 });
+
+  const meta = [
+    `${txt.patient(data.patient.sexe === "femme")}${txt.colon} ${name}     ${txt.age}${txt.colon} ${age} ${txt.years}     ${txt.weight}${txt.colon} ${poids}`,
+    `VO2peak${txt.colon} ${vo2.toFixed(2)} L/min (${vo2kg} ml/kg/min)  |  ` +
+      `V1${thTag("vt1")}${txt.colon} ${fc1} bpm / ${fmt(s1)} ${intensityUnit}  |  ` +
+      `V2${thTag("vt2")}${txt.colon} ${fc2} bpm / ${fmt(s2)} ${intensityUnit}`,
+  ];
+  font(9);
+  const metaLines = meta.flatMap((l) => wrap(l, CONTENT_W - 8));
+  const metaH = metaLines.length * lineH(9) + 6;
+  doc.setFillColor(COLOR.card);
+  doc.setDrawColor(COLOR.cardBorder);
+  doc.roundedRect(PAGE.margin, y, CONTENT_W, metaH, 2, 2, "FD");
+  y += 3;
+  write(metaLines, PAGE.margin + 4, 9);
+  y += metaH - 3 + 4;
+
+  // Ligne de tableau (zones, paliers, substrats…) ; une cellule par colonne de cols
+  const zoneCols = [16, 30, 42, CONTENT_W - 88];
+  const row = (cells, { fill, style = "normal", color = COLOR.text, cols = zoneCols }) => {
+    font(8.5, style, color);
+    const wrapped = cells.map((c, i) => wrap(c, cols[i] - 3));
+    const h = Math.max(...wrapped.map((l) => l.length)) * lineH(8.5) + 3;
+    ensure(h);
+    let x = PAGE.margin;
+    wrapped.forEach((lines, i) => {
+      doc.setFillColor(fill);
+      doc.setDrawColor(`#${ZHEX.BORDER}`);
+      doc.rect(x, y, cols[i], h, "FD");
+      doc.text(lines, x + 1.5, y + 1.5, { baseline: "top", lineHeightFactor: LINE_FACTOR });
+      x += cols[i];
+    });
+    y += h;
+  };
+
+  // --- Situation par rapport aux normes ---
+  if (analysis.norm?.available) {
+    const gauge = svgSize(charts.chartNorm);
+    const gaugeW = 120;
+    const gaugeH = (gaugeW * gauge.h) / gauge.w;
+    heading(txt.normTitle, gaugeH + 10);
+    paragraph(analysis.norm.text, { gap: 1 });
+    analysis.norm.notes.forEach((n) => paragraph(n, { size: 8.5, style: "italic", gap: 1 }));
+    ensure(gaugeH);
+    await withSvgElement(pdfText(charts.chartNorm), (el) => svg2pdf(el, doc, { x: PAGE.margin, y, width: gaugeW, height: gaugeH }));
+    y += gaugeH + 4;
+  }
+
+  // --- Qualité du test (optionnelle) ---
+  if (analysis.quality?.include) {
+    heading(txt.qualityTitle);
+    paragraph(analysis.quality.verdict, { style: analysis.quality.maximal ? "normal" : "bold", color: analysis.quality.maximal ? COLOR.text : COLOR.head, gap: 1.5 });
+    const qualityCols = [CONTENT_W - 90, 55, 35];
+    const { criterion, value, status } = txt.quality.cols;
+    row([criterion, value, status], { fill: `#${ZHEX.HEADER}`, style: "bold", color: "#ffffff", cols: qualityCols });
+    analysis.quality.checks.forEach((c) => row([c.label, c.value, txt.quality.status[c.status]], { fill: COLOR.card, cols: qualityCols }));
+    y += 5;
+  }
+
+  // --- Comprendre V1 et V2 ---
+  heading(txt.understandTitle);
+  paragraph(txt.explicationV1);
+  paragraph(txt.explicationV2, { gap: 4 });
+
+  // --- Tableau des zones ---
+  heading(txt.zonesTitle);
+  paragraph(`${txt.zoneModel}${txt.colon} ${analysis.zoneModelName}`, { size: 8.5, style: "italic", gap: 1.5 });
+  row([txt.colZone, txt.colFc, `${intensityLabel} (${intensityUnit})`, txt.colDet], {
+    fill: `#${ZHEX.HEADER}`,
+    style: "bold",
+    color: "#ffffff",
+  });
+  zonesTable.forEach((z) => row([z.z, z.fc, z.sp, z.det], { fill: ZCOL_CHART[z.z] }));
+  y += 5;
+
+  // --- Graphiques ---
+  const legend = () => {
+    font(8);
+    let x = PAGE.margin;
+    zonesTable.forEach(({ z, label: zLabel }) => {
+      const label = pdfText(`${z} ${zLabel}`);
+      const w = 4 + doc.getTextWidth(label) + 5;
+      if (x + w > PAGE.margin + CONTENT_W) {
+        x = PAGE.margin;
+        y += 5;
+      }
+      doc.setFillColor(ZCOL_CHART[z]);
+      doc.setDrawColor(`#${ZHEX.BORDER}`);
+      doc.circle(x + 1.5, y + 1.6, 1.5, "FD");
+      doc.text(label, x + 4, y, { baseline: "top" });
+      x += w;
+    });
+    y += 8;
+  };
+  const chart = async (title, svg) => {
+    ensure(lineH(10) + 3 + CHART_H + 8);
+    paragraph(title, { size: 10, style: "bold", color: COLOR.head, gap: 1 });
+    await withSvgElement(pdfText(svg), (el) => svg2pdf(el, doc, { x: PAGE.margin, y, width: CONTENT_W, height: CHART_H }));
+    y += CHART_H + 2;
+    legend();
+  };
+
+  paragraph(txt.averagingInfo(analysis.averaging.label), { size: 8.5, style: "italic", gap: 1.5 });
+  await chart(txt.chartVO2(analysis.averaging.label), charts.chartVO2);
+
+  // Page 2, comme la vue à l'écran
+  doc.addPage();
+  y = PAGE.margin;
+  await chart(txt.chartFC(analysis.averaging.label), charts.chartFC);
+
+  // --- Résumé par palier ---
+  if (analysis.stages.stages.length) {
+    heading(txt.stagesTitle);
+    paragraph(analysis.stages.ramp ? txt.stageTable.rampIntro : txt.stageTable.intro, { size: 8.5, style: "italic", gap: 1 });
+    const stageCols = [16, 18, 30, 18, 22, 32, 16, CONTENT_W - 152];
+    const c = txt.stageTable.cols;
+    row([c.stage, c.duration, `${intensityLabel} (${intensityUnit})`, c.fc, c.vo2, c.vo2kg, c.rer, c.ve], {
+      fill: `#${ZHEX.HEADER}`,
+      style: "bold",
+      color: "#ffffff",
+      cols: stageCols,
+    });
+    buildStageRows(analysis).forEach((r) =>
+      row([r.stage, r.duration, r.load, r.fc, r.vo2, r.vo2kg, r.rer, r.ve], { fill: COLOR.card, cols: stageCols }),
+    );
+    y += 5;
+  }
+
+  // --- Oxydation des lipides et des glucides ---
+  const sub = analysis.substrates;
+  if (sub) {
+    heading(txt.fatTitle, CHART_H + 10);
+    paragraph(analysis.stages.ramp ? `${txt.fat.intro} ${txt.fat.rampNote}` : txt.fat.intro, { size: 8.5, style: "italic", gap: 1 });
+    paragraph(`${sub.summary} ${sub.zoneText}`);
+    ensure(CHART_H);
+    await withSvgElement(pdfText(charts.chartFat), (el) => svg2pdf(el, doc, { x: PAGE.margin, y, width: CONTENT_W, height: CHART_H }));
+    y += CHART_H + 3;
+    const fatCols = [20, 34, 24, 20, 40, CONTENT_W - 138];
+    const { stage, fc, rer, fat, cho } = txt.fat.cols;
+    row([stage, `${intensityLabel} (${intensityUnit})`, fc, rer, fat, cho], { fill: `#${ZHEX.HEADER}`, style: "bold", color: "#ffffff", cols: fatCols });
+    sub.stages.forEach((r) =>
+      row([String(r.n), String(fmt(r.load)), String(Math.round(r.fc)), Number.isFinite(r.rer) ? r.rer.toFixed(2) : "-", r.fat.toFixed(2), r.cho.toFixed(2)], {
+        fill: COLOR.card,
+        cols: fatCols,
+      }),
+    );
+    y += 5;
+  }
+
+  // --- Lactatémie et seuils lactiques ---
+  const lac = analysis.lactate;
+  if (lac?.available) {
+    heading(txt.lactateTitle, CHART_H + 10);
+    paragraph(`${txt.lactate.intro} ${txt.lactate.baseline(lac.baseline.toFixed(1))}`, { size: 8.5, style: "italic", gap: 1 });
+    ensure(CHART_H);
+    await withSvgElement(pdfText(charts.chartLactate), (el) => svg2pdf(el, doc, { x: PAGE.margin, y, width: CONTENT_W, height: CHART_H }));
+    y += CHART_H + 3;
+    const lacCols = [CONTENT_W - 114, 40, 34, 40];
+    const { method, fc, la } = txt.lactate.cols;
+    row([method, `${intensityLabel} (${intensityUnit})`, fc, la], { fill: `#${ZHEX.HEADER}`, style: "bold", color: "#ffffff", cols: lacCols });
+    buildLactateRows(analysis).forEach((r) => row([r.method, r.load, r.fc, r.la], { fill: COLOR.card, cols: lacCols }));
+    y += 2;
+    lac.comparison.forEach((c) => paragraph(c.text, { color: c.agree ? COLOR.text : COLOR.head, style: c.agree ? "normal" : "bold", gap: 1 }));
+    y += 4;
+  }
+
+  // --- Recommandations ---
+  heading(txt.recTitle);
+  [rec.ana, rec.pri, rec.comp, rec.hi].filter(Boolean).forEach((s) => paragraph(s));
+  if (rec.spec) {
+    font(9);
+    const lines = wrap(rec.spec, CONTENT_W - 8);
+    const h = lines.length * lineH(9) + 4;
+    ensure(h);
+    doc.setFillColor(ZCOL_CHART.Z3);
+    doc.rect(PAGE.margin, y, CONTENT_W, h, "F");
+    doc.setFillColor(COLOR.warn);
+    doc.rect(PAGE.margin, y, 1.2, h, "F");
+    y += 2;
+    write(lines, PAGE.margin + 4, 9);
+    y += h - 2 + 3;
+  }
+  if (rec.fu) paragraph(rec.fu, { style: "italic" });
+
+  if (analysis.comment) {
+    y += 3;
+    heading(txt.commentTitle);
+    paragraph(analysis.comment);
+  }
+
+  // --- Évolution (optionnelle) : écarts avec le test précédent le plus récent ---
+  const cmp = analysis.comparison;
+  if (cmp?.show) {
+    y += 3;
+    heading(txt.evolutionTitle);
+    paragraph(txt.evolutionIntro(cmp.tests[0].label));
+    const evoCols = [CONTENT_W - 132, 40, 40, 52];
+    const { metric, previous, current, delta } = txt.evoCols;
+    row([metric, previous, current, delta], { fill: `#${ZHEX.HEADER}`, style: "bold", color: "#ffffff", cols: evoCols });
+    cmp.rows.forEach((r) => row([r.metric, r.previous[0].value, r.current, r.previous[0].delta], { fill: COLOR.card, cols: evoCols }));
+  }
+
+  // --- Graphiques de Wasserman (page dédiée, optionnelle) ---
+  if (analysis.wasserman?.include) {
+    doc.addPage();
+    y = PAGE.margin;
+    heading(txt.wassermanTitle);
+    paragraph(txt.wasserman.intro, { size: 8.5, style: "italic" });
+    const grid = svgSize(charts.chartWasserman);
+    const gridH = (CONTENT_W * grid.h) / grid.w;
+    await withSvgElement(pdfText(charts.chartWasserman), (el) => svg2pdf(el, doc, { x: PAGE.margin, y, width: CONTENT_W, height: gridH }));
+    y += gridH;
+  }
+
+  return new Uint8Array(doc.output("arraybuffer"));
+};
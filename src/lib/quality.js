@@ -0,0 +1,136 @@
+import { reportStrings } from "./i18n.js";
+import { binAverage, toNum } from "./thresholds.js";
+
+// ==========================================
+// QUALITÉ DU TEST
+// ==========================================
+// Critères de maximalité (au moins 2 sur 3 pour parler de VO2max) :
+//   RER de pic > 1,10 ; FC de pic à moins de 10 bpm de 220 − âge ;
+//   plateau de VO2 (hausse < 150 ml/min entre les deux dernières tranches de 30 s, Taylor 1955).
+// Qualité du signal : décrochages et pics isolés de FC, valeurs aberrantes de VO2
+// (écart à la médiane locale > 4 écarts absolus médians).
+
+const RER_MIN = 1.1;
+const HR_MARGIN = 10;
+const PEAK_BIN_SECONDS = 15;
+const PLATEAU_BIN_SECONDS = 30;
+const PLATEAU_DELTA = 0.15; // L/min
+const MIN_CRITERIA = 2;
+
+const LOCAL_WINDOW = 5; // mesures de part et d'autre de la médiane locale
+const HR_MIN = 30;
+const HR_SPIKE = 25; // bpm
+const OUTLIER_K = 4;
+const MAD_FLOOR = 0.05; // L/min, évite de signaler le bruit d'un signal très régulier
+const MAX_LISTED = 5;
+
+const median = (values) => {
+  const v = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+};
+
+// Indices des valeurs trop éloignées de la médiane de leurs voisines
+const localOutliers = (values, isOutlier) =>
+  values.reduce((acc, v, i) => {
+    if (!Number.isFinite(v)) return acc;
+    const around = values.slice(Math.max(0, i - LOCAL_WINDOW), i + LOCAL_WINDOW + 1).filter(Number.isFinite);
+    if (around.length < LOCAL_WINDOW) return acc;
+    const med = median(around);
+    const mad = median(around.map((x) => Math.abs(x - med)));
+    if (isOutlier(v, med, mad)) acc.push(i);
+    return acc;
+  }, []);
+
+const clock = (s) => `${Math.floor(s / 60)}:${String(Math.round(s % 60)).padStart(2, "0")}`;
+
+/**
+ * Critères de maximalité et qualité des signaux de la phase d'effort.
+ * @param {object[]} ex mesures de la phase d'effort (getExData)
+ * @param {{age?: number, lang?: string}} opts
+ * @returns {{maximal: boolean, met: number, verdict: string,
+ *   checks: Array<{key, label, value, status: "ok"|"warn"|"na", warning?: string}>, warnings: string[]}}
+ */
+export const checkTestQuality = (ex, { age = 0, lang = "fr" } = {}) => {
+  const txt = reportStrings(lang).quality;
+  const pts = ex.filter((m) => Number.isFinite(m.timeSeconds));
+  const vo2Of = (m) => toNum(m.vo2 ?? m["V'O2"]);
+  const hrOf = (m) => toNum(m.fc ?? m["FC"]);
+
+  const peaks = binAverage(pts, PEAK_BIN_SECONDS, {
+    vo2: vo2Of,
+    vco2: (m) => toNum(m["V'CO2"]),
+    rer: (m) => toNum(m["RER"]),
+    fc: hrOf,
+  });
+  const rers = peaks.map((b) => (Number.isFinite(b.rer) ? b.rer : b.vco2 / b.vo2)).filter(Number.isFinite);
+  const rerPeak = rers.length ? Math.max(...rers) : NaN;
+  const hrs = peaks.map((b) => b.fc).filter((v) => v >= HR_MIN);
+  const hrPeak = hrs.length ? Math.round(Math.max(...hrs)) : NaN;
+  const hrPred = age > 0 ? Math.round(220 - age) : NaN;
+  const tail = binAverage(pts, PLATEAU_BIN_SECONDS, { vo2: vo2Of }).filter((b) => Number.isFinite(b.vo2)).slice(-2);
+  const plateauDelta = tail.length === 2 ? Math.round((tail[1].vo2 - tail[0].vo2) * 1000) : NaN;
+
+  const status = (ok) => (ok == null ? "na" : ok ? "ok" : "warn");
+  const criteria = [
+    {
+      key: "rer",
+      value: Number.isFinite(rerPeak) ? rerPeak.toFixed(2) : "-",
+      ok: Number.isFinite(rerPeak) ? rerPeak > RER_MIN : null,
+      warn: () => txt.warn.rer(rerPeak.toFixed(2)),
+    },
+    {
+      key: "hr",
+      value: Number.isFinite(hrPeak) ? (Number.isFinite(hrPred) ? txt.hrValue(hrPeak, hrPred) : `${hrPeak} bpm (${txt.noAge})`) : "-",
+      ok: Number.isFinite(hrPeak) && Number.isFinite(hrPred) ? hrPeak >= hrPred - HR_MARGIN : null,
+      warn: () => txt.warn.hr(hrPeak, hrPred),
+    },
+    {
+      key: "plateau",
+      value: Number.isFinite(plateauDelta) ? `${plateauDelta > 0 ? "+" : ""}${plateauDelta} ml/min` : "-",
+      ok: Number.isFinite(plateauDelta) ? plateauDelta < PLATEAU_DELTA * 1000 : null,
+      warn: () => txt.warn.plateau(`${plateauDelta > 0 ? "+" : ""}${plateauDelta}`),
+    },
+  ];
+
+  const times = (idx) => {
+    const list = idx.slice(0, MAX_LISTED).map((i) => clock(pts[i].timeSeconds)).join(", ");
+    return idx.length > MAX_LISTED ? `${list}…` : list;
+  };
+  const hr = pts.map(hrOf);
+  const vo2 = pts.map(vo2Of);
+  const dropouts = hr.reduce((acc, v, i) => (!(v >= HR_MIN) && (i === 0 || hr[i - 1] >= HR_MIN) ? [...acc, i] : acc), []);
+  const spikes = localOutliers(hr, (v, med) => v >= HR_MIN && Math.abs(v - med) > HR_SPIKE);
+  const outliers = localOutliers(vo2, (v, med, mad) => Math.abs(v - med) > OUTLIER_K * Math.max(mad, MAD_FLOOR));
+  // Signal absent de l'export : non évaluable
+  const hasHr = hr.some((v) => v >= HR_MIN);
+  const hasVo2 = vo2.some(Number.isFinite);
+  const signals = [
+    ["hrDropout", dropouts, hasHr],
+    ["hrSpike", spikes, hasHr],
+    ["vo2Outlier", outliers, hasVo2],
+  ].map(([key, idx, present]) => ({
+    key,
+    value: present ? String(idx.length) : "-",
+    ok: present ? idx.length === 0 : null,
+    warn: () => txt.warn[key](idx.length, times(idx)),
+  }));
+
+  const checks = [...criteria, ...signals].map(({ key, value, ok, warn }) => ({
+    key,
+    label: txt.criteria[key],
+    value,
+    status: status(ok),
+    ...(ok === false && { warning: warn() }),
+  }));
+  const met = criteria.filter((c) => c.ok).length;
+  const maximal = met >= MIN_CRITERIA;
+
+  return {
+    maximal,
+    met,
+    verdict: maximal ? txt.maximal(met) : txt.submaximal(met),
+    checks,
+    warnings: checks.filter((c) => c.warning).map((c) => c.warning),
+  };
+};
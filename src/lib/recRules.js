@@ -0,0 +1,356 @@
+import { ValidationError } from "./validation.js";
+
+// ==========================================
+// RÈGLES DE RECOMMANDATION (CONFIGURATION)
+// ==========================================
+// Jeu de règles versionné : pour chaque paragraphe, la première règle dont la
+// condition est vraie fournit le texte (un par langue), avec des champs {fc1}, {s1}…
+// Les conditions sont évaluées sans eval() : un fichier importé ne peut pas exécuter de code.
+
+export const RULES_FORMAT = "tcp-report-rules";
+export const RULES_VERSION = 1;
+
+// Paragraphes de recommandation, dans l'ordre du rapport
+export const REC_SECTIONS = {
+  ana: "Analyse des zones",
+  pri: "Priorité",
+  comp: "Complément",
+  hi: "Haute intensité",
+  spec: "Alerte spécifique",
+  fu: "Suivi",
+};
+export const REC_KEYS = Object.keys(REC_SECTIONS);
+
+export const RULE_VARS = {
+  vo2kg: "VO₂peak (ml/kg/min)",
+  vo2: "VO₂peak (L/min)",
+  fc1: "FC à V1 (bpm)",
+  fc2: "FC à V2 (bpm)",
+  s1: "vitesse/puissance à V1",
+  s2: "vitesse/puissance à V2",
+  w: "écart de FC entre V1 et V2 (bpm)",
+  z2w: "largeur de Z2 (bpm)",
+  z2max: "FC maximale en sortie longue (bpm)",
+  age: "âge (ans)",
+  sex: "\"homme\", \"femme\" ou \"\"",
+  sport: "\"run\" ou \"bike\"",
+  sportType: "\"endurance\" ou \"other\"",
+  goal: "\"health\", \"performance\" ou \"competition\"",
+};
+
+export const GOALS = {
+  health: "Santé / remise en forme",
+  performance: "Performance",
+  competition: "Compétition",
+};
+
+const rule = (id, section, when, fr, en, de) => ({ id, section, when, text: { fr, en, de } });
+
+// Reprend les recommandations historiques (seuils VO₂/kg 35 et 45 ml/kg/min)
+export const DEFAULT_REC_RULES = {
+  format: RULES_FORMAT,
+  version: RULES_VERSION,
+  name: "Règles par défaut",
+  revision: 1,
+  updatedAt: null,
+  rules: [
+    rule("ana-narrow", "ana", "w < 8",
+      "Zones étroites ({w} bpm). Priorité: élargir via Z2.",
+      "Narrow zones ({w} bpm). Priority: widen them through Z2.",
+      "Enge Zonen ({w} bpm). Priorität: über Z2 erweitern."),
+    rule("ana-fair", "ana", "w < 12",
+      "Zones relativement étroites. Objectif: les élargir.",
+      "Fairly narrow zones. Goal: widen them.",
+      "Relativ enge Zonen. Ziel: sie erweitern."),
+    rule("ana-moderate", "ana", "w < 18",
+      "Zones modérées ({w} bpm). Bonne flexibilité.",
+      "Moderate zones ({w} bpm). Good flexibility.",
+      "Moderate Zonen ({w} bpm). Gute Flexibilität."),
+    rule("ana-wide", "ana", "",
+      "Zones bien espacées ({w} bpm). Excellente adaptation.",
+      "Well-spaced zones ({w} bpm). Excellent adaptation.",
+      "Gut verteilte Zonen ({w} bpm). Ausgezeichnete Anpassung."),
+
+    rule("pri-base", "pri", "vo2kg < 35",
+      "Z2: 3-4×/sem (30-60 min) sous {fc1} bpm. Construire la base aérobie.",
+      "Z2: 3-4×/week (30-60 min) below {fc1} bpm. Build the aerobic base.",
+      "Z2: 3-4×/Woche (30-60 min) unter {fc1} bpm. Aerobe Basis aufbauen."),
+    rule("pri-advanced", "pri", "vo2kg >= 45",
+      "Z2: 2-3×/sem (60-120 min) à {s1}. Endurance lipidique.",
+      "Z2: 2-3×/week (60-120 min) at {s1}. Fat-burning endurance.",
+      "Z2: 2-3×/Woche (60-120 min) bei {s1}. Fettstoffwechsel-Ausdauer."),
+    rule("pri-intermediate", "pri", "",
+      "Z2: 2-3×/sem (45-90 min) allure confortable. Base aérobie.",
+      "Z2: 2-3×/week (45-90 min) at a comfortable pace. Aerobic base.",
+      "Z2: 2-3×/Woche (45-90 min) in angenehmem Tempo. Aerobe Basis."),
+
+    rule("comp-base-bike", "comp", "vo2kg < 35 and sport == \"bike\"",
+      "Z1: récup active (pédalage léger). Régularité > intensité.",
+      "Z1: active recovery (easy spinning). Consistency > intensity.",
+      "Z1: aktive Erholung (lockeres Pedalieren). Regelmäßigkeit > Intensität."),
+    rule("comp-base", "comp", "vo2kg < 35",
+      "Z1: récup active (marche, footing lent). Régularité > intensité.",
+      "Z1: active recovery (walking, easy jogging). Consistency > intensity.",
+      "Z1: aktive Erholung (Gehen, lockeres Joggen). Regelmäßigkeit > Intensität."),
+    rule("comp-advanced-bike", "comp", "vo2kg >= 45 and sport == \"bike\"",
+      "Z3: 1-2×/sem tempo (20-40 min) ou 4×10 min progressif en vélo.",
+      "Z3: 1-2×/week tempo (20-40 min) or 4×10 min progressive cycling.",
+      "Z3: 1-2×/Woche Tempo (20-40 min) oder 4×10 min progressiv auf dem Rad."),
+    rule("comp-advanced", "comp", "vo2kg >= 45",
+      "Z3: 1-2×/sem tempo (20-40 min) ou 4×10 min progressif en course.",
+      "Z3: 1-2×/week tempo (20-40 min) or 4×10 min progressive running.",
+      "Z3: 1-2×/Woche Tempo (20-40 min) oder 4×10 min progressiv beim Laufen."),
+    rule("comp-intermediate", "comp", "",
+      "Z3: 1×/sem blocs 5-10 min (3-4×8 min) + récup courte.",
+      "Z3: 1×/week 5-10 min blocks (3-4×8 min) + short recovery.",
+      "Z3: 1×/Woche Blöcke von 5-10 min (3-4×8 min) + kurze Erholung."),
+
+    rule("hi-base", "hi", "vo2kg < 35",
+      "Z3-5: éviter 8-12 semaines. Focus volume Z2.",
+      "Z3-5: avoid for 8-12 weeks. Focus on Z2 volume.",
+      "Z3-5: 8-12 Wochen vermeiden. Fokus auf Z2-Umfang."),
+    rule("hi-advanced-bike", "hi", "vo2kg >= 45 and sport == \"bike\"",
+      "Z4-5: 1×/sem intervalles. 48h récup après.",
+      "Z4-5: 1×/week intervals. 48h recovery afterwards.",
+      "Z4-5: 1×/Woche Intervalle. Danach 48 h Erholung."),
+    rule("hi-advanced", "hi", "vo2kg >= 45",
+      "Z4-5: 1×/sem intervalles/côtes. 48h récup après.",
+      "Z4-5: 1×/week intervals/hills. 48h recovery afterwards.",
+      "Z4-5: 1×/Woche Intervalle/Hügel. Danach 48 h Erholung."),
+    rule("hi-intermediate", "hi", "",
+      "Z4-5: occasionnel, non prioritaire pour endurance.",
+      "Z4-5: occasional, not a priority for endurance.",
+      "Z4-5: gelegentlich, für die Ausdauer keine Priorität."),
+
+    rule("spec-narrow-z2", "spec", "z2w < 5",
+      "⚠️ Z2 étroite ({z2w} bpm). Max {z2max} bpm en sortie longue.",
+      "⚠️ Narrow Z2 ({z2w} bpm). Max {z2max} bpm on long sessions.",
+      "⚠️ Enge Z2 ({z2w} bpm). Max. {z2max} bpm bei langen Einheiten."),
+
+    rule("fu-retest", "fu", "",
+      "Retest conseillé dans 8-12 semaines.",
+      "Retest recommended in 8-12 weeks.",
+      "Retest in 8-12 Wochen empfohlen."),
+  ],
+};
+
+// ==========================================
+// CONDITIONS
+// ==========================================
+const tokenize = (expr) => {
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:[.,]\d+)?)|"([^"]*)"|'([^']*)'|([A-Za-z]\w*)|(<=|>=|==|!=|&&|\|\||\S))/gy;
+  let m;
+  while ((m = re.exec(expr))) {
+    if (m[1]) tokens.push({ num: parseFloat(m[1].replace(",", ".")) });
+    else if (m[2] !== undefined || m[3] !== undefined) tokens.push({ str: m[2] ?? m[3] });
+    else if (m[4]) {
+      const word = m[4].toLowerCase();
+      if (word === "and" || word === "et") tokens.push({ op: "&&" });
+      else if (word === "or" || word === "ou") tokens.push({ op: "||" });
+      else if (word === "not") tokens.push({ op: "!" });
+      else tokens.push({ name: m[4] });
+    } else tokens.push({ op: m[5] });
+  }
+  return tokens;
+};
+
+const COMPARE = {
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+
+/**
+ * Évalue la condition d'une règle ; une condition vide est toujours vraie.
+ * @param {string} expr ex. 'vo2kg >= 45 and sport == "bike"', "age > 60 ou goal == \"health\""
+ * @param {Record<string, number|string>} vars variables de RULE_VARS
+ * @returns {boolean}
+ * @throws {ValidationError} syntaxe invalide ou variable inconnue
+ */
+export const evalCondition = (expr, vars) => {
+  const fail = (why) => {
+    throw new ValidationError(`Condition invalide : ${expr}`, [why]);
+  };
+  const tokens = tokenize(String(expr ?? ""));
+  if (!tokens.length) return true;
+  let i = 0;
+  const isOp = (...ops) => tokens[i]?.op && ops.includes(tokens[i].op);
+
+  // or := and ("||" and)* ; and := not ("&&" not)* ; not := "!" not | cmp
+  // cmp := sum (op sum)? ; sum := term (("+" | "-") term)* ; term := unary (("*" | "/") unary)*
+  const parseOr = () => {
+    let v = parseAnd();
+    while (isOp("||")) { i++; const r = parseAnd(); v = v || r; }
+    return v;
+  };
+  const parseAnd = () => {
+    let v = parseNot();
+    while (isOp("&&")) { i++; const r = parseNot(); v = v && r; }
+    return v;
+  };
+  const parseNot = () => {
+    if (isOp("!")) { i++; return !parseNot(); }
+    const left = parseSum();
+    if (!isOp(...Object.keys(COMPARE))) return left;
+    const op = tokens[i++].op;
+    return COMPARE[op](left, parseSum());
+  };
+  const parseSum = () => {
+    let v = parseTerm();
+    while (isOp("+", "-")) v = tokens[i++].op === "+" ? v + parseTerm() : v - parseTerm();
+    return v;
+  };
+  const parseTerm = () => {
+    let v = parseUnary();
+    while (isOp("*", "/")) v = tokens[i++].op === "*" ? v * parseUnary() : v / parseUnary();
+    return v;
+  };
+  const parseUnary = () => {
+    const t = tokens[i++];
+    if (!t) return fail("condition incomplète");
+    if (t.op === "-") return -parseUnary();
+    if (t.op === "(") {
+      const v = parseOr();
+      if (!isOp(")")) fail("parenthèse fermante manquante");
+      i++;
+      return v;
+    }
+    if (t.num !== undefined) return t.num;
+    if (t.str !== undefined) return t.str;
+    if (t.name) {
+      if (!(t.name in RULE_VARS)) fail(`variable inconnue « ${t.name} » (${Object.keys(RULE_VARS).join(", ")})`);
+      return vars[t.name];
+    }
+    return fail(`symbole inattendu « ${t.op} »`);
+  };
+
+  const value = parseOr();
+  if (i < tokens.length) {
+    const t = tokens[i];
+    fail(`symbole inattendu « ${t.op ?? t.name ?? t.str ?? t.num} »`);
+  }
+  return Boolean(value);
+};
+
+// ==========================================
+// APPLICATION
+// ==========================================
+
+/**
+ * Variables des règles pour un athlète.
+ * @returns {{values: Record<string, number|string>, fields: Record<string, string>}}
+ *   values : pour les conditions ; fields : valeurs formatées des champs {…} des textes
+ */
+export const ruleVariables = ({ fc1, fc2, s1, s2, vo2, vo2kg, testType = "run", age, sex, sportType, goal }) => {
+  const bike = testType === "bike";
+  const z2w = Math.round((fc1 + fc2) / 2) - fc1;
+  const fmtS = (v) => (bike ? `${Math.round(v)} W` : `${v.toFixed(1)} km/h`);
+  const values = {
+    vo2kg,
+    vo2,
+    fc1,
+    fc2,
+    s1,
+    s2,
+    w: fc2 - fc1,
+    z2w,
+    z2max: fc1 + z2w,
+    age: Number.isFinite(Number(age)) ? Number(age) : NaN,
+    sex: sex || "",
+    sport: bike ? "bike" : "run",
+    sportType: sportType || "endurance",
+    goal: goal || "performance",
+  };
+  const fields = Object.fromEntries(Object.entries(values).map(([k, v]) => [k, String(v)]));
+  Object.assign(fields, { s1: fmtS(s1), s2: fmtS(s2), vo2: vo2.toFixed(2), age: Number.isFinite(values.age) ? String(values.age) : "?" });
+  return { values, fields };
+};
+
+const ruleText = (r, lang) => r.text?.[lang] ?? r.text?.fr ?? Object.values(r.text || {})[0] ?? "";
+
+export const fillPlaceholders = (text, fields) =>
+  String(text).replace(/\{(\w+)\}/g, (m, k) => (k in fields ? fields[k] : m));
+
+/**
+ * Applique le jeu de règles : première règle vraie de chaque paragraphe.
+ * Une règle dont la condition est invalide est ignorée (signalée par checkRuleSet).
+ * @returns {Record<string, {text: string, ruleId: string|null}>} par paragraphe (ana, pri…)
+ */
+export const applyRules = (ruleSet, vars, lang = "fr") => {
+  const { values, fields } = ruleVariables(vars);
+  return Object.fromEntries(
+    REC_KEYS.map((section) => {
+      const hit = ruleSet.rules.find((r) => {
+        if (r.section !== section) return false;
+        try {
+          return evalCondition(r.when, values);
+        } catch {
+          return false;
+        }
+      });
+      return [section, { text: hit ? fillPlaceholders(ruleText(hit, lang), fields) : "", ruleId: hit?.id ?? null }];
+    }),
+  );
+};
+
+// ==========================================
+// VALIDATION
+// ==========================================
+const SAMPLE = ruleVariables({ fc1: 140, fc2: 165, s1: 11, s2: 14, vo2: 3.5, vo2kg: 45, age: 40, sex: "homme" }).values;
+
+/**
+ * Contrôle un jeu de règles (fichier importé ou édité).
+ * @returns {string[]} erreurs lisibles ; vide si le jeu est valide
+ */
+export const checkRuleSet = (set) => {
+  if (set?.format !== RULES_FORMAT) return ["Ce fichier n'est pas un jeu de règles de recommandation"];
+  if (!(set.version >= 1 && set.version <= RULES_VERSION)) return [`Version de règles non prise en charge : ${set.version}`];
+  if (!Array.isArray(set.rules)) return ["Liste de règles absente"];
+
+  const errors = [];
+  set.rules.forEach((r, n) => {
+    const where = `Règle ${n + 1}${r?.id ? ` (${r.id})` : ""}`;
+    if (!REC_KEYS.includes(r?.section)) {
+      errors.push(`${where} : paragraphe inconnu « ${r?.section} » (${REC_KEYS.join(", ")})`);
+      return;
+    }
+    try {
+      evalCondition(r.when, SAMPLE);
+    } catch (e) {
+      errors.push(`${where} : ${e.message} — ${e.details.join(" ")}`);
+    }
+    const texts = Object.values(r.text || {}).filter((t) => typeof t === "string");
+    if (!texts.length) errors.push(`${where} : aucun texte`);
+    texts.forEach((t) => {
+      const unknown = [...t.matchAll(/\{(\w+)\}/g)].map((m) => m[1]).filter((k) => !(k in RULE_VARS));
+      if (unknown.length) errors.push(`${where} : champ(s) inconnu(s) ${unknown.map((k) => `{${k}}`).join(", ")}`);
+    });
+  });
+  return errors;
+};
+
+/**
+ * Lit un fichier de règles exporté.
+ * @param {Uint8Array} bytes
+ * @throws {ValidationError} JSON illisible ou jeu de règles invalide
+ */
+export const readRulesFile = (bytes) => {
+  let set;
+  try {
+    set = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new ValidationError("Fichier de règles illisible", ["JSON attendu (export « Règles de recommandation »)."]);
+  }
+  const errors = checkRuleSet(set);
+  if (errors.length) throw new ValidationError("Jeu de règles invalide", errors);
+  return set;
+};
+
+export const writeRulesFile = (set) => new TextEncoder().encode(JSON.stringify(set, null, 2));
+
+export const rulesFileName = (set) =>
+  `Regles_TCP_${String(set.name || "regles").replace(/[^\w-]+/g, "_")}_r${set.revision}.json`;
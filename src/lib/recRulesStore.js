@@ -0,0 +1,45 @@
+import { DEFAULT_REC_RULES, checkRuleSet } from "./recRules.js";
+import { ValidationError } from "./validation.js";
+
+// ==========================================
+// RÈGLES DE RECOMMANDATION (STOCKAGE NAVIGATEUR)
+// ==========================================
+// Un seul jeu de règles actif, conservé dans le localStorage du poste.
+
+const STORAGE_KEY = "tcp-report.recRules";
+
+/** @returns {object} jeu de règles enregistré, sinon les règles par défaut */
+export const loadRecRules = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return DEFAULT_REC_RULES;
+    const set = JSON.parse(raw);
+    if (checkRuleSet(set).length) throw new Error("jeu de règles invalide");
+    return set;
+  } catch (e) {
+    console.warn("Règles de recommandation illisibles, règles par défaut utilisées:", e.message);
+    return DEFAULT_REC_RULES;
+  }
+};
+
+/**
+ * Enregistre le jeu de règles comme nouvelle révision.
+ * @throws {ValidationError} jeu de règles invalide ou stockage plein
+ */
+export const saveRecRules = (set) => {
+  const errors = checkRuleSet(set);
+  if (errors.length) throw new ValidationError("Jeu de règles invalide", errors);
+  const revision = Math.max(set.revision || 0, loadRecRules().revision || 0) + 1;
+  const saved = { ...set, revision, updatedAt: new Date().toISOString() };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  } catch {
+    throw new ValidationError("Impossible d'enregistrer les règles dans le stockage du navigateur");
+  }
+  return saved;
+};
+
+export const resetRecRules = () => {
+  localStorage.removeItem(STORAGE_KEY);
+  return DEFAULT_REC_RULES;
+};
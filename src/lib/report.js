@@ -0,0 +1,558 @@
+import Docxtemplater from "docxtemplater";
+import PizZip from "pizzip";
+import ImageModule from "docxtemplater-image-module-free";
+
+import { renderChartSvg, renderGaugeSvg, renderLactateSvg, renderPanelGridSvg, renderSubstrateSvg } from "./chartSvg.js";
+import { reportStrings } from "./i18n.js";
+import { fitLine } from "./thresholds.js";
+import { WASSERMAN_COLORS } from "./wasserman.js";
+import { ZHEX, formatPace } from "./zones.js";
+
+// ==========================================
+// GÉNÉRATION DOCX AVEC TEMPLATE
+// ==========================================
+export const DOCX_MIME = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+const CHART_SIZE = { w: 800, h: 300 };
+// Graphiques du DOCX : titre et légende des zones inclus dans l'image
+const CAPTIONED_CHART_SIZE = { w: 800, h: 348 };
+// Largeur dans le document Word (px) ; 550 par défaut
+const DOCX_IMAGE_WIDTH = { chartNorm: 400, chartWasserman: 600 };
+
+// Extension Office 2016 : image SVG, l'image PNG du même blip servant de repli
+const SVG_BLIP_URI = "{96DAC541-7B7A-43D3-8B79-37D633B846F1}";
+const SVG_BLIP_NS = "http://schemas.microsoft.com/office/drawing/2016/SVG/main";
+const IMAGE_REL_TYPE = "http://schemas.openxmlformats.org/officeDocument/2006/relationships/image";
+
+export const b64ToU8 = (b64) => Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+
+export const u8ToB64 = (u8) => {
+  let s = "";
+  for (let i = 0; i < u8.length; i += 0x8000) s += String.fromCharCode(...u8.subarray(i, i + 0x8000));
+  return btoa(s);
+};
+
+export const reportFileName = (analysis, date = new Date()) =>
+  `Rapport_TCP_${analysis.name.replace(/\s+/g, "_")}_${date.toISOString().split("T")[0]}.docx`;
+
+// Suffixe _2, _3… quand plusieurs rapports d'un même lot portent le même nom
+export const uniqueFileName = (name, used) => {
+  let out = name;
+  for (let i = 2; used.has(out); i++) out = name.replace(/\.docx$/, `_${i}.docx`);
+  used.add(out);
+  return out;
+};
+
+/**
+ * Graphiques du rapport en SVG, à partir de l'analyse seule.
+ * @param {object} analysis
+ * @param {{captions?: boolean}} options captions : titre et légende dans l'image (DOCX)
+ */
+export const buildChartSvgs = (analysis, { captions = true } = {}) => {
+  const txt = reportStrings(analysis.lang);
+  const common = {
+    cd: analysis.cd,
+    zoneSegs: analysis.zoneSegs,
+    th: analysis.th,
+    manual: analysis.manual,
+    xLabel: txt.axisTime,
+    legend: captions ? analysis.zonesTable.map((z) => ({ z: z.z, label: z.label })) : [],
+    seriesLabel: txt.currentTest,
+    ...(captions ? CAPTIONED_CHART_SIZE : CHART_SIZE),
+  };
+  const tests = analysis.comparison?.tests || [];
+  const overlays = (dataKey) => tests.map((t) => ({ key: `${dataKey}_${t.key}`, label: t.label, color: t.color }));
+  return {
+    chartVO2: renderChartSvg({ ...common, dataKey: "vo2S", overlays: overlays("vo2S"), yLabel: txt.axisVO2, title: captions ? txt.chartVO2(analysis.averaging.label) : "" }),
+    chartFC: renderChartSvg({ ...common, dataKey: "fcS", overlays: overlays("fcS"), yLabel: txt.axisFC, title: captions ? txt.chartFC(analysis.averaging.label) : "" }),
+    ...(analysis.norm?.available && { chartNorm: renderGaugeSvg({ bands: analysis.norm.bands, value: analysis.norm.value }) }),
+    ...(analysis.substrates && { chartFat: substrateSvg(analysis, { captions }) }),
+    ...(analysis.lactate?.available && { chartLactate: lactateSvg(analysis, { captions }) }),
+    ...(analysis.wasserman?.include && { chartWasserman: wassermanSvg(analysis) }),
+  };
+};
+
+/** Oxydation des lipides et des glucides par palier, avec FATmax et zones d'entraînement. */
+export const substrateSvg = (analysis, { captions = true } = {}) => {
+  const txt = reportStrings(analysis.lang);
+  const { stages, curve, fatmax } = analysis.substrates;
+  return renderSubstrateSvg({
+    stages,
+    curve,
+    fatmax,
+    zones: analysis.zonesTable,
+    labels: { fat: txt.fat.fat, cho: txt.fat.cho, zone: txt.fat.zoneLabel },
+    xLabel: `${analysis.intensityLabel} (${analysis.intensityUnit})`,
+    yLabel: txt.fat.axis,
+    title: captions ? txt.fatTitle : "",
+    ...(captions ? CAPTIONED_CHART_SIZE : CHART_SIZE),
+  });
+};
+
+/** Grille des 9 panneaux de Wasserman, libellés dans la langue du rapport. */
+export const wassermanSvg = (analysis) => {
+  const txt = reportStrings(analysis.lang);
+  const { series, axes, panels: titles, missing } = txt.wasserman;
+  const axisLabel = (key) =>
+    key === "t" ? txt.axisTime : key === "w" ? `${analysis.intensityLabel} (${analysis.intensityUnit})` : series[key];
+  const panels = analysis.wasserman.panels.map((p) => ({
+    title: titles[p.id],
+    x: p.x,
+    xLabel: axisLabel(p.x),
+    yLabel: p.y.length > 1 ? axes[p.id] : series[p.y[0]],
+    y2Label: p.y2 ? series[p.y2[0]] : "",
+    series: [
+      ...p.y.map((key) => ({ key, label: series[key], color: WASSERMAN_COLORS[key] })),
+      ...(p.y2 || []).map((key) => ({ key, label: series[key], color: WASSERMAN_COLORS[key], axis: 2 })),
+    ],
+    markers: p.markers,
+  }));
+  return renderPanelGridSvg({ bins: analysis.wasserman.bins, panels, emptyText: missing });
+};
+
+/** Lactate et FC par palier, LT1/LT2 face aux seuils ventilatoires V1/V2. */
+export const lactateSvg = (analysis, { captions = true } = {}) => {
+  const txt = reportStrings(analysis.lang);
+  const { points, curve, thresholds } = analysis.lactate;
+  const lt = Object.fromEntries(thresholds.map((t) => [t.key, t.load]));
+  return renderLactateSvg({
+    points,
+    curve,
+    hr: analysis.stages.stages,
+    markers: [
+      { k: "LT1", x: lt.lt1, kind: "lt" },
+      { k: "LT2", x: lt.modDmax, kind: "lt" },
+      { k: "V1", x: analysis.th.vt1.s, kind: "vt" },
+      { k: "V2", x: analysis.th.vt2.s, kind: "vt" },
+    ],
+    labels: { lactate: txt.lactate.lactate, hr: txt.lactate.hr },
+    xLabel: `${analysis.intensityLabel} (${analysis.intensityUnit})`,
+    yLabel: txt.lactate.axisLa,
+    y2Label: txt.lactate.axisFc,
+    title: captions ? txt.lactateTitle : "",
+    ...(captions ? CAPTIONED_CHART_SIZE : CHART_SIZE),
+  });
+};
+
+// Dimensions déclarées par un document SVG
+export const svgSize = (svg) => {
+  const [, w, h] = svg.match(/width="(\d+)" height="(\d+)"/) || [];
+  return w ? { w: +w, h: +h } : CAPTIONED_CHART_SIZE;
+};
+
+// Rastérisation SVG → PNG dans le navigateur (image hors-écran, sans capture de la page)
+export const rasterizeSvgInBrowser = (svg, width, height, scale = 2) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+    img.onload = () => {
+      try {
+        const canvas = document.createElement("canvas");
+        canvas.width = width * scale;
+        canvas.height = height * scale;
+        canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+        resolve({ b64: canvas.toDataURL("image/png").split(",")[1], w: canvas.width, h: canvas.height });
+      } catch (e) {
+        reject(e);
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Rendu SVG impossible"));
+    };
+    img.src = url;
+  });
+
+const defaultRasterize = typeof document !== "undefined" && typeof Image !== "undefined" ? rasterizeSvgInBrowser : null;
+
+/**
+ * Produit les graphiques ({svg, b64, w, h}) à partir de l'analyse : le SVG est
+ * intégré au DOCX, le PNG (b64) sert de repli aux lecteurs sans support SVG.
+ * @param {object} analysis
+ * @param {(svg: string, w: number, h: number) => Promise<{b64: string, w: number, h: number}|Uint8Array>} [rasterize]
+ */
+export const renderCharts = async (analysis, rasterize = defaultRasterize) => {
+  if (!rasterize) throw new Error("Aucun moteur de rendu PNG disponible : fournir options.rasterize");
+  const out = {};
+  for (const [key, svg] of Object.entries(buildChartSvgs(analysis))) {
+    const { w, h } = svgSize(svg);
+    const r = await rasterize(svg, w, h);
+    out[key] = { svg, ...(r instanceof Uint8Array ? { b64: u8ToB64(r), w, h } : r) };
+  }
+  return out;
+};
+
+const sameBytes = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+/**
+ * Ajoute la version SVG de chaque graphique à l'image PNG insérée par le module
+ * d'images (retrouvée par son contenu) : Word affiche le SVG, les autres lecteurs le PNG.
+ */
+export const embedSvgCharts = (zip, images) => {
+  const relsPath = "word/_rels/document.xml.rels";
+  let rels = zip.file(relsPath).asText();
+  let xml = zip.file("word/document.xml").asText();
+  const attr = (tag, name) => tag.match(new RegExp(`${name}="([^"]*)"`))?.[1] || "";
+  const imageRels = [...rels.matchAll(/<Relationship [^>]*?\/>/g)]
+    .map(([tag]) => ({ id: attr(tag, "Id"), type: attr(tag, "Type"), target: attr(tag, "Target") }))
+    .filter((r) => r.type === IMAGE_REL_TYPE && /\.png$/i.test(r.target));
+
+  let embedded = 0;
+  Object.entries(images).forEach(([key, img]) => {
+    if (!img?.svg) return;
+    const png = b64ToU8(img.b64);
+    const rel = imageRels.find((r) => sameBytes(zip.file(`word/${r.target}`)?.asUint8Array() || [], png));
+    if (!rel) return;
+
+    const svgId = `rIdSvg${key}`;
+    zip.file(`word/media/${key}.svg`, img.svg);
+    rels = rels.replace("</Relationships>", `<Relationship Id="${svgId}" Type="${IMAGE_REL_TYPE}" Target="media/${key}.svg"/></Relationships>`);
+
+    const svgExt = `<a:ext uri="${SVG_BLIP_URI}"><asvg:svgBlip xmlns:asvg="${SVG_BLIP_NS}" r:embed="${svgId}"/></a:ext>`;
+    xml = xml.replace(new RegExp(`<a:blip r:embed="${rel.id}"(?:\\s*/>|>([\\s\\S]*?)</a:blip>)`), (m, inner = "") => {
+      const ext = inner.includes("<a:extLst>") ? inner.replace("</a:extLst>", `${svgExt}</a:extLst>`) : `${inner}<a:extLst>${svgExt}</a:extLst>`;
+      return `<a:blip r:embed="${rel.id}">${ext}</a:blip>`;
+    });
+    embedded++;
+  });
+  if (!embedded) return zip;
+
+  const typesPath = "[Content_Types].xml";
+  const types = zip.file(typesPath).asText();
+  if (!/Extension="svg"/i.test(types)) {
+    zip.file(typesPath, types.replace("</Types>", '<Default Extension="svg" ContentType="image/svg+xml"/></Types>'));
+  }
+  zip.file(relsPath, rels);
+  zip.file("word/document.xml", xml);
+  return zip;
+};
+
+// Plage « a – b », « < b » ou « > a » (borne null = zone ouverte)
+const range = (lo, hi, fmt, unit = "") => {
+  const u = unit ? ` ${unit}` : "";
+  if (lo == null && hi == null) return "";
+  if (lo == null) return `< ${fmt(hi)}${u}`;
+  if (hi == null) return `> ${fmt(lo)}${u}`;
+  return `${fmt(lo)} – ${fmt(hi)}${u}`;
+};
+
+// Allure : sous une vitesse = plus lent que l'allure correspondante
+const paceRange = (sLo, sHi) => {
+  if (sLo == null) return `> ${formatPace(sHi)} min/km`;
+  if (sHi == null) return `< ${formatPace(sLo)} min/km`;
+  return `${formatPace(sLo)} – ${formatPace(sHi)} min/km`;
+};
+
+/**
+ * Lignes de la boucle {#zones}…{/zones} : une par zone du modèle, quel que soit leur nombre.
+ * %VO2peak : VO2 estimée à chaque borne de FC par régression linéaire VO2/FC sur l'effort.
+ */
+export const buildZoneRows = (analysis) => {
+  const { zonesTable, cd, vo2, isBike } = analysis;
+  const pts = cd.filter((p) => Number.isFinite(p.fcS) && Number.isFinite(p.vo2S) && p.fcS > 0);
+  const fit = pts.length >= 2 ? fitLine(pts.map((p) => p.fcS), pts.map((p) => p.vo2S)) : null;
+  const pctVO2 = (fc) => Math.round(((fit.intercept + fit.slope * fc) / vo2) * 100);
+
+  return zonesTable.map((z) => ({
+    zone: z.z,
+    label: z.label,
+    fc: z.fc,
+    intensity: z.sp,
+    pace: isBike ? "" : paceRange(z.sLo, z.sHi),
+    pctVO2: fit && vo2 > 0 ? range(z.fcLo, z.fcHi, pctVO2, "%") : "",
+    det: z.det,
+    color: ZHEX[z.z] || "",
+  }));
+};
+
+// Ombrage des lignes de {#zones}…{/zones} : avant le rendu, la ligne de tableau de la boucle
+// reçoit un texte masqué ⟦{color}⟧ ; après le rendu, chaque ligne générée prend la couleur de
+// sa zone et le marqueur est retiré. Les autres tableaux du document ne sont pas touchés.
+const ZONE_ROW_MARK = (color) => `<w:r><w:rPr><w:vanish/></w:rPr><w:t xml:space="preserve">⟦${color}⟧</w:t></w:r>`;
+const ZONE_ROW_MARK_RE = /<w:r><w:rPr><w:vanish\/><\/w:rPr><w:t xml:space="preserve">⟦([0-9A-Fa-f]{6})?⟧<\/w:t><\/w:r>/g;
+// Éléments de w:tcPr qui suivent w:shd dans le schéma
+const AFTER_SHD = /<w:(?:noWrap|tcMar|textDirection|tcFitText|vAlign|hideMark|headers|cellIns|cellDel|cellMerge|tcPrChange)[ />]/;
+
+// Étendues {start, end, depth} des éléments <tag>, imbrication comprise (tableaux imbriqués)
+const elementSpans = (xml, tag) => {
+  const spans = [];
+  const stack = [];
+  for (const m of xml.matchAll(new RegExp(`<(/?)${tag}(?=[ >/])[^>]*?(/?)>`, "g"))) {
+    if (m[2]) continue;
+    if (!m[1]) stack.push({ start: m.index, depth: stack.length });
+    else if (stack.length) spans.push({ ...stack.pop(), end: m.index + m[0].length });
+  }
+  return spans;
+};
+
+// Ligne la plus imbriquée qui contient la position pos
+const rowAt = (rows, pos) =>
+  rows.filter((r) => r.start <= pos && pos < r.end).reduce((best, r) => (!best || r.depth > best.depth ? r : best), null);
+
+const replaceSpans = (xml, spans, fn) =>
+  [...spans].sort((a, b) => b.start - a.start).reduce((out, sp) => out.slice(0, sp.start) + fn(out.slice(sp.start, sp.end), sp) + out.slice(sp.end), xml);
+
+/** Marque la ligne de tableau de chaque boucle {#zones} du template (avant le rendu). */
+export const markZoneRows = (zip) => {
+  const path = "word/document.xml";
+  const xml = zip.file(path).asText();
+  const rows = elementSpans(xml, "w:tr");
+  const text = (part) => [...part.matchAll(/<w:t(?: [^>]*)?>([^<]*)<\/w:t>/g)].map((m) => m[1]).join("");
+  const loopRows = rows.filter((r) => {
+    const t = text(xml.slice(r.start, r.end));
+    // Ligne la plus imbriquée portant toute la boucle
+    return t.includes("{#zones}") && t.includes("{/zones}") && !rows.some((o) => o.depth > r.depth && o.start > r.start && o.end < r.end && text(xml.slice(o.start, o.end)).includes("{#zones}"));
+  });
+  zip.file(path, replaceSpans(xml, loopRows, (tr) => {
+    const i = tr.indexOf("</w:p>");
+    return i < 0 ? tr : tr.slice(0, i) + ZONE_ROW_MARK("{color}") + tr.slice(i);
+  }));
+  return zip;
+};
+
+const shadeCell = (tc, fill) => {
+  const shd = `<w:shd w:val="clear" w:color="auto" w:fill="${fill}"/>`;
+  const open = tc.match(/^<w:tc(?: [^>]*)?>/)[0];
+  const body = tc.slice(open.length);
+  const pr = body.match(/^<w:tcPr(?: [^>]*)?>([\s\S]*?)<\/w:tcPr>/);
+  if (!pr) return `${open}<w:tcPr>${shd}</w:tcPr>${body}`;
+  const inner = pr[1].replace(/<w:shd [^>]*\/>/, "");
+  const at = inner.search(AFTER_SHD);
+  const shaded = at < 0 ? inner + shd : inner.slice(0, at) + shd + inner.slice(at);
+  return open + pr[0].replace(pr[1], shaded) + body.slice(pr[0].length);
+};
+
+/** Ombre les lignes générées par {#zones} avec la couleur de leur zone (après le rendu, voir markZoneRows). */
+export const shadeZoneRows = (zip) => {
+  const path = "word/document.xml";
+  const xml = zip.file(path).asText();
+  const rows = elementSpans(xml, "w:tr");
+  const fills = new Map();
+  [...xml.matchAll(ZONE_ROW_MARK_RE)].forEach((m) => {
+    const row = rowAt(rows, m.index);
+    if (row && m[1] && !fills.has(row)) fills.set(row, m[1].toUpperCase());
+  });
+  const shaded = replaceSpans(xml, [...fills.keys()], (tr, row) => {
+    // Cellules propres à la ligne, hors tableaux imbriqués
+    const cells = elementSpans(tr, "w:tc");
+    const depth = Math.min(...cells.map((c) => c.depth));
+    return replaceSpans(tr, cells.filter((c) => c.depth === depth), (tc) => shadeCell(tc, fills.get(row)));
+  });
+  zip.file(path, shaded.replace(ZONE_ROW_MARK_RE, ""));
+  return zip;
+};
+
+// Lignes du résumé par palier, mises en forme (texte) pour le DOCX, le PDF et l'écran
+export const buildStageRows = (analysis) => {
+  const num = (v, digits) => (Number.isFinite(v) ? v.toFixed(digits) : "-");
+  const duration = (s) => `${Math.floor(s / 60)}:${String(Math.round(s % 60)).padStart(2, "0")}`;
+  return analysis.stages.stages.map((s) => ({
+    stage: String(s.n),
+    duration: duration(s.duration),
+    load: num(s.load, analysis.isBike ? 0 : 1),
+    fc: num(s.fc, 0),
+    vo2: num(s.vo2, 2),
+    vo2kg: num(s.vo2kg, 1),
+    rer: num(s.rer, 2),
+    ve: num(s.ve, 1),
+  }));
+};
+
+// Section « Oxydation des lipides et des glucides » : texte FATmax et tableau par palier
+const buildSubstrateData = (analysis) => {
+  const sub = analysis.substrates;
+  if (!sub) return { hasFat: false, fatIntro: "", fatSummary: "", fatStages: [] };
+  const txt = reportStrings(analysis.lang);
+  const load = (v) => (analysis.isBike ? String(Math.round(v)) : v.toFixed(1));
+  return {
+    hasFat: true,
+    fatIntro: analysis.stages.ramp ? `${txt.fat.intro} ${txt.fat.rampNote}` : txt.fat.intro,
+    fatSummary: `${sub.summary} ${sub.zoneText}`,
+    fatStages: sub.stages.map((s) => ({
+      stage: String(s.n),
+      load: load(s.load),
+      fc: String(Math.round(s.fc)),
+      rer: Number.isFinite(s.rer) ? s.rer.toFixed(2) : "-",
+      fat: s.fat.toFixed(2),
+      cho: s.cho.toFixed(2),
+    })),
+  };
+};
+
+// Section « Lactatémie » : seuils lactiques et comparaison avec V1/V2
+export const buildLactateRows = (analysis) => {
+  const txt = reportStrings(analysis.lang).lactate;
+  return analysis.lactate.thresholds.map((t) => ({
+    method: t.label,
+    load: t.load == null ? txt.notReached : analysis.isBike ? String(Math.round(t.load)) : t.load.toFixed(1),
+    fc: t.fc == null ? "-" : String(t.fc),
+    la: t.la == null ? "-" : t.la.toFixed(1),
+  }));
+};
+
+const buildLactateData = (analysis) => {
+  const lac = analysis.lactate;
+  if (!lac?.available) return { hasLactate: false, lactateIntro: "", lactateCompare: "", lactateThresholds: [] };
+  const txt = reportStrings(analysis.lang).lactate;
+  return {
+    hasLactate: true,
+    lactateIntro: `${txt.intro} ${txt.baseline(lac.baseline.toFixed(1))}`,
+    lactateCompare: lac.comparison.map((c) => c.text).join("\n"),
+    lactateThresholds: buildLactateRows(analysis),
+  };
+};
+
+// Section « Évolution » : écarts avec le plus récent des tests précédents
+const buildEvolutionData = (analysis) => {
+  const cmp = analysis.comparison;
+  if (!cmp?.show) return { hasEvolution: "", evolutionIntro: "", evolution: [] };
+  return {
+    hasEvolution: "true",
+    evolutionIntro: reportStrings(analysis.lang).evolutionIntro(cmp.tests[0].label),
+    evolution: cmp.rows.map((r) => ({ metric: r.metric, previous: r.previous[0].value, current: r.current, delta: r.previous[0].delta })),
+  };
+};
+
+/**
+ * Données passées au template Word (tags docxtemplater).
+ * @param {object} analysis résultat de buildAnalysis
+ * @param {{chartVO2?: {b64: string}, chartFC?: {b64: string}, chartNorm?: {b64: string}, chartFat?: {b64: string},
+ *   chartLactate?: {b64: string}, chartWasserman?: {b64: string}}} charts
+ */
+export const buildTemplateData = (analysis, charts = {}) => {
+  const { data, zonesTable, rec, name, age, poids, fc1, fc2, s1, s2, vo2, vo2kg, testType, manual } = analysis;
+  const txt = reportStrings(analysis.lang);
+
+  // Prepare intensity formatting
+  const intensityLabel = testType === "bike" ? `${txt.power} (W)` : `${txt.speed} (km/h)`;
+  const intensityUnit = testType === "bike" ? "W" : "km/h";
+  const formatIntensity = (v) => testType === "bike" ? Math.round(v) : v.toFixed(1);
+
+  // Prepare individual zone data (more reliable than loops for Word tables)
+  const z1 = zonesTable.find(z => z.z === "Z1") || {};
+  const z2 = zonesTable.find(z => z.z === "Z2") || {};
+  const z3 = zonesTable.find(z => z.z === "Z3") || {};
+  const z4 = zonesTable.find(z => z.z === "Z4") || {};
+  const z5 = zonesTable.find(z => z.z === "Z5") || {};
+
+  // Prepare template data - images as base64 strings for the image module
+  return {
+    titre: txt.titre,
+    patientLabel: txt.patient(data.patient.sexe === "femme"),
+    patientNom: name,
+    age: String(age),
+    poids: poids,
+    vo2: vo2.toFixed(2),
+    vo2kg: String(vo2kg),
+    // Optional norms section: percentile/category sentence and gauge
+    hasNorm: Boolean(analysis.norm?.available),
+    normText: analysis.norm?.available ? [analysis.norm.text, ...analysis.norm.notes].join(" ") : "",
+    chartNorm: charts.chartNorm?.b64 || "",
+    // Optional "Qualité du test" section: maximality criteria and signal checks
+    hasQuality: Boolean(analysis.quality?.include),
+    qualityVerdict: analysis.quality?.verdict || "",
+    qualityChecks: (analysis.quality?.checks || []).map((c) => ({ criterion: c.label, value: c.value, status: txt.quality.status[c.status] })),
+    seuilsInfo: `V1=${fc1} bpm/${formatIntensity(s1)} ${intensityUnit}${manual.vt1 ? ` (${txt.manual})` : ""}` +
+      ` ; V2=${fc2} bpm/${formatIntensity(s2)} ${intensityUnit}${manual.vt2 ? ` (${txt.manual})` : ""}` +
+      (data.vt1.source === "auto" || data.vt2.source === "auto" ? ` (${txt.autoThresholds})` : ""),
+    v1Manuel: manual.vt1 ? txt.manual : "",
+    v2Manuel: manual.vt2 ? txt.manual : "",
+    // Individual zone data
+    z1zone: z1.z || "", z1fc: z1.fc || "", z1sp: z1.sp || "", z1det: z1.det || "",
+    z2zone: z2.z || "", z2fc: z2.fc || "", z2sp: z2.sp || "", z2det: z2.det || "",
+    z3zone: z3.z || "", z3fc: z3.fc || "", z3sp: z3.sp || "", z3det: z3.det || "",
+    z4zone: z4.z || "", z4fc: z4.fc || "", z4sp: z4.sp || "", z4det: z4.det || "",
+    z5zone: z5.z || "", z5fc: z5.fc || "", z5sp: z5.sp || "", z5det: z5.det || "",
+    // Flag for 3-zone mode (other sports)
+    has5zones: zonesTable.length === 5 ? "true" : "",
+    // Zone rows for {#zones}…{/zones} loops (any number of zones)
+    zones: buildZoneRows(analysis),
+    zoneModel: analysis.zoneModelName,
+    // Optional "Évolution" section: compared with the most recent previous test
+    ...buildEvolutionData(analysis),
+    intensityLabel: intensityLabel,
+    explicationV1: txt.explicationV1,
+    explicationV2: txt.explicationV2,
+    averagingInfo: txt.averagingInfo(analysis.averaging.label),
+    chartVO2: charts.chartVO2?.b64 || "",
+    chartFC: charts.chartFC?.b64 || "",
+    // Stage summary table (1-minute segments on a ramp protocol)
+    hasStages: analysis.stages.stages.length > 0,
+    stagesIntro: analysis.stages.ramp ? txt.stageTable.rampIntro : txt.stageTable.intro,
+    stages: buildStageRows(analysis),
+    // Optional substrate oxidation section: FATmax, its zone and the per-stage table
+    ...buildSubstrateData(analysis),
+    chartFat: charts.chartFat?.b64 || "",
+    // Optional blood lactate section: thresholds table, comparison with V1/V2 and chart
+    ...buildLactateData(analysis),
+    chartLactate: charts.chartLactate?.b64 || "",
+    recAna: rec.ana,
+    recPri: rec.pri,
+    recComp: rec.comp,
+    recHi: rec.hi,
+    recSpec: rec.spec || "",
+    recFu: rec.fu,
+    hasComment: Boolean(analysis.comment),
+    comment: analysis.comment,
+    // Optional dedicated page with the 9 Wasserman panels
+    hasWasserman: Boolean(analysis.wasserman?.include),
+    wassermanIntro: txt.wasserman.intro,
+    chartWasserman: charts.chartWasserman?.b64 || "",
+  };
+};
+
+/**
+ * Rend le rapport DOCX.
+ * @param {object} analysis résultat de buildAnalysis / analyzeTest
+ * @param {ArrayBuffer|Uint8Array} templateBuffer template Word
+ * @param {{charts?: object, rasterize?: Function}} options
+ *   charts : graphiques déjà produits ({svg?, b64, w, h}) ; sinon dessinés via rasterize
+ * @returns {Promise<Uint8Array>} octets du fichier DOCX
+ */
+export const renderReport = async (analysis, templateBuffer, { charts, rasterize } = {}) => {
+  const images = charts || (await renderCharts(analysis, rasterize));
+  const missing = [
+    "chartVO2",
+    "chartFC",
+    ...(analysis.norm?.available ? ["chartNorm"] : []),
+    ...(analysis.substrates ? ["chartFat"] : []),
+    ...(analysis.lactate?.available ? ["chartLactate"] : []),
+    ...(analysis.wasserman?.include ? ["chartWasserman"] : []),
+  ].filter((k) => !images[k]?.b64);
+  if (missing.length) throw new Error(`Graphique(s) manquant(s) : ${missing.join(", ")}`);
+  const zip = markZoneRows(new PizZip(templateBuffer));
+
+  // Store image dimensions for proper aspect ratio
+  const imageDimensions = Object.fromEntries(Object.entries(images).map(([k, img]) => [k, { w: img.w, h: img.h }]));
+
+  // Configure image module for docxtemplater
+  const imageModule = new ImageModule({
+    centered: false,
+    getImage: function(tagValue) {
+      return b64ToU8(tagValue);
+    },
+    getSize: function(img, tagValue, tagName) {
+      // Get original dimensions and calculate proper size preserving aspect ratio
+      const dims = imageDimensions[tagName] || CAPTIONED_CHART_SIZE;
+      const targetWidth = DOCX_IMAGE_WIDTH[tagName] || 550; // Width in pixels for the document
+      const aspectRatio = dims.h / dims.w;
+      const targetHeight = Math.round(targetWidth * aspectRatio);
+      return [targetWidth, targetHeight];
+    },
+  });
+
+  const doc = new Docxtemplater(zip, {
+    modules: [imageModule],
+    paragraphLoop: true,
+    linebreaks: true,
+  });
+
+  doc.render(buildTemplateData(analysis, images));
+  embedSvgCharts(doc.getZip(), images);
+  // Les lignes générées par la boucle prennent la couleur de leur zone
+  shadeZoneRows(doc.getZip());
+
+  return doc.getZip().generate({ type: "uint8array", mimeType: DOCX_MIME });
+};
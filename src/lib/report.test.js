@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+import Docxtemplater from "docxtemplater";
+import PizZip from "pizzip";
+
+import { markZoneRows, shadeZoneRows, uniqueFileName } from "./report.js";
+
+const BUNDLED = readFileSync(new URL("../../public/template.docx", import.meta.url));
+
+const cell = (text) => `<w:tc><w:tcPr><w:tcW w:w="2000" w:type="dxa"/><w:vAlign w:val="center"/></w:tcPr><w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:tc>`;
+const table = (...rows) => `<w:tbl><w:tblPr/><w:tblGrid/>${rows.map((r) => `<w:tr>${r.join("")}</w:tr>`).join("")}</w:tbl>`;
+
+// Rendu d'un document fait des tableaux donnés, avec marquage et ombrage des lignes de zones
+const render = (body, data) => {
+  const zip = new PizZip(BUNDLED);
+  const xml = zip.file("word/document.xml").asText();
+  zip.file("word/document.xml", xml.replace(/<w:body>[\s\S]*<\/w:body>/, `<w:body>${body}<w:sectPr/></w:body>`));
+  const doc = new Docxtemplater(markZoneRows(zip), { paragraphLoop: true, linebreaks: true });
+  doc.render(data);
+  shadeZoneRows(doc.getZip());
+  return doc.getZip().file("word/document.xml").asText();
+};
+
+// Couleurs de fond de chaque ligne (tableaux de premier niveau)
+const rowFills = (xml) =>
+  [...xml.matchAll(/<w:tr>([\s\S]*?)<\/w:tr>/g)].map((m) => [...m[1].matchAll(/w:fill="(\w+)"/g)].map((f) => f[1]));
+
+const ZONES = { zones: [{ zone: "Z1", color: "DBEAFE" }, { zone: "Z2", color: "DCFCE7" }, { zone: "Z3", color: "" }] };
+
+describe("shadeZoneRows", () => {
+  it("colore chaque ligne de {#zones} avec la couleur de sa zone", () => {
+    const xml = render(table([cell("Zone"), cell("FC")], [cell("{#zones}{zone}"), cell("{/zones}")]), ZONES);
+    assert.deepEqual(rowFills(xml), [[], ["DBEAFE", "DBEAFE"], ["DCFCE7", "DCFCE7"], []]);
+    assert.ok(!xml.includes("⟦"));
+  });
+
+  it("ne touche pas aux autres tableaux, même si leur première cellule ressemble à une zone", () => {
+    const xml = render(table([cell("Z1"), cell("HEADER")]) + table([cell("{#zones}{zone}{/zones}")]), ZONES);
+    assert.deepEqual(rowFills(xml)[0], []);
+  });
+
+  it("n'ombre pas les cellules d'un tableau imbriqué", () => {
+    const nested = `<w:tc><w:p><w:r><w:t>{/zones}</w:t></w:r></w:p>${table([cell("interne")])}<w:p/></w:tc>`;
+    const xml = render(table([cell("{#zones}{zone}"), nested]), { zones: [{ zone: "Z1", color: "DBEAFE" }] });
+    assert.equal((xml.match(/w:fill="DBEAFE"/g) || []).length, 2);
+    assert.match(xml, /<w:tc><w:tcPr><w:tcW w:w="2000" w:type="dxa"\/><w:vAlign w:val="center"\/><\/w:tcPr><w:p><w:r><w:t[^>]*>interne/);
+  });
+
+  it("place w:shd avant w:vAlign dans w:tcPr", () => {
+    const xml = render(table([cell("{#zones}{zone}"), cell("{/zones}")]), { zones: [{ zone: "Z1", color: "DBEAFE" }] });
+    assert.match(xml, /<w:tcW [^>]*\/><w:shd [^>]*w:fill="DBEAFE"\/><w:vAlign /);
+  });
+});
+
+describe("uniqueFileName", () => {
+  it("suffixe les noms déjà utilisés dans le lot", () => {
+    const used = new Set();
+    assert.deepEqual(
+      ["a.docx", "a.docx", "b.docx", "a.docx"].map((n) => uniqueFileName(n, used)),
+      ["a.docx", "a_2.docx", "b.docx", "a_3.docx"],
+    );
+  });
+});
@@ -0,0 +1,90 @@
+import { decryptJson, deriveKey, encryptJson, newSalt } from "./crypto.js";
+import { b64ToU8, u8ToB64 } from "./report.js";
+import { ValidationError, validateParsedData } from "./validation.js";
+
+// ==========================================
+// SESSION PORTABLE (.tcp)
+// ==========================================
+// Fichier JSON versionné : données parsées, réglages (type de sport, langue, modèle
+// de zones, tests précédents) et modifications (seuils ajustés…), chiffré en option
+// par un mot de passe. Rechargé par la zone de dépôt, il restaure le rapport à l'identique.
+
+export const SESSION_EXT = ".tcp";
+export const SESSION_MIME = "application/json";
+const FORMAT = "tcp-report-session";
+export const SESSION_VERSION = 1;
+
+const enc = new TextEncoder();
+const dec = new TextDecoder();
+
+export const isSessionFile = (name) => String(name).toLowerCase().endsWith(SESSION_EXT);
+
+/**
+ * @param {{data: object, settings: object, edits: object}} state
+ *   settings : {sportType, reportLang, zoneModel, previousTests, showEvolution, goal, pediatricNorms, wassermanPage,
+ *     qualitySection, averaging}
+ *   edits : {overrides, rec, comment, lactate} (seuils ajustés, recommandations réécrites, commentaire,
+ *   lactate par palier)
+ */
+export const buildSession = ({ data, settings, edits }) => ({ data, settings, edits });
+
+export const sessionFileName = (analysis, date = new Date()) =>
+  `Session_TCP_${analysis.name.replace(/\s+/g, "_")}_${date.toISOString().split("T")[0]}${SESSION_EXT}`;
+
+/**
+ * @param {object} session résultat de buildSession
+ * @param {string} [password] chiffre la session si renseigné
+ * @returns {Promise<Uint8Array>} contenu du fichier .tcp
+ */
+export const writeSessionFile = async (session, password = "") => {
+  const head = { format: FORMAT, version: SESSION_VERSION, savedAt: new Date().toISOString() };
+  if (!password) return enc.encode(JSON.stringify({ ...head, encrypted: false, session }));
+
+  const salt = newSalt();
+  const { iv, ct } = await encryptJson(await deriveKey(password, salt), session);
+  return enc.encode(JSON.stringify({ ...head, encrypted: true, salt: u8ToB64(salt), iv: u8ToB64(iv), ct: u8ToB64(ct) }));
+};
+
+/**
+ * Lit l'enveloppe d'un fichier .tcp (sans la déchiffrer).
+ * @param {Uint8Array} bytes
+ * @returns {{version: number, savedAt: string, encrypted: boolean}} enveloppe
+ * @throws {ValidationError} fichier illisible ou version non prise en charge
+ */
+export const readSessionFile = (bytes) => {
+  let file;
+  try {
+    file = JSON.parse(dec.decode(bytes));
+  } catch {
+    throw new ValidationError("Session illisible", ["Le fichier .tcp n'est pas un fichier JSON valide."]);
+  }
+  if (file?.format !== FORMAT) throw new ValidationError("Ce fichier n'est pas une session de rapport TCP");
+  if (!(file.version >= 1 && file.version <= SESSION_VERSION)) {
+    throw new ValidationError(`Version de session non prise en charge : ${file.version}`, [
+      "Session enregistrée par une version plus récente de l'application.",
+    ]);
+  }
+  return file;
+};
+
+/**
+ * Restaure la session d'une enveloppe lue par readSessionFile.
+ * @param {object} file enveloppe
+ * @param {string} [password] requis si la session est chiffrée
+ * @returns {Promise<{data: object, settings: object, edits: object}>}
+ */
+export const openSessionFile = async (file, password = "") => {
+  let session = file.session;
+  if (file.encrypted) {
+    if (!password) throw new ValidationError("Session protégée : mot de passe requis");
+    const key = await deriveKey(password, b64ToU8(file.salt));
+    try {
+      session = await decryptJson(key, { iv: b64ToU8(file.iv), ct: b64ToU8(file.ct) });
+    } catch {
+      throw new ValidationError("Mot de passe incorrect");
+    }
+  }
+  if (!session?.data) throw new ValidationError("Session incomplète : données du test absentes");
+  validateParsedData(session.data);
+  return { data: session.data, settings: session.settings || {}, edits: session.edits || {} };
+};
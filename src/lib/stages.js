@@ -0,0 +1,93 @@
+import { toNum } from "./thresholds.js";
+
+// ==========================================
+// PALIERS DE L'ÉPREUVE
+// ==========================================
+// Palier : suite de mesures à charge constante (v en course, TT sur ergocycle),
+// résumé par la moyenne de ses 30 dernières secondes. Sur un protocole en rampe
+// (charge qui change en continu), découpage en segments d'une minute.
+
+const MIN_STAGE_SECONDS = 60;
+const TAIL_SECONDS = 30;
+// Les paliers reconnus doivent couvrir au moins cette part de l'effort
+const STEP_COVERAGE = 0.6;
+
+const mean = (values) => {
+  const v = values.filter(Number.isFinite);
+  return v.length ? v.reduce((a, x) => a + x, 0) / v.length : NaN;
+};
+
+// next : première mesure qui suit le palier (sa durée s'arrête là)
+const summarize = (points, n, next, { loadKey, poids }) => {
+  const start = points[0].timeSeconds;
+  const end = points[points.length - 1].timeSeconds;
+  const tail = points.filter((m) => m.timeSeconds >= end - TAIL_SECONDS);
+  const avg = (get) => mean(tail.map(get));
+  const vo2 = avg((m) => toNum(m.vo2 ?? m["V'O2"]));
+  const vco2 = avg((m) => toNum(m["V'CO2"]));
+  const vo2kg = avg((m) => toNum(m["V'O2/kg"]));
+  const rer = avg((m) => toNum(m["RER"]));
+  return {
+    n,
+    start,
+    end,
+    duration: (next?.timeSeconds ?? end) - start,
+    load: avg((m) => toNum(m[loadKey])),
+    fc: avg((m) => toNum(m.fc ?? m["FC"])),
+    vo2,
+    vco2,
+    vo2kg: Number.isFinite(vo2kg) ? vo2kg : poids > 0 ? (vo2 * 1000) / poids : NaN,
+    ve: avg((m) => toNum(m.ve ?? m["V'E"])),
+    rer: Number.isFinite(rer) ? rer : vco2 > 0 && vo2 > 0 ? vco2 / vo2 : NaN,
+  };
+};
+
+/**
+ * Découpe la phase d'effort en paliers.
+ * @param {object[]} ex mesures de la phase d'effort (getExData)
+ * @param {{isBike: boolean, poids?: number}} opts
+ * @returns {{ramp: boolean, stages: Array<{n, start, end, duration, load, fc, vo2, vco2, vo2kg, ve, rer}>}}
+ *   valeurs des 30 dernières secondes de chaque palier ; ramp : segments d'une minute
+ */
+export const detectStages = (ex, { isBike, poids = 0 }) => {
+  const loadKey = isBike ? "TT" : "v";
+  const pts = ex.filter((m) => Number.isFinite(m.timeSeconds));
+  if (pts.length < 2) return { ramp: false, stages: [] };
+
+  // Charge arrondie (0,1 km/h ou 1 W) pour ignorer le bruit d'affichage
+  const step = isBike ? 1 : 0.1;
+  const loadOf = (m) => Math.round(toNum(m[loadKey]) / step);
+  const groups = [];
+  pts.forEach((m) => {
+    const last = groups[groups.length - 1];
+    if (last && last.load === loadOf(m)) last.points.push(m);
+    else groups.push({ load: loadOf(m), points: [m] });
+  });
+
+  const total = pts[pts.length - 1].timeSeconds - pts[0].timeSeconds;
+  const nextOf = (g) => groups[groups.indexOf(g) + 1]?.points[0];
+  // Durée jusqu'à la première mesure du groupe suivant (un palier de 60 s échantillonné
+  // toutes les 3 s ne s'étend que sur 57 s d'une mesure à l'autre) ; le dernier groupe,
+  // sans suivant, bénéficie de la même tolérance d'échantillonnage que la rampe
+  const duration = (g) => (nextOf(g) ?? g.points[g.points.length - 1]).timeSeconds - g.points[0].timeSeconds;
+  const isStage = (g) => duration(g) >= (nextOf(g) ? MIN_STAGE_SECONDS : MIN_STAGE_SECONDS * 0.8);
+  const steps = groups.filter((g) => Number.isFinite(g.load) && isStage(g));
+  const covered = steps.reduce((a, g) => a + duration(g), 0);
+  const opts = { loadKey, poids };
+
+  if (steps.length >= 3 && covered >= STEP_COVERAGE * total) {
+    return { ramp: false, stages: steps.map((g, i) => summarize(g.points, i + 1, nextOf(g), opts)) };
+  }
+
+  // Rampe : segments d'une minute depuis le début de l'effort (dernier segment incomplet ignoré)
+  const t0 = pts[0].timeSeconds;
+  const segments = new Map();
+  pts.forEach((m) => {
+    const k = Math.floor((m.timeSeconds - t0) / MIN_STAGE_SECONDS);
+    if (!segments.has(k)) segments.set(k, []);
+    segments.get(k).push(m);
+  });
+  const all = [...segments.values()];
+  const full = all.filter((s) => s.length > 1 && s[s.length - 1].timeSeconds - s[0].timeSeconds >= MIN_STAGE_SECONDS * 0.8);
+  return { ramp: true, stages: full.map((s, i) => summarize(s, i + 1, all[all.indexOf(s) + 1]?.[0], opts)) };
+};
@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { detectStages } from "./stages.js";
+
+// Effort en paliers de stepSeconds (+1 km/h), une mesure toutes les 3 s
+const stepTest = (stepSeconds, count = 8) => {
+  const ex = [];
+  for (let t = 0; t < stepSeconds * count; t += 3) {
+    const n = Math.floor(t / stepSeconds);
+    ex.push({ timeSeconds: t, v: String(8 + n), fc: 110 + 8 * n, vo2: 1.5 + 0.3 * n, ve: 40 });
+  }
+  return ex;
+};
+
+describe("detectStages", () => {
+  it("reconnaît des paliers d'une minute", () => {
+    const { ramp, stages } = detectStages(stepTest(60), { isBike: false });
+    assert.equal(ramp, false);
+    assert.equal(stages.length, 8);
+    assert.deepEqual(stages.slice(0, -1).map((s) => s.duration), Array(7).fill(60));
+    assert.deepEqual(stages.map((s) => s.load), [8, 9, 10, 11, 12, 13, 14, 15]);
+  });
+
+  it("reconnaît des paliers de deux minutes", () => {
+    const { ramp, stages } = detectStages(stepTest(120), { isBike: false });
+    assert.equal(ramp, false);
+    assert.equal(stages[0].duration, 120);
+  });
+
+  it("résume chaque palier par ses 30 dernières secondes", () => {
+    const ex = stepTest(60).map((m) => ({ ...m, fc: m.timeSeconds % 60 < 20 ? 100 : 140 }));
+    const { stages } = detectStages(ex, { isBike: false });
+    assert.equal(stages[0].fc, 140);
+  });
+
+  it("découpe une rampe en segments d'une minute", () => {
+    const ex = [];
+    for (let t = 0; t < 600; t += 3) ex.push({ timeSeconds: t, TT: String(100 + t / 3), fc: 120 });
+    const { ramp, stages } = detectStages(ex, { isBike: true });
+    assert.equal(ramp, true);
+    assert.equal(stages.length, 10);
+  });
+
+  it("renvoie une liste vide sans mesure exploitable", () => {
+    assert.deepEqual(detectStages([], { isBike: false }), { ramp: false, stages: [] });
+  });
+});
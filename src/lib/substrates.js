@@ -0,0 +1,113 @@
+import { reportStrings } from "./i18n.js";
+
+// ==========================================
+// OXYDATION DES SUBSTRATS ET FATMAX
+// ==========================================
+// Équations de Frayn (1983), sans la part protéique :
+//   lipides (g/min)  = 1,67 × V'O2 − 1,67 × V'CO2
+//   glucides (g/min) = 4,55 × V'CO2 − 3,21 × V'O2     (V'O2, V'CO2 en L/min)
+// FATmax : maximum d'un polynôme de degré 3 ajusté sur l'oxydation des lipides
+// par palier ; zone FATmax : oxydation ≥ 90 % du maximum (Achten et Jeukendrup).
+
+const FATMAX_ZONE = 0.9;
+const GRID = 200;
+
+export const frayn = (vo2, vco2) => ({
+  fat: Math.max(0, 1.67 * vo2 - 1.67 * vco2),
+  cho: Math.max(0, 4.55 * vco2 - 3.21 * vo2),
+});
+
+// Moindres carrés polynomiaux (équations normales, élimination de Gauss)
+export const polyFit = (xs, ys, degree) => {
+  const n = degree + 1;
+  const a = Array.from({ length: n }, (_, i) => {
+    const row = Array.from({ length: n }, (_, j) => xs.reduce((s, x) => s + x ** (i + j), 0));
+    row.push(xs.reduce((s, x, k) => s + ys[k] * x ** i, 0));
+    return row;
+  });
+  for (let c = 0; c < n; c++) {
+    const p = a.reduce((best, row, r) => (r >= c && Math.abs(row[c]) > Math.abs(a[best][c]) ? r : best), c);
+    [a[c], a[p]] = [a[p], a[c]];
+    if (Math.abs(a[c][c]) < 1e-12) return null;
+    for (let r = 0; r < n; r++) {
+      if (r === c) continue;
+      const k = a[r][c] / a[c][c];
+      for (let j = c; j <= n; j++) a[r][j] -= k * a[c][j];
+    }
+  }
+  const coef = a.map((row, i) => row[n] / row[i]);
+  return (x) => coef.reduce((s, c, i) => s + c * x ** i, 0);
+};
+
+// Interpolation linéaire par morceaux de y(x) sur des points triés par x
+export const interp = (points, x, key) => {
+  const i = points.findIndex((p) => p.load >= x);
+  if (i <= 0) return points[i === 0 ? 0 : points.length - 1][key];
+  const [a, b] = [points[i - 1], points[i]];
+  return a[key] + ((x - a.load) / (b.load - a.load || 1)) * (b[key] - a[key]);
+};
+
+/**
+ * Oxydation des lipides et des glucides par palier, FATmax et zone FATmax.
+ * @param {object[]} stages paliers (detectStages) : load, fc, vo2, vco2
+ * @param {{zones: object[], vo2peak: number, isBike: boolean, lang: string}} opts
+ *   zones : lignes de buildZoneTable (sLo, sHi)
+ * @returns {object|null} {stages, curve, fatmax: {load, fc, mfo, vo2, pctVO2, lo, hi, zones}, summary, zoneText}
+ *   null si moins de 3 paliers exploitables (V'CO2 absent…)
+ */
+export const buildSubstrates = (stages, { zones = [], vo2peak = 0, isBike = false, lang = "fr" } = {}) => {
+  const rows = stages
+    .filter((s) => [s.load, s.fc, s.vo2, s.vco2].every(Number.isFinite) && s.vo2 > 0 && s.vco2 > 0)
+    .map((s) => ({ ...s, ...frayn(s.vo2, s.vco2) }))
+    .sort((a, b) => a.load - b.load);
+  if (rows.length < 3) return null;
+
+  // Ajustement jusqu'au premier palier sans oxydation des lipides (RER ≥ 1), sur la
+  // charge ramenée à [0, 1] (puissances de 300 W mal conditionnées)
+  const last = rows.findIndex((r, i) => i > 0 && r.fat === 0);
+  const fitRows = last < 0 ? rows : rows.slice(0, last + 1);
+  const xs = fitRows.map((r) => r.load);
+  const min = xs[0];
+  const max = xs[xs.length - 1];
+  const fit = fitRows.length >= 4 ? polyFit(xs.map((x) => (x - min) / (max - min || 1)), fitRows.map((r) => r.fat), 3) : null;
+  const curve = fit
+    ? Array.from({ length: GRID + 1 }, (_, i) => ({
+      load: min + ((max - min) * i) / GRID,
+      fat: Math.max(0, fit(i / GRID)),
+    }))
+    : rows.map((r) => ({ load: r.load, fat: r.fat }));
+
+  const peak = curve.reduce((best, p) => (p.fat > best.fat ? p : best), curve[0]);
+  const k = curve.indexOf(peak);
+  let lo = k;
+  let hi = k;
+  while (lo > 0 && curve[lo - 1].fat >= FATMAX_ZONE * peak.fat) lo--;
+  while (hi < curve.length - 1 && curve[hi + 1].fat >= FATMAX_ZONE * peak.fat) hi++;
+
+  const at = (load) => ({ load, fc: Math.round(interp(rows, load, "fc")) });
+  const zoneLo = at(curve[lo].load);
+  const zoneHi = at(curve[hi].load);
+  const vo2 = interp(rows, peak.load, "vo2");
+  // Zones situées sur la charge, comme sur le graphique
+  const overlaps = (z) => (z.sHi == null || z.sHi >= zoneLo.load) && (z.sLo == null || z.sLo <= zoneHi.load);
+  const fatmax = {
+    ...at(peak.load),
+    mfo: peak.fat,
+    vo2,
+    pctVO2: vo2peak > 0 ? Math.round((vo2 / vo2peak) * 100) : null,
+    lo: zoneLo,
+    hi: zoneHi,
+    zones: zones.filter(overlaps).map((z) => z.z),
+  };
+
+  const txt = reportStrings(lang).fat;
+  const fmtLoad = (v) => (isBike ? `${Math.round(v)} W` : `${Math.round(v * 10) / 10} km/h`);
+  const zoneNames = fatmax.zones.length > 1 ? `${fatmax.zones[0]}–${fatmax.zones[fatmax.zones.length - 1]}` : fatmax.zones[0] || "";
+  return {
+    stages: rows,
+    curve,
+    fatmax,
+    summary: txt.summary(fatmax, fmtLoad(fatmax.load)),
+    zoneText: txt.zone(fatmax, fmtLoad(zoneLo.load), fmtLoad(zoneHi.load), zoneNames),
+  };
+};
@@ -0,0 +1,36 @@
+import { b64ToU8, u8ToB64 } from "./report.js";
+import { ValidationError } from "./validation.js";
+
+// ==========================================
+// TEMPLATE PERSONNALISÉ (STOCKAGE NAVIGATEUR)
+// ==========================================
+// Un seul template à la fois, conservé dans le localStorage du poste.
+
+const STORAGE_KEY = "tcp-report.customTemplate";
+
+/** @returns {{name: string, bytes: Uint8Array, savedAt: string}|null} */
+export const loadCustomTemplate = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+    const { name, b64, savedAt } = JSON.parse(raw);
+    return { name, bytes: b64ToU8(b64), savedAt };
+  } catch (e) {
+    console.warn("Template personnalisé illisible, ignoré:", e.message);
+    return null;
+  }
+};
+
+export const saveCustomTemplate = (name, bytes) => {
+  const entry = { name, b64: u8ToB64(bytes), savedAt: new Date().toISOString() };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entry));
+  } catch {
+    throw new ValidationError("Template trop volumineux pour le stockage du navigateur", [
+      "Réduisez la taille des images du template (logo, en-tête) puis réessayez.",
+    ]);
+  }
+  return { name, bytes, savedAt: entry.savedAt };
+};
+
+export const clearCustomTemplate = () => localStorage.removeItem(STORAGE_KEY);
@@ -0,0 +1,225 @@
+import Docxtemplater from "docxtemplater";
+import InspectModule from "docxtemplater/js/inspect-module.js";
+import ImageModule from "docxtemplater-image-module-free";
+import PizZip from "pizzip";
+
+import { ValidationError } from "./validation.js";
+
+// ==========================================
+// CONTRAT DES TAGS DU TEMPLATE WORD
+// ==========================================
+// Tags fournis par buildTemplateData. kind : "text" → {tag}, "image" → {%tag},
+// "condition" / "loop" → {#tag}…{/tag}. Les exemples correspondent à un test de course.
+
+const ZONE_EXAMPLES = [
+  ["Z1", "< 142", "< 11.5 km/h", "Sous V1 (seuil ventilatoire 1)"],
+  ["Z2", "142 – 156", "11.5 km/h – 13.3 km/h", "Entre V1 et le milieu (S1+S2)/2"],
+  ["Z3", "156 – 170", "13.3 km/h – 15 km/h", "Entre le milieu et V2 (seuil ventilatoire 2)"],
+  ["Z4", "170 – 179", "15 km/h – 15.8 km/h", "Au-dessus de V2 (jusqu'à +5 %)"],
+  ["Z5", "> 179", "> 15.8 km/h", "Très au-dessus de V2 (> +5 %)"],
+];
+
+const zoneTags = ZONE_EXAMPLES.flatMap(([zone, fc, sp, det], i) => [
+  { tag: `z${i + 1}zone`, description: `Nom de la zone ${i + 1}`, example: zone },
+  { tag: `z${i + 1}fc`, description: `Plage de FC de la zone ${i + 1}`, example: fc },
+  { tag: `z${i + 1}sp`, description: `Plage de vitesse/puissance de la zone ${i + 1}`, example: sp },
+  { tag: `z${i + 1}det`, description: `Détermination de la zone ${i + 1}`, example: det },
+]);
+
+// Champs de chaque ligne de {#zones}…{/zones}
+const ZONE_LOOP_FIELDS = [
+  { tag: "zone", description: "Nom de la zone", example: "Z2" },
+  { tag: "label", description: "Libellé court de la zone", example: "V1 → milieu" },
+  { tag: "fc", description: "Plage de FC (bpm)", example: "142 – 156" },
+  { tag: "intensity", description: "Plage de vitesse ou de puissance", example: "11.5 km/h – 13.3 km/h" },
+  { tag: "pace", description: "Plage d'allure (course uniquement)", example: "5:13 – 4:32 min/km" },
+  { tag: "pctVO2", description: "Plage en % de VO₂peak", example: "63 – 74 %" },
+  { tag: "det", description: "Détermination de la zone", example: "Entre V1 et le milieu (S1+S2)/2" },
+  { tag: "color", description: "Couleur de la zone (hexadécimal, sans #)", example: "DCFCE7" },
+];
+
+// Champs de chaque ligne de {#evolution}…{/evolution}
+const EVOLUTION_LOOP_FIELDS = [
+  { tag: "metric", description: "Mesure comparée", example: "VO₂peak" },
+  { tag: "previous", description: "Valeur au test précédent", example: "3.65 L/min" },
+  { tag: "current", description: "Valeur au test actuel", example: "3.80 L/min" },
+  { tag: "delta", description: "Écart actuel − précédent", example: "+0.15 L/min (+4.1 %)" },
+];
+
+// Champs de chaque ligne de {#stages}…{/stages}
+const STAGE_LOOP_FIELDS = [
+  { tag: "stage", description: "Numéro du palier", example: "4" },
+  { tag: "duration", description: "Durée du palier (min:s)", example: "3:00" },
+  { tag: "load", description: "Vitesse ou puissance du palier", example: "12.5" },
+  { tag: "fc", description: "FC moyenne des 30 dernières secondes (bpm)", example: "141" },
+  { tag: "vo2", description: "VO₂ moyenne des 30 dernières secondes (L/min)", example: "2.05" },
+  { tag: "vo2kg", description: "VO₂ relative (ml/kg/min)", example: "34.2" },
+  { tag: "rer", description: "Quotient respiratoire", example: "0.93" },
+  { tag: "ve", description: "Ventilation (L/min)", example: "47.0" },
+];
+
+// Champs de chaque ligne de {#fatStages}…{/fatStages}
+const FAT_LOOP_FIELDS = [
+  { tag: "stage", description: "Numéro du palier", example: "4" },
+  { tag: "load", description: "Vitesse ou puissance du palier", example: "11.0" },
+  { tag: "fc", description: "FC du palier (bpm)", example: "141" },
+  { tag: "rer", description: "Quotient respiratoire du palier", example: "0.89" },
+  { tag: "fat", description: "Oxydation des lipides (g/min)", example: "0.41" },
+  { tag: "cho", description: "Oxydation des glucides (g/min)", example: "1.92" },
+];
+
+// Champs de chaque ligne de {#lactateThresholds}…{/lactateThresholds}
+const LACTATE_LOOP_FIELDS = [
+  { tag: "method", description: "Méthode de détermination du seuil", example: "Dmax modifié (LT2)" },
+  { tag: "load", description: "Vitesse ou puissance au seuil (« non atteint » si besoin)", example: "14.3" },
+  { tag: "fc", description: "FC au seuil (bpm)", example: "155" },
+  { tag: "la", description: "Lactate au seuil (mmol/L)", example: "2.9" },
+];
+
+// Champs de chaque ligne de {#qualityChecks}…{/qualityChecks}
+const QUALITY_LOOP_FIELDS = [
+  { tag: "criterion", description: "Critère de maximalité ou contrôle du signal", example: "RER maximal > 1.10" },
+  { tag: "value", description: "Valeur mesurée", example: "1.06" },
+  { tag: "status", description: "Conforme, À vérifier ou Non évaluable", example: "À vérifier" },
+];
+
+export const TEMPLATE_TAGS = [
+  { tag: "titre", description: "Titre du rapport", example: "Compte rendu d'épreuve d'effort - Endurance" },
+  { tag: "patientLabel", description: "« Patient » ou « Patiente »", example: "Patient" },
+  { tag: "patientNom", description: "Nom et prénom", example: "Dupont Jean" },
+  { tag: "age", description: "Âge à la date du test (ans)", example: "36" },
+  { tag: "poids", description: "Poids (kg)", example: "72" },
+  { tag: "vo2", description: "VO₂peak (L/min)", example: "3.80" },
+  { tag: "vo2kg", description: "VO₂peak relative (ml/kg/min)", example: "52.8" },
+  { tag: "hasNorm", kind: "condition", description: "Vrai si la VO₂peak a pu être située par rapport aux normes (âge et sexe connus)", example: "true" },
+  { tag: "normText", description: "Percentile et catégorie de la VO₂peak, avec la source des normes et les remarques", example: "VO₂peak de 52.8 ml/kg/min : 82e percentile des hommes de 30 à 39 ans, catégorie « Excellent ». Référence : FRIEND (Kaminsky 2015, ACSM), tapis roulant." },
+  { tag: "chartNorm", kind: "image", description: "Jauge de classement de la VO₂peak", example: "(image)" },
+  { tag: "hasQuality", kind: "condition", description: "Vrai si la section « Qualité du test » est demandée", example: "true" },
+  { tag: "qualityVerdict", description: "Test maximal ou sous-maximal, selon le nombre de critères remplis", example: "Test sous-maximal (1 critère(s) sur 3) : la valeur rapportée est une VO₂peak, à ne pas interpréter comme une VO₂max." },
+  {
+    tag: "qualityChecks",
+    kind: "loop",
+    description: "Une ligne de tableau par critère de maximalité et par contrôle du signal",
+    example: "6 lignes",
+    fields: QUALITY_LOOP_FIELDS,
+  },
+  { tag: "seuilsInfo", description: "Résumé des seuils V1/V2", example: "V1=142 bpm/11.5 km/h ; V2=170 bpm/15.0 km/h" },
+  { tag: "v1Manuel", description: "Mention si V1 a été ajusté manuellement, sinon vide", example: "ajusté manuellement" },
+  { tag: "v2Manuel", description: "Mention si V2 a été ajusté manuellement, sinon vide", example: "" },
+  { tag: "intensityLabel", description: "En-tête de la colonne d'intensité", example: "Vitesse (km/h)" },
+  ...zoneTags,
+  { tag: "has5zones", kind: "condition", description: "Vrai en modèle 5 zones (endurance)", example: "true" },
+  {
+    tag: "zones",
+    kind: "loop",
+    description: "Une ligne de tableau par zone (les cellules prennent la couleur de la zone)",
+    example: "5 lignes",
+    fields: ZONE_LOOP_FIELDS,
+  },
+  { tag: "zoneModel", description: "Nom du modèle de zones utilisé", example: "Ventilatoire 5 zones (V1/V2)" },
+  { tag: "explicationV1", description: "Texte explicatif de V1", example: "V1 (seuil ventilatoire 1) correspond à…" },
+  { tag: "explicationV2", description: "Texte explicatif de V2", example: "V2 (seuil ventilatoire 2) correspond à…" },
+  { tag: "averagingInfo", description: "Méthode et fenêtre de moyennage des courbes VO₂ et FC", example: "Lissage des courbes VO₂ et FC : moyenne glissante 30 s." },
+  { tag: "chartVO2", kind: "image", description: "Graphique VO₂ avec seuils et zones", example: "(image)" },
+  { tag: "chartFC", kind: "image", description: "Graphique FC avec seuils et zones", example: "(image)" },
+  { tag: "hasStages", kind: "condition", description: "Vrai si des paliers (ou des segments d'une minute en rampe) ont été trouvés", example: "true" },
+  { tag: "stagesIntro", description: "Méthode de découpage en paliers", example: "Paliers détectés sur la vitesse ou la puissance ; valeurs moyennes des 30 dernières secondes de chaque palier." },
+  {
+    tag: "stages",
+    kind: "loop",
+    description: "Une ligne de tableau par palier (durée, charge, FC, VO₂, RER, V'E)",
+    example: "7 lignes",
+    fields: STAGE_LOOP_FIELDS,
+  },
+  { tag: "hasFat", kind: "condition", description: "Vrai si l'oxydation des substrats a pu être calculée (V'CO₂ et au moins 3 paliers)", example: "true" },
+  { tag: "fatIntro", description: "Méthode de calcul de l'oxydation des substrats", example: "Oxydation des substrats par palier (équations de Frayn, moyenne des 30 dernières secondes de chaque palier)." },
+  { tag: "fatSummary", description: "FATmax (charge, FC, % VO₂peak, MFO) et zone FATmax située par rapport aux zones", example: "FATmax à 11 km/h (FC 141 bpm, 58 % de la VO₂peak) : oxydation maximale des lipides de 0.45 g/min. Zone FATmax (≥ 90 % du maximum) : 9.8 km/h à 12.1 km/h, FC 133 à 149 bpm, soit Z1–Z2." },
+  { tag: "chartFat", kind: "image", description: "Oxydation des lipides et des glucides par palier avec FATmax et zones", example: "(image)" },
+  {
+    tag: "fatStages",
+    kind: "loop",
+    description: "Une ligne de tableau par palier (oxydation des lipides et des glucides)",
+    example: "10 lignes",
+    fields: FAT_LOOP_FIELDS,
+  },
+  { tag: "hasLactate", kind: "condition", description: "Vrai si au moins 4 paliers ont une valeur de lactate saisie", example: "true" },
+  { tag: "lactateIntro", description: "Méthode et ligne de base du lactate", example: "Lactate capillaire en fin de palier (mmol/L), courbe ajustée par un polynôme de degré 3. LT2 : Dmax modifié. Ligne de base : 1.0 mmol/L." },
+  { tag: "chartLactate", kind: "image", description: "Lactate et FC par palier avec LT1/LT2 et V1/V2", example: "(image)" },
+  {
+    tag: "lactateThresholds",
+    kind: "loop",
+    description: "Une ligne de tableau par méthode (LT1, OBLA, Dmax, Dmax modifié)",
+    example: "4 lignes",
+    fields: LACTATE_LOOP_FIELDS,
+  },
+  { tag: "lactateCompare", description: "Comparaison LT1/V1 et LT2/V2, avec mention des discordances (une ligne par seuil)", example: "LT1 et V1 sont discordants : LT1 − V1 = +10 bpm et +0.6 km/h (+5 %). À confronter avant de fixer les zones." },
+  { tag: "recAna", description: "Recommandation : analyse des zones", example: "Zones bien espacées (28 bpm). Excellente adaptation." },
+  { tag: "recPri", description: "Recommandation : priorité", example: "Z2: 2-3×/sem (60-120 min) à 11.5 km/h. Endurance lipidique." },
+  { tag: "recComp", description: "Recommandation : complément", example: "Z3: 1-2×/sem tempo (20-40 min) ou 4×10 min progressif en course." },
+  { tag: "recHi", description: "Recommandation : haute intensité", example: "Z4-5: 1×/sem intervalles/côtes. 48h récup après." },
+  { tag: "recSpec", description: "Alerte spécifique (Z2 étroite), sinon vide", example: "" },
+  { tag: "recFu", description: "Suivi conseillé", example: "Retest conseillé dans 8-12 semaines." },
+  { tag: "hasComment", kind: "condition", description: "Vrai si un commentaire du médecin a été saisi", example: "true" },
+  { tag: "comment", description: "Commentaire du médecin (retours à la ligne conservés)", example: "Douleur au genou : privilégier le vélo." },
+  { tag: "hasWasserman", kind: "condition", description: "Vrai si la page « Graphiques de Wasserman » est demandée", example: "true" },
+  { tag: "wassermanIntro", description: "Phrase d'introduction de la page Wasserman", example: "Moyennes de 10 s pendant l'effort ; V1 et V2 repérés sur chaque panneau." },
+  { tag: "chartWasserman", kind: "image", description: "Grille des 9 panneaux de Wasserman avec V1/V2 (page dédiée)", example: "(image)" },
+  { tag: "hasEvolution", kind: "condition", description: "Vrai si des tests précédents sont comparés (section « Évolution »)", example: "true" },
+  { tag: "evolutionIntro", description: "Phrase d'introduction de la section « Évolution »", example: "Écarts par rapport au test précédent (Test du 12/03/2026)." },
+  {
+    tag: "evolution",
+    kind: "loop",
+    description: "Une ligne de tableau par mesure comparée au test précédent le plus récent",
+    example: "6 lignes + largeurs de zones",
+    fields: EVOLUTION_LOOP_FIELDS,
+  },
+];
+
+// Syntaxe à écrire dans Word pour un tag du contrat
+export const tagSyntax = ({ tag, kind = "text" }) =>
+  kind === "image" ? `{%${tag}}` : kind === "condition" || kind === "loop" ? `{#${tag}}…{/${tag}}` : `{${tag}}`;
+
+const KNOWN = new Map(TEMPLATE_TAGS.map((t) => [t.tag, t]));
+
+/**
+ * Liste les tags d'un template et les compare au contrat.
+ * @param {ArrayBuffer|Uint8Array} templateBuffer
+ * @returns {{tags: string[], unknown: string[], missing: string[]}}
+ *   unknown : tags du template sans valeur fournie (rendus vides)
+ *   missing : tags du contrat absents du template
+ * @throws {ValidationError} fichier illisible ou tags mal formés
+ */
+export const inspectTemplate = (templateBuffer) => {
+  const iModule = new InspectModule();
+  try {
+    // Le module d'images est requis pour reconnaître les tags {%…}
+    const imageModule = new ImageModule({ getImage: () => null, getSize: () => [1, 1] });
+    new Docxtemplater(new PizZip(templateBuffer), { modules: [iModule, imageModule], paragraphLoop: true, linebreaks: true });
+  } catch (e) {
+    const details = (e.properties?.errors || []).map((x) => x.properties?.explanation || x.message);
+    throw new ValidationError("Template Word illisible ou tags mal formés", details.length ? details : [e.message]);
+  }
+
+  // Parcours de l'arbre des tags à toute profondeur. Dans une boucle connue, un tag est un champ
+  // de cette boucle (ou d'une boucle englobante), sinon un tag du contrat lu dans la portée parente
+  const tags = new Set();
+  const unknown = new Set();
+  const walk = (node, loops) => {
+    Object.entries(node).forEach(([t, children]) => {
+      if (loops.some((l) => l.fields.some((x) => x.tag === t))) {
+        walk(children, loops);
+        return;
+      }
+      const known = KNOWN.get(t);
+      if (known) tags.add(t);
+      else unknown.add(loops.length ? `${loops[loops.length - 1].tag}.${t}` : t);
+      walk(children, known?.fields ? [...loops, known] : loops);
+    });
+  };
+  walk(iModule.getAllTags(), []);
+  return {
+    tags: [...tags],
+    unknown: [...unknown],
+    missing: TEMPLATE_TAGS.map((t) => t.tag).filter((t) => !tags.has(t)),
+  };
+};
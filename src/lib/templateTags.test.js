@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+import PizZip from "pizzip";
+
+import { inspectTemplate } from "./templateTags.js";
+
+const BUNDLED = readFileSync(new URL("../../public/template.docx", import.meta.url));
+
+// Template réduit à un paragraphe par texte donné
+const template = (...paragraphs) => {
+  const zip = new PizZip(BUNDLED);
+  const xml = zip.file("word/document.xml").asText();
+  const body = paragraphs.map((t) => `<w:p><w:r><w:t xml:space="preserve">${t}</w:t></w:r></w:p>`).join("");
+  zip.file("word/document.xml", xml.replace(/<w:body>[\s\S]*<\/w:body>/, `<w:body>${body}</w:body>`));
+  return zip.generate({ type: "uint8array" });
+};
+
+describe("inspectTemplate", () => {
+  it("reconnaît tous les tags du template fourni", () => {
+    const { unknown, missing } = inspectTemplate(BUNDLED);
+    assert.deepEqual(unknown, []);
+    assert.ok(!missing.includes("normText"));
+    assert.ok(!missing.includes("qualityVerdict"));
+  });
+
+  it("vérifie les tags dans les blocs conditionnels", () => {
+    const { tags, unknown } = inspectTemplate(template("{#hasNorm}", "{normTxt}", "{%chartNorm}", "{/hasNorm}"));
+    assert.deepEqual(unknown, ["normTxt"]);
+    assert.ok(tags.includes("chartNorm"));
+  });
+
+  it("vérifie les champs d'une boucle où qu'elle soit", () => {
+    const { unknown } = inspectTemplate(template("{#hasStages}{#zones}{zone} {pace2}{/zones}{/hasStages}"));
+    assert.deepEqual(unknown, ["zones.pace2"]);
+  });
+
+  it("accepte les tags du contrat dans une boucle (portée parente)", () => {
+    const { unknown } = inspectTemplate(template("{#zones}{zone} {patientNom} {intensityLabel}{/zones}"));
+    assert.deepEqual(unknown, []);
+  });
+
+  it("liste les tags du contrat absents", () => {
+    assert.ok(inspectTemplate(template("{titre}")).missing.includes("patientNom"));
+  });
+
+  it("refuse un template aux tags mal formés", () => {
+    assert.throws(() => inspectTemplate(template("{#zones}{zone}")), { name: "ValidationError" });
+  });
+});
@@ -0,0 +1,183 @@
+// ==========================================
+// DÉTECTION AUTOMATIQUE DES SEUILS VENTILATOIRES
+// ==========================================
+// V1 : V-slope (V'CO2 vs V'O2) + équivalent respiratoire en O2 (V'E/V'O2)
+// V2 : équivalent respiratoire en CO2 (V'E/V'CO2) + pente V'E vs V'CO2
+
+const BIN_SECONDS = 10;
+const MIN_SEGMENT_POINTS = 3;
+
+export const toNum = (value) => {
+  const num = parseFloat(String(value ?? "").replace(",", "."));
+  return Number.isFinite(num) ? num : NaN;
+};
+
+const FIELDS = {
+  vo2: (m) => toNum(m.vo2 ?? m["V'O2"]),
+  vco2: (m) => toNum(m["V'CO2"]),
+  ve: (m) => toNum(m.ve ?? m["V'E"]),
+  fc: (m) => toNum(m.fc ?? m["FC"]),
+  vo2kg: (m) => toNum(m["V'O2/kg"]),
+  vitesse: (m) => toNum(m["v"]),
+  power: (m) => toNum(m["TT"]),
+};
+
+// Moyennes par tranches de temps fixes pour lisser le bruit breath-by-breath
+// fields : nom → lecture de la valeur dans une mesure
+export const binAverage = (points, seconds = BIN_SECONDS, fields = FIELDS) => {
+  const bins = new Map();
+  points.forEach((m) => {
+    if (!Number.isFinite(m.timeSeconds)) return;
+    const key = Math.floor(m.timeSeconds / seconds);
+    if (!bins.has(key)) bins.set(key, { t: 0, n: 0, sums: {}, counts: {} });
+    const b = bins.get(key);
+    b.t += m.timeSeconds;
+    b.n++;
+    Object.entries(fields).forEach(([k, get]) => {
+      const v = get(m);
+      if (!Number.isFinite(v)) return;
+      b.sums[k] = (b.sums[k] || 0) + v;
+      b.counts[k] = (b.counts[k] || 0) + 1;
+    });
+  });
+
+  return [...bins.keys()]
+    .sort((a, b) => a - b)
+    .map((key) => {
+      const b = bins.get(key);
+      const out = { t: b.t / b.n };
+      Object.keys(fields).forEach((k) => {
+        out[k] = b.counts[k] ? b.sums[k] / b.counts[k] : NaN;
+      });
+      return out;
+    });
+};
+
+// Régression linéaire (moindres carrés) sur l'intervalle [from, to)
+export const fitLine = (xs, ys, from = 0, to = xs.length) => {
+  const n = to - from;
+  let sx = 0, sy = 0, sxx = 0, sxy = 0;
+  for (let i = from; i < to; i++) {
+    sx += xs[i]; sy += ys[i]; sxx += xs[i] * xs[i]; sxy += xs[i] * ys[i];
+  }
+  const den = n * sxx - sx * sx;
+  const slope = den === 0 ? 0 : (n * sxy - sx * sy) / den;
+  const intercept = (sy - slope * sx) / n;
+  let sse = 0;
+  for (let i = from; i < to; i++) {
+    const r = ys[i] - (intercept + slope * xs[i]);
+    sse += r * r;
+  }
+  return { slope, intercept, sse };
+};
+
+// Point de rupture entre deux droites minimisant l'erreur totale,
+// la seconde droite devant être plus pentue que la première.
+const findBreakpoint = (xs, ys, { from = 0, to = xs.length, risingOnly = false } = {}) => {
+  let best = null;
+  for (let k = from + MIN_SEGMENT_POINTS; k <= to - MIN_SEGMENT_POINTS; k++) {
+    const left = fitLine(xs, ys, from, k);
+    const right = fitLine(xs, ys, k, to);
+    if (right.slope <= left.slope) continue;
+    if (risingOnly && right.slope <= 0) continue;
+    const sse = left.sse + right.sse;
+    if (!best || sse < best.sse) best = { index: k, sse };
+  }
+  return best?.index ?? null;
+};
+
+// Rupture calculée sur les seules tranches où les séries keys sont valides (les trous des exports
+// breath-by-breath sont ignorés) ; renvoie l'indice de la tranche dans bins
+const breakOnValid = (bins, keys, x, y, from, opts = {}) => {
+  const idx = bins.map((_, i) => i).filter((i) => keys.every((k) => Number.isFinite(bins[i][k]) && bins[i][k] > 0));
+  if (idx.length < MIN_SEGMENT_POINTS * 2 + 2) return null;
+  const start = idx.findIndex((i) => i >= from);
+  if (start < 0) return null;
+  const valid = idx.map((i) => bins[i]);
+  const k = findBreakpoint(valid.map(x), valid.map(y), { from: start, ...opts });
+  return k === null ? null : idx[k];
+};
+
+const METHODS = {
+  vslope: {
+    label: "V-slope (V'CO2 / V'O2)",
+    run: (bins, from) => breakOnValid(bins, ["vo2", "vco2"], (b) => b.vo2, (b) => b.vco2, from),
+  },
+  eqO2: {
+    label: "Équivalent V'E/V'O2",
+    run: (bins, from) => breakOnValid(bins, ["vo2", "ve"], (b) => b.t, (b) => b.ve / b.vo2, from, { risingOnly: true }),
+  },
+  eqCO2: {
+    label: "Équivalent V'E/V'CO2",
+    run: (bins, from) => breakOnValid(bins, ["vco2", "ve"], (b) => b.t, (b) => b.ve / b.vco2, from, { risingOnly: true }),
+  },
+  veVco2: {
+    label: "Pente V'E / V'CO2",
+    run: (bins, from) => breakOnValid(bins, ["vco2", "ve"], (b) => b.vco2, (b) => b.ve, from),
+  },
+};
+
+const agreementLevel = (spreadFc, count) => {
+  if (count < 2) return "méthode unique";
+  if (spreadFc <= 5) return "bonne";
+  if (spreadFc <= 10) return "moyenne";
+  return "faible";
+};
+
+const combine = (bins, methodIds, from, poids) => {
+  const methods = methodIds
+    .map((id) => {
+      const index = METHODS[id].run(bins, from);
+      if (index === null) return null;
+      const b = bins[index];
+      return { id, label: METHODS[id].label, index, t: Math.round(b.t), fc: Math.round(b.fc), vo2: b.vo2 };
+    })
+    .filter(Boolean);
+
+  if (!methods.length) return null;
+
+  // Seuil retenu : tranche la plus proche du temps moyen des méthodes
+  const tMean = methods.reduce((a, m) => a + m.t, 0) / methods.length;
+  let index = 0;
+  bins.forEach((b, i) => { if (Math.abs(b.t - tMean) < Math.abs(bins[index].t - tMean)) index = i; });
+  const b = bins[index];
+
+  const fcs = methods.map((m) => m.fc);
+  const ts = methods.map((m) => m.t);
+  const spreadFc = Math.max(...fcs) - Math.min(...fcs);
+  const spreadS = Math.max(...ts) - Math.min(...ts);
+  const vo2kg = Number.isFinite(b.vo2kg) ? b.vo2kg : poids > 0 ? (b.vo2 * 1000) / poids : NaN;
+
+  return {
+    methods,
+    index,
+    t: Math.round(b.t),
+    fc: Math.round(b.fc),
+    vo2: b.vo2,
+    vo2kg,
+    ve: b.ve,
+    vitesse: b.vitesse,
+    power: b.power,
+    spreadFc,
+    spreadS,
+    agreement: agreementLevel(spreadFc, methods.length),
+  };
+};
+
+/**
+ * Calcule V1/V2 à partir des mesures de la phase d'effort.
+ * @param {Array} points mesures (timeSeconds relatif au début de l'effort)
+ * @param {{poids?: number}} opts
+ * @returns {{vt1: object|null, vt2: object|null}|null}
+ */
+export const detectThresholds = (points, { poids = 0 } = {}) => {
+  if (!Array.isArray(points) || !points.length) return null;
+  const bins = binAverage(points).filter((b) => Number.isFinite(b.vo2) && Number.isFinite(b.fc) && b.vo2 > 0);
+  if (bins.length < MIN_SEGMENT_POINTS * 2 + 2) return null;
+
+  const vt1 = combine(bins, ["vslope", "eqO2"], 0, poids);
+  const vt2 = combine(bins, ["eqCO2", "veVco2"], vt1 ? vt1.index : 0, poids);
+  if (!vt1 && !vt2) return null;
+
+  return { vt1, vt2, binSeconds: BIN_SECONDS };
+};
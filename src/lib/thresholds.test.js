@@ -0,0 +1,38 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { detectThresholds } from "./thresholds.js";
+
+// Effort de 12 min, une mesure toutes les 5 s : V'CO2 décroche à 300 s (V1), V'E à 500 s (V2).
+// gap(t) : mesure sans V'CO2 ni V'E (trou de l'export)
+const effort = (gap = () => false) => {
+  const pts = [];
+  for (let t = 0; t < 720; t += 5) {
+    const vo2 = 0.8 + (t / 720) * 3;
+    const vco2 = t < 300 ? vo2 * 0.9 : vo2 * 0.9 + ((t - 300) / 300) * 0.8;
+    const ve = t < 500 ? vco2 * 25 : vco2 * 25 + ((t - 500) / 220) * 40;
+    pts.push({ timeSeconds: t, "V'O2": String(vo2), "V'CO2": gap(t) ? "" : String(vco2), "V'E": gap(t) ? "0" : String(ve), FC: String(100 + t / 8) });
+  }
+  return pts;
+};
+
+describe("detectThresholds", () => {
+  it("situe V1 et V2 sur les ruptures de pente", () => {
+    const { vt1, vt2 } = detectThresholds(effort());
+    const vslope = vt1.methods.find((m) => m.id === "vslope");
+    assert.ok(Math.abs(vslope.t - 300) <= 30, `V-slope à ${vslope.t} s`);
+    assert.ok(Math.abs(vt2.t - 500) <= 30, `V2 à ${vt2.t} s`);
+    assert.ok(vt1.fc < vt2.fc);
+  });
+
+  it("ignore les tranches incomplètes au lieu d'écarter toute une méthode", () => {
+    const r = detectThresholds(effort((t) => (t >= 110 && t < 120) || (t >= 600 && t < 610)));
+    assert.deepEqual(r.vt1.methods.map((m) => m.id), ["vslope", "eqO2"]);
+    assert.deepEqual(r.vt2.methods.map((m) => m.id), ["eqCO2", "veVco2"]);
+  });
+
+  it("renvoie null sans assez de mesures", () => {
+    assert.equal(detectThresholds([]), null);
+    assert.equal(detectThresholds(effort().slice(0, 10)), null);
+  });
+});
@@ -0,0 +1,104 @@
+import { CONFIG } from "./config.js";
+
+// ==========================================
+// UTILITAIRES DE VALIDATION
+// ==========================================
+export class ValidationError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = "ValidationError";
+    this.details = details;
+  }
+}
+
+export const validateNumber = (value, min, max, fieldName) => {
+  const num = parseFloat(String(value).replace(",", "."));
+  if (!Number.isFinite(num)) {
+    throw new ValidationError(`${fieldName} invalide: "${value}"`);
+  }
+  if (num < min || num > max) {
+    throw new ValidationError(`${fieldName} hors limites (${min}-${max}): ${num}`);
+  }
+  return num;
+};
+
+export const safeNum = (value, defaultValue = 0) => {
+  const num = parseFloat(String(value).replace(",", "."));
+  return Number.isFinite(num) ? num : defaultValue;
+};
+
+export const validateRequiredString = (value, fieldName) => {
+  if (!value || String(value).trim() === "") {
+    throw new ValidationError(`${fieldName} requis mais vide`);
+  }
+  return String(value).trim();
+};
+
+/**
+ * Contrôle qu'un couple de seuils ajustés reste ordonné (V1 sous V2).
+ * @param {{t: number, fc: number, s: number}} vt1
+ * @param {{t: number, fc: number, s: number}} vt2
+ * @returns {string[]} problèmes détectés, vide si V1 < V2 en temps, FC et vitesse/puissance
+ */
+export const checkThresholdOrder = (vt1, vt2) =>
+  [
+    ["t", "Temps"],
+    ["fc", "FC"],
+    ["s", "Vitesse/puissance"],
+  ]
+    .filter(([k]) => Number.isFinite(vt1[k]) && Number.isFinite(vt2[k]) && vt1[k] >= vt2[k])
+    .map(([k, label]) => `${label} : V1 (${vt1[k]}) doit être inférieur à V2 (${vt2[k]})`);
+
+// ==========================================
+// VALIDATION DES DONNÉES
+// ==========================================
+export const validateParsedData = (data) => {
+  const errors = [];
+
+  try { validateRequiredString(data.patient.nom, "Nom du patient"); } catch (e) { errors.push(e.message); }
+  try { validateRequiredString(data.patient.prenom, "Prénom du patient"); } catch (e) { errors.push(e.message); }
+
+  try { validateNumber(data.vt1.fc, CONFIG.VALIDATION.FC_MIN, CONFIG.VALIDATION.FC_MAX, "V1 FC"); } catch (e) { errors.push(e.message); }
+
+  // Validate speed OR power depending on test type
+  const isBike = data.testType === "bike";
+  if (isBike) {
+    try { validateNumber(data.vt1.power, CONFIG.VALIDATION.POWER_MIN, CONFIG.VALIDATION.POWER_MAX, "V1 Puissance"); } catch (e) { errors.push(e.message); }
+  } else {
+    try { validateNumber(data.vt1.vitesse, CONFIG.VALIDATION.VITESSE_MIN, CONFIG.VALIDATION.VITESSE_MAX, "V1 Vitesse"); } catch (e) { errors.push(e.message); }
+  }
+
+  try {
+    const fc2 = validateNumber(data.vt2.fc, CONFIG.VALIDATION.FC_MIN, CONFIG.VALIDATION.FC_MAX, "V2 FC");
+    const fc1 = safeNum(data.vt1.fc);
+    if (fc2 <= fc1) errors.push(`V2 FC (${fc2}) doit être > V1 FC (${fc1})`);
+  } catch (e) { errors.push(e.message); }
+
+  if (isBike) {
+    try {
+      const p2 = validateNumber(data.vt2.power, CONFIG.VALIDATION.POWER_MIN, CONFIG.VALIDATION.POWER_MAX, "V2 Puissance");
+      const p1 = safeNum(data.vt1.power);
+      if (p2 <= p1) errors.push(`V2 Puissance (${p2}) doit être > V1 Puissance (${p1})`);
+    } catch (e) { errors.push(e.message); }
+  } else {
+    try {
+      const v2 = validateNumber(data.vt2.vitesse, CONFIG.VALIDATION.VITESSE_MIN, CONFIG.VALIDATION.VITESSE_MAX, "V2 Vitesse");
+      const v1 = safeNum(data.vt1.vitesse);
+      if (v2 <= v1) errors.push(`V2 Vitesse (${v2}) doit être > V1 Vitesse (${v1})`);
+    } catch (e) { errors.push(e.message); }
+  }
+
+  try { validateNumber(data.peakVO2.vo2, CONFIG.VALIDATION.VO2_MIN, CONFIG.VALIDATION.VO2_MAX, "VO2 Peak"); } catch (e) { errors.push(e.message); }
+  try { validateNumber(data.peakVO2.vo2kg, 0, 100, "VO2 Peak/kg"); } catch (e) { errors.push(e.message); }
+
+  if (!Array.isArray(data.measurements) || data.measurements.length < CONFIG.MIN_MEASUREMENTS) {
+    errors.push(`Insuffisant de mesures: ${data.measurements?.length || 0} (minimum: ${CONFIG.MIN_MEASUREMENTS})`);
+  }
+
+  if (Array.isArray(data.measurements) && data.measurements.length > CONFIG.MAX_DATA_POINTS) {
+    errors.push(`Trop de mesures: ${data.measurements.length} (maximum: ${CONFIG.MAX_DATA_POINTS})`);
+  }
+
+  if (errors.length > 0) throw new ValidationError("Validation échouée", errors);
+  return true;
+};
@@ -0,0 +1,82 @@
+import { binAverage, toNum } from "./thresholds.js";
+
+// ==========================================
+// GRAPHIQUES DE WASSERMAN (9 PANNEAUX)
+// ==========================================
+// Présentation standard d'une épreuve d'effort cardio-respiratoire, calculée sur
+// des moyennes de 10 s de la phase d'effort. Les panneaux dont l'export ne
+// fournit pas les colonnes (VT, PetO2/PetCO2…) restent vides.
+
+const BIN_SECONDS = 10;
+
+// x : variable en abscisse ("t" = temps, "w" = vitesse ou puissance) ; y2 : axe de droite
+export const WASSERMAN_PANELS = [
+  { id: "ve", x: "t", y: ["ve"] },
+  { id: "hr", x: "t", y: ["fc"], y2: ["o2pulse"] },
+  { id: "gas", x: "w", y: ["vo2", "vco2"] },
+  { id: "veVco2", x: "vco2", y: ["ve"] },
+  { id: "vslope", x: "vo2", y: ["vco2"] },
+  { id: "eq", x: "t", y: ["eqO2", "eqCO2"] },
+  { id: "vt", x: "ve", y: ["vt"] },
+  { id: "rer", x: "t", y: ["rer"] },
+  { id: "pet", x: "t", y: ["peto2", "petco2"] },
+];
+
+export const WASSERMAN_COLORS = {
+  ve: "#1976d2",
+  fc: "#dc2626",
+  o2pulse: "#7c3aed",
+  vo2: "#1976d2",
+  vco2: "#ea580c",
+  eqO2: "#1976d2",
+  eqCO2: "#ea580c",
+  vt: "#0d9488",
+  rer: "#334155",
+  peto2: "#1976d2",
+  petco2: "#ea580c",
+};
+
+const ratio = (a, b) => (b > 0 ? a / b : NaN);
+
+/**
+ * Points moyennés et panneaux, avec la position de V1/V2 sur l'abscisse de chacun.
+ * @param {object[]} ex mesures de la phase d'effort (getExData)
+ * @param {{th: {vt1: {t: number, s: number}, vt2: {t: number, s: number}}, isBike: boolean}} opts
+ * @returns {{bins: object[], panels: Array<{id, x, y, y2, markers: Array<{k, x}>, available: boolean}>}}
+ */
+export const buildWasserman = (ex, { th, isBike }) => {
+  const fields = {
+    vo2: (m) => toNum(m.vo2 ?? m["V'O2"]),
+    vco2: (m) => toNum(m["V'CO2"]),
+    ve: (m) => toNum(m.ve ?? m["V'E"]),
+    fc: (m) => toNum(m.fc ?? m["FC"]),
+    w: (m) => toNum(m[isBike ? "TT" : "v"]),
+    rer: (m) => toNum(m["RER"]),
+    vt: (m) => toNum(m["VT"]),
+    peto2: (m) => toNum(m["PetO2"]),
+    petco2: (m) => toNum(m["PetCO2"]),
+  };
+  const bins = binAverage(ex, BIN_SECONDS, fields).map((b) => ({
+    ...b,
+    o2pulse: ratio(b.vo2 * 1000, b.fc),
+    eqO2: ratio(b.ve, b.vo2),
+    eqCO2: ratio(b.ve, b.vco2),
+    // Sans colonne RER dans l'export : V'CO2 / V'O2
+    rer: Number.isFinite(b.rer) ? b.rer : ratio(b.vco2, b.vo2),
+  }));
+
+  // Tranche la plus proche du seuil, pour le situer sur les abscisses autres que le temps
+  const nearest = (t) => bins.reduce((best, b) => (Math.abs(b.t - t) < Math.abs(best.t - t) ? b : best), bins[0]);
+  const at = { vt1: bins.length && nearest(th.vt1.t), vt2: bins.length && nearest(th.vt2.t) };
+
+  const panels = WASSERMAN_PANELS.map((p) => {
+    const keys = [...p.y, ...(p.y2 || [])];
+    const available = bins.filter((b) => Number.isFinite(b[p.x]) && keys.some((k) => Number.isFinite(b[k]))).length >= 3;
+    const markers = ["vt1", "vt2"]
+      .filter((k) => th[k].t > 0)
+      .map((k) => ({ k, x: p.x === "t" ? th[k].t : p.x === "w" ? th[k].s : at[k]?.[p.x] }));
+    return { ...p, markers, available };
+  });
+
+  return { bins, panels };
+};
@@ -0,0 +1,76 @@
+import { ValidationError } from "./validation.js";
+
+// ==========================================
+// EXPRESSIONS DES BORNES DE ZONES
+// ==========================================
+// Bornes des modèles personnalisés : nombres, variables, + - * / et parenthèses.
+// Évaluées sans eval() : un preset importé ne peut pas exécuter de code.
+
+export const ZONE_VARS = {
+  V1: "seuil ventilatoire 1",
+  V2: "seuil ventilatoire 2",
+  peak: "maximum atteint pendant le test",
+  rest: "FC de repos (0 en vitesse/puissance)",
+};
+
+const tokenize = (expr) => {
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:[.,]\d+)?)|([A-Za-z]\w*)|(\S))/gy;
+  let m;
+  while ((m = re.exec(expr))) {
+    if (m[1]) tokens.push({ num: parseFloat(m[1].replace(",", ".")) });
+    else if (m[2]) tokens.push({ name: m[2] });
+    else tokens.push({ op: m[3] });
+  }
+  return tokens;
+};
+
+/**
+ * Évalue une borne de zone.
+ * @param {string} expr ex. "(V1+V2)/2", "rest + 0.6*(peak-rest)"
+ * @param {Record<string, number>} vars valeurs de V1, V2, peak, rest
+ * @returns {number}
+ * @throws {ValidationError} syntaxe invalide ou variable inconnue
+ */
+export const evalZoneExpr = (expr, vars) => {
+  const fail = (why) => {
+    throw new ValidationError(`Expression invalide : ${expr || "(vide)"}`, [why]);
+  };
+  const tokens = tokenize(String(expr ?? ""));
+  let i = 0;
+  const isOp = (...ops) => tokens[i]?.op && ops.includes(tokens[i].op);
+
+  // expr := term (("+" | "-") term)* ; term := factor (("*" | "/") factor)*
+  const parseExpr = () => {
+    let v = parseTerm();
+    while (isOp("+", "-")) v = tokens[i++].op === "+" ? v + parseTerm() : v - parseTerm();
+    return v;
+  };
+  const parseTerm = () => {
+    let v = parseFactor();
+    while (isOp("*", "/")) v = tokens[i++].op === "*" ? v * parseFactor() : v / parseFactor();
+    return v;
+  };
+  const parseFactor = () => {
+    const t = tokens[i++];
+    if (!t) return fail("expression incomplète");
+    if (t.op === "-") return -parseFactor();
+    if (t.op === "(") {
+      const v = parseExpr();
+      if (!isOp(")")) fail("parenthèse fermante manquante");
+      i++;
+      return v;
+    }
+    if (t.num !== undefined) return t.num;
+    if (t.name) {
+      if (!(t.name in ZONE_VARS)) fail(`variable inconnue « ${t.name} » (${Object.keys(ZONE_VARS).join(", ")})`);
+      return vars[t.name];
+    }
+    return fail(`symbole inattendu « ${t.op} »`);
+  };
+
+  if (!tokens.length) fail("expression vide");
+  const value = parseExpr();
+  if (i < tokens.length) fail(`symbole inattendu « ${tokens[i].op ?? tokens[i].name ?? tokens[i].num} »`);
+  return value;
+};
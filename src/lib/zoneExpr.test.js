@@ -0,0 +1,26 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { ValidationError } from "./validation.js";
+import { evalZoneExpr } from "./zoneExpr.js";
+
+const vars = { V1: 140, V2: 170, peak: 190, rest: 60 };
+
+describe("evalZoneExpr", () => {
+  it("respecte les priorités et les parenthèses", () => {
+    assert.equal(evalZoneExpr("(V1+V2)/2", vars), 155);
+    assert.equal(evalZoneExpr("rest + 0.5*(peak - rest)", vars), 125);
+    assert.equal(evalZoneExpr("V1 + V2 / 2", vars), 225);
+    assert.equal(evalZoneExpr("-V1 + V2", vars), 30);
+  });
+
+  it("accepte la virgule décimale", () => {
+    assert.equal(evalZoneExpr("V2*1,05", vars), 178.5);
+  });
+
+  it("refuse variables inconnues, symboles et expressions incomplètes", () => {
+    ["fcmax * 0.9", "V1 +* 2", "(V1 + V2", "V1 V2", "", "alert(1)"].forEach((expr) => {
+      assert.throws(() => evalZoneExpr(expr, vars), ValidationError, expr);
+    });
+  });
+});
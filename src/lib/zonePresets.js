@@ -0,0 +1,41 @@
+import { ValidationError } from "./validation.js";
+
+// ==========================================
+// PRESETS DE MODÈLES DE ZONES (STOCKAGE NAVIGATEUR)
+// ==========================================
+// Modèles personnalisés nommés, conservés dans le localStorage du poste.
+
+const STORAGE_KEY = "tcp-report.zonePresets";
+
+/** @returns {Array<{id: string, name: string, custom: true, basis: string, bounds: string[], zones: Array<{label: string, det: string}>}>} */
+export const loadZonePresets = () => {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(list) ? list.filter((m) => m?.id && Array.isArray(m.bounds) && Array.isArray(m.zones)) : [];
+  } catch (e) {
+    console.warn("Presets de zones illisibles, ignorés:", e.message);
+    return [];
+  }
+};
+
+const store = (list) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch {
+    throw new ValidationError("Impossible d'enregistrer le preset dans le stockage du navigateur");
+  }
+  return list;
+};
+
+// Un preset du même nom est remplacé
+export const saveZonePreset = (model) => {
+  const name = model.name?.trim();
+  if (!name) throw new ValidationError("Donnez un nom au preset");
+  const list = loadZonePresets();
+  const existing = list.find((m) => m.name === name);
+  const preset = { ...model, name, custom: true, id: existing?.id || `preset-${Date.now().toString(36)}` };
+  store([...list.filter((m) => m.id !== preset.id), preset]);
+  return preset;
+};
+
+export const deleteZonePreset = (id) => store(loadZonePresets().filter((m) => m.id !== id));
@@ -0,0 +1,250 @@
+import { reportStrings } from "./i18n.js";
+import { evalZoneExpr } from "./zoneExpr.js";
+
+// ==========================================
+// ZONES D'ENTRAÎNEMENT
+// ==========================================
+export const ZCOL = {
+  Z1: "rgba(219, 234, 254, 0.75)",
+  Z2: "rgba(220, 252, 231, 0.75)",
+  Z3: "rgba(254, 249, 195, 0.75)",
+  Z4: "rgba(255, 237, 213, 0.75)",
+  Z5: "rgba(255, 228, 230, 0.75)",
+  Z6: "rgba(237, 233, 254, 0.75)",
+  Z7: "rgba(233, 213, 255, 0.75)",
+};
+
+// Couleurs opaques pour les graphiques Recharts
+export const ZCOL_CHART = {
+  Z1: "#DBEAFE",
+  Z2: "#DCFCE7",
+  Z3: "#FEF9C3",
+  Z4: "#FFEDD5",
+  Z5: "#FFE4E6",
+  Z6: "#EDE9FE",
+  Z7: "#E9D5FF",
+};
+
+export const ZHEX = {
+  Z1: "DBEAFE",
+  Z2: "DCFCE7",
+  Z3: "FEF9C3",
+  Z4: "FFEDD5",
+  Z5: "FFE4E6",
+  Z6: "EDE9FE",
+  Z7: "E9D5FF",
+  HEADER: "1F4E8C",
+  BORDER: "94A3B8",
+};
+
+// Zone d'une FC selon les bornes croissantes du modèle (Z1 sous la première borne).
+// Une borne appartient à la zone du dessus, sauf celles de closed (indices) qui ferment la zone du dessous.
+export const zoneOfFc = (fc, fcBounds, closed = []) =>
+  `Z${fcBounds.filter((b, i) => (closed.includes(i) ? fc > b : fc >= b)).length + 1}`;
+
+export const buildZoneSegments = (cd, fcBounds, closed = []) => {
+  if (!cd?.length) return [];
+  const pts = cd
+    .filter((p) => Number.isFinite(p.timeSeconds) && Number.isFinite(p.fcS || p.fc))
+    .sort((a, b) => a.timeSeconds - b.timeSeconds);
+
+  if (!pts.length) return [];
+
+  const segs = [];
+  const fc = pts[0].fcS || pts[0].fc;
+  let curZ = zoneOfFc(fc, fcBounds, closed);
+  let startX = pts[0].timeSeconds;
+
+  for (let i = 1; i < pts.length; i++) {
+    const fcVal = pts[i].fcS || pts[i].fc;
+    const z = zoneOfFc(fcVal, fcBounds, closed);
+    if (z !== curZ) {
+      const endX = pts[i].timeSeconds;
+      if (endX > startX) segs.push({ z: curZ, x1: startX, x2: endX });
+      curZ = z;
+      startX = pts[i].timeSeconds;
+    }
+  }
+  const lastX = pts[pts.length - 1].timeSeconds;
+  if (lastX > startX) segs.push({ z: curZ, x1: startX, x2: lastX });
+
+  // Filtrer les petits segments (< 15 secondes) et les fusionner avec le segment précédent
+  const MIN_SEGMENT_DURATION = 15;
+  const filtered = [];
+  for (let i = 0; i < segs.length; i++) {
+    const seg = segs[i];
+    const duration = seg.x2 - seg.x1;
+
+    if (duration >= MIN_SEGMENT_DURATION) {
+      filtered.push(seg);
+    } else if (filtered.length > 0) {
+      // Fusionner avec le segment précédent en étendant sa durée
+      filtered[filtered.length - 1].x2 = seg.x2;
+    } else {
+      // Si c'est le premier segment et qu'il est trop court, le garder quand même
+      filtered.push(seg);
+    }
+  }
+
+  return filtered;
+};
+
+// Allure (min/km) à partir d'une vitesse en km/h
+export const formatPace = (kmh) => {
+  if (!(kmh > 0)) return "";
+  const sec = Math.round(3600 / kmh);
+  return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, "0")}`;
+};
+
+export const zoneLabel = (z, lang = "fr") => reportStrings(lang).zoneLabels[z] || z;
+
+// ==========================================
+// MODÈLES DE ZONES
+// ==========================================
+// Un modèle = bornes croissantes entre zones, exprimées en fonction de V1, V2, peak et rest.
+// basis : "both" → chaque borne est évaluée en FC et en vitesse/puissance ;
+// "fc" → évaluée en FC puis convertie ; "intensity" → évaluée en vitesse/puissance puis convertie.
+// La conversion FC ↔ intensité suit la droite passant par V1 et V2.
+// closed : indices des bornes incluses dans la zone du dessous (Z4 jusqu'à V2 +5 % inclus).
+
+const pct = (k, base) => k.map((f) => `${f}*${base}`);
+const reserve = (k) => k.map((f) => `rest + ${f}*(peak - rest)`);
+
+export const ZONE_MODELS = [
+  { id: "endurance", basis: "both", bounds: ["V1", "(V1+V2)/2", "V2", "V2*1.05"], closed: [3] },
+  { id: "other", basis: "both", bounds: ["V1", "V2"] },
+  { id: "hrmax", basis: "fc", bounds: pct([0.6, 0.7, 0.8, 0.9], "peak") },
+  { id: "karvonen", basis: "fc", bounds: reserve([0.6, 0.7, 0.8, 0.9]) },
+  { id: "seiler", basis: "both", bounds: ["V1", "V2"] },
+  { id: "coggan", basis: "intensity", bounds: pct([0.55, 0.75, 0.9, 1.05, 1.2, 1.5], "V2") },
+];
+
+export const ZONE_BASES = {
+  both: "FC et intensité",
+  fc: "FC (intensité déduite)",
+  intensity: "Vitesse/puissance (FC déduite)",
+};
+
+export const MAX_ZONES = 7;
+
+// Modèle prédéfini ; le type de sport donne le modèle ventilatoire par défaut
+export const getZoneModel = (id) => ZONE_MODELS.find((m) => m.id === id) || ZONE_MODELS[0];
+
+export const zoneModelName = (model, lang = "fr") =>
+  model.custom ? model.name : reportStrings(lang).zoneModelNames[model.id] || model.id;
+
+// Détermination par défaut d'une zone personnalisée : ses expressions de bornes
+const autoDet = (lo, hi) => (lo == null ? `< ${hi}` : hi == null ? `> ${lo}` : `${lo} → ${hi}`);
+
+/** @returns {Array<{label: string, det: string}>} libellé et détermination de chaque zone */
+export const zoneModelTexts = (model, lang = "fr") => {
+  const t = reportStrings(lang);
+  if (model.custom) {
+    return model.zones.map((z, i) => ({
+      label: z.label || `Z${i + 1}`,
+      det: z.det || autoDet(model.bounds[i - 1], model.bounds[i]),
+    }));
+  }
+  const d = t.zoneDet;
+  if (model.id === "endurance") {
+    return [d.belowV1, d.v1Mid, d.midV2, d.v2Plus5, d.wellAboveV2].map((det, i) => ({ label: zoneLabel(`Z${i + 1}`, lang), det }));
+  }
+  if (model.id === "other") {
+    return [d.belowV1, d.v1v2, d.aboveV2].map((det, i) => ({ label: zoneLabel(`Z${i + 1}`, lang), det }));
+  }
+  return t.zoneModelZones[model.id].map(([label, det]) => ({ label, det }));
+};
+
+/**
+ * Bornes numériques d'un modèle.
+ * @param {object} model
+ * @param {{fc: object, s: object}} vars V1, V2, peak, rest en FC (fc) et en vitesse/puissance (s)
+ * @returns {{fc: number[], s: number[]}}
+ * @throws {ValidationError} expression invalide
+ */
+export const computeZoneBounds = (model, vars) => {
+  const slope = (vars.s.V2 - vars.s.V1) / (vars.fc.V2 - vars.fc.V1);
+  const fcToS = (fc) => Math.max(0, vars.s.V1 + (fc - vars.fc.V1) * slope);
+  const sToFc = (s) => vars.fc.V1 + (s - vars.s.V1) / slope;
+
+  const fc = [];
+  const s = [];
+  model.bounds.forEach((expr) => {
+    const f = model.basis === "intensity" ? sToFc(evalZoneExpr(expr, vars.s)) : evalZoneExpr(expr, vars.fc);
+    fc.push(Math.round(f));
+    s.push(model.basis === "fc" ? fcToS(f) : evalZoneExpr(expr, vars.s));
+  });
+  return { fc, s };
+};
+
+/**
+ * Contrôle un modèle (personnalisé) avant de l'appliquer.
+ * @returns {string[]} problèmes détectés, vide si le modèle est utilisable
+ */
+export const checkZoneModel = (model, vars) => {
+  const n = model.zones?.length ?? model.bounds.length + 1;
+  if (n < 2 || n > MAX_ZONES) return [`Entre 2 et ${MAX_ZONES} zones`];
+  if (model.bounds.length !== n - 1) return ["Une borne par limite entre deux zones"];
+  let b;
+  try {
+    b = computeZoneBounds(model, vars);
+  } catch (e) {
+    return [e.message, ...(e.details || [])];
+  }
+  const errors = [];
+  if (![...b.fc, ...b.s].every(Number.isFinite)) errors.push("Bornes non calculables avec ce test (V1 = V2 ?)");
+  else if (b.fc.some((v, i) => i && v <= b.fc[i - 1]) || b.s.some((v, i) => i && v <= b.s[i - 1])) {
+    errors.push("Les bornes doivent être strictement croissantes");
+  }
+  return errors;
+};
+
+/**
+ * Tableau des zones d'un modèle.
+ * @returns {{rows: object[], fcBounds: number[], closed: number[]}} rows : {z, label, fc, sp, det, col, fcLo, fcHi, sLo, sHi}
+ *   (borne null = zone ouverte) ; fcBounds, closed : bornes de FC pour les segments des graphiques (zoneOfFc)
+ */
+export const buildZoneTable = (model, vars, { testType = "run", lang = "fr" } = {}) => {
+  const formatValue = (v) => Math.round(v * 10) / 10;
+  const isDecimal = testType === "run"; // km/h uses decimals, Watts use integers
+  const unit = testType === "bike" ? " W" : " km/h";
+
+  const formatWithUnit = (v) => {
+    if (isDecimal) return `${formatValue(v)}${unit}`;
+    return `${Math.round(v)}${unit}`;
+  };
+  const range = (lo, hi, fmt) =>
+    lo == null ? `< ${fmt(hi)}` : hi == null ? `> ${fmt(lo)}` : `${fmt(lo)} – ${fmt(hi)}`;
+
+  const b = computeZoneBounds(model, vars);
+  const texts = zoneModelTexts(model, lang);
+  const rows = texts.map(({ label, det }, i) => {
+    const z = `Z${i + 1}`;
+    // FC déduite au-delà du maximum du test : sans objet (zones anaérobies de Coggan)
+    const mapped = model.basis === "intensity";
+    const fcLo = i ? b.fc[i - 1] : null;
+    const fcHi = b.fc[i] == null || (mapped && b.fc[i] > vars.fc.peak) ? null : b.fc[i];
+    const sLo = i ? b.s[i - 1] : null;
+    const sHi = b.s[i] ?? null;
+    const fcBeyondPeak = mapped && fcLo != null && fcLo >= vars.fc.peak;
+    return {
+      z,
+      label,
+      fc: fcBeyondPeak ? "—" : range(fcLo, fcHi, String),
+      sp: range(sLo, sHi, formatWithUnit),
+      det,
+      col: ZCOL[z],
+      fcLo,
+      fcHi,
+      sLo,
+      sHi,
+    };
+  });
+  return { rows, fcBounds: b.fc, closed: model.closed || [] };
+};
+
+// Modèles ventilatoires historiques : "endurance" (5 zones) ou "other" (3 zones)
+export const calcZones = (sportType, fc1, fc2, s1, s2, testType = "run", lang = "fr") => {
+  const vars = { fc: { V1: fc1, V2: fc2, peak: NaN, rest: NaN }, s: { V1: s1, V2: s2, peak: NaN, rest: 0 } };
+  return buildZoneTable(getZoneModel(sportType === "other" ? "other" : "endurance"), vars, { testType, lang }).rows;
+};
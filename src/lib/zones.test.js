@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { ValidationError } from "./validation.js";
+import { buildZoneSegments, buildZoneTable, checkZoneModel, computeZoneBounds, getZoneModel, zoneOfFc } from "./zones.js";
+
+const vars = (fc1, fc2) => ({ fc: { V1: fc1, V2: fc2, peak: 190, rest: 60 }, s: { V1: 11.5, V2: 15, peak: 18, rest: 0 } });
+
+// Classement des versions précédentes (modèle 5 zones codé en dur) : Z4 jusqu'à V2 +5 % inclus
+const baselineZone = (fc, fc1, fc2) => {
+  const mid = Math.round((fc1 + fc2) / 2);
+  const z4max = Math.round(fc2 * 1.05);
+  if (fc < fc1) return "Z1";
+  if (fc < mid) return "Z2";
+  if (fc < fc2) return "Z3";
+  if (fc <= z4max) return "Z4";
+  return "Z5";
+};
+
+describe("computeZoneBounds", () => {
+  it("évalue les bornes du modèle 5 zones en FC et en vitesse", () => {
+    const b = computeZoneBounds(getZoneModel("endurance"), vars(142, 170));
+    assert.deepEqual(b.fc, [142, 156, 170, 179]);
+    assert.equal(b.s[0], 11.5);
+    assert.equal(b.s[2], 15);
+  });
+
+  it("déduit l'intensité d'une borne de FC sur la droite V1–V2", () => {
+    const b = computeZoneBounds({ basis: "fc", bounds: ["(V1+V2)/2"] }, vars(140, 170));
+    assert.equal(b.s[0], 13.25);
+  });
+
+  it("signale une expression invalide", () => {
+    assert.throws(() => computeZoneBounds({ basis: "fc", bounds: ["V1 +* 2"] }, vars(142, 170)), ValidationError);
+  });
+});
+
+describe("zoneOfFc", () => {
+  it("classe comme le modèle 5 zones historique, bornes comprises", () => {
+    [[142, 170], [131, 167], [150, 158]].forEach(([fc1, fc2]) => {
+      const { fcBounds, closed } = buildZoneTable(getZoneModel("endurance"), vars(fc1, fc2));
+      for (let fc = 100; fc <= 200; fc += 0.5) {
+        assert.equal(zoneOfFc(fc, fcBounds, closed), baselineZone(fc, fc1, fc2), `FC ${fc} (V1 ${fc1}, V2 ${fc2})`);
+      }
+    });
+  });
+
+  it("rattache par défaut une borne à la zone du dessus", () => {
+    assert.equal(zoneOfFc(140, [140, 160]), "Z2");
+    assert.equal(zoneOfFc(139, [140, 160]), "Z1");
+    assert.equal(zoneOfFc(160, [140, 160]), "Z3");
+  });
+
+  it("colore les graphiques avec la même règle que le tableau", () => {
+    const { fcBounds, closed } = buildZoneTable(getZoneModel("endurance"), vars(142, 170));
+    const cd = [0, 30, 60, 90].map((t) => ({ timeSeconds: t, fcS: 179 }));
+    assert.deepEqual(buildZoneSegments(cd, fcBounds, closed).map((s) => s.z), ["Z4"]);
+  });
+});
+
+describe("buildZoneTable", () => {
+  it("affiche les plages du modèle 5 zones", () => {
+    const { rows } = buildZoneTable(getZoneModel("endurance"), vars(142, 170));
+    assert.deepEqual(rows.map((r) => r.fc), ["< 142", "142 – 156", "156 – 170", "170 – 179", "> 179"]);
+  });
+});
+
+describe("checkZoneModel", () => {
+  it("accepte les modèles prédéfinis", () => {
+    ["endurance", "other", "hrmax", "karvonen", "seiler", "coggan"].forEach((id) => {
+      assert.deepEqual(checkZoneModel(getZoneModel(id), vars(142, 170)), [], id);
+    });
+  });
+
+  it("refuse des bornes non croissantes ou non calculables", () => {
+    assert.equal(checkZoneModel({ basis: "fc", bounds: ["V2", "V1"] }, vars(142, 170)).length, 1);
+    assert.equal(checkZoneModel(getZoneModel("karvonen"), { ...vars(142, 170), fc: { ...vars(142, 170).fc, rest: NaN } }).length, 1);
+  });
+});